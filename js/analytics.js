@@ -0,0 +1,214 @@
+/**
+ * Analytics Module - статистика повторения по журналу и SRS данным
+ * Настоящее удержание, прогноз повторений, распределения и самые трудные карточки
+ */
+
+import { getSRSData, getReviewLog } from './storage.js';
+import { STORES, dbGet } from './db.js';
+import { getTopicIdFromChunkId, parseCardKey } from './chunk-id.js';
+import { startOfDay, isNewCard } from './review-queue.js';
+import { RATINGS } from './srs.js';
+
+export const RETENTION_DAYS = 30;
+export const FORECAST_DAYS = 30;
+
+// Повторения с перерывом от трёх недель - зрелые карточки
+const MATURE_DAYS = 21;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const STABILITY_BUCKETS = [
+    { label: '< 1 дн', max: 1 },
+    { label: '1–7', max: 7 },
+    { label: '7–30', max: 30 },
+    { label: '30–90', max: 90 },
+    { label: '90–365', max: 365 },
+    { label: '> года', max: Infinity }
+];
+
+export const EASE_BUCKETS = [
+    { label: '1.3–1.7', max: 1.7 },
+    { label: '1.7–2.1', max: 2.1 },
+    { label: '2.1–2.5', max: 2.5 },
+    { label: '2.5–2.9', max: 2.9 },
+    { label: '≥ 2.9', max: Infinity }
+];
+
+export const DIFFICULTY_BUCKETS = [
+    { label: '1–3', max: 3 },
+    { label: '3–5', max: 5 },
+    { label: '5–7', max: 7 },
+    { label: '7–9', max: 9 },
+    { label: '9–10', max: Infinity }
+];
+
+/**
+ * Настоящее удержание: доля вспомненных карточек на повторениях
+ * Учитываются только карточки на повторении - шаги изучения не показательны
+ * @param {Array} log - журнал повторений
+ * @param {object} options - {now, days}
+ * @returns {object} - {reviews, passed, rate, matureReviews, matureRate}; rate = null без повторений
+ */
+export function retentionRate(log, options = {}) {
+    const now = options.now ?? Date.now();
+    const since = now - (options.days ?? RETENTION_DAYS) * DAY_MS;
+    const reviews = log.filter(entry => entry.state === 'review' && entry.time >= since && entry.time <= now);
+    const mature = reviews.filter(entry => entry.elapsedDays >= MATURE_DAYS);
+    const passed = entries => entries.filter(entry => entry.rating > RATINGS.AGAIN).length;
+    const rate = entries => entries.length > 0 ? passed(entries) / entries.length : null;
+
+    return {
+        reviews: reviews.length,
+        passed: passed(reviews),
+        rate: rate(reviews),
+        matureReviews: mature.length,
+        matureRate: rate(mature)
+    };
+}
+
+/**
+ * Прогноз числа повторений по дням
+ * Просроченные карточки попадают в сегодняшний день
+ * @param {object} srsData - SRS данные
+ * @param {object} options - {now, days}
+ * @returns {Array} - количество карточек на каждый день, начиная с сегодня
+ */
+export function dueForecast(srsData, options = {}) {
+    const now = options.now ?? Date.now();
+    const days = options.days ?? FORECAST_DAYS;
+    const today = startOfDay(now);
+    const forecast = new Array(days).fill(0);
+
+    Object.values(srsData).forEach(record => {
+        if (isNewCard(record)) return;
+        // Округление гасит сдвиг на час при переходе на летнее время
+        const day = Math.max(0, Math.round((startOfDay(record.nextReview) - today) / DAY_MS));
+        if (day < days) forecast[day]++;
+    });
+
+    return forecast;
+}
+
+/**
+ * Распределение значений по корзинам [предыдущий max, max)
+ * @param {Array} values - числа
+ * @param {Array} buckets - корзины {label, max}
+ * @returns {Array} - {label, count}
+ */
+export function histogram(values, buckets) {
+    const counts = buckets.map(bucket => ({ label: bucket.label, count: 0 }));
+    values.forEach(value => {
+        const index = buckets.findIndex(bucket => value < bucket.max);
+        counts[index === -1 ? buckets.length - 1 : index].count++;
+    });
+    return counts;
+}
+
+/**
+ * Повторённые карточки
+ * @param {object} srsData - SRS данные
+ * @returns {Array} - SRS записи
+ */
+function reviewedCards(srsData) {
+    return Object.values(srsData).filter(record => !isNewCard(record));
+}
+
+/**
+ * Распределение стабильности (для SM-2 - текущего интервала)
+ * @param {object} srsData - SRS данные
+ * @returns {Array} - {label, count}
+ */
+export function stabilityDistribution(srsData) {
+    const values = reviewedCards(srsData).map(record =>
+        Number.isFinite(record.stability) ? record.stability : record.interval || 0);
+    return histogram(values, STABILITY_BUCKETS);
+}
+
+/**
+ * Распределение ease factor SM-2
+ * @param {object} srsData - SRS данные
+ * @returns {Array} - {label, count}
+ */
+export function easeDistribution(srsData) {
+    const values = reviewedCards(srsData)
+        .map(record => record.easeFactor)
+        .filter(Number.isFinite);
+    return histogram(values, EASE_BUCKETS);
+}
+
+/**
+ * Распределение сложности FSRS
+ * @param {object} srsData - SRS данные
+ * @returns {Array} - {label, count}
+ */
+export function difficultyDistribution(srsData) {
+    const values = reviewedCards(srsData)
+        .map(record => record.difficulty)
+        .filter(Number.isFinite);
+    return histogram(values, DIFFICULTY_BUCKETS);
+}
+
+/**
+ * Самые трудные карточки по темам
+ * Трудность - доля ответов "не помню", при равенстве больше забываний
+ * @param {Array} log - журнал повторений
+ * @param {object} srsData - SRS данные
+ * @param {number} limit - карточек на тему
+ * @returns {Array} - {topicId, cards: [{chunkId, reviews, again, lapses}]}, худшие темы первыми
+ */
+export function hardestCards(log, srsData, limit = 3) {
+    const stats = new Map();
+    log.forEach(entry => {
+        const card = stats.get(entry.chunkId) || { chunkId: entry.chunkId, reviews: 0, again: 0 };
+        card.reviews++;
+        if (entry.rating === RATINGS.AGAIN) card.again++;
+        stats.set(entry.chunkId, card);
+    });
+
+    const score = card => card.again / card.reviews;
+    const byTopic = new Map();
+    [...stats.values()]
+        .filter(card => card.again > 0)
+        .map(card => ({ ...card, lapses: srsData[card.chunkId]?.lapses || 0 }))
+        .sort((a, b) => score(b) - score(a) || b.lapses - a.lapses || b.again - a.again)
+        .forEach(card => {
+            const topicId = getTopicIdFromChunkId(card.chunkId);
+            if (!byTopic.has(topicId)) byTopic.set(topicId, []);
+            const cards = byTopic.get(topicId);
+            if (cards.length < limit) cards.push(card);
+        });
+
+    return [...byTopic.entries()].map(([topicId, cards]) => ({ topicId, cards }));
+}
+
+/**
+ * Самые трудные карточки с текстом фраз из кэша
+ * Кэш читается напрямую, чтобы статистика не меняла порядок вытеснения тем
+ * @param {number} limit - карточек на тему
+ * @returns {Promise<Array>} - как hardestCards, у карточек есть cardType и chunk (или null, если темы нет в кэше)
+ */
+export async function getHardestCards(limit = 3) {
+    const topics = hardestCards(await getReviewLog(), getSRSData(), limit);
+    for (const topic of topics) {
+        const content = await dbGet(STORES.CONTENT, topic.topicId);
+        const chunks = new Map((content?.chunks || []).map(chunk => [chunk.id, chunk]));
+        topic.cards = topic.cards.map(card => {
+            const { chunkId, cardType } = parseCardKey(card.chunkId);
+            return { ...card, cardType, chunk: chunks.get(chunkId) || null };
+        });
+    }
+    return topics;
+}
+
+// Экспорт объекта Analytics для совместимости
+export const Analytics = {
+    retentionRate,
+    dueForecast,
+    histogram,
+    stabilityDistribution,
+    easeDistribution,
+    difficultyDistribution,
+    hardestCards,
+    getHardestCards
+};
+
+export default Analytics;
@@ -0,0 +1,688 @@
+/**
+ * Anki Module - экспорт и импорт колод Anki
+ * Экспорт: тема или все карточки повторения в текстовом формате (TSV/CSV) или пакетом .apkg.
+ * В начале текстового файла заголовки Anki (#separator, #html, #columns, #tags column),
+ * так что файл импортируется без настройки. Пакет .apkg - коллекция Anki (база SQLite)
+ * в zip-архиве: тип записи с полями фразы, карточки в обе стороны и колода темы.
+ * Импорт: колода из Anki или таблицы (TSV/CSV) становится своей темой,
+ * фразы доступны во всех играх.
+ */
+
+import { getSRSData, getCache, setCache, getCachedTopicIds, getCustomTopics, saveCustomTopics, deleteTopicCache } from './storage.js';
+import { STORES, dbGet } from './db.js';
+import { phraseKey, hashString, parseCardKey } from './chunk-id.js';
+import { validateChunks } from './providers/schema.js';
+import { getTopicById } from './topics.js';
+import { getCardStatus, getReportedIds } from './card-status.js';
+import { buildDatabase } from './sqlite.js';
+import { createZip } from './zip.js';
+
+// Форматы файла колоды
+export const DECK_FORMATS = {
+    tsv: { delimiter: '\t', separator: 'tab', extension: 'tsv', mimeType: 'text/tab-separated-values' },
+    csv: { delimiter: ',', separator: 'comma', extension: 'csv', mimeType: 'text/csv' },
+    apkg: { extension: 'apkg', mimeType: 'application/apkg' }
+};
+
+// Поля заметки в порядке столбцов файла
+export const DECK_FIELDS = ['turkish', 'russian', 'example', 'exampleTranslation', 'grammarNote', 'tags'];
+
+// Названия столбцов в экспорте
+const FIELD_TITLES = {
+    turkish: 'Turkish',
+    russian: 'Russian',
+    example: 'Example',
+    exampleTranslation: 'ExampleTranslation',
+    grammarNote: 'GrammarNote',
+    tags: 'Tags'
+};
+
+// Названия столбцов при импорте (без регистра, пробелов и подчёркиваний)
+const FIELD_ALIASES = {
+    turkish: ['turkish', 'türkçe', 'turkce', 'турецкий', 'front', 'лицо', 'phrase', 'word'],
+    russian: ['russian', 'русский', 'перевод', 'back', 'оборот', 'translation', 'meaning'],
+    example: ['example', 'пример', 'örnek', 'sentence'],
+    exampleTranslation: ['exampletranslation', 'переводпримера', 'sentencetranslation'],
+    grammarNote: ['grammarnote', 'grammar', 'грамматика', 'note', 'notes', 'заметка'],
+    tags: ['tags', 'теги']
+};
+
+// Имена разделителей в заголовке #separator
+const SEPARATOR_NAMES = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', colon: ':', space: ' ' };
+
+// Столбцы Anki, которые не являются полями заметки
+const SERVICE_COLUMNS = ['tags', 'deck', 'notetype', 'guid'];
+
+// Префикс ID своих тем
+export const CUSTOM_TOPIC_PREFIX = 'custom_';
+
+// Корневая колода в Anki
+const DECK_ROOT = 'Türkçe';
+
+// Сколько записей истории версий хранится в контенте (как в api.js)
+const MAX_HISTORY = 20;
+
+// Тип записи в пакете .apkg: ID постоянный, чтобы повторный импорт не создавал копий типа
+const ANKI_MODEL_ID = 1700000000000;
+
+// Поля записи в пакете .apkg - все поля колоды, кроме тегов
+const ANKI_FIELDS = DECK_FIELDS.filter(field => field !== 'tags');
+
+// Дополнительные поля на обороте карточки
+const ANKI_BACK_EXTRAS = '{{#Example}}<br><br><i>{{Example}}</i>{{/Example}}' +
+    '{{#ExampleTranslation}}<br><small>{{ExampleTranslation}}</small>{{/ExampleTranslation}}' +
+    '{{#GrammarNote}}<br><br>📝 {{GrammarNote}}{{/GrammarNote}}';
+
+// Карточки записи: узнавание и обратная, как в приложении
+const ANKI_TEMPLATES = [
+    { name: 'Турецкий → русский', front: 'Turkish', back: 'Russian' },
+    { name: 'Русский → турецкий', front: 'Russian', back: 'Turkish' }
+];
+
+// Схема коллекции Anki (формат 11), в которой Anki читает .apkg
+const ANKI_SCHEMA = {
+    col: 'CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null)',
+    notes: 'CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null)',
+    cards: 'CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null)',
+    revlog: 'CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null)',
+    graves: 'CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null)'
+};
+
+/**
+ * Поле для файла: в кавычках, если в нём есть разделитель, кавычка или перенос строки,
+ * а также если оно начинается с # и строку можно принять за заголовок
+ * @param {any} value - значение поля
+ * @param {string} delimiter - разделитель
+ * @returns {string}
+ */
+export function formatField(value, delimiter) {
+    const text = value == null ? '' : String(value);
+    if (text.includes(delimiter) || /["\r\n]|^#/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Тег Anki: без пробелов
+ * @param {string} tag - тег
+ * @returns {string}
+ */
+function toTag(tag) {
+    return String(tag).trim().replace(/\s+/g, '_');
+}
+
+/**
+ * Строка колоды из chunk
+ * Теги: исходные теги фразы, уровень, категория и ID темы, пиявки помечаются leech
+ * @param {object} chunk - chunk
+ * @param {object|null} topic - тема
+ * @param {object} status - статус карточки (getCardStatus)
+ * @returns {object} - {turkish, russian, example, exampleTranslation, grammarNote, tags}
+ */
+export function chunkToRow(chunk, topic, status = {}) {
+    const tags = [
+        'turkce',
+        ...(chunk.tags || []),
+        ...(topic ? [topic.level, topic.category, topic.id] : []),
+        ...(status.leech ? ['leech'] : [])
+    ].filter(Boolean).map(toTag);
+
+    return {
+        turkish: chunk.turkish,
+        russian: chunk.russian,
+        example: chunk.example || '',
+        exampleTranslation: chunk.exampleTranslation || '',
+        grammarNote: chunk.grammarNote || '',
+        tags: [...new Set(tags)].join(' ')
+    };
+}
+
+/**
+ * Текст колоды с заголовками Anki
+ * @param {Array} rows - строки chunkToRow
+ * @param {object} options - {format: tsv | csv, deck: имя колоды}
+ * @returns {string}
+ */
+export function buildDeckText(rows, options = {}) {
+    const format = DECK_FORMATS[options.format]?.delimiter ? DECK_FORMATS[options.format] : DECK_FORMATS.tsv;
+    const line = values => values.map(value => formatField(value, format.delimiter)).join(format.delimiter);
+    const headers = [
+        `#separator:${format.separator}`,
+        '#html:false',
+        ...(options.deck ? [`#deck:${options.deck}`] : []),
+        `#tags column:${DECK_FIELDS.indexOf('tags') + 1}`,
+        `#columns:${line(DECK_FIELDS.map(field => FIELD_TITLES[field]))}`
+    ];
+    return [...headers, ...rows.map(row => line(DECK_FIELDS.map(field => row[field])))].join('\n') + '\n';
+}
+
+/**
+ * Поле записи Anki: поля в коллекции хранятся как HTML
+ * @param {string} value - текст поля
+ * @returns {string}
+ */
+function toAnkiField(value) {
+    return String(value || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Контрольная сумма первого поля, по которой Anki ищет дубликаты:
+ * первые 8 шестнадцатеричных цифр SHA-1
+ * @param {string} text - текст поля без разметки
+ * @returns {Promise<number>}
+ */
+async function fieldChecksum(text) {
+    const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text));
+    return new DataView(digest).getUint32(0);
+}
+
+/**
+ * Настройки коллекции Anki: тип записи, колоды и параметры по умолчанию
+ * @param {object} options - {deckId, deck, now, count}
+ * @returns {object} - {conf, models, decks, dconf} в виде JSON
+ */
+function ankiCollectionConfig({ deckId, deck, now, count }) {
+    const seconds = Math.floor(now / 1000);
+    const deckEntry = (id, name) => ({
+        id, name, desc: '', mod: seconds, usn: -1, collapsed: false, browserCollapsed: false,
+        dyn: 0, conf: 1, extendNew: 0, extendRev: 0,
+        newToday: [0, 0], revToday: [0, 0], lrnToday: [0, 0], timeToday: [0, 0]
+    });
+    const model = {
+        id: ANKI_MODEL_ID,
+        name: 'Türkçe (Turkish Learning App)',
+        type: 0,
+        mod: seconds,
+        usn: -1,
+        sortf: 0,
+        did: deckId,
+        flds: ANKI_FIELDS.map((field, ord) => ({
+            name: FIELD_TITLES[field], ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: []
+        })),
+        tmpls: ANKI_TEMPLATES.map((template, ord) => ({
+            name: template.name,
+            ord,
+            qfmt: `{{${template.front}}}`,
+            afmt: `{{FrontSide}}<hr id=answer>{{${template.back}}}${ANKI_BACK_EXTRAS}`,
+            bqfmt: '',
+            bafmt: '',
+            did: null,
+            bfont: '',
+            bsize: 0
+        })),
+        css: '.card { font-family: Arial; font-size: 24px; text-align: center; color: black; background-color: white; }',
+        latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\begin{document}\n',
+        latexPost: '\\end{document}',
+        latexsvg: false,
+        req: ANKI_TEMPLATES.map((template, ord) => [ord, 'any', [ANKI_FIELDS.indexOf(template.front.toLowerCase())]]),
+        tags: [],
+        vers: []
+    };
+    const deckConfig = {
+        id: 1, name: 'Default', mod: 0, usn: 0, maxTaken: 60, autoplay: true, timer: 0, replayq: true, dyn: false,
+        new: { delays: [1, 10], ints: [1, 4, 0], initialFactor: 2500, order: 1, perDay: 20, bury: false },
+        rev: { perDay: 200, ease4: 1.3, ivlFct: 1, maxIvl: 36500, fuzz: 0.05, bury: false, hardFactor: 1.2 },
+        lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 1 }
+    };
+
+    return {
+        conf: JSON.stringify({
+            nextPos: count + 1, estTimes: true, activeDecks: [1], sortType: 'noteFld', timeLim: 0,
+            sortBackwards: false, addToCur: true, curDeck: 1, newSpread: 0, dueCounts: true,
+            curModel: ANKI_MODEL_ID, collapseTime: 1200
+        }),
+        models: JSON.stringify({ [ANKI_MODEL_ID]: model }),
+        decks: JSON.stringify({ 1: deckEntry(1, 'Default'), [deckId]: deckEntry(deckId, deck) }),
+        dconf: JSON.stringify({ 1: deckConfig })
+    };
+}
+
+/**
+ * Пакет Anki (.apkg) из строк колоды
+ * Каждая строка - запись с карточками в обе стороны, новые карточки идут в порядке строк.
+ * GUID записи строится по фразе, так что повторный импорт обновляет записи, а не дублирует
+ * @param {Array} rows - строки chunkToRow
+ * @param {object} options - {deck: имя колоды, now}
+ * @returns {Promise<Uint8Array>} - zip-архив
+ */
+export async function buildApkg(rows, options = {}) {
+    const now = options.now ?? Date.now();
+    const seconds = Math.floor(now / 1000);
+    const deckId = now;
+    const guids = new Set();
+    const notes = [];
+    const cards = [];
+
+    for (const [index, row] of rows.entries()) {
+        const noteId = now + index;
+        let guid = `tr${hashString(phraseKey(row.turkish))}`;
+        // Одна и та же фраза может быть в нескольких темах
+        if (guids.has(guid)) guid = `${guid}_${index}`;
+        guids.add(guid);
+
+        notes.push([
+            noteId, guid, ANKI_MODEL_ID, seconds, -1,
+            row.tags ? ` ${row.tags} ` : '',
+            ANKI_FIELDS.map(field => toAnkiField(row[field])).join('\x1f'),
+            row.turkish, await fieldChecksum(row.turkish), 0, ''
+        ]);
+        ANKI_TEMPLATES.forEach((template, ord) => {
+            // Новая карточка: type и queue 0, due - позиция в очереди новых
+            cards.push([now + index * ANKI_TEMPLATES.length + ord, noteId, deckId, ord, seconds, -1,
+                0, 0, index + 1, 0, 0, 0, 0, 0, 0, 0, 0, '']);
+        });
+    }
+
+    const config = ankiCollectionConfig({ deckId, deck: options.deck || DECK_ROOT, now, count: rows.length });
+    const dayStart = new Date(now);
+    dayStart.setHours(0, 0, 0, 0);
+    const collection = buildDatabase([
+        {
+            name: 'col', sql: ANKI_SCHEMA.col, rowidColumn: true,
+            rows: [[1, Math.floor(dayStart.getTime() / 1000), now, now, 11, 0, 0, 0,
+                config.conf, config.models, config.decks, config.dconf, '{}']]
+        },
+        {
+            name: 'notes', sql: ANKI_SCHEMA.notes, rowidColumn: true, rows: notes,
+            indexes: [
+                { name: 'ix_notes_usn', sql: 'CREATE INDEX ix_notes_usn on notes (usn)', columns: [4] },
+                { name: 'ix_notes_csum', sql: 'CREATE INDEX ix_notes_csum on notes (csum)', columns: [8] }
+            ]
+        },
+        {
+            name: 'cards', sql: ANKI_SCHEMA.cards, rowidColumn: true, rows: cards,
+            indexes: [
+                { name: 'ix_cards_usn', sql: 'CREATE INDEX ix_cards_usn on cards (usn)', columns: [5] },
+                { name: 'ix_cards_nid', sql: 'CREATE INDEX ix_cards_nid on cards (nid)', columns: [1] },
+                { name: 'ix_cards_sched', sql: 'CREATE INDEX ix_cards_sched on cards (did, queue, due)', columns: [2, 7, 8] }
+            ]
+        },
+        {
+            name: 'revlog', sql: ANKI_SCHEMA.revlog, rowidColumn: true, rows: [],
+            indexes: [
+                { name: 'ix_revlog_usn', sql: 'CREATE INDEX ix_revlog_usn on revlog (usn)', columns: [2] },
+                { name: 'ix_revlog_cid', sql: 'CREATE INDEX ix_revlog_cid on revlog (cid)', columns: [1] }
+            ]
+        },
+        { name: 'graves', sql: ANKI_SCHEMA.graves, rows: [] }
+    ]);
+
+    return createZip([
+        { name: 'collection.anki2', data: collection },
+        { name: 'media', data: '{}' }
+    ], now);
+}
+
+/**
+ * Файл колоды в выбранном формате
+ * @param {Array} rows - строки chunkToRow
+ * @param {object} options - {format: tsv | csv | apkg, deck: имя колоды, name: часть имени файла}
+ * @returns {Promise<object>} - {fileName, text или data (apkg), mimeType, count}
+ */
+async function packDeck(rows, { format, deck, name }) {
+    const file = {
+        fileName: deckFileName(name, format),
+        mimeType: DECK_FORMATS[format]?.mimeType || DECK_FORMATS.tsv.mimeType,
+        count: rows.length
+    };
+    return format === 'apkg'
+        ? { ...file, data: await buildApkg(rows, { deck }) }
+        : { ...file, text: buildDeckText(rows, { format, deck }) };
+}
+
+/**
+ * Разбор текста с разделителями: поля в кавычках могут содержать разделитель и переносы строк
+ * @param {string} text - текст без заголовков
+ * @param {string} delimiter - разделитель
+ * @returns {Array} - строки как массивы полей
+ */
+export function parseDelimited(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char !== '"') {
+                field += char;
+            } else if (text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else {
+                quoted = false;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Заголовки Anki в начале файла (#ключ:значение)
+ * @param {string} text - содержимое файла
+ * @returns {{headers: object, body: string}}
+ */
+function splitHeaders(text) {
+    const headers = {};
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    let index = 0;
+    for (; index < lines.length && lines[index].startsWith('#'); index++) {
+        const colon = lines[index].indexOf(':');
+        if (colon > 1) {
+            headers[lines[index].slice(1, colon).trim().toLowerCase()] = lines[index].slice(colon + 1);
+        }
+    }
+    return { headers, body: lines.slice(index).join('\n') };
+}
+
+/**
+ * Разделитель колоды: из заголовка #separator или по первой строке
+ * @param {object} headers - заголовки
+ * @param {string} body - строки колоды
+ * @returns {string}
+ */
+function detectDelimiter(headers, body) {
+    const declared = headers.separator;
+    if (declared) {
+        return SEPARATOR_NAMES[declared.trim().toLowerCase()] || declared;
+    }
+    const firstLine = body.split(/\r?\n/).find(line => line.trim()) || '';
+    if (firstLine.includes('\t')) return '\t';
+    const count = char => firstLine.split(char).length - 1;
+    return count(';') > count(',') ? ';' : ',';
+}
+
+/**
+ * Поле заметки по названию столбца
+ * @param {string} title - название столбца
+ * @returns {string|null}
+ */
+function fieldByTitle(title) {
+    const key = title.toLowerCase().replace(/[\s_-]+/g, '');
+    return DECK_FIELDS.find(field => FIELD_ALIASES[field].includes(key) || field.toLowerCase() === key) || null;
+}
+
+/**
+ * Текст поля без HTML-разметки и звуков Anki
+ * Остатки разметки (угловые скобки) не пропускаются ни в поля, ни в теги
+ * @param {string} value - поле
+ * @param {boolean} html - поле содержит HTML
+ * @returns {string}
+ */
+function cleanField(value, html) {
+    let text = value.replace(/\[sound:[^\]]*\]/g, '');
+    if (html) {
+        text = text
+            .replace(/<br\s*\/?>|<\/div>|<\/p>/gi, ' ')
+            .replace(/<[^>]*>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+    return text.replace(/[<>]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Разбор файла колоды
+ * Столбцы определяются по заголовкам Anki (#columns, #tags column и т.п.),
+ * по строке с названиями столбцов или по порядку DECK_FIELDS
+ * @param {string} text - содержимое файла TSV/CSV
+ * @returns {{name: string|null, rows: Array}} - rows: [{turkish, russian, example, exampleTranslation, grammarNote, tags}]
+ */
+export function parseDeck(text) {
+    const { headers, body } = splitHeaders(String(text || ''));
+    const delimiter = detectDelimiter(headers, body);
+    const html = headers.html?.trim().toLowerCase() === 'true';
+    let table = parseDelimited(body, delimiter).filter(row => row.some(cell => cell.trim()));
+
+    // Служебные столбцы Anki (номера с 1)
+    const service = {};
+    SERVICE_COLUMNS.forEach(name => {
+        const column = parseInt(headers[`${name} column`], 10);
+        if (column > 0) service[column - 1] = name;
+    });
+
+    let titles = headers.columns ? parseDelimited(headers.columns, delimiter)[0] || [] : null;
+    if (!titles && table.length > 0) {
+        const named = table[0].filter(cell => cell.trim());
+        if (named.length >= 2 && named.every(cell => fieldByTitle(cell))) {
+            titles = table[0];
+            table = table.slice(1);
+        }
+    }
+
+    // Поле каждого столбца
+    const width = Math.max(0, ...table.map(row => row.length));
+    const positional = DECK_FIELDS.filter(field => !(field === 'tags' && Object.values(service).includes('tags')));
+    const columns = [];
+    let next = 0;
+    for (let column = 0; column < width; column++) {
+        if (service[column]) {
+            columns.push(service[column] === 'tags' ? 'tags' : null);
+        } else if (titles) {
+            columns.push(titles[column] ? fieldByTitle(titles[column]) : null);
+        } else {
+            columns.push(positional[next++] || null);
+        }
+    }
+
+    const rows = table.map(cells => {
+        const row = { turkish: '', russian: '', example: '', exampleTranslation: '', grammarNote: '', tags: [] };
+        cells.forEach((cell, column) => {
+            const field = columns[column];
+            if (field === 'tags') {
+                row.tags.push(...cleanField(cell, html).split(' ').filter(Boolean));
+            } else if (field && !row[field]) {
+                row[field] = cleanField(cell, html);
+            }
+        });
+        return row;
+    });
+
+    const deck = headers.deck?.trim();
+    return { name: deck ? deck.split('::').pop().trim() : null, rows };
+}
+
+/**
+ * Имя файла колоды
+ * @param {string} name - часть имени (ID темы и т.п.)
+ * @param {string} format - tsv | csv | apkg
+ * @param {number} now - время экспорта
+ * @returns {string}
+ */
+export function deckFileName(name, format = 'tsv', now = Date.now()) {
+    const extension = (DECK_FORMATS[format] || DECK_FORMATS.tsv).extension;
+    return `turkish-${name}-${new Date(now).toISOString().slice(0, 10)}.${extension}`;
+}
+
+/**
+ * Имя колоды Anki для темы
+ * @param {object} topic - тема
+ * @returns {string}
+ */
+function topicDeckName(topic) {
+    return topic.custom ? `${DECK_ROOT}::${topic.name}` : `${DECK_ROOT}::${topic.level}::${topic.name}`;
+}
+
+/**
+ * Экспорт темы из кэша
+ * @param {string} topicId - ID темы
+ * @param {string} format - tsv | csv | apkg
+ * @returns {Promise<object>} - {fileName, text или data, mimeType, count}
+ * @throws {Error} DECK_EMPTY - контента темы нет в кэше
+ */
+export async function exportTopicDeck(topicId, format = 'tsv') {
+    const content = await getCache(topicId);
+    const topic = getTopicById(topicId);
+    if (!content?.chunks?.length || !topic) {
+        throw new Error('DECK_EMPTY');
+    }
+
+    const srsData = getSRSData();
+    const reported = getReportedIds();
+    const rows = content.chunks.map(chunk => chunkToRow(chunk, topic, getCardStatus(chunk.id, { srsData, reported })));
+    return packDeck(rows, { format, deck: topicDeckName(topic), name: topicId });
+}
+
+/**
+ * Экспорт всех фраз с карточками повторения активного профиля
+ * Кэш читается напрямую из IndexedDB, чтобы экспорт не менял порядок вытеснения
+ * @param {string} format - tsv | csv | apkg
+ * @returns {Promise<object>} - {fileName, text или data, mimeType, count}
+ * @throws {Error} DECK_EMPTY - карточек повторения нет
+ */
+export async function exportSRSDeck(format = 'tsv') {
+    const srsData = getSRSData();
+    const reported = getReportedIds();
+    const studied = new Set(Object.keys(srsData).map(key => parseCardKey(key).chunkId));
+
+    const rows = [];
+    for (const key of await getCachedTopicIds()) {
+        const content = await dbGet(STORES.CONTENT, key);
+        const topic = getTopicById(content?.topicId || key);
+        (content?.chunks || [])
+            .filter(chunk => studied.has(chunk.id))
+            .forEach(chunk => rows.push(chunkToRow(chunk, topic, getCardStatus(chunk.id, { srsData, reported }))));
+    }
+
+    if (rows.length === 0) {
+        throw new Error('DECK_EMPTY');
+    }
+    return packDeck(rows, { format, deck: `${DECK_ROOT}::Повторение`, name: 'srs' });
+}
+
+/**
+ * ID своей темы по имени колоды: повторный импорт той же колоды обновляет тему
+ * @param {string} name - имя колоды
+ * @returns {string}
+ */
+export function customTopicId(name) {
+    return `${CUSTOM_TOPIC_PREFIX}${hashString(phraseKey(name))}`;
+}
+
+/**
+ * Импорт колоды как своей темы
+ * Фразы проходят ту же проверку, что и сгенерированные. Если тема с таким именем
+ * уже есть, фразы из файла обновляют её, остальные фразы темы и их SRS записи остаются
+ * @param {string} text - содержимое файла TSV/CSV
+ * @param {object} options - {fileName, name, now}; имя темы: name, #deck из файла или имя файла
+ * @returns {Promise<object>} - {topic, content, report, added, updated}
+ * @throws {Error} DECK_EMPTY - в файле нет ни одной фразы с переводом
+ */
+export async function importDeck(text, options = {}) {
+    const now = options.now ?? Date.now();
+    const deck = parseDeck(text);
+    const fileTitle = (options.fileName || '').replace(/\.[^.]+$/, '').trim();
+    const name = (options.name || deck.name || fileTitle || 'Колода').trim();
+    const topicId = customTopicId(name);
+
+    const validated = validateChunks(deck.rows, topicId);
+    if (validated.chunks.length === 0) {
+        throw new Error('DECK_EMPTY');
+    }
+
+    // Теги не входят в схему chunk - переносим их по фразе
+    const tagsByPhrase = new Map(deck.rows.map(row => [phraseKey(row.turkish), row.tags]));
+    const imported = validated.chunks.map(chunk => {
+        const tags = tagsByPhrase.get(phraseKey(chunk.turkish)) || [];
+        return tags.length > 0 ? { ...chunk, tags } : chunk;
+    });
+
+    const existing = getCustomTopics().find(topic => topic.id === topicId);
+    const previous = existing ? await getCache(topicId) : null;
+    const importedIds = new Set(imported.map(chunk => chunk.id));
+    const kept = (previous?.chunks || []).filter(chunk => !importedIds.has(chunk.id));
+    const previousIds = new Set((previous?.chunks || []).map(chunk => chunk.id));
+    const added = imported.filter(chunk => !previousIds.has(chunk.id));
+
+    const version = (previous?.version || 0) + 1;
+    const content = {
+        topicId,
+        generatedAt: now,
+        chunks: [...imported, ...kept],
+        validation: validated.report,
+        version,
+        history: [...(previous?.history || []), {
+            version,
+            action: 'import',
+            at: now,
+            added: added.map(chunk => chunk.turkish),
+            removed: []
+        }].slice(-MAX_HISTORY)
+    };
+
+    // Тема записывается до кэша, чтобы контент сразу был закреплён
+    const topic = {
+        id: topicId,
+        name,
+        description: options.fileName ? `Импорт из файла ${options.fileName}` : 'Импортированная колода',
+        source: 'anki',
+        createdAt: existing?.createdAt ?? now,
+        updatedAt: now
+    };
+    saveCustomTopics([...getCustomTopics().filter(t => t.id !== topicId), topic]);
+    await setCache(topicId, content);
+
+    return {
+        topic: getTopicById(topicId),
+        content,
+        report: validated.report,
+        added: added.length,
+        updated: imported.length - added.length
+    };
+}
+
+/**
+ * Удаление своей темы вместе с контентом и озвучкой
+ * SRS записи остаются: повторный импорт колоды вернёт историю повторений
+ * @param {string} topicId - ID темы
+ * @returns {Promise<boolean>} - тема была удалена
+ */
+export async function deleteCustomTopic(topicId) {
+    const topics = getCustomTopics();
+    if (!topics.some(topic => topic.id === topicId)) return false;
+    saveCustomTopics(topics.filter(topic => topic.id !== topicId));
+    await deleteTopicCache(topicId);
+    return true;
+}
+
+// Экспорт объекта Anki для совместимости
+export const Anki = {
+    DECK_FORMATS,
+    DECK_FIELDS,
+    formatField,
+    chunkToRow,
+    buildDeckText,
+    buildApkg,
+    parseDelimited,
+    parseDeck,
+    deckFileName,
+    exportTopicDeck,
+    exportSRSDeck,
+    customTopicId,
+    importDeck,
+    deleteCustomTopic
+};
+
+export default Anki;
@@ -0,0 +1,234 @@
+/**
+ * Answer Diff Module - сравнение ответа ученика с правильным по словам
+ * Слова выравниваются по наибольшей общей подпоследовательности (LCS), поэтому
+ * пропущенное в начале слово не сдвигает остальные. Операции:
+ * equal - слово совпало, insert - слова нет в ответе, delete - лишнее слово,
+ * substitute - слово написано иначе (с посимвольным сравнением),
+ * move - слово есть, но стоит не на своём месте.
+ * Слова сравниваются по answerKey, буквы - в нижнем регистре tr-TR.
+ */
+
+import { answerKey, toTurkishLower } from './turkish-text.js';
+
+export const DIFF_OPERATIONS = ['equal', 'insert', 'delete', 'substitute', 'move'];
+
+/**
+ * Разбиение текста на слова
+ * @param {string} text - текст
+ * @returns {Array} - слова
+ */
+export function tokenize(text) {
+    return String(text ?? '').trim().split(/\s+/).filter(word => word.length > 0);
+}
+
+/**
+ * Выравнивание двух последовательностей по LCS
+ * @param {Array} first - первая последовательность
+ * @param {Array} second - вторая последовательность
+ * @param {Function} equals - сравнение элементов
+ * @returns {Array} - шаги [{type: equal | delete | insert, a, b}]: a - индекс в first, b - в second
+ */
+export function alignSequences(first, second, equals = (x, y) => x === y) {
+    const n = first.length;
+    const m = second.length;
+
+    // lcs[i][j] - длина LCS суффиксов first[i..] и second[j..]
+    const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] = equals(first[i], second[j])
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const steps = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (equals(first[i], second[j])) {
+            steps.push({ type: 'equal', a: i++, b: j++ });
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            steps.push({ type: 'delete', a: i++ });
+        } else {
+            steps.push({ type: 'insert', b: j++ });
+        }
+    }
+    while (i < n) steps.push({ type: 'delete', a: i++ });
+    while (j < m) steps.push({ type: 'insert', b: j++ });
+
+    return steps;
+}
+
+/**
+ * Слияние соседних фрагментов с одинаковым статусом
+ * @param {Array} parts - [{text, status}]
+ * @returns {Array}
+ */
+function mergeParts(parts) {
+    return parts.reduce((merged, part) => {
+        const last = merged[merged.length - 1];
+        if (last && last.status === part.status) {
+            last.text += part.text;
+        } else {
+            merged.push({ ...part });
+        }
+        return merged;
+    }, []);
+}
+
+/**
+ * Посимвольное сравнение слова ответа с правильным словом
+ * @param {string} userWord - слово ответа
+ * @param {string} correctWord - правильное слово
+ * @returns {object} - {user: [{text, status: equal | delete}], correct: [{text, status: equal | insert}]}
+ */
+export function diffChars(userWord, correctWord) {
+    const userChars = Array.from(userWord);
+    const correctChars = Array.from(correctWord);
+    const steps = alignSequences(userChars, correctChars, (x, y) => toTurkishLower(x) === toTurkishLower(y));
+
+    const user = [];
+    const correct = [];
+    steps.forEach(step => {
+        if (step.type === 'equal') {
+            user.push({ text: userChars[step.a], status: 'equal' });
+            correct.push({ text: correctChars[step.b], status: 'equal' });
+        } else if (step.type === 'delete') {
+            user.push({ text: userChars[step.a], status: 'delete' });
+        } else {
+            correct.push({ text: correctChars[step.b], status: 'insert' });
+        }
+    });
+
+    return { user: mergeParts(user), correct: mergeParts(correct) };
+}
+
+/**
+ * Похожие слова: общих букв не меньше половины более длинного слова
+ * @param {string} a - первое слово
+ * @param {string} b - второе слово
+ * @returns {boolean}
+ */
+function similarWords(a, b) {
+    const first = Array.from(a);
+    const second = Array.from(b);
+    const common = alignSequences(first, second).filter(step => step.type === 'equal').length;
+    return common * 2 >= Math.max(first.length, second.length);
+}
+
+/**
+ * Операции сравнения по словам
+ * Несовпавшие слова с одинаковым ключом становятся перестановкой (move);
+ * похожие лишнее и пропущенное слово между совпадениями - заменой (substitute)
+ * @param {Array} userWords - слова ответа
+ * @param {Array} correctWords - правильные слова
+ * @returns {Array} - [{type, user, correct, chars}]: user и correct - индексы слов
+ */
+function wordOperations(userWords, correctWords) {
+    const userKeys = userWords.map(answerKey);
+    const correctKeys = correctWords.map(answerKey);
+    const steps = alignSequences(userKeys, correctKeys);
+
+    // Перестановки: слово есть в обоих текстах, но LCS его не выровнял
+    const inserts = steps.filter(step => step.type === 'insert');
+    steps.filter(step => step.type === 'delete').forEach(step => {
+        const target = inserts.find(ins => ins.moveFrom === undefined && correctKeys[ins.b] === userKeys[step.a]);
+        if (target) {
+            target.moveFrom = step.a;
+            step.moveTo = target.b;
+        }
+    });
+
+    const operations = [];
+    let gap = { deleted: [], inserted: [] };
+    const flushGap = () => {
+        // Пары ищутся по порядку: каждое лишнее слово берёт первое похожее пропущенное после предыдущей пары
+        let next = 0;
+        const paired = new Set();
+        gap.deleted.forEach(user => {
+            const k = gap.inserted.findIndex((correct, i) => i >= next && similarWords(userKeys[user], correctKeys[correct]));
+            if (k === -1) {
+                operations.push({ type: 'delete', user });
+                return;
+            }
+            const correct = gap.inserted[k];
+            operations.push({ type: 'substitute', user, correct, chars: diffChars(userWords[user], correctWords[correct]) });
+            paired.add(correct);
+            next = k + 1;
+        });
+        gap.inserted.filter(correct => !paired.has(correct)).forEach(correct => operations.push({ type: 'insert', correct }));
+        gap = { deleted: [], inserted: [] };
+    };
+
+    steps.forEach(step => {
+        if (step.type === 'equal') {
+            flushGap();
+            operations.push({ type: 'equal', user: step.a, correct: step.b });
+        } else if (step.moveTo !== undefined) {
+            operations.push({ type: 'move', user: step.a, correct: step.moveTo });
+        } else if (step.type === 'delete') {
+            gap.deleted.push(step.a);
+        } else if (step.moveFrom === undefined) {
+            gap.inserted.push(step.b);
+        }
+    });
+    flushGap();
+
+    return operations;
+}
+
+/**
+ * Сравнение ответа с правильным по словам
+ * @param {string} userAnswer - ответ ученика
+ * @param {string} correctAnswer - правильный ответ
+ * @returns {object} - {operations, user, correct}: user и correct - слова [{text, op, chars}],
+ *                     chars - посимвольные фрагменты для замен
+ */
+export function diffWords(userAnswer, correctAnswer) {
+    const userWords = tokenize(userAnswer);
+    const correctWords = tokenize(correctAnswer);
+    const operations = wordOperations(userWords, correctWords);
+
+    const user = userWords.map(text => ({ text, op: 'delete' }));
+    const correct = correctWords.map(text => ({ text, op: 'insert' }));
+    operations.forEach(operation => {
+        if (operation.user !== undefined) {
+            user[operation.user] = { text: userWords[operation.user], op: operation.type };
+            if (operation.chars) user[operation.user].chars = operation.chars.user;
+        }
+        if (operation.correct !== undefined) {
+            correct[operation.correct] = { text: correctWords[operation.correct], op: operation.type };
+            if (operation.chars) correct[operation.correct].chars = operation.chars.correct;
+        }
+    });
+
+    return { operations, user, correct };
+}
+
+/**
+ * Подсветка различий между ответами
+ * Формат прежних игр: слова ответа с флагом correct, правильные слова с флагом missing
+ * @param {string} userAnswer - ответ ученика
+ * @param {string} correctAnswer - правильный ответ
+ * @returns {object} - {user: [{text, op, correct}], correct: [{text, op, missing}]}
+ */
+export function highlightDifferences(userAnswer, correctAnswer) {
+    const diff = diffWords(userAnswer, correctAnswer);
+    return {
+        user: diff.user.map(word => ({ ...word, correct: word.op === 'equal' })),
+        correct: diff.correct.map(word => ({ ...word, missing: word.op !== 'equal' }))
+    };
+}
+
+// Экспорт объекта AnswerDiff для совместимости
+export const AnswerDiff = {
+    DIFF_OPERATIONS,
+    tokenize,
+    alignSequences,
+    diffChars,
+    diffWords,
+    highlightDifferences
+};
+
+export default AnswerDiff;
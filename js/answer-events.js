@@ -0,0 +1,133 @@
+/**
+ * Answer Events Module - общая шина ответов из игр
+ * Игры сообщают о каждом ответе на фразу, шина переводит его в оценку
+ * планировщика и обновляет SRS запись того направления карточки, которое
+ * тренирует игра: выбор из вариантов - узнавание, аудирование - карточку на слух,
+ * упражнения на воспроизведение (написать, перевести, собрать) - обратные карточки.
+ * Правильный ответ в упражнении на воспроизведение весит больше, чем выбор
+ * из вариантов. Ошибка в игре - провал и возвращает карточку к повторению,
+ * но забыванием не считается: пиявкой карточку делают только забывания в карточках.
+ * Флеш-карточки оценивает сам ученик - они вызывают updateSRS напрямую.
+ */
+
+import { getSettings } from './storage.js';
+import { updateSRS } from './games/flashcards.js';
+import { DEFAULT_CARD_TYPE, cardKey } from './chunk-id.js';
+
+// Тип упражнения в каждой игре
+export const EXERCISE_KINDS = {
+    'quiz': 'recognition',
+    'listening': 'recognition',
+    'matching': 'recognition',
+    'writing': 'production',
+    'translation': 'production',
+    'fill-in': 'production',
+    'sentence-builder': 'production'
+};
+
+// Направление карточки, которое тренирует игра; остальные игры - узнавание
+export const EXERCISE_CARD_TYPES = {
+    'listening': 'audio',
+    'writing': 'typed',
+    'translation': 'typed',
+    'fill-in': 'typed',
+    'sentence-builder': 'reverse'
+};
+
+// Оценка SM-2 (0-5) за ответ: 1-2 - не вспомнил, 3 - с трудом, 4 - хорошо, 5 - легко
+// close - почти правильный ответ (опечатка, турецкие буквы), который ученик засчитал сам
+export const ANSWER_QUALITY = {
+    recognition: { correct: 4, close: 3, wrong: 1 },
+    production: { correct: 5, close: 3, wrong: 2 }
+};
+
+const listeners = new Set();
+
+/**
+ * Подписка на ответы
+ * @param {Function} listener - (event) => void
+ * @returns {Function} - отписка
+ */
+export function onAnswer(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Оценка планировщика за ответ в игре
+ * Игры без известного типа упражнения считаются узнаванием
+ * @param {string} game - ID игры
+ * @param {boolean} correct - ответ правильный (или засчитан учеником)
+ * @param {string} [verdict] - вердикт gradeAnswer, если ответ вводился
+ * @returns {number} - quality (0-5)
+ */
+export function answerQuality(game, correct, verdict) {
+    const grades = ANSWER_QUALITY[EXERCISE_KINDS[game]] || ANSWER_QUALITY.recognition;
+    if (!correct) return grades.wrong;
+    return verdict && verdict !== 'correct' ? grades.close : grades.correct;
+}
+
+/**
+ * Направление карточки, которое тренирует игра
+ * @param {string} game - ID игры
+ * @returns {string} - тип карточки
+ */
+export function exerciseCardType(game) {
+    return EXERCISE_CARD_TYPES[game] || DEFAULT_CARD_TYPE;
+}
+
+/**
+ * Сообщение об ответе на фразу
+ * Ошибка подписчика не прерывает игру
+ * @param {string} game - ID игры
+ * @param {string} chunkId - ID chunk
+ * @param {boolean} correct - ответ правильный (или засчитан учеником)
+ * @param {string} [verdict] - вердикт gradeAnswer, если ответ вводился
+ * @returns {object} - событие {game, chunkId, cardType, correct, verdict, quality, time}
+ */
+export function reportAnswer(game, chunkId, correct, verdict) {
+    const event = {
+        game,
+        chunkId,
+        cardType: exerciseCardType(game),
+        correct: Boolean(correct),
+        verdict: verdict || (correct ? 'correct' : 'wrong'),
+        quality: answerQuality(game, correct, verdict),
+        time: Date.now()
+    };
+
+    listeners.forEach(listener => {
+        try {
+            listener(event);
+        } catch (error) {
+            console.error('Answer listener error:', error);
+        }
+    });
+
+    return event;
+}
+
+/**
+ * Обновление SRS записи направления карточки по ответу в игре
+ * @param {object} event - событие reportAnswer
+ * @returns {object} - обновлённая SRS запись
+ */
+export function scheduleAnswer(event) {
+    return updateSRS(cardKey(event.chunkId, event.cardType), event.quality, getSettings(), event.game, { countLapse: false });
+}
+
+// Планировщик слушает шину всегда
+onAnswer(scheduleAnswer);
+
+// Экспорт объекта AnswerEvents для совместимости
+export const AnswerEvents = {
+    EXERCISE_KINDS,
+    EXERCISE_CARD_TYPES,
+    onAnswer,
+    answerQuality,
+    exerciseCardType,
+    reportAnswer,
+    scheduleAnswer
+};
+
+export default AnswerEvents;
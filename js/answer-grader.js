@@ -0,0 +1,229 @@
+/**
+ * Answer Grader Module - оценка введённого ответа с допуском ошибок
+ * Вместо совпадает/не совпадает ответ получает вердикт и балл:
+ * correct - совпадает после нормализации (см. turkish-text.js),
+ * missing-diacritic - отличается только турецкими буквами (s вместо ş),
+ * wrong-suffix - основы слов совпадают, отличается окончание (evde вместо evden),
+ * almost - опечатка внутри слова: небольшое расстояние редактирования,
+ * wrong - всё остальное.
+ * Промахи (все вердикты между correct и wrong) ученик может засчитать сам.
+ * У фразы может быть несколько правильных ответов (acceptedAnswers) - оценка
+ * ставится по ближайшему из них.
+ */
+
+import { answerKey, foldDiacritics } from './turkish-text.js';
+
+// Вердикты от лучшего к худшему
+export const VERDICTS = ['correct', 'missing-diacritic', 'almost', 'wrong-suffix', 'wrong'];
+
+// Балл за вердикт (0-1)
+export const VERDICT_SCORES = {
+    'correct': 1,
+    'missing-diacritic': 0.9,
+    'almost': 0.75,
+    'wrong-suffix': 0.5,
+    'wrong': 0
+};
+
+// Одна опечатка на каждые TYPO_SPAN букв ответа, в коротких словах опечатки не прощаются
+const TYPO_SPAN = 8;
+const MIN_TYPO_LENGTH = 4;
+
+// Минимальная длина общей основы слова
+const MIN_STEM_LENGTH = 2;
+
+// Перед гласным окончанием глухая согласная основы озвончается (kitap → kitabı):
+// многосложная основа на звонкую b, c, d, g - обрезанное слово, а не основа
+const VOICED_FINAL = /[bcdg]$/;
+const VOWEL = /[aeıioöuüâîû]/;
+
+/**
+ * Расстояние редактирования (Левенштейн с перестановкой соседних букв)
+ * @param {string} a - первая строка
+ * @param {string} b - вторая строка
+ * @returns {number}
+ */
+export function editDistance(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows.push([i]);
+    }
+    for (let j = 1; j <= b.length; j++) {
+        rows[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(
+                rows[i - 1][j] + 1,
+                rows[i][j - 1] + 1,
+                rows[i - 1][j - 1] + cost
+            );
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return rows[a.length][b.length];
+}
+
+/**
+ * Сколько опечаток допускается в ответе такой длины
+ * @param {number} length - длина правильного ответа
+ * @returns {number}
+ */
+export function typoBudget(length) {
+    return length < MIN_TYPO_LENGTH ? 0 : Math.ceil(length / TYPO_SPAN);
+}
+
+/**
+ * Длина общего начала двух строк
+ * @param {string} a - первая строка
+ * @param {string} b - вторая строка
+ * @returns {number}
+ */
+function commonPrefixLength(a, b) {
+    let length = 0;
+    while (length < a.length && length < b.length && a[length] === b[length]) {
+        length++;
+    }
+    return length;
+}
+
+/**
+ * Пары несовпавших слов при одинаковом числе слов
+ * @param {string} given - ответ
+ * @param {string} expected - правильный ответ
+ * @returns {Array|null} - [[слово ответа, правильное слово]] или null
+ */
+function mismatchedWords(given, expected) {
+    const givenWords = given.split(' ');
+    const expectedWords = expected.split(' ');
+    if (givenWords.length !== expectedWords.length) return null;
+
+    return expectedWords
+        .map((word, i) => [givenWords[i], word])
+        .filter(([a, b]) => a !== b);
+}
+
+/**
+ * Ошибка только в окончаниях: слова те же, у несовпавших общая основа
+ * не короче половины слова (kitap → kitabı тоже считается одной основой)
+ * @param {string} given - ответ (ключ без турецких букв)
+ * @param {string} expected - правильный ответ (ключ без турецких букв)
+ * @param {boolean} [whole=false] - основа - всё более короткое слово (окончание пропущено или лишнее)
+ * @returns {boolean}
+ */
+export function isSuffixError(given, expected, whole = false) {
+    const pairs = mismatchedWords(given, expected);
+
+    return Boolean(pairs) && pairs.length > 0 && pairs.every(([a, b]) => {
+        const stem = commonPrefixLength(a, b);
+        const shorter = Math.min(a.length, b.length);
+        return stem >= MIN_STEM_LENGTH && (whole ? stem === shorter : stem * 2 >= shorter);
+    });
+}
+
+/**
+ * Слово ответа обрезано на озвончённой согласной перед гласным окончанием
+ * (kitab вместо kitabı, merhab вместо merhaba): это опечатка, а не пропущенное окончание.
+ * Односложные слова обычно не озвончаются и могут оканчиваться звонкой (kod → kodu, ad → adı)
+ * @param {string} given - ответ (ключ с турецкими буквами)
+ * @param {string} expected - правильный ответ (ключ с турецкими буквами)
+ * @returns {boolean}
+ */
+function endsOnVoicedStem(given, expected) {
+    return (mismatchedWords(given, expected) || []).some(([a, b]) => {
+        const [stem, word] = a.length < b.length ? [a, b] : [b, a];
+        return stem.length < word.length && word.startsWith(stem) &&
+            VOICED_FINAL.test(stem) && VOWEL.test(word[stem.length]) &&
+            [...stem].filter(letter => VOWEL.test(letter)).length >= 2;
+    });
+}
+
+/**
+ * Все правильные ответы фразы: основной вариант и acceptedAnswers
+ * @param {object} chunk - фраза
+ * @returns {Array} - ответы, основной первым
+ */
+export function chunkAnswers(chunk) {
+    const accepted = Array.isArray(chunk.acceptedAnswers) ? chunk.acceptedAnswers : [];
+    return [chunk.turkish, ...accepted.filter(answer => typeof answer === 'string' && answer.trim())];
+}
+
+/**
+ * Оценка ответа по одному правильному варианту
+ * @param {string} input - ввод пользователя
+ * @param {string} answer - правильный ответ
+ * @returns {object} - {verdict, score, distance}
+ */
+function gradeSingle(input, answer) {
+    const given = answerKey(input);
+    const expected = answerKey(answer);
+    const result = (verdict, distance) => ({ verdict, score: VERDICT_SCORES[verdict], distance });
+
+    if (!given) return result('wrong', expected.length);
+    if (given === expected) return result('correct', 0);
+
+    const foldedGiven = foldDiacritics(given);
+    const foldedExpected = foldDiacritics(expected);
+    const distance = editDistance(given, expected);
+
+    if (foldedGiven === foldedExpected) return result('missing-diacritic', distance);
+
+    // Пропущенное или лишнее окончание (evde → evden) - не опечатка, даже если это одна буква
+    if (isSuffixError(foldedGiven, foldedExpected, true) && !endsOnVoicedStem(given, expected)) {
+        return result('wrong-suffix', distance);
+    }
+
+    // Опечатки считаются без учёта турецких букв: набор без раскладки не штрафуется дважды
+    const typos = editDistance(foldedGiven, foldedExpected);
+    if (typos <= typoBudget(expected.length)) return result('almost', distance);
+    if (isSuffixError(foldedGiven, foldedExpected)) return result('wrong-suffix', distance);
+
+    return result('wrong', distance);
+}
+
+/**
+ * Оценка ответа
+ * При нескольких правильных вариантах выбирается лучший вердикт, при равных - ближайший вариант
+ * @param {string} input - ввод пользователя
+ * @param {string|Array} answers - правильный ответ или все правильные варианты
+ * @returns {object} - {verdict, score, distance, answer}: answer - вариант, с которым сравнивали
+ */
+export function gradeAnswer(input, answers) {
+    const variants = Array.isArray(answers) ? answers : [answers];
+
+    return variants
+        .map(answer => ({ ...gradeSingle(input, answer), answer }))
+        .reduce((best, grade) => {
+            if (!best) return grade;
+            if (grade.score !== best.score) return grade.score > best.score ? grade : best;
+            return grade.distance < best.distance ? grade : best;
+        }, null);
+}
+
+/**
+ * Промах, который ученик может засчитать сам
+ * @param {string} verdict - вердикт gradeAnswer
+ * @returns {boolean}
+ */
+export function isNearMiss(verdict) {
+    return verdict !== 'correct' && verdict !== 'wrong' && VERDICTS.includes(verdict);
+}
+
+// Экспорт объекта AnswerGrader для совместимости
+export const AnswerGrader = {
+    VERDICTS,
+    VERDICT_SCORES,
+    editDistance,
+    typoBudget,
+    isSuffixError,
+    chunkAnswers,
+    gradeAnswer,
+    isNearMiss
+};
+
+export default AnswerGrader;
@@ -1,367 +1,394 @@
 /**
- * API Module - работа с Gemini API
- * Модель для контента: gemini-2.5-flash
- * Модель для TTS: gemini-2.5-flash-preview-tts
+ * API Module - генерация контента через подключаемых провайдеров
+ * Провайдеры: Gemini, OpenAI-совместимый endpoint, офлайн-набор
  */
 
-import { getApiKey, setCache, getCache, hasCache } from './storage.js';
+import { getApiKey, isApiKeyLocked, setCache, getCache, getSettings, removeSRSRecords } from './storage.js';
+import { getProvider, listProviders, PROVIDERS } from './providers/index.js';
+import { stripMarkdown, buildPrompt, parseContentText } from './providers/prompt.js';
+import { parseResponse, validateApiKey } from './providers/gemini.js';
+import { validateChunks, mergeValidated, findWeakChunks, phraseKey, MIN_VALID_CHUNKS } from './providers/schema.js';
+import { getReportedIds, unreportChunks } from './card-status.js';
+import { getTopicIdFromChunkId } from './chunk-id.js';
+import { sameAnswer } from './turkish-text.js';
 
-const CONTENT_MODEL = 'gemini-2.5-flash';
-const BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models/';
+export { stripMarkdown, buildPrompt, parseContentText, parseResponse, validateApiKey, getProvider, listProviders, PROVIDERS, validateChunks, findWeakChunks };
 
-let apiKey = '';
+// Ошибки провайдеров, которые пробрасываются без обёртки
+const PASSTHROUGH_ERRORS = ['API_', 'RATE_LIMITED', 'REQUEST_ABORTED', 'STORAGE_FULL', 'STATIC_PACK_MISSING', 'NO_NEW_CHUNKS', 'NO_WEAK_CHUNKS'];
 
-/**
- * Очистка ответа от markdown-форматирования
- * @param {string} text - текст ответа
- * @returns {string} - очищенный JSON
- */
-export function stripMarkdown(text) {
-    let cleaned = text.trim();
-    
-    // Удаляем ```json ... ``` или ``` ... ``` (более гибкие паттерны)
-    // Паттерн 1: ```json\n...\n``` или ```json ...\n```
-    const jsonBlockMatch = cleaned.match(/^```json\s*\n?([\s\S]*?)\n?```\s*$/);
-    if (jsonBlockMatch) {
-        return jsonBlockMatch[1].trim();
-    }
-    
-    // Паттерн 2: ```\n...\n```
-    const codeBlockMatch = cleaned.match(/^```\s*\n?([\s\S]*?)\n?```\s*$/);
-    if (codeBlockMatch) {
-        return codeBlockMatch[1].trim();
-    }
-    
-    // Паттерн 3: Ищем JSON внутри текста с markdown
-    const jsonInTextMatch = cleaned.match(/```json\s*\n?([\s\S]*?)\n?```/);
-    if (jsonInTextMatch) {
-        return jsonInTextMatch[1].trim();
-    }
-    
-    // Паттерн 4: Просто ``` без json
-    const codeInTextMatch = cleaned.match(/```\s*\n?([\s\S]*?)\n?```/);
-    if (codeInTextMatch) {
-        return codeInTextMatch[1].trim();
-    }
-    
-    // Паттерн 5: Одинарные бэктики
-    const singleBacktickMatch = cleaned.match(/^`([\s\S]*?)`$/);
-    if (singleBacktickMatch) {
-        return singleBacktickMatch[1].trim();
-    }
-    
-    return cleaned;
-}
+// Сколько фраз добавляет "Ещё фразы"
+export const EXTEND_COUNT = 20;
 
-/**
- * Установить API ключ
- * @param {string} key - API ключ
- */
-export function setApiKey(key) {
-    apiKey = key;
-}
+// Сколько записей истории версий хранится в контенте
+const MAX_HISTORY = 20;
 
 /**
  * Получить текущий API ключ
  * @returns {string}
+ * @throws {Error} API_KEY_LOCKED - ключ защищён паролем и не разблокирован
  */
 export function getKey() {
-    if (!apiKey) {
-        apiKey = getApiKey();
+    if (isApiKeyLocked()) {
+        throw new Error('API_KEY_LOCKED');
     }
-    return apiKey;
+    return getApiKey();
 }
 
 /**
- * Построить промпт для генерации контента
- * @param {object} topic - тема
- * @returns {string} - промпт
+ * Опции для провайдера из настроек
+ * @param {string} providerId - ID провайдера
+ * @param {object} settings - настройки приложения
+ * @returns {object} - опции провайдера
  */
-export function buildPrompt(topic) {
-    // Специальные инструкции для разных категорий
-    const categoryInstructions = {
-        culture: `Для культурной темы сгенерируй фразы и выражения, связанные с турецкой культурой.
-Включи:
-- Традиционные выражения и поговорки
-- Фразы для культурных ситуаций
-- Слова и термины, связанные с темой
-- Типичные диалоги в культурном контексте`,
-        grammar: `Для грамматической темы сгенерируй примеры, демонстрирующие грамматическое правило.
-Включи разнообразные примеры использования в разных контекстах.`,
-        vocabulary: `Для лексической темы сгенерируй слова и фразы по теме.
-Включи как отдельные слова, так и устойчивые выражения.`,
-        phonetics: `Для фонетической темы сгенерируй слова и фразы, демонстрирующие звуковые особенности.
-Включи примеры с разными вариантами произношения.`
-    };
-
-    const categoryInstruction = categoryInstructions[topic.category] || '';
-
-    return `Сгенерируй учебный контент для изучения турецкого языка.
-
-Тема: ${topic.name}
-Уровень: ${topic.level}
-Категория: ${topic.category}
-Описание: ${topic.description}
-
-${categoryInstruction}
-
-Сгенерируй 25-35 фраз (chunks) для изучения. Каждая фраза должна быть связана с темой.
-
-ВАЖНО:
-- Используй SOV (Subject-Object-Verb) структуру турецкого языка
-- Учитывай гармонию гласных
-- Фразы должны быть практичными и часто используемыми
-- Примеры должны показывать фразу в контексте
-
-КРИТИЧЕСКИ ВАЖНО ДЛЯ ПЕРЕВОДОВ:
-- Русские переводы должны звучать ЕСТЕСТВЕННО для носителя русского языка
-- НЕ делай дословный перевод, передавай СМЫСЛ фразы
-- Используй разговорный русский язык, как говорят в реальной жизни
-- Примеры правильных переводов:
-  * "Ne var?" → "Что случилось?" (НЕ "Что есть?")
-  * "Nasılsın?" → "Как дела?" (НЕ "Как ты?")
-  * "Bir şey değil" → "Не за что" (НЕ "Это не вещь")
-  * "Kolay gelsin" → "Удачи в работе" (НЕ "Пусть будет легко")
-
-ФОРМАТ ОТВЕТА - СТРОГО СОБЛЮДАЙ:
-Верни ТОЛЬКО чистый JSON без markdown-форматирования.
-НЕ оборачивай ответ в \`\`\`json или \`\`\`.
-НЕ добавляй никакого текста до или после JSON.
-
-{
-  "chunks": [
-    {
-      "id": "уникальный_id",
-      "turkish": "турецкая фраза",
-      "russian": "естественный русский перевод",
-      "example": "пример предложения на турецком",
-      "exampleTranslation": "естественный перевод примера",
-      "grammarNote": "грамматическая заметка (опционально)",
-      "words": [
-        {"text": "слово", "role": "subject|object|verb|other"}
-      ]
+export function getProviderOptions(providerId, settings) {
+    if (providerId === 'openai') {
+        return {
+            baseUrl: settings.openaiBaseUrl,
+            model: settings.openaiModel,
+            apiKey: settings.openaiApiKey
+        };
+    }
+    if (providerId === 'gemini') {
+        return { apiKey: getKey() };
     }
-  ]
-}`;
+    return {};
 }
 
-
 /**
- * Парсинг ответа API
- * @param {object} response - ответ API
- * @returns {object} - распарсенный контент
+ * Валидация chunks провайдера с запросом на исправление, если валидных мало
+ * @param {object} provider - провайдер
+ * @param {object} topic - тема
+ * @param {Array} rawChunks - chunks от провайдера
+ * @param {object} options - опции провайдера
+ * @param {number} minValid - минимум валидных chunks без запроса на исправление
+ * @returns {Promise<object>} - {chunks, report}
  */
-export function parseResponse(response) {
-    try {
-        // Проверяем наличие кандидатов
-        if (!response.candidates || response.candidates.length === 0) {
-            // Проверяем причину блокировки
-            if (response.promptFeedback?.blockReason) {
-                throw new Error(`Content blocked: ${response.promptFeedback.blockReason}`);
-            }
-            throw new Error('No candidates in API response');
-        }
+export async function validateWithRepair(provider, topic, rawChunks, options, minValid = MIN_VALID_CHUNKS) {
+    let result = validateChunks(rawChunks, topic.id);
 
-        // Проверяем причину завершения
-        const candidate = response.candidates[0];
-        if (candidate.finishReason && candidate.finishReason !== 'STOP') {
-            console.warn('Finish reason:', candidate.finishReason);
-            if (candidate.finishReason === 'SAFETY') {
-                throw new Error('Content blocked by safety filters');
-            }
-            if (candidate.finishReason === 'MAX_TOKENS') {
-                console.warn('Response may be truncated due to max tokens');
-            }
+    if (result.chunks.length < minValid && typeof provider.repair === 'function') {
+        try {
+            const fixed = await provider.repair(topic, {
+                rejected: result.rejected,
+                existing: result.chunks,
+                needed: minValid - result.chunks.length
+            }, options);
+            result = mergeValidated(result, fixed.chunks, topic.id);
+        } catch (error) {
+            if (error.message === 'REQUEST_ABORTED') throw error;
+            // Оставляем то, что уже прошло проверку
+            console.warn('Repair request failed:', error.message);
         }
+    }
 
-        // Получаем текст из ответа Gemini
-        const text = candidate.content?.parts?.[0]?.text;
-        
-        if (!text) {
-            throw new Error('Empty response from API');
-        }
+    if (result.chunks.length === 0) {
+        throw new Error('No valid chunks in response');
+    }
 
-        // Очищаем от markdown-форматирования
-        let cleanedJson = stripMarkdown(text);
-        
-        // Пытаемся найти JSON в тексте если он не парсится напрямую
-        let parsed;
-        try {
-            parsed = JSON.parse(cleanedJson);
-        } catch (jsonError) {
-            // Пробуем найти JSON объект в тексте
-            const jsonMatch = cleanedJson.match(/\{[\s\S]*"chunks"[\s\S]*\}/);
-            if (jsonMatch) {
-                parsed = JSON.parse(jsonMatch[0]);
-            } else {
-                // Пробуем найти массив chunks напрямую
-                const arrayMatch = cleanedJson.match(/\[[\s\S]*\]/);
-                if (arrayMatch) {
-                    parsed = { chunks: JSON.parse(arrayMatch[0]) };
-                } else {
-                    throw new Error('Could not find valid JSON in response: ' + jsonError.message);
-                }
-            }
-        }
-        
-        // Валидация структуры - пробуем разные варианты
-        let chunks = parsed.chunks;
-        
-        // Если chunks нет, проверяем альтернативные названия
-        if (!chunks || !Array.isArray(chunks)) {
-            // Проверяем альтернативные ключи
-            const altKeys = ['items', 'phrases', 'content', 'data', 'results'];
-            for (const key of altKeys) {
-                if (parsed[key] && Array.isArray(parsed[key])) {
-                    chunks = parsed[key];
-                    break;
-                }
-            }
-        }
-        
-        // Если всё ещё нет chunks, проверяем является ли сам parsed массивом
-        if (!chunks && Array.isArray(parsed)) {
-            chunks = parsed;
-        }
-        
-        if (!chunks || !Array.isArray(chunks) || chunks.length === 0) {
-            console.error('Response structure:', JSON.stringify(parsed, null, 2).substring(0, 500));
-            throw new Error('Invalid response structure: missing chunks array');
-        }
+    return { chunks: result.chunks, report: result.report };
+}
 
-        // Добавляем ID если отсутствует и нормализуем структуру
-        const normalizedChunks = chunks.map((chunk, index) => ({
-            id: chunk.id || `chunk_${index}`,
-            turkish: chunk.turkish || chunk.phrase || chunk.text || '',
-            russian: chunk.russian || chunk.translation || chunk.meaning || '',
-            example: chunk.example || chunk.sentence || '',
-            exampleTranslation: chunk.exampleTranslation || chunk.sentenceTranslation || '',
-            grammarNote: chunk.grammarNote || chunk.note || chunk.grammar || null,
-            words: chunk.words || []
-        }));
-
-        return { chunks: normalizedChunks };
-    } catch (error) {
-        console.error('Parse error:', error);
-        console.error('Raw response:', JSON.stringify(response, null, 2).substring(0, 1000));
-        throw new Error('Failed to parse API response: ' + error.message);
+/**
+ * Приведение ошибки провайдера к коду для handleError
+ * @param {Error} error - исходная ошибка
+ * @returns {Error}
+ */
+function toAppError(error) {
+    if (PASSTHROUGH_ERRORS.some(prefix => error.message.startsWith(prefix))) {
+        return error;
+    }
+    if (error.name === 'TypeError' && error.message.includes('fetch')) {
+        return new Error('NETWORK_ERROR');
     }
+    return new Error('GENERATION_ERROR: ' + error.message);
 }
 
 /**
- * Генерация контента через Gemini API
+ * Генерация контента через выбранного в настройках провайдера
  * @param {object} topic - тема
+ * @param {object} request - {signal}: отмена запроса
  * @returns {Promise<object>} - сгенерированный контент
  */
-export async function generateContent(topic) {
+export async function generateContent(topic, request = {}) {
     // Проверяем кэш
-    if (hasCache(topic.id)) {
+    const cached = await getCache(topic.id);
+    if (cached) {
         console.log('Using cached content for:', topic.id);
-        return getCache(topic.id);
-    }
-
-    const key = getKey();
-    if (!key) {
-        throw new Error('API_KEY_MISSING');
+        return cached;
     }
 
-    const prompt = buildPrompt(topic);
-    const url = `${BASE_URL}${CONTENT_MODEL}:generateContent?key=${key}`;
+    const settings = getSettings();
+    const provider = getProvider(settings.contentProvider);
 
     try {
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                contents: [{
-                    parts: [{ text: prompt }]
-                }],
-                generationConfig: {
-                    temperature: 1.0,
-                    topP: 0.95,
-                    topK: 40,
-                    maxOutputTokens: 8192
-                }
-            })
-        });
-
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            
-            if (response.status === 401 || response.status === 403) {
-                throw new Error('API_KEY_INVALID');
-            }
-            if (response.status === 429) {
-                throw new Error('RATE_LIMITED');
-            }
-            
-            throw new Error(`API_ERROR: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
-        }
-
-        const data = await response.json();
-        const parsed = parseResponse(data);
+        const options = { ...getProviderOptions(provider.id, settings), signal: request.signal };
+        const parsed = await provider.generate(topic, options);
+        const validated = await validateWithRepair(provider, topic, parsed.chunks, options);
 
         // Формируем финальный объект контента
+        const generatedAt = Date.now();
         const content = {
             topicId: topic.id,
-            generatedAt: Date.now(),
-            chunks: parsed.chunks
+            generatedAt,
+            chunks: validated.chunks,
+            validation: validated.report,
+            version: 1,
+            history: [{
+                version: 1,
+                action: 'generate',
+                at: generatedAt,
+                added: validated.chunks.map(c => c.turkish),
+                removed: []
+            }]
         };
 
         // Кэшируем результат
-        setCache(topic.id, content);
+        await setCache(topic.id, content);
 
         return content;
     } catch (error) {
-        if (error.message.startsWith('API_')) {
-            throw error;
+        throw toAppError(error);
+    }
+}
+
+/**
+ * Запрос новых chunks для темы, которых ещё нет в контенте
+ * Известные фразы передаются модели как исключения
+ * @param {object} topic - тема
+ * @param {Array} existing - chunks в контенте
+ * @param {number} count - сколько chunks запросить
+ * @param {AbortSignal} signal - сигнал отмены
+ * @returns {Promise<object>} - {chunks, report}
+ */
+async function requestNewChunks(topic, existing, count, signal) {
+    const settings = getSettings();
+    const provider = getProvider(settings.contentProvider);
+    const options = {
+        ...getProviderOptions(provider.id, settings),
+        signal,
+        count,
+        exclude: existing.map(c => c.turkish)
+    };
+
+    const parsed = await provider.generate(topic, options);
+    if (parsed.chunks.length === 0) {
+        throw new Error('NO_NEW_CHUNKS');
+    }
+    const validated = await validateWithRepair(provider, topic, parsed.chunks, options, count);
+
+    // Модель может проигнорировать исключения - повторы отбрасываем
+    const knownPhrases = new Set(existing.map(c => phraseKey(c.turkish)));
+    const knownIds = new Set(existing.map(c => c.id));
+    const chunks = [];
+    validated.chunks.forEach(chunk => {
+        if (knownPhrases.has(phraseKey(chunk.turkish))) return;
+        if (knownIds.has(chunk.id)) {
+            let n = 2;
+            while (knownIds.has(`${chunk.id}_${n}`)) n++;
+            chunk.id = `${chunk.id}_${n}`;
         }
-        if (error.name === 'TypeError' && error.message.includes('fetch')) {
-            throw new Error('NETWORK_ERROR');
+        knownIds.add(chunk.id);
+        chunks.push(chunk);
+    });
+
+    if (chunks.length === 0) {
+        throw new Error('NO_NEW_CHUNKS');
+    }
+
+    return { chunks: chunks.slice(0, count), report: validated.report };
+}
+
+/**
+ * Новая версия контента: удалённые chunks заменяются добавленными на их местах,
+ * остальные добавленные дописываются в конец
+ * @param {object} content - текущий контент
+ * @param {object} change - {action, added, removed, report}
+ * @returns {object} - обновлённый контент
+ */
+export function applyContentChange(content, change) {
+    const removed = change.removed || [];
+    const removedIds = new Set(removed.map(c => c.id));
+    const queue = [...change.added];
+    const chunks = [];
+
+    content.chunks.forEach(chunk => {
+        if (!removedIds.has(chunk.id)) {
+            chunks.push(chunk);
+        } else if (queue.length > 0) {
+            chunks.push(queue.shift());
         }
-        throw new Error('GENERATION_ERROR: ' + error.message);
+    });
+    chunks.push(...queue);
+
+    const version = (content.version || 1) + 1;
+    const entry = {
+        version,
+        action: change.action,
+        at: Date.now(),
+        added: change.added.map(c => c.turkish),
+        removed: removed.map(c => c.turkish)
+    };
+
+    return {
+        ...content,
+        chunks,
+        validation: change.report || content.validation,
+        version,
+        updatedAt: entry.at,
+        history: [...(content.history || []), entry].slice(-MAX_HISTORY)
+    };
+}
+
+/**
+ * Добавление новых фраз в уже сгенерированную тему
+ * SRS прогресс существующих chunks не затрагивается
+ * @param {object} topic - тема
+ * @param {number} count - сколько фраз добавить
+ * @param {object} request - {signal}: отмена запроса
+ * @returns {Promise<object>} - обновлённый контент
+ */
+export async function extendContent(topic, count = EXTEND_COUNT, request = {}) {
+    const content = await getCache(topic.id);
+    if (!content) {
+        return generateContent(topic, request);
+    }
+
+    try {
+        const fresh = await requestNewChunks(topic, content.chunks, count, request.signal);
+        const updated = applyContentChange(content, {
+            action: 'extend',
+            added: fresh.chunks,
+            report: fresh.report
+        });
+
+        await setCache(topic.id, updated);
+        return updated;
+    } catch (error) {
+        throw toAppError(error);
     }
 }
 
 /**
- * Проверка валидности API ключа
- * @param {string} key - API ключ для проверки
- * @returns {Promise<boolean>} - валидность ключа
+ * Замена слабых фраз темы (см. findWeakChunks) новыми
+ * SRS записи и отметки об ошибках заменённых chunks удаляются, остальные сохраняются
+ * @param {object} topic - тема
+ * @param {object} request - {signal}: отмена запроса
+ * @returns {Promise<object>} - обновлённый контент
  */
-export async function validateApiKey(key) {
-    const url = `${BASE_URL}${CONTENT_MODEL}:generateContent?key=${key}`;
+export async function replaceWeakChunks(topic, request = {}) {
+    const content = await getCache(topic.id);
+    if (!content) {
+        return generateContent(topic, request);
+    }
+
+    const weak = findWeakChunks(content.chunks, getReportedIds(), { custom: topic.custom });
+    if (weak.length === 0) {
+        throw new Error('NO_WEAK_CHUNKS');
+    }
 
     try {
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                contents: [{
-                    parts: [{ text: 'Test' }]
-                }],
-                generationConfig: {
-                    maxOutputTokens: 10
-                }
-            })
+        const fresh = await requestNewChunks(topic, content.chunks, weak.length, request.signal);
+        // Заменяем столько слабых chunks, сколько пришло новых
+        const removed = weak.slice(0, fresh.chunks.length).map(entry => entry.chunk);
+        const updated = applyContentChange(content, {
+            action: 'replace',
+            added: fresh.chunks,
+            removed,
+            report: fresh.report
         });
 
-        return response.ok || response.status === 429; // 429 = valid key but rate limited
+        await setCache(topic.id, updated);
+        removeSRSRecords(removed.map(c => c.id));
+        unreportChunks(removed.map(c => c.id));
+        return updated;
+    } catch (error) {
+        throw toAppError(error);
+    }
+}
+
+/**
+ * Можно ли сейчас оспорить ответ: провайдер умеет апелляцию, есть сеть и ключ
+ * @returns {boolean}
+ */
+export function canAppeal() {
+    const settings = getSettings();
+    const provider = getProvider(settings.contentProvider);
+    if (typeof provider.appeal !== 'function') return false;
+    if (provider.requiresNetwork && typeof navigator !== 'undefined' && navigator.onLine === false) return false;
+
+    try {
+        return provider.id !== 'gemini' || Boolean(getKey());
     } catch {
         return false;
     }
 }
 
+/**
+ * Добавить вариант ответа в допустимые для фразы в кэше темы
+ * @param {string} chunkId - ID chunk
+ * @param {string} answer - вариант ответа
+ * @returns {Promise<object|null>} - обновлённый chunk или null, если контента нет
+ */
+export async function addAcceptedAnswer(chunkId, answer) {
+    const topicId = getTopicIdFromChunkId(chunkId);
+    if (!topicId) return null;
+
+    const content = await getCache(topicId);
+    const chunk = content?.chunks?.find(c => c.id === chunkId);
+    if (!chunk) return null;
+
+    const accepted = chunk.acceptedAnswers || [];
+    if ([chunk.turkish, ...accepted].some(known => sameAnswer(known, answer))) {
+        return chunk;
+    }
+
+    const updated = { ...chunk, acceptedAnswers: [...accepted, answer.trim()] };
+    await setCache(topicId, {
+        ...content,
+        chunks: content.chunks.map(c => c.id === chunkId ? updated : c)
+    });
+    return updated;
+}
+
+/**
+ * Апелляция ученика: спросить модель, верен ли его вариант фразы
+ * Принятый вариант сохраняется в acceptedAnswers и дальше засчитывается сразу
+ * @param {object} chunk - фраза
+ * @param {string} answer - ответ ученика
+ * @param {object} request - {signal}: отмена запроса
+ * @returns {Promise<object>} - {valid, explanation}
+ * @throws {Error} APPEAL_UNAVAILABLE - провайдер не поддерживает апелляцию
+ */
+export async function appealAnswer(chunk, answer, request = {}) {
+    const settings = getSettings();
+    const provider = getProvider(settings.contentProvider);
+    if (typeof provider.appeal !== 'function') {
+        throw new Error('APPEAL_UNAVAILABLE');
+    }
+
+    try {
+        const options = { ...getProviderOptions(provider.id, settings), signal: request.signal };
+        const result = await provider.appeal({ chunk, answer }, options);
+        if (result.valid) {
+            await addAcceptedAnswer(chunk.id, answer);
+        }
+        return result;
+    } catch (error) {
+        throw toAppError(error);
+    }
+}
+
 // Экспорт объекта API для совместимости
 export const GeminiAPI = {
-    setApiKey,
     getKey,
     buildPrompt,
     parseResponse,
     generateContent,
+    extendContent,
+    replaceWeakChunks,
+    canAppeal,
+    appealAnswer,
     validateApiKey
 };
 
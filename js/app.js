@@ -3,10 +3,22 @@
  * Управление состоянием, роутинг, рендеринг
  */
 
-import { getSettings, saveSettings, getProgress, saveProgress, saveSessionState, loadSessionState, saveGameState, loadGameState, clearSessionState } from './storage.js';
-import { TOPICS, getTopicsByLevel, getTopicById, getLevels, getCategoryIcon, getCategoryName } from './topics.js';
-import { generateContent, setApiKey } from './api.js';
+import { getSettings, saveSettings, getProgress, saveProgress, recordTimeSpent, saveSessionState, loadSessionState, saveGameState, loadGameState, clearSessionState, getCache, clearAllCache, clearAudioCache, getCacheUsage, deleteTopicCache, toggleFavoriteTopic, getSRSData, getReviewLog, clearAllReviewLogs, DEFAULT_PROFILE_ID, getApiKey, isApiKeyProtected, isApiKeyLocked } from './storage.js';
+import { TOPICS, CUSTOM_LEVEL, getTopicsByLevel, getTopicById, getImportedTopics, getLevels, getCategoryIcon, getCategoryName } from './topics.js';
+import { generateContent, extendContent, replaceWeakChunks, findWeakChunks, EXTEND_COUNT, listProviders } from './api.js';
 import { speak } from './tts.js';
+import { abortScreenRequests, getScreenSignal } from './scheduler.js';
+import { getDownloadJob, clearDownloadJob, createDownloadJob, getDownloadProgress, runDownloadJob } from './level-download.js';
+import { runMigrations } from './migrations.js';
+import { createBackup, backupFileName, parseBackup, diffBackup, applyBackup } from './backup.js';
+import { getProfiles, getActiveProfile, createProfile, switchProfile, deleteProfile, exportProfile } from './profiles.js';
+import { getReviewQueue, REVIEW_SESSION_ID } from './review-queue.js';
+import { retentionRate, dueForecast, stabilityDistribution, easeDistribution, difficultyDistribution, getHardestCards, RETENTION_DAYS } from './analytics.js';
+import { ALGORITHMS, DEFAULT_FSRS_PARAMS, MIN_RETENTION, MAX_RETENTION, MIN_REVIEWS_TO_OPTIMIZE, optimizeParameters } from './srs.js';
+import { storeApiKey, protectApiKey, unlockApiKey, lockApiKey, removeProtection, forgetApiKey } from './key-vault.js';
+import { LEECH_ACTIONS, MIN_LEECH_THRESHOLD, MAX_LEECH_THRESHOLD, activeContent, getCardStatus, getReportedIds, restoreCard } from './card-status.js';
+import { exportTopicDeck, exportSRSDeck, importDeck, deleteCustomTopic } from './anki.js';
+import { escapeHtml } from './html.js';
 
 // Состояние приложения
 export const state = {
@@ -17,6 +29,7 @@ export const state = {
     generatedContent: null,     // Generated content for topic
     theme: 'light',             // light | dark
     expandedLevels: new Set(),  // Expanded level accordions
+    downloadJob: null,          // Level download job
     loading: false,
     error: null
 };
@@ -25,17 +38,22 @@ export const state = {
 let mainContent = null;
 let backBtn = null;
 let settingsBtn = null;
+let profileSelect = null;
 let loadingEl = null;
 let modalEl = null;
 
+// Отмена загрузки уровня (не привязана к экрану)
+let downloadController = null;
+
 /**
  * Инициализация приложения
  */
-export function init() {
+export async function init() {
     // Получаем DOM элементы
     mainContent = document.getElementById('mainContent');
     backBtn = document.getElementById('backBtn');
     settingsBtn = document.getElementById('settingsBtn');
+    profileSelect = document.getElementById('profileSelect');
     loadingEl = document.getElementById('loading');
     modalEl = document.getElementById('modal');
 
@@ -44,9 +62,20 @@ export function init() {
     state.theme = settings.theme;
     applyTheme(settings.theme);
 
-    // Устанавливаем API ключ
-    if (settings.apiKey) {
-        setApiKey(settings.apiKey);
+    // Приводим сохранённые данные к текущей версии схемы
+    let migration = { applied: [] };
+    try {
+        migration = await runMigrations();
+    } catch (error) {
+        // Упавшая миграция откатана - работаем на данных последней успешной
+        migration = { applied: error.applied || [] };
+    }
+    const idsChanged = migration.applied.some(m => m.name === 'chunk-ids' && m.result?.migrated);
+
+    // Загрузка уровня, прерванная перезагрузкой, ждёт продолжения
+    state.downloadJob = getDownloadJob();
+    if (state.downloadJob?.status === 'running') {
+        state.downloadJob.status = 'paused';
     }
 
     // Восстанавливаем состояние сессии
@@ -57,11 +86,19 @@ export function init() {
         state.selectedTopic = savedState.selectedTopic;
         state.currentGame = savedState.currentGame;
         state.generatedContent = savedState.generatedContent;
+
+        // В сессии остались старые ID - берём контент из обновлённого кэша
+        if (idsChanged && state.generatedContent?.topicId) {
+            state.generatedContent = (await getCache(state.generatedContent.topicId)) || state.generatedContent;
+            saveSessionState(state);
+        }
     }
 
     // Обработчики событий
     backBtn.addEventListener('click', handleBack);
     settingsBtn.addEventListener('click', () => navigate('settings'));
+    profileSelect.addEventListener('change', () => selectProfile(profileSelect.value));
+    renderProfileSwitcher();
     modalEl.querySelector('.modal__overlay').addEventListener('click', hideModal);
 
     // Рендерим начальный экран
@@ -75,6 +112,11 @@ export function init() {
  * @param {object} params - параметры
  */
 export function navigate(screen, params = {}) {
+    // Запросы прошлого экрана (озвучка и т.п.) больше не нужны
+    if (screen !== state.currentScreen) {
+        abortScreenRequests();
+    }
+
     state.currentScreen = screen;
     state.error = null;
 
@@ -103,7 +145,7 @@ function handleBack() {
             navigate('vocabulary');
             break;
         case 'game':
-            navigate('games');
+            navigate(state.generatedContent?.review ? 'home' : 'games');
             break;
         default:
             navigate('home');
@@ -177,15 +219,36 @@ export function hideModal() {
  */
 export function handleError(error) {
     hideLoading();
+
+    // Отменённый при навигации запрос - не ошибка
+    if (error.message === 'REQUEST_ABORTED') return;
+
     console.error('App error:', error);
 
     const errorMessages = {
         'API_KEY_MISSING': 'API ключ не установлен. Перейдите в настройки.',
         'API_KEY_INVALID': 'Неверный API ключ. Проверьте настройки.',
+        'API_KEY_LOCKED': 'API ключ защищён паролем. Разблокируйте его в настройках.',
+        'PASSPHRASE_EMPTY': 'Введите пароль.',
+        'PASSPHRASE_INVALID': 'Неверный пароль.',
+        'PASSPHRASE_MISMATCH': 'Пароли не совпадают.',
         'RATE_LIMITED': 'Слишком много запросов. Подождите минуту.',
         'NETWORK_ERROR': 'Ошибка сети. Проверьте подключение.',
         'GENERATION_ERROR': 'Ошибка генерации контента.',
-        'STORAGE_FULL': 'Хранилище заполнено. Очистите кэш.'
+        'STATIC_PACK_MISSING': 'Этой темы нет в офлайн-наборе. Выберите другой источник контента в настройках.',
+        'NO_NEW_CHUNKS': 'Не удалось получить новые фразы: все предложенные уже есть в теме.',
+        'NO_WEAK_CHUNKS': 'Слабых фраз нет — заменять нечего.',
+        'APPEAL_UNAVAILABLE': 'Выбранный источник контента не умеет проверять ответы. Оспорить ответ можно с Gemini или OpenAI-совместимым сервером.',
+        'STORAGE_FULL': 'Хранилище заполнено. Очистите кэш.',
+        'NOT_ENOUGH_REVIEWS': `Мало истории: нужно хотя бы ${MIN_REVIEWS_TO_OPTIMIZE} повторений с перерывом от суток.`,
+        'BACKUP_INVALID': 'Файл не похож на резервную копию или повреждён.',
+        'DECK_EMPTY': 'В колоде нет ни одной фразы с переводом.',
+        'BACKUP_VERSION_UNSUPPORTED': 'Копия создана более новой версией приложения. Обновите страницу.',
+        'BACKUP_CHECKSUM_MISMATCH': 'Контрольная сумма не совпадает: файл изменён или повреждён.',
+        'PROFILE_NAME_INVALID': 'Введите имя профиля (до 30 символов).',
+        'PROFILE_NAME_TAKEN': 'Профиль с таким именем уже есть.',
+        'PROFILE_NOT_FOUND': 'Профиль не найден.',
+        'PROFILE_DEFAULT': 'Основной профиль нельзя удалить.'
     };
 
     const message = errorMessages[error.message] || error.message || 'Произошла ошибка';
@@ -238,6 +301,8 @@ function renderHomeScreen() {
     let html = `
         <div class="home">
             ${renderDashboard()}
+            ${renderDownloadBanner()}
+            <div id="review-entry"></div>
             <div class="home__header">
                 <h2>Выберите тему</h2>
             </div>
@@ -256,33 +321,13 @@ function renderHomeScreen() {
                     <span class="level__arrow">▼</span>
                 </div>
                 <div class="level__topics">
+                    <button class="btn btn--secondary btn--block level__download" onclick="App.downloadLevel('${level}')">
+                        ⬇️ Скачать уровень для занятий без сети
+                    </button>
         `;
 
         topics.forEach(topic => {
-            const topicProgress = progress.topicsCompleted[topic.id];
-            let statusClass = '';
-            let statusIcon = '';
-            
-            if (topicProgress) {
-                if (topicProgress.gamesPlayed?.length >= 10) {
-                    statusClass = 'topic__status--completed';
-                    statusIcon = '✓';
-                } else {
-                    statusClass = 'topic__status--in-progress';
-                    statusIcon = '◐';
-                }
-            }
-
-            html += `
-                <div class="topic" onclick="App.selectTopic('${topic.id}')">
-                    <span class="topic__icon">${getCategoryIcon(topic.category)}</span>
-                    <div class="topic__info">
-                        <div class="topic__name">${topic.name}</div>
-                        <div class="topic__category">${getCategoryName(topic.category)}</div>
-                    </div>
-                    ${statusIcon ? `<span class="topic__status ${statusClass}">${statusIcon}</span>` : ''}
-                </div>
-            `;
+            html += renderTopicItem(topic, progress);
         });
 
         html += `
@@ -291,8 +336,250 @@ function renderHomeScreen() {
         `;
     });
 
+    html += renderCustomTopics(progress);
     html += '</div>';
     mainContent.innerHTML = html;
+    renderReviewEntry();
+}
+
+/**
+ * Тема в списке на главном экране
+ * @param {object} topic - тема
+ * @param {object} progress - прогресс
+ * @returns {string} - разметка
+ */
+function renderTopicItem(topic, progress) {
+    const topicProgress = progress.topicsCompleted[topic.id];
+    let statusClass = '';
+    let statusIcon = '';
+
+    if (topicProgress) {
+        if (topicProgress.gamesPlayed?.length >= 10) {
+            statusClass = 'topic__status--completed';
+            statusIcon = '✓';
+        } else {
+            statusClass = 'topic__status--in-progress';
+            statusIcon = '◐';
+        }
+    }
+
+    return `
+        <div class="topic" onclick="App.selectTopic('${topic.id}')">
+            <span class="topic__icon">${getCategoryIcon(topic.category)}</span>
+            <div class="topic__info">
+                <div class="topic__name">${escapeHtml(topic.name)}</div>
+                <div class="topic__category">${getCategoryName(topic.category)}</div>
+            </div>
+            ${statusIcon ? `<span class="topic__status ${statusClass}">${statusIcon}</span>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Раздел своих тем из импортированных колод
+ * @param {object} progress - прогресс
+ * @returns {string} - разметка
+ */
+function renderCustomTopics(progress) {
+    const topics = getImportedTopics();
+    const isExpanded = state.expandedLevels.has(CUSTOM_LEVEL);
+
+    return `
+        <div class="level ${isExpanded ? 'level--expanded' : ''}">
+            <div class="level__header" onclick="App.toggleLevel('${CUSTOM_LEVEL}')">
+                <span class="level__name">Свои колоды</span>
+                <span class="level__progress">${topics.length}</span>
+                <span class="level__arrow">▼</span>
+            </div>
+            <div class="level__topics">
+                <label class="btn btn--secondary btn--block level__download">
+                    📥 Импорт колоды Anki (TSV/CSV)
+                    <input type="file" accept=".tsv,.csv,.txt,text/csv,text/tab-separated-values,text/plain" hidden
+                           onchange="App.importDeck(this)">
+                </label>
+                ${topics.map(topic => renderTopicItem(topic, progress)).join('')}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Рендеринг входа в общее повторение (очередь считается асинхронно)
+ */
+async function renderReviewEntry() {
+    let queue;
+    try {
+        queue = await getReviewQueue();
+    } catch (error) {
+        console.error('Review queue error:', error);
+        return;
+    }
+
+    const container = document.getElementById('review-entry');
+    if (!container || queue.cards.length === 0) return;
+
+    const limited = queue.dueTotal > queue.due ? ` · ещё ${queue.dueTotal - queue.due} после лимита` : '';
+    container.innerHTML = `
+        <div class="review-entry" onclick="App.startReview()">
+            <span class="review-entry__icon">🔁</span>
+            <div class="review-entry__info">
+                <div class="review-entry__title">Повторение: на сегодня ${queue.cards.length}</div>
+                <div class="review-entry__details">
+                    К повторению ${queue.due + queue.learning} · новых ${queue.fresh}${limited}
+                </div>
+            </div>
+            <span class="review-entry__arrow">→</span>
+        </div>
+    `;
+}
+
+/**
+ * Запуск общей сессии повторения по всем темам
+ */
+export async function startReview() {
+    let queue;
+    try {
+        queue = await getReviewQueue();
+    } catch (error) {
+        handleError(error);
+        return;
+    }
+
+    if (queue.cards.length === 0) {
+        showModal('Повторение', 'На сегодня всё повторено. Загляните позже!', [
+            { label: 'OK', primary: true }
+        ]);
+        return;
+    }
+
+    clearSessionState();
+    navigate('game', {
+        game: 'flashcards',
+        topic: null,
+        content: { topicId: REVIEW_SESSION_ID, review: true, chunks: queue.cards }
+    });
+}
+
+/**
+ * Рендеринг панели загрузки уровня
+ * @returns {string} - HTML
+ */
+function renderDownloadBanner() {
+    const job = state.downloadJob;
+    if (!job) return '';
+
+    const progress = getDownloadProgress(job);
+    const statusLabels = {
+        running: 'Загрузка...',
+        paused: 'Приостановлено',
+        done: progress.topicsFailed > 0 ? `Готово, не удалось: ${progress.topicsFailed}` : 'Готово',
+        stopped: {
+            STORAGE_FULL: 'Хранилище заполнено — загрузка остановлена',
+            AUDIO_INCOMPLETE: `Не удалось загрузить озвучку: ${progress.audioFailed} — продолжите, чтобы повторить`
+        }[job.error] || `Остановлено: ${job.error}`
+    };
+    const audioNote = job.error && job.status !== 'stopped' ? ' · озвучка пропущена' : '';
+
+    let actions = '';
+    if (job.status === 'running') {
+        actions = '<button class="btn btn--secondary" onclick="App.pauseLevelDownload()">⏸ Пауза</button>';
+    } else {
+        actions = `
+            ${job.status !== 'done' ? '<button class="btn btn--primary" onclick="App.resumeLevelDownload()">▶ Продолжить</button>' : ''}
+            <button class="btn btn--secondary" onclick="App.dismissLevelDownload()">Закрыть</button>
+        `;
+    }
+
+    return `
+        <div class="download-banner">
+            <div class="download-banner__title">
+                ⬇️ Уровень ${job.level}: ${progress.topicsDone + progress.topicsFailed}/${progress.topicsTotal} тем
+                ${job.includeAudio || progress.audioDone > 0 ? ` · озвучка ${progress.audioDone}/${progress.audioTotal}` : ''}
+            </div>
+            <div class="dashboard__progress-bar">
+                <div class="dashboard__progress-fill" style="width: ${progress.percentage}%"></div>
+            </div>
+            <div class="download-banner__status">${statusLabels[job.status]}${audioNote}</div>
+            <div class="download-banner__actions">${actions}</div>
+        </div>
+    `;
+}
+
+/**
+ * Запрос на загрузку всех тем уровня
+ * @param {string} level - уровень
+ */
+export function downloadLevel(level) {
+    if (state.downloadJob?.status === 'running') {
+        showModal('Загрузка уже идёт', `Дождитесь окончания загрузки уровня ${state.downloadJob.level} или поставьте её на паузу.`, [
+            { label: 'OK', primary: true }
+        ]);
+        return;
+    }
+
+    const count = getTopicsByLevel(level).length;
+    showModal(
+        `Скачать уровень ${level}`,
+        `Контент всех тем уровня (${count}) будет сгенерирован и сохранён для занятий без сети. Озвучка занимает много места и загружается медленно из-за лимита запросов.`,
+        [
+            { label: 'Отмена' },
+            { label: 'Только текст', handler: () => startLevelDownload(level, false) },
+            { label: 'С озвучкой', primary: true, handler: () => startLevelDownload(level, true) }
+        ]
+    );
+}
+
+/**
+ * Создание и запуск новой задачи загрузки
+ * @param {string} level - уровень
+ * @param {boolean} includeAudio - загружать озвучку
+ */
+function startLevelDownload(level, includeAudio) {
+    runLevelDownload(createDownloadJob(level, includeAudio));
+}
+
+/**
+ * Выполнение задачи загрузки с обновлением панели прогресса
+ * @param {object} job - задача
+ */
+async function runLevelDownload(job) {
+    downloadController = new AbortController();
+    state.downloadJob = job;
+
+    await runDownloadJob(job, {
+        signal: downloadController.signal,
+        onProgress: () => {
+            if (state.currentScreen === 'home') render();
+        }
+    });
+
+    downloadController = null;
+    if (state.currentScreen === 'home') render();
+}
+
+/**
+ * Продолжение приостановленной загрузки
+ */
+export function resumeLevelDownload() {
+    if (!state.downloadJob || downloadController) return;
+    runLevelDownload(state.downloadJob);
+}
+
+/**
+ * Пауза загрузки уровня
+ */
+export function pauseLevelDownload() {
+    downloadController?.abort();
+}
+
+/**
+ * Скрытие панели загрузки и удаление задачи
+ */
+export function dismissLevelDownload() {
+    pauseLevelDownload();
+    clearDownloadJob();
+    state.downloadJob = null;
+    render();
 }
 
 /**
@@ -323,7 +610,7 @@ export async function selectTopic(topicId) {
     showLoading('Генерация контента...');
 
     try {
-        const content = await generateContent(topic);
+        const content = await generateContent(topic, { signal: getScreenSignal() });
         state.generatedContent = content;
         hideLoading();
         navigate('vocabulary');
@@ -344,6 +631,9 @@ function renderVocabularyScreen() {
 
     const { chunks } = state.generatedContent;
     const topic = state.selectedTopic;
+    const srsData = getSRSData();
+    const reported = getReportedIds();
+    const weakCount = findWeakChunks(chunks, reported, { custom: topic.custom }).length;
 
     let html = `
         <div class="vocabulary-screen">
@@ -353,28 +643,40 @@ function renderVocabularyScreen() {
                 </button>
             </div>
             <div class="vocabulary-header">
-                <h2>${topic.name}</h2>
-                <p class="text-secondary">${topic.description}</p>
-                <p class="text-secondary">${chunks.length} фраз</p>
+                <h2>${escapeHtml(topic.name)}</h2>
+                <p class="text-secondary">${escapeHtml(topic.description)}</p>
+                <p class="text-secondary">${chunks.length} фраз${state.generatedContent.version > 1 ? ` · версия ${state.generatedContent.version}` : ''}</p>
+                <div class="vocabulary-actions">
+                    ${topic.custom ? '' : `
+                        <button class="btn btn--secondary" onclick="App.extendTopic()">➕ Ещё ${EXTEND_COUNT} фраз</button>
+                        <button class="btn btn--secondary" onclick="App.replaceWeakPhrases()" ${weakCount === 0 ? 'disabled' : ''}>
+                            ♻️ Заменить слабые${weakCount > 0 ? ` (${weakCount})` : ''}
+                        </button>
+                    `}
+                    <button class="btn btn--secondary" onclick="App.exportTopicDeck()">📤 В Anki</button>
+                </div>
             </div>
+            ${renderValidationReport(state.generatedContent.validation)}
             <div class="vocabulary">
     `;
 
     chunks.forEach((chunk, index) => {
+        const status = getCardStatus(chunk.id, { srsData, reported });
         html += `
-            <div class="vocabulary__item">
+            <div class="vocabulary__item ${status.hidden ? 'vocabulary__item--hidden' : ''}">
                 <div class="vocabulary__turkish">
-                    ${chunk.turkish}
+                    ${escapeHtml(chunk.turkish)}
                     <button class="vocabulary__audio-btn" onclick="App.speakPhrase('${index}')">🔊</button>
                 </div>
-                <div class="vocabulary__russian">${chunk.russian}</div>
+                ${renderCardStatus(chunk.id, status)}
+                <div class="vocabulary__russian">${escapeHtml(chunk.russian)}</div>
                 ${chunk.example ? `
                     <div class="vocabulary__example">
-                        <em>${chunk.example}</em>
-                        ${chunk.exampleTranslation ? `<br><small>${chunk.exampleTranslation}</small>` : ''}
+                        <em>${escapeHtml(chunk.example)}</em>
+                        ${chunk.exampleTranslation ? `<br><small>${escapeHtml(chunk.exampleTranslation)}</small>` : ''}
                     </div>
                 ` : ''}
-                ${chunk.grammarNote ? `<div class="vocabulary__grammar">📝 ${chunk.grammarNote}</div>` : ''}
+                ${chunk.grammarNote ? `<div class="vocabulary__grammar">📝 ${escapeHtml(chunk.grammarNote)}</div>` : ''}
             </div>
         `;
     });
@@ -387,6 +689,126 @@ function renderVocabularyScreen() {
     mainContent.innerHTML = html;
 }
 
+/**
+ * Метки карточки в списке фраз: пиявка, приостановлена, отложена, отмечена как ошибочная
+ * @param {string} chunkId - ID chunk
+ * @param {object} status - getCardStatus
+ * @returns {string} - HTML
+ */
+function renderCardStatus(chunkId, status) {
+    const badges = [
+        status.leech && '🐛 Пиявка',
+        status.suspended && '⏸ Приостановлена',
+        status.buried && '💤 Отложена до завтра',
+        status.reported && '⚠️ Отмечена как ошибочная'
+    ].filter(Boolean);
+    if (badges.length === 0) return '';
+
+    return `
+        <div class="vocabulary__status">
+            ${badges.map(badge => `<span class="vocabulary__badge">${badge}</span>`).join('')}
+            ${status.suspended || status.buried || status.reported ? `<button class="vocabulary__restore" onclick="App.restorePhrase('${chunkId}')">↩️ Вернуть в игры</button>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Возврат приостановленной, отложенной или отмеченной фразы в игры
+ * @param {string} chunkId - ID chunk
+ */
+export function restorePhrase(chunkId) {
+    restoreCard(chunkId);
+    render();
+}
+
+/**
+ * Применение новой версии контента темы и сообщение об изменениях
+ * @param {object} content - обновлённый контент
+ */
+function showContentUpdate(content) {
+    state.generatedContent = content;
+    hideLoading();
+    navigate('vocabulary');
+
+    const last = content.history?.[content.history.length - 1];
+    if (!last) return;
+
+    const message = last.removed.length > 0
+        ? `Заменено фраз: ${last.removed.length}. Прогресс остальных фраз сохранён.`
+        : `Добавлено фраз: ${last.added.length}.`;
+    showModal('Тема обновлена', message, [
+        { label: 'OK', primary: true }
+    ]);
+}
+
+/**
+ * Добавление новых фраз в текущую тему
+ */
+export async function extendTopic() {
+    if (!state.selectedTopic) return;
+
+    showLoading('Генерация новых фраз...');
+    try {
+        showContentUpdate(await extendContent(state.selectedTopic, EXTEND_COUNT, { signal: getScreenSignal() }));
+    } catch (error) {
+        handleError(error);
+    }
+}
+
+/**
+ * Замена слабых фраз текущей темы
+ */
+export async function replaceWeakPhrases() {
+    if (!state.selectedTopic) return;
+
+    showLoading('Замена слабых фраз...');
+    try {
+        showContentUpdate(await replaceWeakChunks(state.selectedTopic, { signal: getScreenSignal() }));
+    } catch (error) {
+        handleError(error);
+    }
+}
+
+/**
+ * Рендеринг отчёта о проверке сгенерированного контента
+ * @param {object} report - отчёт validateChunks
+ * @returns {string} - HTML
+ */
+function renderValidationReport(report) {
+    if (!report) return '';
+
+    const hasIssues = report.repaired > 0 || report.dropped > 0 || report.duplicates > 0 || report.followUp;
+    if (!hasIssues) return '';
+
+    const actionLabels = {
+        repaired: 'исправлено',
+        dropped: 'отброшено',
+        duplicate: 'дубликат'
+    };
+
+    return `
+        <details class="vocabulary-report">
+            <summary class="vocabulary-report__summary">
+                🔍 Проверка: ${report.valid} из ${report.total} фраз приняты
+                ${report.repaired ? ` · исправлено ${report.repaired}` : ''}
+                ${report.dropped ? ` · отброшено ${report.dropped}` : ''}
+                ${report.duplicates ? ` · дубликатов ${report.duplicates}` : ''}
+            </summary>
+            ${report.followUp ? `
+                <p class="text-secondary mt-1">Дополнительный запрос: получено ${report.followUp.received}, добавлено ${report.followUp.added}</p>
+            ` : ''}
+            <ul class="vocabulary-report__list">
+                ${report.issues.map(issue => `
+                    <li class="vocabulary-report__item vocabulary-report__item--${issue.action}">
+                        <strong>${issue.turkish ? escapeHtml(issue.turkish) : `#${issue.index + 1}`}</strong> — ${actionLabels[issue.action]}:
+                        ${escapeHtml(issue.problems.join('; '))}
+                    </li>
+                `).join('')}
+            </ul>
+        </details>
+    `;
+}
+
 /**
  * Озвучка фразы
  * @param {number} index - индекс фразы
@@ -398,7 +820,7 @@ export async function speakPhrase(index) {
     if (!chunk) return;
 
     try {
-        await speak(chunk.turkish);
+        await speak(chunk.turkish, null, { topicId: chunk.topicId || state.selectedTopic?.id });
     } catch (error) {
         console.warn('TTS error:', error);
     }
@@ -415,6 +837,9 @@ function renderGamesScreen() {
     // Удалены: true-false, sov-construction (Requirements 4.1, 4.2)
     const games = [
         { id: 'flashcards', name: 'Флеш-карточки', icon: '🃏' },
+        { id: 'flashcards-reverse', name: 'Карточки: по-турецки', icon: '🔁' },
+        { id: 'flashcards-typed', name: 'Карточки: впишите ответ', icon: '⌨️' },
+        { id: 'flashcards-audio', name: 'Карточки на слух', icon: '🎧' },
         { id: 'quiz', name: 'Выбери перевод', icon: '❓' },
         { id: 'writing', name: 'Напиши фразу', icon: '✍️' },
         { id: 'translation', name: 'Перевод предложений', icon: '🔄' },
@@ -427,7 +852,7 @@ function renderGamesScreen() {
     let html = `
         <div class="games-screen">
             <h2>Выберите игру</h2>
-            <p class="text-secondary mb-2">${state.selectedTopic?.name}</p>
+            <p class="text-secondary mb-2">${escapeHtml(state.selectedTopic?.name || '')}</p>
             <div class="games-grid">
     `;
 
@@ -468,7 +893,7 @@ export async function startGame(gameId) {
 }
 
 // Импорт игр
-import { FlashcardsGame } from './games/flashcards.js';
+import { FlashcardsGame, FLASHCARD_GAMES } from './games/flashcards.js';
 import { QuizGame } from './games/quiz.js';
 import { WritingGame } from './games/writing.js';
 import { SentenceBuilderGame } from './games/sentence-builder.js';
@@ -518,6 +943,9 @@ function renderGameScreen() {
 
     const gameClasses = {
         'flashcards': FlashcardsGame,
+        'flashcards-reverse': FlashcardsGame,
+        'flashcards-typed': FlashcardsGame,
+        'flashcards-audio': FlashcardsGame,
         'quiz': QuizGame,
         'writing': WritingGame,
         'translation': TranslationGame,
@@ -534,7 +962,20 @@ function renderGameScreen() {
         return;
     }
 
-    currentGame = new GameClass(state.generatedContent);
+    // Приостановленные, отложенные и отмеченные фразы в игры не попадают
+    const content = activeContent(state.generatedContent);
+    if (content.chunks.length === 0) {
+        mainContent.innerHTML = `
+            <div class="game">
+                <p class="text-center text-secondary">Все фразы темы приостановлены, отложены или отмечены как ошибочные.</p>
+                <button class="btn btn--primary btn--block mt-2" onclick="App.navigate('${content.review ? 'home' : 'vocabulary'}')">Назад</button>
+            </div>
+        `;
+        return;
+    }
+
+    // Варианты карточек - одна игра с разным типом карточек
+    currentGame = new GameClass(content, FLASHCARD_GAMES[state.currentGame]);
     
     // Восстанавливаем состояние игры если есть
     const savedGameState = loadGameState();
@@ -557,6 +998,7 @@ function renderGameScreen() {
  */
 function renderSettingsScreen() {
     const settings = getSettings();
+    const activeProfile = getActiveProfile();
 
     mainContent.innerHTML = `
         <div class="settings">
@@ -574,12 +1016,50 @@ function renderSettingsScreen() {
                 </div>
             </div>
 
+            <div class="settings__group">
+                <label class="settings__label">Источник контента</label>
+                <select class="settings__input" onchange="App.updateProvider(this.value)">
+                    ${listProviders().map(p => `
+                        <option value="${p.id}" ${settings.contentProvider === p.id ? 'selected' : ''}>${p.name}</option>
+                    `).join('')}
+                </select>
+                ${settings.contentProvider === 'static' ? `
+                    <small class="text-secondary">Доступны только темы из встроенного набора</small>
+                ` : ''}
+            </div>
+
+            ${settings.contentProvider === 'openai' ? `
+                <div class="settings__group">
+                    <label class="settings__label">Адрес сервера (OpenAI API)</label>
+                    <input type="text" class="settings__input"
+                           value="${settings.openaiBaseUrl || ''}"
+                           placeholder="http://localhost:11434/v1"
+                           onchange="App.updateProviderSetting('openaiBaseUrl', this.value)">
+                </div>
+
+                <div class="settings__group">
+                    <label class="settings__label">Модель</label>
+                    <input type="text" class="settings__input"
+                           value="${settings.openaiModel || ''}"
+                           placeholder="llama3.1"
+                           onchange="App.updateProviderSetting('openaiModel', this.value)">
+                </div>
+
+                <div class="settings__group">
+                    <label class="settings__label">API ключ (необязательно)</label>
+                    <input type="password" class="settings__input"
+                           value="${settings.openaiApiKey || ''}"
+                           placeholder="Не нужен для локального сервера"
+                           onchange="App.updateProviderSetting('openaiApiKey', this.value)">
+                </div>
+            ` : ''}
+
             <div class="settings__group">
                 <label class="settings__label">API ключ Gemini</label>
-                <input type="password" class="settings__input" 
-                       value="${settings.apiKey || ''}"
-                       placeholder="Введите API ключ"
-                       onchange="App.updateApiKey(this.value)">
+                ${renderApiKeyField()}
+                ${settings.contentProvider !== 'gemini' ? `
+                    <small class="text-secondary">Используется для озвучки Gemini TTS</small>
+                ` : ''}
             </div>
 
             <div class="settings__group">
@@ -637,6 +1117,146 @@ function renderSettingsScreen() {
                 </div>
             </div>
 
+            <div class="settings__group">
+                <label class="settings__label">Алгоритм повторения</label>
+                <select class="settings__input" onchange="App.updateSrsAlgorithm(this.value)">
+                    <option value="fsrs" ${settings.srsAlgorithm === 'fsrs' ? 'selected' : ''}>FSRS (рекомендуется)</option>
+                    <option value="sm2" ${settings.srsAlgorithm === 'sm2' ? 'selected' : ''}>SM-2 (классический)</option>
+                </select>
+            </div>
+
+            <div class="settings__group">
+                <label class="settings__label">Новых карточек в день</label>
+                <input type="number" class="settings__input" min="0" max="500"
+                       value="${settings.newCardsPerDay}"
+                       onchange="App.updateReviewLimit('newCardsPerDay', this.value)">
+            </div>
+
+            <div class="settings__group">
+                <label class="settings__label">Повторений в день</label>
+                <input type="number" class="settings__input" min="0" max="9999"
+                       value="${settings.reviewsPerDay}"
+                       onchange="App.updateReviewLimit('reviewsPerDay', this.value)">
+            </div>
+
+            <div class="settings__group">
+                <label class="settings__label">Порог пиявки (забываний)</label>
+                <input type="number" class="settings__input" min="${MIN_LEECH_THRESHOLD}" max="${MAX_LEECH_THRESHOLD}"
+                       value="${settings.leechThreshold}"
+                       onchange="App.updateLeechSetting('leechThreshold', this.value)">
+                <select class="settings__input mt-1" onchange="App.updateLeechSetting('leechAction', this.value)">
+                    <option value="tag" ${settings.leechAction === 'tag' ? 'selected' : ''}>Только пометить</option>
+                    <option value="suspend" ${settings.leechAction === 'suspend' ? 'selected' : ''}>Пометить и приостановить</option>
+                </select>
+                <small class="text-secondary">Карточки, которые вы снова и снова забываете, лучше переформулировать или заменить</small>
+            </div>
+
+            ${settings.srsAlgorithm === 'fsrs' ? `
+                <div class="settings__group">
+                    <label class="settings__label">Целевое удержание: ${Math.round(settings.targetRetention * 100)}%</label>
+                    <input type="range" class="settings__input"
+                           min="${MIN_RETENTION}" max="${MAX_RETENTION}" step="0.01"
+                           value="${settings.targetRetention}"
+                           onchange="App.updateTargetRetention(this.value)">
+                    <small class="text-secondary">Выше — чаще повторения и меньше забытого</small>
+                </div>
+
+                <div class="settings__group">
+                    <label class="settings__label">Параметры FSRS</label>
+                    <small class="text-secondary">${settings.fsrsParams ? 'Подобраны по вашей истории повторений' : 'Стандартные'}</small>
+                    <button class="btn btn--secondary btn--block mt-1" onclick="App.optimizeScheduler()">Подобрать по истории</button>
+                    ${settings.fsrsParams ? `
+                        <button class="btn btn--ghost btn--block mt-1" onclick="App.resetSchedulerParams()">Вернуть стандартные</button>
+                    ` : ''}
+                </div>
+            ` : ''}
+
+            <div class="settings__group">
+                <label class="settings__label">Хранилище</label>
+                <div id="storage-usage" class="storage">
+                    <small class="text-secondary">Подсчёт...</small>
+                </div>
+            </div>
+
+            <div class="settings__group">
+                <label class="settings__label">Профили</label>
+                <ul class="profiles">
+                    ${getProfiles().map(profile => `
+                        <li class="profiles__item ${profile.id === activeProfile.id ? 'profiles__item--active' : ''}">
+                            <span class="profiles__name">${escapeHtml(profile.name)}</span>
+                            ${profile.id === activeProfile.id ? `
+                                <small class="text-secondary">активный</small>
+                            ` : `
+                                <button class="btn btn--ghost" onclick="App.selectProfile('${profile.id}')">Войти</button>
+                            `}
+                            <button class="btn btn--ghost btn--icon" title="Сохранить копию профиля"
+                                    onclick="App.exportProfileBackup('${profile.id}')">💾</button>
+                            ${profile.id !== DEFAULT_PROFILE_ID ? `
+                                <button class="btn btn--ghost btn--icon" title="Удалить профиль"
+                                        onclick="App.removeProfile('${profile.id}')">🗑</button>
+                            ` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+                <div class="profiles__add">
+                    <input type="text" class="settings__input" id="new-profile-name"
+                           maxlength="30" placeholder="Имя нового профиля">
+                    <button class="btn btn--secondary" onclick="App.addProfile()">Добавить</button>
+                </div>
+                <small class="text-secondary">Прогресс, повторения и настройки у каждого профиля свои, загруженные темы общие.</small>
+            </div>
+
+            <div class="settings__group">
+                <label class="settings__label">Резервная копия</label>
+                <div class="backup">
+                    <label class="backup__option">
+                        <input type="checkbox" id="backup-api-key"> Включить API ключи
+                    </label>
+                    <label class="backup__option">
+                        <input type="checkbox" id="backup-audio"> Включить озвучку (файл будет больше)
+                    </label>
+                    <button class="btn btn--secondary btn--block" onclick="App.exportBackup()">
+                        💾 Сохранить копию
+                    </button>
+                    <label class="btn btn--secondary btn--block">
+                        📂 Восстановить из файла
+                        <input type="file" accept=".json,application/json" hidden
+                               onchange="App.importBackup(this)">
+                    </label>
+                    <label class="btn btn--secondary btn--block">
+                        🔄 Импорт с другого устройства
+                        <input type="file" accept=".json,application/json" hidden
+                               onchange="App.importFromDevice(this)">
+                    </label>
+                    <small class="text-secondary">
+                        Сохраните копию на другом устройстве и выберите её здесь: повторения и прогресс с обоих устройств объединятся.
+                    </small>
+                </div>
+            </div>
+
+            <div class="settings__group">
+                <label class="settings__label">Anki</label>
+                <div class="backup">
+                    <button class="btn btn--secondary btn--block" onclick="App.exportSRSDeck('apkg')">
+                        📤 Карточки повторения (APKG)
+                    </button>
+                    <button class="btn btn--secondary btn--block" onclick="App.exportSRSDeck('tsv')">
+                        📤 Карточки повторения (TSV)
+                    </button>
+                    <button class="btn btn--secondary btn--block" onclick="App.exportSRSDeck('csv')">
+                        📤 Карточки повторения (CSV)
+                    </button>
+                    <label class="btn btn--secondary btn--block">
+                        📥 Импорт колоды (TSV/CSV)
+                        <input type="file" accept=".tsv,.csv,.txt,text/csv,text/tab-separated-values,text/plain" hidden
+                               onchange="App.importDeck(this)">
+                    </label>
+                    <small class="text-secondary">
+                        Пакет APKG открывается в Anki двойным щелчком, TSV и CSV - через «Файл → Импорт». Импортированная колода появится на главном экране в разделе «Свои колоды».
+                    </small>
+                </div>
+            </div>
+
             <div class="settings__group mt-2">
                 <button class="btn btn--danger btn--block" onclick="App.clearAllData()">
                     🗑️ Очистить все данные
@@ -644,43 +1264,320 @@ function renderSettingsScreen() {
             </div>
         </div>
     `;
+
+    renderStorageUsage();
 }
 
 /**
- * Переключение темы
- * @param {boolean} isDark - тёмная тема
+ * Размер в человекочитаемом виде
+ * @param {number} bytes - байты
+ * @returns {string}
  */
-export function toggleTheme(isDark) {
-    const theme = isDark ? 'dark' : 'light';
-    applyTheme(theme);
-    const settings = getSettings();
-    settings.theme = theme;
-    saveSettings(settings);
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} Б`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} КБ`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} МБ`;
 }
 
 /**
- * Обновление API ключа
- * @param {string} key - API ключ
+ * Рендеринг раздела хранилища в настройках (размеры считаются асинхронно)
  */
-export function updateApiKey(key) {
-    setApiKey(key);
-    const settings = getSettings();
-    settings.apiKey = key;
-    saveSettings(settings);
+async function renderStorageUsage() {
+    let usage;
+    try {
+        usage = await getCacheUsage();
+    } catch (error) {
+        console.error('Cache usage error:', error);
+        return;
+    }
+
+    const container = document.getElementById('storage-usage');
+    if (!container) return; // пользователь уже ушёл с экрана
+
+    const { content, audio } = usage.stores;
+    container.innerHTML = `
+        <div class="storage__summary">
+            <span>Контент: ${formatBytes(content.bytes)} из ${formatBytes(content.budget)}</span>
+            <span>Озвучка: ${formatBytes(audio.bytes)} из ${formatBytes(audio.budget)}</span>
+        </div>
+        <small class="text-secondary">
+            При превышении лимита удаляются давно открытые темы. Темы с карточками повторения и избранные (⭐) не удаляются.
+        </small>
+        ${usage.topics.length === 0 ? `
+            <p class="text-secondary mt-1">Кэш пуст</p>
+        ` : `
+            <ul class="storage__list">
+                ${usage.topics.map(entry => `
+                    <li class="storage__item">
+                        <span class="storage__topic">
+                            ${entry.pinned ? '📌 ' : ''}${escapeHtml(getTopicById(entry.topicId)?.name || entry.topicId)}
+                        </span>
+                        <span class="storage__size">${formatBytes(entry.contentBytes + entry.audioBytes)}</span>
+                        <button class="btn btn--ghost btn--icon" title="Избранное"
+                                onclick="App.toggleTopicFavorite('${entry.topicId}')">
+                            ${entry.favorite ? '⭐' : '☆'}
+                        </button>
+                        <button class="btn btn--ghost btn--icon" title="Удалить из кэша"
+                                onclick="App.deleteTopicCache('${entry.topicId}')">🗑</button>
+                    </li>
+                `).join('')}
+            </ul>
+        `}
+        ${usage.unassignedAudioBytes > 0 ? `
+            <small class="text-secondary">Озвучка без темы: ${formatBytes(usage.unassignedAudioBytes)}</small>
+        ` : ''}
+    `;
 }
 
 /**
- * Переключение TTS
- * @param {boolean} enabled - включено
+ * Добавление темы в избранное (закрепление в кэше) или удаление из него
+ * @param {string} topicId - ID темы
  */
-export function toggleTTS(enabled) {
-    const settings = getSettings();
-    settings.ttsEnabled = enabled;
-    saveSettings(settings);
+export function toggleTopicFavorite(topicId) {
+    toggleFavoriteTopic(topicId);
+    renderStorageUsage();
 }
 
 /**
- * Обновление голоса TTS
+ * Удаление кэша темы с подтверждением
+ * @param {string} topicId - ID темы
+ */
+export function removeTopicCache(topicId) {
+    const topic = getTopicById(topicId);
+    const title = topic?.name || topicId;
+    if (topic?.custom) {
+        showModal('Удалить колоду?', `Своя тема «${title}» будет удалена. История повторений сохранится и вернётся при повторном импорте колоды.`, [
+            { label: 'Отмена' },
+            {
+                label: 'Удалить',
+                primary: true,
+                handler: async () => {
+                    try {
+                        await deleteCustomTopic(topicId);
+                    } catch (error) {
+                        console.error('Deck delete error:', error);
+                    }
+                    renderStorageUsage();
+                }
+            }
+        ]);
+        return;
+    }
+    showModal('Удалить кэш темы?', `Контент и озвучка темы «${title}» будут загружены заново при следующем открытии. Прогресс сохранится.`, [
+        { label: 'Отмена' },
+        {
+            label: 'Удалить',
+            primary: true,
+            handler: async () => {
+                try {
+                    await deleteTopicCache(topicId);
+                } catch (error) {
+                    console.error('Cache delete error:', error);
+                }
+                renderStorageUsage();
+            }
+        }
+    ]);
+}
+
+/**
+ * Переключение темы
+ * @param {boolean} isDark - тёмная тема
+ */
+export function toggleTheme(isDark) {
+    const theme = isDark ? 'dark' : 'light';
+    applyTheme(theme);
+    const settings = getSettings();
+    settings.theme = theme;
+    saveSettings(settings);
+}
+
+/**
+ * Поле API ключа в настройках: ввод, защита паролем или разблокировка
+ * @returns {string} - разметка
+ */
+function renderApiKeyField() {
+    if (isApiKeyLocked()) {
+        return `
+            <div class="key-vault">
+                <small class="text-secondary">🔒 Ключ защищён паролем</small>
+                <input type="password" class="settings__input" id="api-key-passphrase"
+                       placeholder="Пароль" autocomplete="current-password">
+                <div class="key-vault__actions">
+                    <button class="btn btn--primary" onclick="App.unlockKey()">Разблокировать</button>
+                    <button class="btn btn--ghost" onclick="App.forgetKey()">Удалить ключ</button>
+                </div>
+            </div>
+        `;
+    }
+
+    const apiKey = getApiKey();
+    return `
+        <input type="password" class="settings__input"
+               value="${escapeHtml(apiKey)}"
+               placeholder="Введите API ключ"
+               onchange="App.updateApiKey(this.value)">
+        ${isApiKeyProtected() ? `
+            <div class="key-vault">
+                <small class="text-secondary">🔓 Ключ защищён паролем и разблокирован до перезагрузки</small>
+                <div class="key-vault__actions">
+                    <button class="btn btn--secondary" onclick="App.lockKey()">Заблокировать</button>
+                    <button class="btn btn--ghost" onclick="App.unprotectKey()">Снять защиту</button>
+                </div>
+            </div>
+        ` : apiKey ? `
+            <div class="key-vault">
+                <input type="password" class="settings__input" id="api-key-passphrase"
+                       placeholder="Пароль для защиты ключа" autocomplete="new-password">
+                <input type="password" class="settings__input" id="api-key-passphrase-confirm"
+                       placeholder="Повторите пароль" autocomplete="new-password">
+                <button class="btn btn--secondary" onclick="App.protectKey()">Защитить паролем</button>
+            </div>
+        ` : ''}
+    `;
+}
+
+/**
+ * Обновление API ключа
+ * @param {string} key - API ключ
+ */
+export async function updateApiKey(key) {
+    try {
+        await storeApiKey(key);
+    } catch (error) {
+        handleError(error);
+        return;
+    }
+    render();
+}
+
+/**
+ * Значение поля пароля с очисткой
+ * @param {string} id - ID поля
+ * @returns {string}
+ */
+function takePassphrase(id) {
+    const input = document.getElementById(id);
+    const value = input?.value || '';
+    if (input) input.value = '';
+    return value;
+}
+
+/**
+ * Защита API ключа паролем из полей настроек
+ */
+export async function protectKey() {
+    const passphrase = takePassphrase('api-key-passphrase');
+    const confirmation = takePassphrase('api-key-passphrase-confirm');
+    if (passphrase !== confirmation) {
+        handleError(new Error('PASSPHRASE_MISMATCH'));
+        return;
+    }
+
+    showLoading('Шифрование ключа...');
+    try {
+        await protectApiKey(passphrase);
+        hideLoading();
+        render();
+    } catch (error) {
+        handleError(error);
+    }
+}
+
+/**
+ * Разблокировка API ключа на эту сессию
+ */
+export async function unlockKey() {
+    showLoading('Проверка пароля...');
+    try {
+        await unlockApiKey(takePassphrase('api-key-passphrase'));
+        hideLoading();
+        render();
+    } catch (error) {
+        handleError(error);
+    }
+}
+
+/**
+ * Блокировка API ключа до ввода пароля
+ */
+export function lockKey() {
+    lockApiKey();
+    render();
+}
+
+/**
+ * Снятие защиты паролем
+ */
+export function unprotectKey() {
+    showModal('Снять защиту?', 'API ключ будет храниться на устройстве без шифрования.', [
+        { label: 'Отмена' },
+        {
+            label: 'Снять защиту',
+            primary: true,
+            handler: () => {
+                try {
+                    removeProtection();
+                    render();
+                } catch (error) {
+                    handleError(error);
+                }
+            }
+        }
+    ]);
+}
+
+/**
+ * Удаление защищённого ключа, если пароль забыт
+ */
+export function forgetKey() {
+    showModal('Удалить ключ?', 'Зашифрованный API ключ будет удалён. Его придётся ввести заново.', [
+        { label: 'Отмена' },
+        {
+            label: 'Удалить',
+            primary: true,
+            handler: () => {
+                forgetApiKey();
+                render();
+            }
+        }
+    ]);
+}
+
+/**
+ * Выбор провайдера контента
+ * @param {string} providerId - ID провайдера
+ */
+export function updateProvider(providerId) {
+    const settings = getSettings();
+    settings.contentProvider = providerId;
+    saveSettings(settings);
+    render();
+}
+
+/**
+ * Обновление настройки провайдера
+ * @param {string} field - поле настроек
+ * @param {string} value - значение
+ */
+export function updateProviderSetting(field, value) {
+    const settings = getSettings();
+    settings[field] = value.trim();
+    saveSettings(settings);
+}
+
+/**
+ * Переключение TTS
+ * @param {boolean} enabled - включено
+ */
+export function toggleTTS(enabled) {
+    const settings = getSettings();
+    settings.ttsEnabled = enabled;
+    saveSettings(settings);
+}
+
+/**
+ * Обновление голоса TTS
  * @param {string} voice - голос
  */
 export function updateVoice(voice) {
@@ -700,6 +1597,109 @@ export function updateSpeakingRate(rate) {
     render();
 }
 
+/**
+ * Выбор алгоритма интервального повторения
+ * @param {string} algorithm - fsrs | sm2
+ */
+export function updateSrsAlgorithm(algorithm) {
+    if (!ALGORITHMS.includes(algorithm)) return;
+    const settings = getSettings();
+    settings.srsAlgorithm = algorithm;
+    saveSettings(settings);
+    render();
+}
+
+/**
+ * Обновление дневного лимита повторения
+ * @param {string} field - newCardsPerDay | reviewsPerDay
+ * @param {string} value - лимит
+ */
+export function updateReviewLimit(field, value) {
+    if (!['newCardsPerDay', 'reviewsPerDay'].includes(field)) return;
+    const limit = parseInt(value, 10);
+    const settings = getSettings();
+    settings[field] = Number.isFinite(limit) ? Math.max(0, limit) : settings[field];
+    saveSettings(settings);
+    render();
+}
+
+/**
+ * Обновление настроек пиявок
+ * @param {string} field - leechThreshold | leechAction
+ * @param {string} value - значение
+ */
+export function updateLeechSetting(field, value) {
+    const settings = getSettings();
+    if (field === 'leechThreshold') {
+        const threshold = parseInt(value, 10);
+        if (Number.isFinite(threshold)) {
+            settings.leechThreshold = Math.min(MAX_LEECH_THRESHOLD, Math.max(MIN_LEECH_THRESHOLD, threshold));
+        }
+    } else if (field === 'leechAction' && LEECH_ACTIONS.includes(value)) {
+        settings.leechAction = value;
+    } else {
+        return;
+    }
+    saveSettings(settings);
+    render();
+}
+
+/**
+ * Обновление целевого удержания FSRS
+ * @param {string} value - доля 0-1
+ */
+export function updateTargetRetention(value) {
+    const settings = getSettings();
+    settings.targetRetention = Math.min(MAX_RETENTION, Math.max(MIN_RETENTION, parseFloat(value)));
+    saveSettings(settings);
+    render();
+}
+
+/**
+ * Подбор параметров FSRS по журналу повторений
+ */
+export async function optimizeScheduler() {
+    showLoading('Подбор параметров...');
+    // Даём индикатору отрисоваться до синхронного расчёта
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const settings = getSettings();
+    let result;
+    try {
+        result = optimizeParameters(await getReviewLog(), settings.fsrsParams || DEFAULT_FSRS_PARAMS);
+    } catch (error) {
+        handleError(error);
+        return;
+    }
+    hideLoading();
+
+    const improved = result.loss < result.baselineLoss;
+    if (improved) {
+        settings.fsrsParams = result.params;
+        saveSettings(settings);
+        render();
+    }
+
+    showModal(improved ? 'Параметры подобраны' : 'Параметры не изменились', [
+        `Повторений в анализе: ${result.reviews}`,
+        improved
+            ? `Ошибка прогноза: ${result.baselineLoss.toFixed(3)} → ${result.loss.toFixed(3)}`
+            : 'Текущие параметры уже точнее всего предсказывают ваши ответы.'
+    ].join('\n'), [
+        { label: 'OK', primary: true }
+    ]);
+}
+
+/**
+ * Возврат стандартных параметров FSRS
+ */
+export function resetSchedulerParams() {
+    const settings = getSettings();
+    settings.fsrsParams = null;
+    saveSettings(settings);
+    render();
+}
+
 /**
  * Переключение звуковых эффектов
  * @param {boolean} enabled - включено
@@ -710,6 +1710,329 @@ export function toggleSound(enabled) {
     saveSettings(settings);
 }
 
+/**
+ * Скачивание текста или двоичных данных в файл
+ * @param {string|Uint8Array} content - содержимое
+ * @param {string} fileName - имя файла
+ * @param {string} mimeType - тип содержимого
+ */
+function downloadFile(content, fileName, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Скачивание копии в файл
+ * @param {object} backup - копия
+ * @param {string} suffix - добавка к имени файла
+ */
+function downloadBackup(backup, suffix = '') {
+    downloadFile(JSON.stringify(backup), backupFileName(backup.createdAt).replace('.json', `${suffix}.json`), 'application/json');
+}
+
+/**
+ * Сохранение резервной копии в файл
+ */
+export async function exportBackup() {
+    showLoading('Подготовка копии...');
+    try {
+        const backup = await createBackup({
+            includeApiKey: document.getElementById('backup-api-key')?.checked,
+            includeAudio: document.getElementById('backup-audio')?.checked
+        });
+        downloadBackup(backup);
+        hideLoading();
+    } catch (error) {
+        handleError(error);
+    }
+}
+
+/**
+ * Переключатель профилей в шапке
+ */
+function renderProfileSwitcher() {
+    const activeId = getActiveProfile().id;
+    profileSelect.innerHTML = `
+        ${getProfiles().map(profile => `
+            <option value="${profile.id}" ${profile.id === activeId ? 'selected' : ''}>👤 ${escapeHtml(profile.name)}</option>
+        `).join('')}
+        <option value="__manage">Управление профилями…</option>
+    `;
+}
+
+/**
+ * Вход в профиль
+ * Страница перезагружается, чтобы всё состояние приложения взялось из нового профиля
+ * @param {string} profileId - ID профиля или __manage для перехода в настройки
+ */
+export function selectProfile(profileId) {
+    if (profileId === '__manage') {
+        renderProfileSwitcher();
+        navigate('settings');
+        return;
+    }
+    if (profileId === getActiveProfile().id) return;
+
+    try {
+        switchProfile(profileId);
+    } catch (error) {
+        renderProfileSwitcher();
+        handleError(error);
+        return;
+    }
+    abortScreenRequests();
+    location.reload();
+}
+
+/**
+ * Создание профиля из поля ввода в настройках
+ */
+export function addProfile() {
+    const input = document.getElementById('new-profile-name');
+    try {
+        createProfile(input?.value);
+    } catch (error) {
+        handleError(error);
+        return;
+    }
+    renderProfileSwitcher();
+    render();
+}
+
+/**
+ * Сохранение копии профиля в файл
+ * @param {string} profileId - ID профиля
+ */
+export async function exportProfileBackup(profileId) {
+    showLoading('Подготовка копии...');
+    try {
+        const backup = await exportProfile(profileId);
+        downloadBackup(backup, `-${profileId}`);
+        hideLoading();
+    } catch (error) {
+        handleError(error);
+    }
+}
+
+/**
+ * Удаление профиля с подтверждением
+ * @param {string} profileId - ID профиля
+ */
+export function removeProfile(profileId) {
+    const profile = getProfiles().find(p => p.id === profileId);
+    if (!profile) return;
+
+    showModal('Удалить профиль?', `Прогресс, повторения и настройки профиля «${profile.name}» будут удалены без возможности восстановления.`, [
+        { label: 'Отмена' },
+        {
+            label: 'Удалить',
+            primary: true,
+            handler: () => {
+                const wasActive = profileId === getActiveProfile().id;
+                try {
+                    deleteProfile(profileId);
+                } catch (error) {
+                    handleError(error);
+                    return;
+                }
+                if (wasActive) {
+                    location.reload();
+                    return;
+                }
+                renderProfileSwitcher();
+                render();
+            }
+        }
+    ]);
+}
+
+/**
+ * Описание изменений импорта для подтверждения
+ * @param {object} diff - сводка diffBackup
+ * @returns {string}
+ */
+function formatBackupDiff(diff) {
+    const line = (label, { added, updated, removed }) =>
+        `${label}: +${added} новых, ${updated} обновится${removed ? `, ${removed} удалится` : ''}`;
+    const lines = [
+        `Копия от ${new Date(diff.createdAt).toLocaleString('ru-RU')}`,
+        line('Карточки SRS', diff.srs),
+        line('Прогресс тем', diff.progress),
+        line('Темы в кэше', diff.content)
+    ];
+    if (diff.audio.added || diff.audio.removed) lines.push(line('Озвучка', diff.audio));
+    if (diff.reviewsAdded > 0) lines.push(`Журнал повторений: +${diff.reviewsAdded}`);
+    if (diff.timeAdded > 0) lines.push(`Время занятий: +${formatTime(diff.timeAdded)}`);
+    if (diff.settings.length > 0) lines.push(`Настройки: изменится ${diff.settings.length}`);
+    if (diff.apiKey) lines.push('API ключ будет восстановлен');
+    return lines.join('\n');
+}
+
+/**
+ * Чтение и проверка файла копии из поля выбора файла
+ * @param {HTMLInputElement} input - поле выбора файла
+ * @returns {Promise<object|null>} - копия или null (файл не выбран или ошибка показана)
+ */
+async function readBackupInput(input) {
+    const file = input.files?.[0];
+    input.value = '';
+    if (!file) return null;
+
+    try {
+        return parseBackup(await file.text());
+    } catch (error) {
+        handleError(error);
+        return null;
+    }
+}
+
+/**
+ * Обработчик применения копии для кнопки модального окна
+ * @param {object} backup - копия
+ * @param {string} mode - merge | replace
+ * @returns {Function}
+ */
+function applyBackupHandler(backup, mode) {
+    return async () => {
+        showLoading('Восстановление...');
+        try {
+            await applyBackup(backup, mode);
+            hideLoading();
+            applyTheme(getSettings().theme);
+            render();
+        } catch (error) {
+            handleError(error);
+        }
+    };
+}
+
+/**
+ * Импорт резервной копии: проверка файла, сводка изменений и выбор режима
+ * @param {HTMLInputElement} input - поле выбора файла
+ */
+export async function importBackup(input) {
+    const backup = await readBackupInput(input);
+    if (!backup) return;
+
+    let mergeDiff;
+    let replaceDiff;
+    try {
+        [mergeDiff, replaceDiff] = await Promise.all([diffBackup(backup, 'merge'), diffBackup(backup, 'replace')]);
+    } catch (error) {
+        handleError(error);
+        return;
+    }
+
+    showModal('Восстановить копию?', [
+        'Объединить:', formatBackupDiff(mergeDiff), '',
+        'Заменить всё:', formatBackupDiff(replaceDiff)
+    ].join('\n'), [
+        { label: 'Отмена' },
+        { label: 'Заменить', handler: applyBackupHandler(backup, 'replace') },
+        { label: 'Объединить', primary: true, handler: applyBackupHandler(backup, 'merge') }
+    ]);
+}
+
+/**
+ * Импорт прогресса с другого устройства
+ * Только объединение: повторения и занятия с обеих сторон сохраняются
+ * @param {HTMLInputElement} input - поле выбора файла
+ */
+export async function importFromDevice(input) {
+    const backup = await readBackupInput(input);
+    if (!backup) return;
+
+    let diff;
+    try {
+        diff = await diffBackup(backup, 'merge');
+    } catch (error) {
+        handleError(error);
+        return;
+    }
+
+    showModal('Объединить с другим устройством?', formatBackupDiff(diff), [
+        { label: 'Отмена' },
+        { label: 'Объединить', primary: true, handler: applyBackupHandler(backup, 'merge') }
+    ]);
+}
+
+/**
+ * Сохранение колоды в файл
+ * @param {Function} build - () => Promise<{fileName, text или data, mimeType}>
+ */
+async function downloadDeck(build) {
+    showLoading('Подготовка колоды...');
+    try {
+        const deck = await build();
+        downloadFile(deck.text ?? deck.data, deck.fileName, deck.mimeType);
+        hideLoading();
+    } catch (error) {
+        handleError(error);
+    }
+}
+
+/**
+ * Экспорт открытой темы в Anki: выбор формата файла
+ */
+export function exportTopicDeckFile() {
+    const topicId = state.selectedTopic?.id;
+    if (!topicId) return;
+
+    showModal('Экспорт в Anki', 'APKG открывается в Anki двойным щелчком, TSV импортируется без настройки, CSV удобнее править в таблицах.', [
+        { label: 'Отмена' },
+        { label: 'CSV', handler: () => downloadDeck(() => exportTopicDeck(topicId, 'csv')) },
+        { label: 'TSV', handler: () => downloadDeck(() => exportTopicDeck(topicId, 'tsv')) },
+        { label: 'APKG', primary: true, handler: () => downloadDeck(() => exportTopicDeck(topicId, 'apkg')) }
+    ]);
+}
+
+/**
+ * Экспорт всех фраз с карточками повторения в Anki
+ * @param {string} format - tsv | csv | apkg
+ */
+export function exportSRSDeckFile(format) {
+    downloadDeck(() => exportSRSDeck(format));
+}
+
+/**
+ * Импорт колоды Anki как своей темы
+ * @param {HTMLInputElement} input - поле выбора файла
+ */
+export async function importDeckFile(input) {
+    const file = input.files?.[0];
+    input.value = '';
+    if (!file) return;
+
+    showLoading('Импорт колоды...');
+    let result;
+    try {
+        result = await importDeck(await file.text(), { fileName: file.name });
+    } catch (error) {
+        handleError(error);
+        return;
+    }
+    hideLoading();
+
+    const { topic, content, report, added, updated } = result;
+    const lines = [
+        `Тема «${topic.name}»: ${content.chunks.length} фраз`,
+        `Новых: ${added}${updated > 0 ? `, обновлено: ${updated}` : ''}`
+    ];
+    if (report.dropped > 0) lines.push(`Пропущено строк без фразы или перевода: ${report.dropped}`);
+    if (report.duplicates > 0) lines.push(`Повторы в файле: ${report.duplicates}`);
+
+    state.expandedLevels.add(CUSTOM_LEVEL);
+    render();
+    showModal('Колода импортирована', lines.join('\n'), [
+        { label: 'Позже' },
+        { label: 'Открыть', primary: true, handler: () => navigate('vocabulary', { topic, content }) }
+    ]);
+}
+
 /**
  * Очистка всех данных
  */
@@ -719,7 +2042,10 @@ export function clearAllData() {
         { 
             label: 'Удалить', 
             primary: true,
-            handler: () => {
+            handler: async () => {
+                await Promise.all([clearAllCache(), clearAudioCache(), clearAllReviewLogs()]).catch(error => {
+                    console.error('Cache clear error:', error);
+                });
                 localStorage.clear();
                 location.reload();
             }
@@ -778,6 +2104,8 @@ function renderStatsScreen() {
                 <div class="stats-card__value">${progress.overallAccuracy.toFixed(1)}%</div>
             </div>
 
+            ${renderReviewStats()}
+
             <h3 class="mt-2">По уровням</h3>
             ${levelStats.map(ls => `
                 <div class="card">
@@ -790,6 +2118,137 @@ function renderStatsScreen() {
             `).join('')}
         </div>
     `;
+    renderRetention();
+    renderHardestCards();
+}
+
+/**
+ * Столбчатая диаграмма
+ * @param {Array} items - {label, count}; пустая подпись не выводится
+ * @returns {string} - HTML
+ */
+function renderBarChart(items) {
+    const max = Math.max(1, ...items.map(item => item.count));
+    return `
+        <div class="chart">
+            ${items.map(item => `
+                <div class="chart__column" title="${item.title || item.label}: ${item.count}">
+                    <span class="chart__value">${item.count || ''}</span>
+                    <div class="chart__bar" style="height: ${Math.round((item.count / max) * 100)}%"></div>
+                    <span class="chart__label">${item.label}</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// Подписи направлений карточек, кроме основного
+const CARD_TYPE_NAMES = {
+    reverse: 'рус → тур',
+    typed: 'ввод ответа',
+    audio: 'на слух'
+};
+
+/**
+ * Раздел статистики повторения: удержание, прогноз и распределения
+ * @returns {string} - HTML
+ */
+function renderReviewStats() {
+    const srsData = getSRSData();
+    const forecast = dueForecast(srsData).map((count, day) => ({
+        count,
+        label: day === 0 ? 'сег.' : day % 7 === 0 ? `+${day}` : '',
+        title: day === 0 ? 'Сегодня' : `Через ${day} дн.`
+    }));
+    const useEase = getSettings().srsAlgorithm === 'sm2';
+
+    return `
+        <h3 class="mt-2">Повторение</h3>
+
+        <div class="stats-card" id="retention-stats">
+            <div class="stats-card__title">Настоящее удержание</div>
+            <div class="stats-card__value">…</div>
+        </div>
+
+        <div class="card">
+            <div class="card__title">Прогноз на 30 дней</div>
+            ${renderBarChart(forecast)}
+        </div>
+
+        <div class="card">
+            <div class="card__title">Стабильность, дней</div>
+            ${renderBarChart(stabilityDistribution(srsData))}
+        </div>
+
+        <div class="card">
+            <div class="card__title">${useEase ? 'Ease factor' : 'Сложность карточек'}</div>
+            ${renderBarChart(useEase ? easeDistribution(srsData) : difficultyDistribution(srsData))}
+        </div>
+
+        <div id="hardest-cards"></div>
+    `;
+}
+
+/**
+ * Рендеринг удержания по журналу повторений (журнал читается из IndexedDB асинхронно)
+ */
+async function renderRetention() {
+    let retention;
+    try {
+        retention = retentionRate(await getReviewLog());
+    } catch (error) {
+        console.error('Retention error:', error);
+        return;
+    }
+
+    const container = document.getElementById('retention-stats');
+    if (!container) return;
+
+    container.innerHTML = `
+        <div class="stats-card__title">Настоящее удержание</div>
+        <div class="stats-card__value">${retention.rate === null ? '—' : `${(retention.rate * 100).toFixed(1)}%`}</div>
+        <div class="stats-card__subtitle">
+            ${retention.reviews > 0
+                ? `вспомнено ${retention.passed} из ${retention.reviews} за ${RETENTION_DAYS} дней${retention.matureRate !== null ? ` · зрелые карточки: ${(retention.matureRate * 100).toFixed(1)}%` : ''}`
+                : 'пока нет повторений'}
+        </div>
+    `;
+}
+
+/**
+ * Рендеринг самых трудных карточек по темам (фразы читаются из кэша асинхронно)
+ */
+async function renderHardestCards() {
+    let topics;
+    try {
+        topics = await getHardestCards();
+    } catch (error) {
+        console.error('Hardest cards error:', error);
+        return;
+    }
+
+    const container = document.getElementById('hardest-cards');
+    if (!container || topics.length === 0) return;
+
+    container.innerHTML = `
+        <h3 class="mt-2">Самые трудные карточки</h3>
+        ${topics.map(topic => `
+            <div class="card">
+                <div class="card__title">${escapeHtml(getTopicById(topic.topicId)?.name || topic.topicId)}</div>
+                <ul class="hardest">
+                    ${topic.cards.map(card => `
+                        <li class="hardest__item">
+                            <span class="hardest__phrase">
+                                ${card.chunk ? `${escapeHtml(card.chunk.turkish)} — ${escapeHtml(card.chunk.russian)}` : 'Фраза удалена из кэша'}
+                                ${CARD_TYPE_NAMES[card.cardType] ? `<small class="text-secondary">(${CARD_TYPE_NAMES[card.cardType]})</small>` : ''}
+                            </span>
+                            <span class="hardest__count" title="Не вспомнил / всего ответов">${card.again}/${card.reviews}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `).join('')}
+    `;
 }
 
 /**
@@ -921,9 +2380,29 @@ export function saveGameResult(gameId, results) {
     clearSessionState();
     const progress = getProgress();
     const topicId = state.selectedTopic?.id;
+    const isReview = state.generatedContent?.review;
     
-    if (!topicId) return;
+    if (!topicId && !isReview) return;
+
+    // Общее повторение не относится к одной теме - учитываем только время и фразы
+    if (!isReview) {
+        updateTopicProgress(progress, topicId, gameId, results);
+    }
+
+    recordTimeSpent(progress, results.timeSpent || 0);
+    progress.chunksLearned += results.chunksLearned || 0;
 
+    saveProgress(progress);
+}
+
+/**
+ * Обновление прогресса темы после игры
+ * @param {object} progress - прогресс
+ * @param {string} topicId - ID темы
+ * @param {string} gameId - ID игры
+ * @param {object} results - результаты
+ */
+function updateTopicProgress(progress, topicId, gameId, results) {
     if (!progress.topicsCompleted[topicId]) {
         progress.topicsCompleted[topicId] = {
             gamesPlayed: [],
@@ -943,9 +2422,6 @@ export function saveGameResult(gameId, results) {
     if (results.percentage > topicProgress.bestScore) {
         topicProgress.bestScore = results.percentage;
     }
-
-    progress.totalTimeSpent += results.timeSpent || 0;
-    progress.chunksLearned += results.chunksLearned || 0;
     
     // Пересчёт общей точности
     const allScores = Object.values(progress.topicsCompleted)
@@ -955,8 +2431,6 @@ export function saveGameResult(gameId, results) {
     if (allScores.length > 0) {
         progress.overallAccuracy = allScores.reduce((a, b) => a + b, 0) / allScores.length;
     }
-
-    saveProgress(progress);
 }
 
 // Экспорт глобального объекта App для onclick handlers
@@ -966,14 +2440,47 @@ window.App = {
     render,
     toggleLevel,
     selectTopic,
+    downloadLevel,
+    resumeLevelDownload,
+    pauseLevelDownload,
+    dismissLevelDownload,
     speakPhrase,
+    restorePhrase,
+    extendTopic,
+    replaceWeakPhrases,
     startGame,
+    startReview,
     toggleTheme,
     updateApiKey,
+    protectKey,
+    unlockKey,
+    lockKey,
+    unprotectKey,
+    forgetKey,
+    updateProvider,
+    updateProviderSetting,
     toggleTTS,
     updateVoice,
     updateSpeakingRate,
     toggleSound,
+    updateSrsAlgorithm,
+    updateTargetRetention,
+    updateReviewLimit,
+    updateLeechSetting,
+    optimizeScheduler,
+    resetSchedulerParams,
+    toggleTopicFavorite,
+    deleteTopicCache: removeTopicCache,
+    exportTopicDeck: exportTopicDeckFile,
+    exportSRSDeck: exportSRSDeckFile,
+    importDeck: importDeckFile,
+    exportBackup,
+    importBackup,
+    selectProfile,
+    addProfile,
+    exportProfileBackup,
+    removeProfile,
+    importFromDevice,
     clearAllData,
     saveGameResult,
     saveCurrentGameState,
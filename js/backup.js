@@ -0,0 +1,495 @@
+/**
+ * Backup Module - резервная копия данных ученика в JSON-файле
+ * Прогресс, SRS, журнал повторений, настройки, избранное, свои темы и кэш тем; по желанию API ключи и озвучка.
+ * Импорт объединяет данные с текущими или заменяет их целиком
+ */
+
+import {
+    SHARED_TIME_KEY, getProgress, saveProgress, getSRSData, saveSRSData, getDeviceId,
+    getReviewLog, saveReviewLog, getSettings, saveSettings, getStoredApiKey, saveApiKey, getFavoriteTopics, saveFavoriteTopics,
+    getCustomTopics, saveCustomTopics, setCache, cacheAudio, clearAllCache, clearAudioCache,
+    base64ToBytes, bytesToBase64, blobToArrayBuffer
+} from './storage.js';
+import { STORES, dbGet, dbKeys } from './db.js';
+import { hashString } from './chunk-id.js';
+import { isEncryptedSecret } from './crypto.js';
+import { lockApiKey } from './key-vault.js';
+import { SCHEMA_VERSION, getSchemaVersion, migrateBackupData } from './migrations.js';
+
+export const BACKUP_FORMAT = 'turkish-app-backup';
+export const BACKUP_VERSION = 1;
+
+// Поля настроек с секретами - попадают в копию только по явному выбору
+const SECRET_SETTINGS = ['openaiApiKey'];
+
+// Поле настроек, где API ключ лежал в копиях до переноса в отдельное хранилище
+const LEGACY_API_KEY_FIELD = 'apiKey';
+
+/**
+ * API ключ из копии с учётом старого формата
+ * @param {object} data - данные копии
+ * @returns {string|object|undefined} - ключ, зашифрованная запись или undefined
+ */
+function backupApiKey(data) {
+    return data.apiKey || data.settings[LEGACY_API_KEY_FIELD] || undefined;
+}
+
+/**
+ * Контрольная сумма данных копии
+ * @param {object} data - данные копии
+ * @returns {string}
+ */
+export function backupChecksum(data) {
+    return hashString(JSON.stringify(data));
+}
+
+/**
+ * Создание резервной копии
+ * Кэш читается напрямую из IndexedDB, чтобы экспорт не менял порядок вытеснения
+ * @param {object} options - {includeApiKey, includeAudio, profileId}: по умолчанию активный профиль
+ * @returns {Promise<object>} - копия {format, version, schemaVersion, createdAt, checksum, data}
+ */
+export async function createBackup(options = {}) {
+    const { profileId } = options;
+    const settings = getSettings(profileId);
+    delete settings[LEGACY_API_KEY_FIELD];
+    if (!options.includeApiKey) {
+        SECRET_SETTINGS.forEach(field => delete settings[field]);
+    }
+
+    const content = {};
+    for (const topicId of await dbKeys(STORES.CONTENT)) {
+        content[topicId] = await dbGet(STORES.CONTENT, topicId);
+    }
+
+    const data = {
+        deviceId: getDeviceId(),
+        progress: getProgress(profileId),
+        srs: getSRSData(profileId),
+        reviewLog: await getReviewLog(profileId),
+        settings,
+        favorites: getFavoriteTopics(profileId),
+        customTopics: getCustomTopics(),
+        content
+    };
+
+    // Защищённый паролем ключ попадает в копию зашифрованным
+    const apiKey = getStoredApiKey(profileId);
+    if (options.includeApiKey && apiKey) {
+        data.apiKey = apiKey;
+    }
+
+    if (options.includeAudio) {
+        data.audio = {};
+        for (const hash of await dbKeys(STORES.AUDIO)) {
+            const entry = await dbGet(STORES.AUDIO, hash);
+            if (!entry?.blob) continue;
+            data.audio[hash] = {
+                data: bytesToBase64(new Uint8Array(await blobToArrayBuffer(entry.blob))),
+                mimeType: entry.blob.type || 'audio/pcm',
+                generatedAt: entry.generatedAt,
+                voice: entry.voice,
+                topicId: entry.topicId || null
+            };
+        }
+    }
+
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        schemaVersion: getSchemaVersion(),
+        createdAt: Date.now(),
+        checksum: backupChecksum(data),
+        data
+    };
+}
+
+/**
+ * Имя файла резервной копии
+ * @param {number} createdAt - время создания
+ * @returns {string}
+ */
+export function backupFileName(createdAt = Date.now()) {
+    return `turkish-backup-${new Date(createdAt).toISOString().slice(0, 10)}.json`;
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Проверка структуры и контрольной суммы копии
+ * @param {any} backup - разобранный JSON
+ * @returns {object} - копия
+ * @throws {Error} BACKUP_INVALID | BACKUP_VERSION_UNSUPPORTED | BACKUP_CHECKSUM_MISMATCH
+ */
+export function validateBackup(backup) {
+    if (!isObject(backup) || backup.format !== BACKUP_FORMAT || !isObject(backup.data)) {
+        throw new Error('BACKUP_INVALID');
+    }
+    if (!Number.isInteger(backup.version) || backup.version < 1) {
+        throw new Error('BACKUP_INVALID');
+    }
+    if (backup.version > BACKUP_VERSION || backup.schemaVersion > SCHEMA_VERSION) {
+        throw new Error('BACKUP_VERSION_UNSUPPORTED');
+    }
+    if (backup.checksum !== backupChecksum(backup.data)) {
+        throw new Error('BACKUP_CHECKSUM_MISMATCH');
+    }
+
+    const { progress, srs, reviewLog, settings, favorites, customTopics, content, audio, apiKey } = backup.data;
+    const valid = isObject(progress) && isObject(progress.topicsCompleted) &&
+        (progress.timeByDevice === undefined || (isObject(progress.timeByDevice) &&
+            Object.values(progress.timeByDevice).every(time => Number.isFinite(time) && time >= 0))) &&
+        isObject(srs) && Object.values(srs).every(record =>
+            isObject(record) && Number.isFinite(record.interval) && Number.isFinite(record.nextReview)) &&
+        (reviewLog === undefined || (Array.isArray(reviewLog) && reviewLog.every(entry =>
+            isObject(entry) && Number.isFinite(entry.time) && typeof entry.chunkId === 'string'))) &&
+        isObject(settings) &&
+        Array.isArray(favorites) && favorites.every(id => typeof id === 'string') &&
+        (customTopics === undefined || (Array.isArray(customTopics) && customTopics.every(topic =>
+            isObject(topic) && typeof topic.id === 'string' && typeof topic.name === 'string'))) &&
+        isObject(content) && Object.values(content).every(topic =>
+            isObject(topic) && Array.isArray(topic.chunks) &&
+            topic.chunks.every(chunk => typeof chunk?.id === 'string' && typeof chunk.turkish === 'string')) &&
+        (audio === undefined || (isObject(audio) && Object.values(audio).every(entry =>
+            isObject(entry) && typeof entry.data === 'string'))) &&
+        (apiKey === undefined || typeof apiKey === 'string' || isEncryptedSecret(apiKey));
+
+    if (!valid) {
+        throw new Error('BACKUP_INVALID');
+    }
+    return backup;
+}
+
+/**
+ * Разбор файла резервной копии
+ * @param {string} text - содержимое файла
+ * @returns {object} - проверенная копия
+ */
+export function parseBackup(text) {
+    let backup;
+    try {
+        backup = JSON.parse(text);
+    } catch {
+        throw new Error('BACKUP_INVALID');
+    }
+    return validateBackup(backup);
+}
+
+/**
+ * Копия с записями в текущей схеме хранилища
+ * Копии без schemaVersion сделаны до её записи и проходят все миграции записей:
+ * на уже приведённых данных они ничего не меняют
+ * @param {object} backup - проверенная копия
+ * @returns {object} - копия той же или новой схемы
+ */
+export function upgradeBackup(backup) {
+    const from = backup.schemaVersion ?? 0;
+    if (from >= SCHEMA_VERSION) return backup;
+    return { ...backup, schemaVersion: SCHEMA_VERSION, data: migrateBackupData(backup.data, from) };
+}
+
+/**
+ * Какая из двух SRS записей новее
+ * Старые записи без lastReview сравниваются по nextReview
+ * @param {object} a - запись
+ * @param {object} b - запись
+ * @returns {boolean} - b новее a
+ */
+function isNewerRecord(a, b) {
+    const aTime = a.lastReview ?? 0;
+    const bTime = b.lastReview ?? 0;
+    if (aTime !== bTime) return bTime > aTime;
+    return b.nextReview > a.nextReview;
+}
+
+/**
+ * Объединение журналов повторений без повторяющихся записей
+ * @param {Array} local - текущий журнал
+ * @param {Array} incoming - журнал из копии
+ * @returns {Array} - записи по времени
+ */
+export function mergeReviewLogs(local, incoming) {
+    const entryKey = entry => `${entry.time}|${entry.chunkId}`;
+    const known = new Set(local.map(entryKey));
+    return [...local, ...incoming.filter(entry => !known.has(entryKey(entry)))]
+        .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Объединение SRS данных: для каждой карточки остаётся более свежая запись
+ * @param {object} local - текущие данные
+ * @param {object} incoming - данные из копии
+ * @returns {object}
+ */
+export function mergeSRS(local, incoming) {
+    const merged = { ...local };
+    Object.entries(incoming).forEach(([chunkId, record]) => {
+        if (!merged[chunkId] || isNewerRecord(merged[chunkId], record)) {
+            merged[chunkId] = record;
+        }
+    });
+    return merged;
+}
+
+/**
+ * Устройства при импорте копии
+ * @param {object} data - данные копии
+ * @returns {object} - {local, incoming}
+ */
+function backupDevices(data) {
+    return { local: getDeviceId(), incoming: data.deviceId };
+}
+
+/**
+ * Время занятий по устройствам
+ * В прогрессе без учёта по устройствам всё время считается общим
+ * @param {object} progress - прогресс
+ * @returns {object} - {deviceId: секунды}
+ */
+function deviceTimes(progress) {
+    return progress.timeByDevice || { [SHARED_TIME_KEY]: progress.totalTimeSpent || 0 };
+}
+
+/**
+ * Ключ общего времени другого устройства
+ * @param {string} deviceId - устройство
+ * @returns {string}
+ */
+function sharedTimeKey(deviceId) {
+    return `${SHARED_TIME_KEY}:${deviceId || 'unknown'}`;
+}
+
+/**
+ * Объединение счётчиков времени: по каждому устройству берётся последнее значение
+ * Итог - сумма вкладов устройств, так что время с обеих сторон складывается.
+ * Общее время (до учёта по устройствам) у каждого устройства своё: общее время копии
+ * хранится под ключом её устройства и складывается со своим, а не заменяет его
+ * @param {object} local - текущий прогресс
+ * @param {object} incoming - прогресс из копии
+ * @param {object} devices - {local, incoming}: ID устройств
+ * @returns {object} - {deviceId: секунды}
+ */
+export function mergeDeviceTimes(local, incoming, devices = {}) {
+    const merged = { ...deviceTimes(local) };
+    const keyFor = (deviceId) => {
+        if (deviceId === SHARED_TIME_KEY) {
+            return devices.incoming && devices.incoming === devices.local ? SHARED_TIME_KEY : sharedTimeKey(devices.incoming);
+        }
+        // Своё общее время, вернувшееся через копию другого устройства
+        return devices.local && deviceId === sharedTimeKey(devices.local) ? SHARED_TIME_KEY : deviceId;
+    };
+
+    Object.entries(deviceTimes(incoming)).forEach(([deviceId, time]) => {
+        const key = keyFor(deviceId);
+        merged[key] = Math.max(merged[key] || 0, time);
+    });
+    return merged;
+}
+
+/**
+ * Объединение прогресса: игры тем объединяются, лучшие результаты сохраняются,
+ * время занятий складывается по устройствам (см. mergeDeviceTimes)
+ * @param {object} local - текущий прогресс
+ * @param {object} incoming - прогресс из копии
+ * @param {object} devices - {local, incoming}: ID устройств
+ * @returns {object}
+ */
+export function mergeProgress(local, incoming, devices = {}) {
+    const topicsCompleted = { ...local.topicsCompleted };
+    Object.entries(incoming.topicsCompleted || {}).forEach(([topicId, topic]) => {
+        const current = topicsCompleted[topicId];
+        topicsCompleted[topicId] = current ? {
+            ...current,
+            gamesPlayed: [...new Set([...(current.gamesPlayed || []), ...(topic.gamesPlayed || [])])],
+            lastPlayed: Math.max(current.lastPlayed || 0, topic.lastPlayed || 0),
+            bestScore: Math.max(current.bestScore || 0, topic.bestScore || 0)
+        } : topic;
+    });
+
+    const scores = Object.values(topicsCompleted).map(tp => tp.bestScore).filter(s => s > 0);
+    const timeByDevice = mergeDeviceTimes(local, incoming, devices);
+    return {
+        ...local,
+        topicsCompleted,
+        timeByDevice,
+        totalTimeSpent: Object.values(timeByDevice).reduce((sum, time) => sum + time, 0),
+        chunksLearned: Math.max(local.chunksLearned || 0, incoming.chunksLearned || 0),
+        overallAccuracy: scores.length > 0
+            ? scores.reduce((a, b) => a + b, 0) / scores.length
+            : local.overallAccuracy || 0
+    };
+}
+
+/**
+ * Темы копии, которые нужно записать в кэш: новые и с более поздней версией
+ * @param {object} localVersions - {topicId: version} текущего кэша
+ * @param {object} incoming - {topicId: content} из копии
+ * @returns {Array} - ID тем
+ */
+function contentToWrite(localVersions, incoming) {
+    return Object.keys(incoming).filter(topicId =>
+        !(topicId in localVersions) || (incoming[topicId].version ?? 1) > localVersions[topicId]);
+}
+
+/**
+ * Версии закэшированных тем
+ * @returns {Promise<object>} - {topicId: version}
+ */
+async function getLocalContentVersions() {
+    const versions = {};
+    for (const topicId of await dbKeys(STORES.CONTENT)) {
+        versions[topicId] = (await dbGet(STORES.CONTENT, topicId))?.version ?? 1;
+    }
+    return versions;
+}
+
+/**
+ * Сводка изменений перед импортом
+ * @param {object} backup - проверенная копия
+ * @param {string} mode - merge | replace
+ * @returns {Promise<object>} - {srs, progress, content, audio: {added, updated, removed}, settings, apiKey, reviewsAdded, timeAdded}
+ */
+export async function diffBackup(backup, mode = 'merge') {
+    backup = upgradeBackup(backup);
+    const { data } = backup;
+    const localSRS = getSRSData();
+    const localProgress = getProgress();
+    const localVersions = await getLocalContentVersions();
+    const localAudio = new Set(await dbKeys(STORES.AUDIO));
+    const replace = mode === 'replace';
+
+    const countKeys = (local, incoming, isUpdated) => {
+        const added = Object.keys(incoming).filter(key => !(key in local)).length;
+        const updated = Object.keys(incoming).filter(key => key in local && isUpdated(key)).length;
+        const removed = replace ? Object.keys(local).filter(key => !(key in incoming)).length : 0;
+        return { added, updated, removed };
+    };
+
+    const srs = countKeys(localSRS, data.srs, chunkId => replace
+        ? JSON.stringify(localSRS[chunkId]) !== JSON.stringify(data.srs[chunkId])
+        : isNewerRecord(localSRS[chunkId], data.srs[chunkId]));
+
+    const progress = countKeys(localProgress.topicsCompleted, data.progress.topicsCompleted, topicId =>
+        JSON.stringify(localProgress.topicsCompleted[topicId]) !== JSON.stringify(data.progress.topicsCompleted[topicId]));
+
+    const written = new Set(contentToWrite(localVersions, data.content));
+    const content = countKeys(localVersions, data.content, topicId =>
+        replace ? (data.content[topicId].version ?? 1) !== localVersions[topicId] : written.has(topicId));
+
+    const audioKeys = Object.keys(data.audio || {});
+    const audio = {
+        added: audioKeys.filter(hash => !localAudio.has(hash)).length,
+        updated: 0,
+        removed: replace && data.audio ? [...localAudio].filter(hash => !(hash in data.audio)).length : 0
+    };
+
+    const localSettings = getSettings();
+    const settings = replace
+        ? Object.keys(data.settings).filter(key =>
+            !SECRET_SETTINGS.includes(key) && key !== LEGACY_API_KEY_FIELD && JSON.stringify(localSettings[key]) !== JSON.stringify(data.settings[key]))
+        : [];
+
+    const localLog = await getReviewLog();
+    const incomingLog = data.reviewLog || [];
+
+    return {
+        mode,
+        createdAt: backup.createdAt,
+        srs,
+        progress,
+        content,
+        audio,
+        settings,
+        apiKey: backupApiKey(data) !== undefined && (replace || !getStoredApiKey()),
+        reviewsAdded: (replace ? incomingLog : mergeReviewLogs(localLog, incomingLog)).length - localLog.length,
+        timeAdded: ((replace ? data.progress : mergeProgress(localProgress, data.progress, backupDevices(data))).totalTimeSpent || 0) -
+            (localProgress.totalTimeSpent || 0)
+    };
+}
+
+/**
+ * Применение резервной копии
+ * Копия старой схемы сначала приводится к текущей (см. upgradeBackup).
+ * SRS, избранное и свои темы записываются до кэша, чтобы импортированные темы сразу были закреплены
+ * @param {object} backup - проверенная копия
+ * @param {string} mode - merge | replace
+ * @returns {Promise<object>} - сводка изменений (как diffBackup)
+ */
+export async function applyBackup(backup, mode = 'merge') {
+    backup = upgradeBackup(backup);
+    const { data } = backup;
+    const summary = await diffBackup(backup, mode);
+    const localVersions = await getLocalContentVersions();
+
+    if (mode === 'replace') {
+        saveSRSData(data.srs);
+        await saveReviewLog(data.reviewLog || []);
+        saveProgress(data.progress);
+        saveFavoriteTopics(data.favorites);
+        saveCustomTopics(data.customTopics || []);
+
+        // Секреты из копии без ключей не затирают текущие
+        const settings = { ...data.settings };
+        delete settings[LEGACY_API_KEY_FIELD];
+        SECRET_SETTINGS.forEach(field => {
+            if (!(field in settings)) settings[field] = getSettings()[field];
+        });
+        saveSettings(settings);
+
+        await clearAllCache();
+        if (data.audio) await clearAudioCache();
+    } else {
+        saveSRSData(mergeSRS(getSRSData(), data.srs));
+        await saveReviewLog(mergeReviewLogs(await getReviewLog(), data.reviewLog || []));
+        saveProgress(mergeProgress(getProgress(), data.progress, backupDevices(data)));
+        saveFavoriteTopics([...new Set([...getFavoriteTopics(), ...data.favorites])]);
+        const incomingTopics = data.customTopics || [];
+        saveCustomTopics([
+            ...getCustomTopics().filter(topic => !incomingTopics.some(t => t.id === topic.id)),
+            ...incomingTopics
+        ]);
+    }
+
+    if (summary.apiKey) {
+        // Ключ из копии может быть зашифрован другим паролем - разблокировка заново
+        lockApiKey();
+        saveApiKey(backupApiKey(data));
+    }
+
+    const topicIds = mode === 'replace' ? Object.keys(data.content) : contentToWrite(localVersions, data.content);
+    for (const topicId of topicIds) {
+        await setCache(topicId, data.content[topicId]);
+    }
+
+    const localAudio = mode === 'replace' ? new Set() : new Set(await dbKeys(STORES.AUDIO));
+    for (const [hash, entry] of Object.entries(data.audio || {})) {
+        if (localAudio.has(hash)) continue;
+        await cacheAudio(hash, {
+            blob: new Blob([base64ToBytes(entry.data)], { type: entry.mimeType || 'audio/pcm' }),
+            generatedAt: entry.generatedAt,
+            voice: entry.voice,
+            topicId: entry.topicId || null
+        });
+    }
+
+    return summary;
+}
+
+// Экспорт объекта Backup для совместимости
+export const Backup = {
+    BACKUP_FORMAT,
+    BACKUP_VERSION,
+    createBackup,
+    backupFileName,
+    validateBackup,
+    parseBackup,
+    upgradeBackup,
+    mergeSRS,
+    mergeReviewLogs,
+    mergeDeviceTimes,
+    mergeProgress,
+    diffBackup,
+    applyBackup
+};
+
+export default Backup;
@@ -0,0 +1,240 @@
+/**
+ * Card Status Module - пиявки, приостановленные, отложенные и отмеченные карточки
+ * Пиявка - карточка, которую ученик снова и снова забывает; после порога
+ * забываний она помечается, а по настройке и приостанавливается.
+ * Приостановленные, отложенные до завтра и отмеченные как ошибочные карточки
+ * не попадают ни в очередь повторения, ни в игры. Пиявкой становится отдельное
+ * направление карточки, но приостановка любого направления скрывает фразу целиком,
+ * как и откладывание и отметка из карточек.
+ */
+
+import { getSRSData, saveSRSData, getReportedChunks, saveReportedChunks } from './storage.js';
+import { newCard } from './srs.js';
+import { CARD_TYPES, cardKey } from './chunk-id.js';
+
+export const LEECH_ACTIONS = ['tag', 'suspend'];
+export const DEFAULT_LEECH_THRESHOLD = 8;
+export const MIN_LEECH_THRESHOLD = 2;
+export const MAX_LEECH_THRESHOLD = 99;
+
+/**
+ * Забывание, на котором карточка становится пиявкой
+ * Как в Anki: на пороге и затем каждые полпорога
+ * @param {number} lapses - число забываний
+ * @param {number} threshold - порог
+ * @returns {boolean}
+ */
+export function isLeechLapse(lapses, threshold = DEFAULT_LEECH_THRESHOLD) {
+    if (lapses < threshold) return false;
+    return (lapses - threshold) % Math.max(1, Math.floor(threshold / 2)) === 0;
+}
+
+/**
+ * Пометка пиявки после ответа
+ * @param {object} previous - запись до ответа
+ * @param {object} updated - запись после ответа
+ * @param {object} settings - {leechThreshold, leechAction}
+ * @returns {object} - запись, помеченная как пиявка, если ответ добавил забывание на пороге
+ */
+export function applyLeech(previous, updated, settings = {}) {
+    const lapses = updated.lapses || 0;
+    if (lapses <= (previous.lapses || 0) || !isLeechLapse(lapses, settings.leechThreshold ?? DEFAULT_LEECH_THRESHOLD)) {
+        return updated;
+    }
+    return {
+        ...updated,
+        leech: true,
+        ...(settings.leechAction === 'suspend' ? { suspended: true } : {})
+    };
+}
+
+/**
+ * Отложенная карточка возвращается в начале следующих суток
+ * @param {number} now - текущее время
+ * @returns {number}
+ */
+function nextDayStart(now) {
+    const date = new Date(now);
+    date.setHours(24, 0, 0, 0);
+    return date.getTime();
+}
+
+/**
+ * Карточка скрыта из повторения и игр
+ * @param {object|undefined} record - SRS запись
+ * @param {number} now - текущее время
+ * @returns {boolean}
+ */
+export function isHidden(record, now = Date.now()) {
+    return Boolean(record?.suspended) || (record?.buriedUntil || 0) > now;
+}
+
+/**
+ * Фраза скрыта из повторения и игр: приостановлено любое её направление
+ * или отложена основная карточка
+ * @param {string} chunkId - ID chunk
+ * @param {object} srsData - SRS данные
+ * @param {number} now - текущее время
+ * @returns {boolean}
+ */
+export function isChunkHidden(chunkId, srsData, now = Date.now()) {
+    return isHidden(srsData[chunkId], now) ||
+        CARD_TYPES.some(type => Boolean(srsData[cardKey(chunkId, type)]?.suspended));
+}
+
+/**
+ * Фразы, доступные для повторения и игр
+ * @param {Array} chunks - chunks
+ * @param {object} options - {srsData, reported, now}; reported - Set ID отмеченных фраз
+ * @returns {Array}
+ */
+export function filterActiveChunks(chunks, options = {}) {
+    const srsData = options.srsData || {};
+    const reported = options.reported || new Set();
+    const now = options.now ?? Date.now();
+    return (chunks || []).filter(chunk => !reported.has(chunk.id) && !isChunkHidden(chunk.id, srsData, now));
+}
+
+/**
+ * Контент темы без скрытых фраз активного профиля
+ * @param {object} content - контент темы
+ * @returns {object}
+ */
+export function activeContent(content) {
+    return {
+        ...content,
+        chunks: filterActiveChunks(content.chunks, { srsData: getSRSData(), reported: getReportedIds() })
+    };
+}
+
+/**
+ * Изменение SRS записи карточки
+ * @param {string} chunkId - ID chunk
+ * @param {Function} change - (запись) => новая запись
+ * @returns {object} - новая запись
+ */
+function updateRecord(chunkId, change) {
+    const srsData = getSRSData();
+    srsData[chunkId] = change(srsData[chunkId] || newCard());
+    saveSRSData(srsData);
+    return srsData[chunkId];
+}
+
+/**
+ * Приостановка карточки до ручного возврата
+ * @param {string} chunkId - ID chunk
+ * @returns {object} - SRS запись
+ */
+export function suspendCard(chunkId) {
+    return updateRecord(chunkId, record => ({ ...record, suspended: true }));
+}
+
+/**
+ * Отложить карточку до завтра
+ * @param {string} chunkId - ID chunk
+ * @param {number} now - текущее время
+ * @returns {object} - SRS запись
+ */
+export function buryCard(chunkId, now = Date.now()) {
+    return updateRecord(chunkId, record => ({ ...record, buriedUntil: nextDayStart(now) }));
+}
+
+/**
+ * Возврат приостановленной или отложенной фразы во всех направлениях (метка пиявки остаётся)
+ * @param {string} chunkId - ID chunk
+ * @returns {object|null} - SRS запись основной карточки
+ */
+export function restoreCard(chunkId) {
+    unreportChunks([chunkId]);
+    const srsData = getSRSData();
+    CARD_TYPES.map(type => cardKey(chunkId, type))
+        .filter(key => srsData[key])
+        .forEach(key => {
+            delete srsData[key].suspended;
+            delete srsData[key].buriedUntil;
+        });
+    saveSRSData(srsData);
+    return srsData[chunkId] || null;
+}
+
+/**
+ * ID фраз, отмеченных как ошибочные
+ * @returns {Set}
+ */
+export function getReportedIds() {
+    return new Set(Object.keys(getReportedChunks()));
+}
+
+/**
+ * Отметка фразы как ошибочной
+ * Фраза скрывается из игр и заменяется первой при замене слабых фраз темы
+ * @param {object} chunk - chunk с topicId
+ * @param {number} now - время отметки
+ * @returns {object} - отметка
+ */
+export function reportChunk(chunk, now = Date.now()) {
+    const reports = getReportedChunks();
+    reports[chunk.id] = {
+        topicId: chunk.topicId || null,
+        turkish: chunk.turkish,
+        russian: chunk.russian,
+        time: now
+    };
+    saveReportedChunks(reports);
+    return reports[chunk.id];
+}
+
+/**
+ * Снятие отметок, например с заменённых фраз
+ * @param {Array} chunkIds - ID chunks
+ * @returns {number} - количество снятых отметок
+ */
+export function unreportChunks(chunkIds) {
+    const reports = getReportedChunks();
+    const removed = chunkIds.filter(id => reports[id]);
+    if (removed.length > 0) {
+        removed.forEach(id => delete reports[id]);
+        saveReportedChunks(reports);
+    }
+    return removed.length;
+}
+
+/**
+ * Статус фразы для списка фраз
+ * Пиявка и приостановка учитываются по всем направлениям карточки
+ * @param {string} chunkId - ID chunk
+ * @param {object} options - {srsData, reported, now}
+ * @returns {object} - {leech, suspended, buried, reported, hidden}; hidden - фраза скрыта из игр
+ */
+export function getCardStatus(chunkId, options = {}) {
+    const srsData = options.srsData || getSRSData();
+    const reported = options.reported || getReportedIds();
+    const now = options.now ?? Date.now();
+    const records = CARD_TYPES.map(type => srsData[cardKey(chunkId, type)]).filter(Boolean);
+    return {
+        leech: records.some(record => record.leech),
+        suspended: records.some(record => record.suspended),
+        buried: (srsData[chunkId]?.buriedUntil || 0) > now,
+        reported: reported.has(chunkId),
+        hidden: reported.has(chunkId) || isChunkHidden(chunkId, srsData, now)
+    };
+}
+
+// Экспорт объекта CardStatus для совместимости
+export const CardStatus = {
+    isLeechLapse,
+    applyLeech,
+    isHidden,
+    isChunkHidden,
+    filterActiveChunks,
+    activeContent,
+    suspendCard,
+    buryCard,
+    restoreCard,
+    getReportedIds,
+    reportChunk,
+    unreportChunks,
+    getCardStatus
+};
+
+export default CardStatus;
@@ -0,0 +1,82 @@
+/**
+ * Chunk ID Module - детерминированные ID фраз
+ * ID = ID темы + хэш нормализованной турецкой фразы: "a1_v2:1x9k3f"
+ */
+
+/**
+ * Нормализация турецкой фразы для сравнения и хэширования
+ * @param {string} turkish - турецкая фраза
+ * @returns {string}
+ */
+export function phraseKey(turkish) {
+    return turkish
+        .toLocaleLowerCase('tr-TR')
+        .replace(/[.,!?;:"«»]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * FNV-1a хэш строки
+ * @param {string} str - строка
+ * @returns {string} - хэш в base36
+ */
+export function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
+
+/**
+ * ID chunk по теме и фразе
+ * @param {string} topicId - ID темы
+ * @param {string} turkish - турецкая фраза
+ * @returns {string}
+ */
+export function makeChunkId(topicId, turkish) {
+    return `${topicId}:${hashString(phraseKey(turkish))}`;
+}
+
+/**
+ * ID темы из ID chunk
+ * @param {string} chunkId - ID chunk
+ * @returns {string|null} - ID темы или null для ID старого формата
+ */
+export function getTopicIdFromChunkId(chunkId) {
+    const index = chunkId.lastIndexOf(':');
+    return index > 0 ? chunkId.slice(0, index) : null;
+}
+
+// Типы карточек: у каждого направления своя SRS запись
+export const CARD_TYPES = ['recognition', 'reverse', 'typed', 'audio'];
+export const DEFAULT_CARD_TYPE = 'recognition';
+
+// Разделитель ID chunk и типа карточки в ключе SRS записи: "a1_v2:1x9k3f@reverse"
+const CARD_TYPE_SEPARATOR = '@';
+
+/**
+ * Ключ SRS записи карточки
+ * У основной карточки (турецкий → русский) ключ совпадает с ID chunk
+ * @param {string} chunkId - ID chunk
+ * @param {string} cardType - тип карточки
+ * @returns {string}
+ */
+export function cardKey(chunkId, cardType = DEFAULT_CARD_TYPE) {
+    return cardType === DEFAULT_CARD_TYPE ? chunkId : `${chunkId}${CARD_TYPE_SEPARATOR}${cardType}`;
+}
+
+/**
+ * Разбор ключа SRS записи
+ * @param {string} key - ключ
+ * @returns {object} - {chunkId, cardType}
+ */
+export function parseCardKey(key) {
+    const index = key.lastIndexOf(CARD_TYPE_SEPARATOR);
+    const cardType = index > 0 ? key.slice(index + 1) : '';
+    return CARD_TYPES.includes(cardType)
+        ? { chunkId: key.slice(0, index), cardType }
+        : { chunkId: key, cardType: DEFAULT_CARD_TYPE };
+}
@@ -0,0 +1,114 @@
+/**
+ * Crypto Module - шифрование секретов паролем через WebCrypto
+ * Ключ выводится из пароля PBKDF2 (SHA-256), данные шифруются AES-GCM.
+ * Запись хранит соль, IV и число итераций, поэтому расшифровывается только паролем.
+ */
+
+import { bytesToBase64, base64ToBytes } from './storage.js';
+
+export const PBKDF2_ITERATIONS = 250000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+/**
+ * Является ли значение зашифрованной записью
+ * @param {any} value - значение из хранилища
+ * @returns {boolean}
+ */
+export function isEncryptedSecret(value) {
+    return value !== null && typeof value === 'object' &&
+        value.alg === 'AES-GCM' && value.kdf === 'PBKDF2-SHA256' &&
+        typeof value.salt === 'string' && typeof value.iv === 'string' &&
+        typeof value.data === 'string' && Number.isInteger(value.iterations);
+}
+
+/**
+ * Вывод ключа AES-GCM из пароля
+ * @param {string} passphrase - пароль
+ * @param {Uint8Array} salt - соль
+ * @param {number} iterations - итерации PBKDF2
+ * @returns {Promise<CryptoKey>}
+ */
+export async function deriveKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Шифрование уже выведенным ключом (новый IV на каждую запись)
+ * @param {string} plaintext - секрет
+ * @param {CryptoKey} key - ключ из deriveKey
+ * @param {object} params - {salt, iterations} записи, из которой выведен ключ
+ * @returns {Promise<object>} - зашифрованная запись
+ */
+export async function encryptWithKey(plaintext, key, params) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+    return {
+        alg: 'AES-GCM',
+        kdf: 'PBKDF2-SHA256',
+        iterations: params.iterations,
+        salt: params.salt,
+        iv: bytesToBase64(iv),
+        data: bytesToBase64(new Uint8Array(data))
+    };
+}
+
+/**
+ * Шифрование секрета паролем
+ * @param {string} plaintext - секрет
+ * @param {string} passphrase - пароль
+ * @param {number} iterations - итерации PBKDF2
+ * @returns {Promise<object>} - {record, key}: запись для хранения и ключ для повторного шифрования
+ * @throws {Error} PASSPHRASE_EMPTY
+ */
+export async function encryptSecret(plaintext, passphrase, iterations = PBKDF2_ITERATIONS) {
+    if (!passphrase) {
+        throw new Error('PASSPHRASE_EMPTY');
+    }
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const key = await deriveKey(passphrase, salt, iterations);
+    const record = await encryptWithKey(plaintext, key, { salt: bytesToBase64(salt), iterations });
+    return { record, key };
+}
+
+/**
+ * Расшифровка записи паролем
+ * @param {object} record - зашифрованная запись
+ * @param {string} passphrase - пароль
+ * @returns {Promise<object>} - {plaintext, key}
+ * @throws {Error} PASSPHRASE_INVALID - неверный пароль или повреждённая запись
+ */
+export async function decryptSecret(record, passphrase) {
+    if (!isEncryptedSecret(record)) {
+        throw new Error('PASSPHRASE_INVALID');
+    }
+    try {
+        const key = await deriveKey(passphrase, base64ToBytes(record.salt), record.iterations);
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: base64ToBytes(record.iv) }, key, base64ToBytes(record.data));
+        return { plaintext: new TextDecoder().decode(data), key };
+    } catch {
+        // AES-GCM не различает неверный пароль и изменённые данные
+        throw new Error('PASSPHRASE_INVALID');
+    }
+}
+
+// Экспорт объекта SecretCrypto для совместимости
+export const SecretCrypto = {
+    PBKDF2_ITERATIONS,
+    isEncryptedSecret,
+    deriveKey,
+    encryptWithKey,
+    encryptSecret,
+    decryptSecret
+};
+
+export default SecretCrypto;
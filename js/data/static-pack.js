@@ -0,0 +1,368 @@
+/**
+ * Static Pack - встроенный офлайн-набор фраз
+ * Используется провайдером static-pack без сети и API ключа
+ * Ключ - ID темы из topics.js, значение - массив chunks
+ */
+
+export const STATIC_PACK = {
+    a1_g1: [
+        {
+            turkish: 'Ben öğrenciyim',
+            russian: 'Я студент',
+            example: 'Ben öğrenciyim, üniversitede okuyorum.',
+            exampleTranslation: 'Я студент, учусь в университете.',
+            grammarNote: 'Аффикс сказуемости -(y)ım после гласной требует соединительной y',
+            words: [{ text: 'Ben', role: 'subject' }, { text: 'öğrenciyim', role: 'verb' }]
+        },
+        {
+            turkish: 'Sen doktorsun',
+            russian: 'Ты врач',
+            example: 'Sen iyi bir doktorsun.',
+            exampleTranslation: 'Ты хороший врач.',
+            grammarNote: 'Аффикс 2-го лица -sın/-sin/-sun/-sün подчиняется гармонии гласных',
+            words: [{ text: 'Sen', role: 'subject' }, { text: 'doktorsun', role: 'verb' }]
+        },
+        {
+            turkish: 'O öğretmen',
+            russian: 'Она учительница',
+            example: 'O öğretmen, matematik öğretiyor.',
+            exampleTranslation: 'Она учительница, преподаёт математику.',
+            grammarNote: 'В 3-м лице аффикс сказуемости обычно опускается',
+            words: [{ text: 'O', role: 'subject' }, { text: 'öğretmen', role: 'verb' }]
+        },
+        {
+            turkish: 'Biz Türküz',
+            russian: 'Мы турки',
+            example: 'Biz Türküz, Ankaralıyız.',
+            exampleTranslation: 'Мы турки, мы из Анкары.',
+            grammarNote: null,
+            words: [{ text: 'Biz', role: 'subject' }, { text: 'Türküz', role: 'verb' }]
+        },
+        {
+            turkish: 'Siz Rus musunuz?',
+            russian: 'Вы русские?',
+            example: 'Affedersiniz, siz Rus musunuz?',
+            exampleTranslation: 'Извините, вы русские?',
+            grammarNote: 'Личный аффикс присоединяется к вопросительной частице mı: musunuz',
+            words: [{ text: 'Siz', role: 'subject' }, { text: 'Rus', role: 'other' }, { text: 'musunuz?', role: 'verb' }]
+        },
+        {
+            turkish: 'Yorgunum',
+            russian: 'Я устал',
+            example: 'Bugün çok yorgunum.',
+            exampleTranslation: 'Я сегодня очень устал.',
+            grammarNote: 'Местоимение ben можно опустить - лицо видно по аффиксу',
+            words: [{ text: 'Yorgunum', role: 'verb' }]
+        },
+        {
+            turkish: 'Bu ev büyük',
+            russian: 'Этот дом большой',
+            example: 'Bu ev çok büyük ve güzel.',
+            exampleTranslation: 'Этот дом очень большой и красивый.',
+            grammarNote: null,
+            words: [{ text: 'Bu', role: 'other' }, { text: 'ev', role: 'subject' }, { text: 'büyük', role: 'verb' }]
+        },
+        {
+            turkish: 'Hava güzel',
+            russian: 'Погода хорошая',
+            example: 'Bugün hava çok güzel.',
+            exampleTranslation: 'Сегодня отличная погода.',
+            grammarNote: null,
+            words: [{ text: 'Hava', role: 'subject' }, { text: 'güzel', role: 'verb' }]
+        }
+    ],
+
+    a1_v1: [
+        {
+            turkish: 'Merhaba',
+            russian: 'Привет',
+            example: 'Merhaba, nasılsın?',
+            exampleTranslation: 'Привет, как дела?',
+            grammarNote: null,
+            words: [{ text: 'Merhaba', role: 'other' }]
+        },
+        {
+            turkish: 'Günaydın',
+            russian: 'Доброе утро',
+            example: 'Günaydın, anne!',
+            exampleTranslation: 'Доброе утро, мама!',
+            grammarNote: null,
+            words: [{ text: 'Günaydın', role: 'other' }]
+        },
+        {
+            turkish: 'İyi akşamlar',
+            russian: 'Добрый вечер',
+            example: 'İyi akşamlar, hoş geldiniz.',
+            exampleTranslation: 'Добрый вечер, добро пожаловать.',
+            grammarNote: null,
+            words: [{ text: 'İyi', role: 'other' }, { text: 'akşamlar', role: 'other' }]
+        },
+        {
+            turkish: 'Nasılsın?',
+            russian: 'Как дела?',
+            example: 'Merhaba Ali, nasılsın?',
+            exampleTranslation: 'Привет, Али, как дела?',
+            grammarNote: 'Вежливая форма - Nasılsınız?',
+            words: [{ text: 'Nasılsın?', role: 'verb' }]
+        },
+        {
+            turkish: 'İyiyim, teşekkürler',
+            russian: 'Хорошо, спасибо',
+            example: 'İyiyim, teşekkürler. Sen nasılsın?',
+            exampleTranslation: 'Всё хорошо, спасибо. А у тебя как?',
+            grammarNote: null,
+            words: [{ text: 'İyiyim,', role: 'verb' }, { text: 'teşekkürler', role: 'other' }]
+        },
+        {
+            turkish: 'Hoşça kal',
+            russian: 'Пока',
+            example: 'Hoşça kal, yarın görüşürüz.',
+            exampleTranslation: 'Пока, увидимся завтра.',
+            grammarNote: 'Говорит тот, кто уходит; остающийся отвечает «Güle güle»',
+            words: [{ text: 'Hoşça', role: 'other' }, { text: 'kal', role: 'verb' }]
+        },
+        {
+            turkish: 'Güle güle',
+            russian: 'Счастливо',
+            example: 'Güle güle, yine bekleriz!',
+            exampleTranslation: 'Счастливо, приходите ещё!',
+            grammarNote: 'Говорит тот, кто остаётся',
+            words: [{ text: 'Güle', role: 'other' }, { text: 'güle', role: 'other' }]
+        },
+        {
+            turkish: 'Görüşürüz',
+            russian: 'Увидимся',
+            example: 'Akşam görüşürüz.',
+            exampleTranslation: 'Увидимся вечером.',
+            grammarNote: null,
+            words: [{ text: 'Görüşürüz', role: 'verb' }]
+        },
+        {
+            turkish: 'Hoş geldiniz',
+            russian: 'Добро пожаловать',
+            example: 'Hoş geldiniz, buyurun içeri.',
+            exampleTranslation: 'Добро пожаловать, проходите.',
+            grammarNote: 'Принято отвечать «Hoş bulduk»',
+            words: [{ text: 'Hoş', role: 'other' }, { text: 'geldiniz', role: 'verb' }]
+        },
+        {
+            turkish: 'İyi geceler',
+            russian: 'Спокойной ночи',
+            example: 'İyi geceler, tatlı rüyalar.',
+            exampleTranslation: 'Спокойной ночи, сладких снов.',
+            grammarNote: null,
+            words: [{ text: 'İyi', role: 'other' }, { text: 'geceler', role: 'other' }]
+        }
+    ],
+
+    a1_v2: [
+        {
+            turkish: 'Benim annem',
+            russian: 'Моя мама',
+            example: 'Benim annem öğretmen.',
+            exampleTranslation: 'Моя мама - учительница.',
+            grammarNote: 'Притяжательный аффикс -m уже указывает на владельца, benim добавляет акцент',
+            words: [{ text: 'Benim', role: 'other' }, { text: 'annem', role: 'subject' }]
+        },
+        {
+            turkish: 'Babam',
+            russian: 'Мой папа',
+            example: 'Babam her sabah çay içer.',
+            exampleTranslation: 'Папа каждое утро пьёт чай.',
+            grammarNote: null,
+            words: [{ text: 'Babam', role: 'subject' }]
+        },
+        {
+            turkish: 'Bir kardeşim var',
+            russian: 'У меня есть брат или сестра',
+            example: 'Bir kardeşim var, adı Elif.',
+            exampleTranslation: 'У меня есть сестра, её зовут Элиф.',
+            grammarNote: 'Kardeş не указывает пол; уточняют: erkek kardeş, kız kardeş',
+            words: [{ text: 'Bir', role: 'other' }, { text: 'kardeşim', role: 'subject' }, { text: 'var', role: 'verb' }]
+        },
+        {
+            turkish: 'Ablam',
+            russian: 'Моя старшая сестра',
+            example: "Ablam İstanbul'da yaşıyor.",
+            exampleTranslation: 'Моя старшая сестра живёт в Стамбуле.',
+            grammarNote: null,
+            words: [{ text: 'Ablam', role: 'subject' }]
+        },
+        {
+            turkish: 'Ağabeyim',
+            russian: 'Мой старший брат',
+            example: 'Ağabeyim doktor.',
+            exampleTranslation: 'Мой старший брат - врач.',
+            grammarNote: 'В разговорной речи - abi',
+            words: [{ text: 'Ağabeyim', role: 'subject' }]
+        },
+        {
+            turkish: 'Büyükannem',
+            russian: 'Моя бабушка',
+            example: 'Büyükannem bize börek yapıyor.',
+            exampleTranslation: 'Бабушка печёт нам бёрек.',
+            grammarNote: 'Также говорят babaanne (мать отца) и anneanne (мать матери)',
+            words: [{ text: 'Büyükannem', role: 'subject' }]
+        },
+        {
+            turkish: 'Ailem çok kalabalık',
+            russian: 'У меня большая семья',
+            example: 'Ailem çok kalabalık, yedi kişiyiz.',
+            exampleTranslation: 'У меня большая семья, нас семеро.',
+            grammarNote: null,
+            words: [{ text: 'Ailem', role: 'subject' }, { text: 'çok', role: 'other' }, { text: 'kalabalık', role: 'verb' }]
+        },
+        {
+            turkish: 'Evli misin?',
+            russian: 'Ты в браке?',
+            example: 'Evli misin, çocuğun var mı?',
+            exampleTranslation: 'Ты в браке? Дети есть?',
+            grammarNote: null,
+            words: [{ text: 'Evli', role: 'other' }, { text: 'misin?', role: 'verb' }]
+        },
+        {
+            turkish: 'Oğlum ve kızım',
+            russian: 'Мои сын и дочь',
+            example: 'Oğlum ve kızım okula gidiyor.',
+            exampleTranslation: 'Мои сын и дочь ходят в школу.',
+            grammarNote: null,
+            words: [{ text: 'Oğlum', role: 'subject' }, { text: 've', role: 'other' }, { text: 'kızım', role: 'subject' }]
+        }
+    ],
+
+    a1_v3: [
+        {
+            turkish: 'Kırmızı',
+            russian: 'Красный',
+            example: 'Kırmızı elbise çok güzel.',
+            exampleTranslation: 'Красное платье очень красивое.',
+            grammarNote: null,
+            words: [{ text: 'Kırmızı', role: 'other' }]
+        },
+        {
+            turkish: 'Mavi',
+            russian: 'Синий',
+            example: 'Gökyüzü bugün çok mavi.',
+            exampleTranslation: 'Небо сегодня такое голубое.',
+            grammarNote: 'Mavi обозначает и синий, и голубой; тёмно-синий - lacivert',
+            words: [{ text: 'Mavi', role: 'other' }]
+        },
+        {
+            turkish: 'Yeşil çay',
+            russian: 'Зелёный чай',
+            example: 'Yeşil çay içer misin?',
+            exampleTranslation: 'Будешь зелёный чай?',
+            grammarNote: null,
+            words: [{ text: 'Yeşil', role: 'other' }, { text: 'çay', role: 'object' }]
+        },
+        {
+            turkish: 'Sarı taksi',
+            russian: 'Жёлтое такси',
+            example: 'Sarı taksi kapının önünde bekliyor.',
+            exampleTranslation: 'Жёлтое такси ждёт у двери.',
+            grammarNote: null,
+            words: [{ text: 'Sarı', role: 'other' }, { text: 'taksi', role: 'subject' }]
+        },
+        {
+            turkish: 'Siyah bir çanta',
+            russian: 'Чёрная сумка',
+            example: 'Siyah bir çanta arıyorum.',
+            exampleTranslation: 'Я ищу чёрную сумку.',
+            grammarNote: 'Прилагательное стоит перед bir: siyah bir çanta',
+            words: [{ text: 'Siyah', role: 'other' }, { text: 'bir', role: 'other' }, { text: 'çanta', role: 'object' }]
+        },
+        {
+            turkish: 'Beyaz gömlek',
+            russian: 'Белая рубашка',
+            example: 'Beyaz gömleğim nerede?',
+            exampleTranslation: 'Где моя белая рубашка?',
+            grammarNote: 'Перед аффиксом k переходит в ğ: gömlek → gömleğim',
+            words: [{ text: 'Beyaz', role: 'other' }, { text: 'gömlek', role: 'subject' }]
+        },
+        {
+            turkish: 'Ne renk?',
+            russian: 'Какого цвета?',
+            example: 'Araban ne renk?',
+            exampleTranslation: 'Какого цвета твоя машина?',
+            grammarNote: null,
+            words: [{ text: 'Ne', role: 'other' }, { text: 'renk?', role: 'other' }]
+        },
+        {
+            turkish: 'En sevdiğim renk',
+            russian: 'Мой любимый цвет',
+            example: 'En sevdiğim renk mor.',
+            exampleTranslation: 'Мой любимый цвет - фиолетовый.',
+            grammarNote: null,
+            words: [{ text: 'En', role: 'other' }, { text: 'sevdiğim', role: 'other' }, { text: 'renk', role: 'subject' }]
+        }
+    ],
+
+    a1_v6: [
+        {
+            turkish: 'Bir çay, lütfen',
+            russian: 'Один чай, пожалуйста',
+            example: 'Bir çay, lütfen, şekersiz olsun.',
+            exampleTranslation: 'Один чай, пожалуйста, без сахара.',
+            grammarNote: null,
+            words: [{ text: 'Bir', role: 'other' }, { text: 'çay,', role: 'object' }, { text: 'lütfen', role: 'other' }]
+        },
+        {
+            turkish: 'Bir bardak su',
+            russian: 'Стакан воды',
+            example: 'Bir bardak su alabilir miyim?',
+            exampleTranslation: 'Можно стакан воды?',
+            grammarNote: null,
+            words: [{ text: 'Bir', role: 'other' }, { text: 'bardak', role: 'other' }, { text: 'su', role: 'object' }]
+        },
+        {
+            turkish: 'Taze ekmek',
+            russian: 'Свежий хлеб',
+            example: 'Fırından taze ekmek aldım.',
+            exampleTranslation: 'Я купил в пекарне свежий хлеб.',
+            grammarNote: null,
+            words: [{ text: 'Taze', role: 'other' }, { text: 'ekmek', role: 'object' }]
+        },
+        {
+            turkish: 'Kahvaltı',
+            russian: 'Завтрак',
+            example: 'Kahvaltıda peynir ve zeytin yiyoruz.',
+            exampleTranslation: 'На завтрак мы едим сыр и оливки.',
+            grammarNote: null,
+            words: [{ text: 'Kahvaltı', role: 'other' }]
+        },
+        {
+            turkish: 'Acıktım',
+            russian: 'Я проголодался',
+            example: 'Çok acıktım, yemek yiyelim mi?',
+            exampleTranslation: 'Я страшно проголодался, пойдём поедим?',
+            grammarNote: 'Прошедшее время на -dı передаёт состояние, которое наступило и длится сейчас',
+            words: [{ text: 'Acıktım', role: 'verb' }]
+        },
+        {
+            turkish: 'Afiyet olsun',
+            russian: 'Приятного аппетита',
+            example: 'Yemek hazır, afiyet olsun!',
+            exampleTranslation: 'Еда готова, приятного аппетита!',
+            grammarNote: null,
+            words: [{ text: 'Afiyet', role: 'subject' }, { text: 'olsun', role: 'verb' }]
+        },
+        {
+            turkish: 'Çok lezzetli',
+            russian: 'Очень вкусно',
+            example: 'Bu çorba çok lezzetli.',
+            exampleTranslation: 'Этот суп очень вкусный.',
+            grammarNote: null,
+            words: [{ text: 'Çok', role: 'other' }, { text: 'lezzetli', role: 'verb' }]
+        },
+        {
+            turkish: 'Türk kahvesi',
+            russian: 'Турецкий кофе',
+            example: 'Annem her sabah Türk kahvesi yapar.',
+            exampleTranslation: 'Мама каждое утро варит турецкий кофе.',
+            grammarNote: 'Изафет: kahve + -si → kahvesi',
+            words: [{ text: 'Türk', role: 'other' }, { text: 'kahvesi', role: 'object' }]
+        }
+    ]
+};
+
+export default STATIC_PACK;
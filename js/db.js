@@ -0,0 +1,313 @@
+/**
+ * DB Module - обёртка над IndexedDB для кэша контента и аудио
+ * Без IndexedDB (приватный режим, старые браузеры, запрет хранилища) данные хранятся в памяти до перезагрузки
+ */
+
+export const DB_NAME = 'turkish_app';
+const DB_VERSION = 3;
+
+export const STORES = {
+    CONTENT: 'content',
+    AUDIO: 'audio',
+    // Размер и время последнего использования записей content/audio (для LRU)
+    META: 'meta',
+    // Журнал повторений всех профилей: записи только добавляются, ключи автоматические
+    REVIEW_LOG: 'review_log'
+};
+
+// Хранилища с автоматическими ключами и их индексы (индекс назван по полю записи)
+const STORE_OPTIONS = {
+    [STORES.REVIEW_LOG]: { autoIncrement: true }
+};
+const STORE_INDEXES = {
+    [STORES.REVIEW_LOG]: ['profileId']
+};
+
+let dbPromise = null;
+const memoryStores = {};
+// Последний автоматический ключ хранилищ в памяти
+const memoryCounters = {};
+// База не открылась (Firefox в приватном режиме, хранилище запрещено) - работаем в памяти
+let memoryFallback = false;
+
+/**
+ * Доступен ли IndexedDB
+ * @returns {boolean}
+ */
+export function isIndexedDBAvailable() {
+    return !memoryFallback && typeof indexedDB !== 'undefined' && indexedDB !== null;
+}
+
+/**
+ * Открытие базы (одно соединение на всё приложение)
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.values(STORES).forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        const store = db.createObjectStore(name, STORE_OPTIONS[name]);
+                        (STORE_INDEXES[name] || []).forEach(field => store.createIndex(field, field));
+                    }
+                });
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Другая вкладка обновляет схему: освобождаем базу, следующий вызов откроет её заново
+                db.onversionchange = () => {
+                    db.close();
+                    dbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => console.warn('IndexedDB upgrade is waiting for other tabs to close');
+        }).catch(error => {
+            // Следующий вызов попробует открыть базу заново
+            dbPromise = null;
+            throw error;
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Закрытие соединения с базой
+ * @returns {Promise<void>}
+ */
+export async function closeDatabase() {
+    if (!dbPromise) return;
+    const db = await dbPromise.catch(() => null);
+    db?.close();
+    dbPromise = null;
+}
+
+/**
+ * Соединение с базой или null, если данные хранятся в памяти
+ * Если база не открывается, модуль до перезагрузки переключается на память
+ * @returns {Promise<IDBDatabase|null>}
+ */
+async function connect() {
+    if (!isIndexedDBAvailable()) return null;
+    try {
+        return await openDatabase();
+    } catch (error) {
+        console.warn('IndexedDB unavailable, using memory:', error);
+        memoryFallback = true;
+        return null;
+    }
+}
+
+/**
+ * Сохраняются ли данные между перезагрузками
+ * Пробует открыть базу, поэтому после false модуль уже работает в памяти
+ * @returns {Promise<boolean>}
+ */
+export async function hasDatabase() {
+    return (await connect()) !== null;
+}
+
+/**
+ * Хранилище в памяти для режима без IndexedDB
+ * @param {string} storeName - имя хранилища
+ * @returns {Map}
+ */
+function memoryStore(storeName) {
+    if (!memoryStores[storeName]) {
+        memoryStores[storeName] = new Map();
+    }
+    return memoryStores[storeName];
+}
+
+/**
+ * Выполнение операции в транзакции
+ * @param {IDBDatabase} db - соединение
+ * @param {string} storeName - имя хранилища
+ * @param {string} mode - readonly | readwrite
+ * @param {Function} action - (store) => IDBRequest
+ * @returns {Promise<any>} - результат запроса после завершения транзакции
+ */
+function withStore(db, storeName, mode, action) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = action(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Чтение значения
+ * @param {string} storeName - имя хранилища
+ * @param {string} key - ключ
+ * @returns {Promise<any>} - значение или undefined
+ */
+export async function dbGet(storeName, key) {
+    const db = await connect();
+    if (!db) {
+        const value = memoryStore(storeName).get(key);
+        return value === undefined ? undefined : structuredClone(value);
+    }
+    return withStore(db, storeName, 'readonly', store => store.get(key));
+}
+
+/**
+ * Все значения хранилища
+ * @param {string} storeName - имя хранилища
+ * @returns {Promise<Array>}
+ */
+export async function dbGetAll(storeName) {
+    const db = await connect();
+    if (!db) {
+        return [...memoryStore(storeName).values()].map(value => structuredClone(value));
+    }
+    return withStore(db, storeName, 'readonly', store => store.getAll());
+}
+
+/**
+ * Запись значения
+ * @param {string} storeName - имя хранилища
+ * @param {string} key - ключ
+ * @param {any} value - значение (structured clone: объекты, Blob)
+ * @returns {Promise<void>}
+ */
+export async function dbPut(storeName, key, value) {
+    const db = await connect();
+    if (!db) {
+        memoryStore(storeName).set(key, structuredClone(value));
+        return;
+    }
+    await withStore(db, storeName, 'readwrite', store => store.put(value, key));
+}
+
+/**
+ * Удаление значения
+ * @param {string} storeName - имя хранилища
+ * @param {string} key - ключ
+ * @returns {Promise<void>}
+ */
+export async function dbDelete(storeName, key) {
+    const db = await connect();
+    if (!db) {
+        memoryStore(storeName).delete(key);
+        return;
+    }
+    await withStore(db, storeName, 'readwrite', store => store.delete(key));
+}
+
+/**
+ * Добавление записей с автоматическими ключами в одной транзакции
+ * @param {string} storeName - хранилище с autoIncrement
+ * @param {Array} values - записи
+ * @returns {Promise<void>}
+ */
+export async function dbAddAll(storeName, values) {
+    if (values.length === 0) return;
+    const db = await connect();
+    if (!db) {
+        const store = memoryStore(storeName);
+        values.forEach(value => {
+            memoryCounters[storeName] = (memoryCounters[storeName] || 0) + 1;
+            store.set(memoryCounters[storeName], structuredClone(value));
+        });
+        return;
+    }
+    await withStore(db, storeName, 'readwrite', store => values.map(value => store.add(value)).pop());
+}
+
+/**
+ * Записи с заданным значением индексированного поля, в порядке добавления
+ * @param {string} storeName - имя хранилища
+ * @param {string} field - поле (оно же имя индекса)
+ * @param {any} value - значение поля
+ * @returns {Promise<Array>}
+ */
+export async function dbGetAllByIndex(storeName, field, value) {
+    const db = await connect();
+    if (!db) {
+        return [...memoryStore(storeName).values()]
+            .filter(entry => entry[field] === value)
+            .map(entry => structuredClone(entry));
+    }
+    return withStore(db, storeName, 'readonly', store => store.index(field).getAll(IDBKeyRange.only(value)));
+}
+
+/**
+ * Удаление записей с заданным значением индексированного поля
+ * @param {string} storeName - имя хранилища
+ * @param {string} field - поле (оно же имя индекса)
+ * @param {any} value - значение поля
+ * @returns {Promise<void>}
+ */
+export async function dbDeleteByIndex(storeName, field, value) {
+    const db = await connect();
+    if (!db) {
+        const store = memoryStore(storeName);
+        [...store.entries()].filter(([, entry]) => entry[field] === value).forEach(([key]) => store.delete(key));
+        return;
+    }
+    await withStore(db, storeName, 'readwrite', store => {
+        const request = store.index(field).openKeyCursor(IDBKeyRange.only(value));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                store.delete(cursor.primaryKey);
+                cursor.continue();
+            }
+        };
+        return request;
+    });
+}
+
+/**
+ * Список ключей хранилища
+ * @param {string} storeName - имя хранилища
+ * @returns {Promise<Array>}
+ */
+export async function dbKeys(storeName) {
+    const db = await connect();
+    if (!db) {
+        return [...memoryStore(storeName).keys()];
+    }
+    return withStore(db, storeName, 'readonly', store => store.getAllKeys());
+}
+
+/**
+ * Очистка хранилища
+ * @param {string} storeName - имя хранилища
+ * @returns {Promise<void>}
+ */
+export async function dbClear(storeName) {
+    const db = await connect();
+    if (!db) {
+        memoryStore(storeName).clear();
+        return;
+    }
+    await withStore(db, storeName, 'readwrite', store => store.clear());
+}
+
+// Экспорт объекта DB для совместимости
+export const DB = {
+    STORES,
+    isIndexedDBAvailable,
+    hasDatabase,
+    openDatabase,
+    closeDatabase,
+    dbGet,
+    dbGetAll,
+    dbPut,
+    dbDelete,
+    dbAddAll,
+    dbGetAllByIndex,
+    dbDeleteByIndex,
+    dbKeys,
+    dbClear
+};
+
+export default DB;
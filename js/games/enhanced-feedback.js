@@ -4,71 +4,141 @@
  * Requirements: 6.1, 6.2, 6.3, 6.4, 6.5
  */
 
-import { normalizeAnswer } from './translation.js';
+import { isNearMiss } from '../answer-grader.js';
+import { diffWords, highlightDifferences } from '../answer-diff.js';
+import { escapeHtml } from '../html.js';
+
+export { highlightDifferences };
+
+// Заголовки вердиктов проверки ответа (см. answer-grader.js)
+export const VERDICT_TITLES = {
+    'correct': 'Правильно!',
+    'missing-diacritic': 'Почти правильно: проверьте турецкие буквы',
+    'almost': 'Почти правильно: опечатка',
+    'wrong-suffix': 'Почти правильно: ошибка в окончании',
+    'wrong': 'Неправильно'
+};
+
+// Подсказки к словам сравнения (см. answer-diff.js)
+export const DIFF_TITLES = {
+    insert: 'Пропущено',
+    delete: 'Лишнее слово',
+    substitute: 'Написано иначе',
+    move: 'Не на своём месте'
+};
+
+/**
+ * Разметка одного слова сравнения
+ * В заменённом слове отдельно выделяются лишние и пропущенные буквы
+ * @param {object} word - {text, op, chars}
+ * @returns {string} - HTML
+ */
+function renderDiffWord(word) {
+    const title = DIFF_TITLES[word.op];
+    const text = word.chars
+        ? word.chars.map(part => part.status === 'equal' ? escapeHtml(part.text) : `<span class="diff__char diff__char--${part.status}">${escapeHtml(part.text)}</span>`).join('')
+        : escapeHtml(word.text);
+    return `<span class="diff__word diff__word--${word.op}"${title ? ` title="${title}"` : ''}>${text}</span>`;
+}
 
 /**
- * Подсветка различий между строками
+ * Разметка сравнения ответа с правильным
  * @param {string} userAnswer - ответ пользователя
  * @param {string} correctAnswer - правильный ответ
- * @returns {object} - объект с подсвеченными различиями
+ * @returns {object} - {user, correct}: HTML ответа и правильного ответа
  */
-export function highlightDifferences(userAnswer, correctAnswer) {
-    const userWords = userAnswer.split(' ').filter(w => w.length > 0);
-    const correctWords = correctAnswer.split(' ').filter(w => w.length > 0);
-    
+export function renderDifferences(userAnswer, correctAnswer) {
+    const diff = diffWords(userAnswer, correctAnswer);
     return {
-        user: userWords.map((word, i) => ({
-            text: word,
-            correct: correctWords[i] && normalizeAnswer(correctWords[i]) === normalizeAnswer(word)
-        })),
-        correct: correctWords.map((word, i) => ({
-            text: word,
-            missing: !userWords[i] || normalizeAnswer(userWords[i]) !== normalizeAnswer(word)
-        }))
+        user: diff.user.map(renderDiffWord).join(' '),
+        correct: diff.correct.map(renderDiffWord).join(' ')
     };
 }
 
+/**
+ * Выбор ученика после почти правильного ответа: засчитать или нет
+ * @param {object} options - {grade, onAccept, onReject}
+ * @returns {string} - HTML
+ */
+export function renderAnswerDecision(options) {
+    const { grade, onAccept, onReject } = options;
+
+    return `
+        <div class="feedback__decision">
+            <div class="text-warning">≈ ${VERDICT_TITLES[grade.verdict]}</div>
+            <div class="text-secondary mt-1">Засчитать ответ? Оценка: ${Math.round(grade.score * 100)}%</div>
+            <div class="game__actions mt-1">
+                <button class="btn btn--primary" onclick="${onAccept}">✓ Засчитать</button>
+                <button class="btn btn--secondary" onclick="${onReject}">✗ Не засчитывать</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Апелляция: кнопка «Оспорить» или её результат
+ * @param {object} options - {state: null | pending | accepted | rejected, explanation, onAppeal}
+ * @returns {string} - HTML
+ */
+export function renderAppeal(options) {
+    const { state, explanation, onAppeal } = options;
+
+    if (state === 'pending') {
+        return '<div class="feedback__appeal text-secondary">⏳ Проверяем ваш вариант...</div>';
+    }
+    if (state === 'accepted' || state === 'rejected') {
+        return `
+            <div class="feedback__appeal ${state === 'accepted' ? 'text-success' : 'text-error'}">
+                ${state === 'accepted' ? '✓ Ваш вариант тоже правильный — засчитано' : '✗ Ваш вариант не подходит'}
+                ${explanation ? `<div class="text-secondary mt-1">${escapeHtml(explanation)}</div>` : ''}
+            </div>
+        `;
+    }
+    return `
+        <button class="btn btn--secondary btn--block feedback__appeal" onclick="${onAppeal}">
+            ⚖️ Оспорить: мой вариант тоже верный
+        </button>
+    `;
+}
+
 /**
  * Рендеринг расширенной обратной связи при ошибке
- * @param {object} options - параметры
+ * Для почти правильного ответа (grade с вердиктом-промахом) вместо кнопки
+ * продолжения показывается выбор: засчитать ответ или нет
+ * Если передан appeal ({state, explanation, onAppeal}), показывается апелляция;
+ * пока она проверяется, выбор не показывается
+ * @param {object} options - параметры (grade, onAccept, onReject, appeal - необязательны)
  * @returns {string} - HTML
  */
 export function renderEnhancedFeedback(options) {
-    const { userAnswer, correctAnswer, chunk, onContinue, speakFn } = options;
-    const differences = highlightDifferences(userAnswer || '', correctAnswer);
+    const { userAnswer, correctAnswer, chunk, onContinue, speakFn, grade, onAccept, onReject, appeal } = options;
+    const differences = renderDifferences(userAnswer || '', correctAnswer);
+    const nearMiss = Boolean(grade && isNearMiss(grade.verdict) && onAccept && onReject);
 
     return `
-        <div class="feedback feedback--incorrect">
+        <div class="feedback ${nearMiss ? 'feedback--almost' : 'feedback--incorrect'}">
             <div class="feedback__header">
-                <span class="feedback__icon">❌</span>
-                <span class="feedback__title">Неправильно</span>
+                <span class="feedback__icon">${nearMiss ? '🤏' : '❌'}</span>
+                <span class="feedback__title">${nearMiss ? VERDICT_TITLES[grade.verdict] : 'Неправильно'}</span>
             </div>
             
             ${userAnswer ? `
                 <div class="feedback__section">
                     <div class="feedback__label">Ваш ответ:</div>
-                    <div class="feedback__user-answer">
-                        ${differences.user.map(w => 
-                            `<span class="${w.correct ? '' : 'feedback__wrong'}">${w.text}</span>`
-                        ).join(' ')}
-                    </div>
+                    <div class="feedback__user-answer">${differences.user}</div>
                 </div>
             ` : ''}
             
             <div class="feedback__section">
                 <div class="feedback__label">Правильный ответ:</div>
-                <div class="feedback__correct-answer">
-                    ${differences.correct.map(w => 
-                        `<span class="${w.missing ? 'feedback__highlight' : ''}">${w.text}</span>`
-                    ).join(' ')}
-                </div>
+                <div class="feedback__correct-answer">${differences.correct}</div>
                 ${speakFn ? `<button class="btn btn--secondary mt-1" onclick="${speakFn}">🔊</button>` : ''}
             </div>
             
             ${chunk.grammarNote ? `
                 <div class="feedback__section">
                     <div class="feedback__label">📝 Грамматика:</div>
-                    <div class="feedback__grammar">${chunk.grammarNote}</div>
+                    <div class="feedback__grammar">${escapeHtml(chunk.grammarNote)}</div>
                 </div>
             ` : ''}
             
@@ -76,17 +146,21 @@ export function renderEnhancedFeedback(options) {
                 <div class="feedback__section">
                     <div class="feedback__label">Пример использования:</div>
                     <div class="feedback__example">
-                        <div class="feedback__example-turkish">${chunk.example}</div>
-                        <div class="feedback__example-russian">${chunk.exampleTranslation || ''}</div>
+                        <div class="feedback__example-turkish">${escapeHtml(chunk.example)}</div>
+                        <div class="feedback__example-russian">${escapeHtml(chunk.exampleTranslation || '')}</div>
                     </div>
                 </div>
             ` : ''}
             
-            <button class="btn btn--primary btn--block feedback__continue" onclick="${onContinue}">
-                Понятно, продолжить
-            </button>
+            ${appeal ? renderAppeal(appeal) : ''}
+
+            ${nearMiss ? (appeal?.state === 'pending' ? '' : renderAnswerDecision({ grade, onAccept, onReject })) : `
+                <button class="btn btn--primary btn--block feedback__continue" onclick="${onContinue}">
+                    Понятно, продолжить
+                </button>
+            `}
         </div>
     `;
 }
 
-export default { renderEnhancedFeedback, highlightDifferences };
+export default { renderEnhancedFeedback, renderAnswerDecision, renderAppeal, renderDifferences, highlightDifferences, VERDICT_TITLES };
@@ -3,6 +3,11 @@
  * Предложение с одним пропущенным словом
  */
 
+import { reportAnswer } from '../answer-events.js';
+import { gradeAnswer, isNearMiss } from '../answer-grader.js';
+import { renderAnswerDecision } from './enhanced-feedback.js';
+import { escapeHtml } from '../html.js';
+
 /**
  * Создание предложения с пропуском
  * @param {string} sentence - предложение
@@ -37,6 +42,8 @@ export class FillInGame {
         this.userInput = '';
         this.showResult = false;
         this.isCorrect = false;
+        this.grade = null;
+        this.awaitingDecision = false;
         this.startTime = Date.now();
         this.initCurrentQuestion();
     }
@@ -53,16 +60,36 @@ export class FillInGame {
 
     submit() {
         if (this.showResult) return;
-        this.isCorrect = this.userInput.toLowerCase().trim() === this.currentBlank.answer.toLowerCase();
+        this.grade = gradeAnswer(this.userInput, this.currentBlank.answer);
         this.showResult = true;
+        // Почти правильный ответ засчитывает или нет сам ученик
+        this.awaitingDecision = isNearMiss(this.grade.verdict);
+        if (!this.awaitingDecision) this.recordAnswer(this.grade.verdict === 'correct');
+    }
+
+    /**
+     * Решение ученика по почти правильному ответу
+     * @param {boolean} accepted - засчитать ответ
+     */
+    decide(accepted) {
+        if (!this.awaitingDecision) return;
+        this.awaitingDecision = false;
+        this.recordAnswer(accepted);
+    }
+
+    recordAnswer(isCorrect) {
+        this.isCorrect = isCorrect;
         if (this.isCorrect) this.score++;
+        reportAnswer(this.name, this.getCurrentChunk().id, this.isCorrect, this.grade.verdict);
     }
 
     nextQuestion() {
+        if (this.awaitingDecision) this.decide(false);
         this.currentIndex++;
         this.userInput = '';
         this.showResult = false;
         this.isCorrect = false;
+        this.grade = null;
         this.initCurrentQuestion();
     }
 
@@ -93,18 +120,25 @@ export class FillInGame {
                     </div>
                 </div>
                 <div class="game__question">
-                    <div>${this.currentBlank.display}</div>
-                    <div class="game__translation mt-1">${chunk.exampleTranslation || chunk.russian}</div>
+                    <div>${escapeHtml(this.currentBlank.display)}</div>
+                    <div class="game__translation mt-1">${escapeHtml(chunk.exampleTranslation || chunk.russian)}</div>
                 </div>
                 <input type="text" class="game__input" placeholder="Введите пропущенное слово..."
-                       value="${this.userInput}" oninput="currentGame.setInput(this.value)"
+                       value="${escapeHtml(this.userInput)}" oninput="currentGame.setInput(this.value)"
                        onkeypress="if(event.key === 'Enter') { currentGame.submit(); renderGame(); }"
                        ${this.showResult ? 'disabled' : ''} autofocus>
-                ${this.showResult ? `
+                ${this.showResult && this.awaitingDecision ? `
+                    <div class="card mt-2">
+                        <div>Правильно: <strong>${escapeHtml(this.currentBlank.answer)}</strong></div>
+                        ${chunk.grammarNote ? `<div class="mt-1 text-secondary">📝 ${escapeHtml(chunk.grammarNote)}</div>` : ''}
+                        ${renderAnswerDecision({ grade: this.grade, onAccept: 'currentGame.decide(true); renderGame();', onReject: 'currentGame.decide(false); renderGame();' })}
+                    </div>
+                ` : this.showResult ? `
                     <div class="card mt-2">
-                        ${this.isCorrect ? '<div class="text-success">✓ Правильно!</div>' : 
-                          `<div class="text-error">✗ Неправильно</div><div class="mt-1">Правильно: <strong>${this.currentBlank.answer}</strong></div>`}
-                        ${chunk.grammarNote ? `<div class="mt-1 text-secondary">📝 ${chunk.grammarNote}</div>` : ''}
+                        ${this.isCorrect && this.grade.verdict !== 'correct' ? `<div class="text-success">✓ Засчитано</div><div class="mt-1">Правильно: <strong>${escapeHtml(this.currentBlank.answer)}</strong></div>` :
+                          this.isCorrect ? '<div class="text-success">✓ Правильно!</div>' :
+                          `<div class="text-error">✗ Неправильно</div><div class="mt-1">Правильно: <strong>${escapeHtml(this.currentBlank.answer)}</strong></div>`}
+                        ${chunk.grammarNote ? `<div class="mt-1 text-secondary">📝 ${escapeHtml(chunk.grammarNote)}</div>` : ''}
                     </div>
                     <button class="btn btn--primary btn--block mt-2" onclick="currentGame.nextQuestion(); renderGame();">Далее →</button>
                 ` : `<button class="btn btn--primary btn--block mt-2" onclick="currentGame.submit(); renderGame();">Проверить</button>`}
@@ -1,93 +1,84 @@
 /**
  * Flashcards Game - Флеш-карточки с SRS (Spaced Repetition System)
- * Алгоритм SM-2 для интервального повторения
+ * Планировщик FSRS или SM-2 по настройкам (см. srs.js)
+ * Типы карточек: турецкий → русский, русский → турецкий, ввод ответа (оценка
+ * выставляется по сравнению с правильным ответом) и на слух. У каждого типа
+ * своя SRS запись (см. cardKey).
+ * Карточку можно приостановить, отложить до завтра или отметить как ошибочную (см. card-status.js)
  */
 
-import { getSRSData, saveSRSData } from '../storage.js';
+import { getSRSData, saveSRSData, getSettings, appendReviewLog } from '../storage.js';
+import { newCard, scheduleCard, qualityToRating, getCardState, elapsedDays } from '../srs.js';
+import { applyLeech, isHidden, suspendCard, buryCard, reportChunk } from '../card-status.js';
+import { cardKey, DEFAULT_CARD_TYPE } from '../chunk-id.js';
+import { gradeAnswer, isNearMiss, chunkAnswers } from '../answer-grader.js';
+import { VERDICT_TITLES } from './enhanced-feedback.js';
 import { speak } from '../tts.js';
+import { escapeHtml } from '../html.js';
 
-// Константы SM-2 алгоритма
-const DEFAULT_EASE_FACTOR = 2.5;
-const MIN_EASE_FACTOR = 1.3;
+// Игры карточек по типам
+export const FLASHCARD_GAMES = {
+    'flashcards': 'recognition',
+    'flashcards-reverse': 'reverse',
+    'flashcards-typed': 'typed',
+    'flashcards-audio': 'audio'
+};
 
 /**
  * Получить SRS данные для chunk
- * @param {string} chunkId - ID chunk
+ * @param {string} chunkId - ключ SRS записи (ID chunk или cardKey)
  * @returns {object} - SRS данные
  */
 export function getSRSForChunk(chunkId) {
     const srsData = getSRSData();
-    return srsData[chunkId] || {
-        interval: 0,
-        easeFactor: DEFAULT_EASE_FACTOR,
-        nextReview: 0,
-        repetitions: 0
-    };
+    return srsData[chunkId] || newCard();
 }
 
 /**
- * Обновить SRS данные после оценки (SM-2 алгоритм)
- * @param {string} chunkId - ID chunk
- * @param {number} quality - оценка (0-5, где 0-2 = hard, 3 = medium, 4-5 = easy)
+ * Обновить SRS данные после оценки и записать ответ в журнал повторений
+ * На пороге забываний карточка помечается как пиявка
+ * @param {string} chunkId - ключ SRS записи (ID chunk или cardKey)
+ * @param {number} quality - оценка (0-5, где 0-2 = не вспомнил, 3 = с трудом, 4 = хорошо, 5 = легко)
+ * @param {object} settings - настройки планировщика (по умолчанию из профиля)
+ * @param {string} source - игра, в которой был ответ
+ * @param {object} options - {countLapse}: false - провал двигает расписание, но забыванием не считается
  * @returns {object} - обновлённые SRS данные
  */
-export function updateSRS(chunkId, quality) {
+export function updateSRS(chunkId, quality, settings = getSettings(), source = 'flashcards', { countLapse = true } = {}) {
     const srsData = getSRSData();
-    const current = srsData[chunkId] || {
-        interval: 0,
-        easeFactor: DEFAULT_EASE_FACTOR,
-        nextReview: 0,
-        repetitions: 0
-    };
-
-    let { interval, easeFactor, repetitions } = current;
-
-    // SM-2 алгоритм
-    if (quality >= 3) {
-        // Правильный ответ
-        if (repetitions === 0) {
-            interval = 1;
-        } else if (repetitions === 1) {
-            interval = 6;
-        } else {
-            interval = Math.round(interval * easeFactor);
-        }
-        repetitions++;
-    } else {
-        // Неправильный ответ - сброс
-        repetitions = 0;
-        interval = 1;
-    }
+    const current = srsData[chunkId] || newCard();
+    const now = Date.now();
 
-    // Обновление ease factor
-    easeFactor = easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
-    if (easeFactor < MIN_EASE_FACTOR) {
-        easeFactor = MIN_EASE_FACTOR;
+    const scheduled = scheduleCard(current, quality, settings, now);
+    if (!countLapse) {
+        scheduled.lapses = current.lapses || 0;
     }
-
-    const nextReview = Date.now() + interval * 24 * 60 * 60 * 1000;
-
-    const updated = {
-        interval,
-        easeFactor,
-        nextReview,
-        repetitions
-    };
+    const updated = applyLeech(current, scheduled, settings);
 
     srsData[chunkId] = updated;
     saveSRSData(srsData);
+    // Журнал пишется в фоне: ошибка записи не мешает оценке ответа
+    appendReviewLog({
+        time: now,
+        chunkId,
+        rating: qualityToRating(quality),
+        elapsedDays: Math.round(elapsedDays(current, now) * 1000) / 1000,
+        state: getCardState(current),
+        source
+    }).catch(error => console.error('Review log error:', error));
 
     return updated;
 }
 
 /**
  * Конвертация оценки сложности в quality для SM-2
- * @param {string} difficulty - easy | medium | hard
+ * @param {string} difficulty - easy | good | medium | hard
  * @returns {number} - quality (0-5)
  */
 export function difficultyToQuality(difficulty) {
     switch (difficulty) {
         case 'easy': return 5;
+        case 'good': return 4;
         case 'medium': return 3;
         case 'hard': return 1;
         default: return 3;
@@ -95,18 +86,30 @@ export function difficultyToQuality(difficulty) {
 }
 
 
+/**
+ * Самооценка введённой карточки по вердикту gradeAnswer
+ * Промах (турецкие буквы, опечатка, окончание) - вспомнил с трудом
+ * @param {string} verdict - вердикт gradeAnswer
+ * @returns {string} - good | medium | hard
+ */
+export function typedDifficulty(verdict) {
+    if (verdict === 'correct') return 'good';
+    return isNearMiss(verdict) ? 'medium' : 'hard';
+}
+
 /**
  * Сортировка карточек по SRS приоритету
  * Карточки с более ранним nextReview идут первыми
  * @param {Array} chunks - массив chunks
+ * @param {string} cardType - тип карточек
  * @returns {Array} - отсортированный массив
  */
-export function sortByPriority(chunks) {
+export function sortByPriority(chunks, cardType = DEFAULT_CARD_TYPE) {
     const srsData = getSRSData();
     
     return [...chunks].sort((a, b) => {
-        const srsA = srsData[a.id] || { nextReview: 0 };
-        const srsB = srsData[b.id] || { nextReview: 0 };
+        const srsA = srsData[cardKey(a.id, cardType)] || { nextReview: 0 };
+        const srsB = srsData[cardKey(b.id, cardType)] || { nextReview: 0 };
         
         // Карточки без SRS данных (новые) идут первыми
         if (srsA.nextReview === 0 && srsB.nextReview !== 0) return -1;
@@ -121,13 +124,29 @@ export function sortByPriority(chunks) {
  * Класс игры Flashcards
  */
 export class FlashcardsGame {
-    constructor(content) {
-        this.name = 'flashcards';
+    /**
+     * @param {object} content - контент темы или общей очереди повторения
+     * @param {string} cardType - тип карточек (в очереди повторения - у каждой карточки свой)
+     */
+    constructor(content, cardType = DEFAULT_CARD_TYPE) {
+        this.cardType = cardType;
+        this.name = cardType === DEFAULT_CARD_TYPE ? 'flashcards' : `flashcards-${cardType}`;
         this.icon = '🃏';
         this.content = content;
-        this.cards = sortByPriority(content.chunks);
+        if (content.review) {
+            // Общая очередь повторения уже упорядочена (см. review-queue.js)
+            this.cards = [...content.chunks];
+        } else {
+            // Пиявки этого направления, приостановленные автоматически, не показываются
+            const srsData = getSRSData();
+            this.cards = sortByPriority(content.chunks, cardType)
+                .filter(chunk => !isHidden(srsData[cardKey(chunk.id, cardType)]));
+        }
         this.currentIndex = 0;
         this.isFlipped = false;
+        this.heard = false;
+        this.userInput = '';
+        this.typedResult = null;
         this.results = [];
         this.startTime = Date.now();
     }
@@ -140,32 +159,84 @@ export class FlashcardsGame {
         return this.cards[this.currentIndex] || null;
     }
 
+    /**
+     * Тип карточки: в очереди повторения задан у карточки
+     * @param {object} card - карточка
+     * @returns {string}
+     */
+    getCardType(card) {
+        return card.cardType || this.cardType;
+    }
+
     /**
      * Перевернуть карточку
+     * Карточка на слух сначала озвучивается, с вводом ответа - переворачивается проверкой
      */
     flip() {
+        const card = this.getCurrentCard();
+        if (!card) return;
+        const cardType = this.getCardType(card);
+
+        if (cardType === 'typed' && !this.typedResult) return;
+        if (cardType === 'audio' && !this.heard && !this.isFlipped) {
+            this.speak();
+            return;
+        }
         this.isFlipped = !this.isFlipped;
     }
 
+    /**
+     * Ввод ответа
+     * @param {string} value - текст
+     */
+    setInput(value) {
+        this.userInput = value;
+    }
+
+    /**
+     * Проверка введённого ответа: оценка выставляется по сравнению
+     */
+    checkTyped() {
+        const card = this.getCurrentCard();
+        if (!card || this.typedResult) return;
+
+        const grade = gradeAnswer(this.userInput, chunkAnswers(card));
+        const difficulty = typedDifficulty(grade.verdict);
+        this.typedResult = { ...grade, difficulty, input: this.userInput };
+        this.answer(card, difficulty);
+        this.isFlipped = true;
+    }
+
     /**
      * Оценить карточку
-     * @param {string} difficulty - easy | medium | hard
+     * @param {string} difficulty - easy | good | medium | hard
      */
     rate(difficulty) {
         const card = this.getCurrentCard();
         if (!card) return;
 
+        this.answer(card, difficulty);
+        this.nextCard();
+    }
+
+    /**
+     * Записать ответ в SRS и результаты
+     * @param {object} card - карточка
+     * @param {string} difficulty - easy | good | medium | hard
+     */
+    answer(card, difficulty) {
         const quality = difficultyToQuality(difficulty);
-        const srsResult = updateSRS(card.id, quality);
+        const key = cardKey(card.id, this.getCardType(card));
+        const srsResult = updateSRS(key, quality, getSettings(), this.content.review ? 'review' : this.name);
 
         this.results.push({
             chunkId: card.id,
+            cardType: this.getCardType(card),
             difficulty,
             quality,
-            newInterval: srsResult.interval
+            newInterval: srsResult.interval,
+            leech: Boolean(srsResult.leech)
         });
-
-        this.nextCard();
     }
 
     /**
@@ -173,7 +244,69 @@ export class FlashcardsGame {
      */
     nextCard() {
         this.currentIndex++;
+        this.resetCard();
+    }
+
+    /**
+     * Сброс состояния показа карточки
+     */
+    resetCard() {
         this.isFlipped = false;
+        this.heard = false;
+        this.userInput = '';
+        this.typedResult = null;
+    }
+
+    /**
+     * Убрать текущую карточку из сессии без оценки
+     */
+    skipCard() {
+        this.cards.splice(this.currentIndex, 1);
+        this.resetCard();
+    }
+
+    /**
+     * Приостановить текущую карточку до ручного возврата
+     */
+    suspend() {
+        const card = this.getCurrentCard();
+        if (!card) return;
+        suspendCard(card.id);
+        this.skipCard();
+    }
+
+    /**
+     * Отложить текущую карточку до завтра
+     */
+    bury() {
+        const card = this.getCurrentCard();
+        if (!card) return;
+        buryCard(card.id);
+        this.skipCard();
+    }
+
+    /**
+     * Отметить фразу как ошибочную - она скрывается из игр
+     */
+    report() {
+        const card = this.getCurrentCard();
+        if (!card) return;
+        reportChunk({ ...card, topicId: card.topicId || this.content.topicId });
+        this.skipCard();
+    }
+
+    /**
+     * Озвучка текущей карточки
+     */
+    async speak() {
+        const card = this.getCurrentCard();
+        if (!card) return;
+        this.heard = true;
+        try {
+            await speak(card.turkish, null, { topicId: card.topicId || this.content.topicId });
+        } catch (e) {
+            console.warn('TTS error:', e);
+        }
     }
 
     /**
@@ -190,22 +323,26 @@ export class FlashcardsGame {
      */
     getResults() {
         const easy = this.results.filter(r => r.difficulty === 'easy').length;
+        const good = this.results.filter(r => r.difficulty === 'good').length;
         const medium = this.results.filter(r => r.difficulty === 'medium').length;
         const hard = this.results.filter(r => r.difficulty === 'hard').length;
+        const leeches = new Set(this.results.filter(r => r.leech).map(r => r.chunkId)).size;
         
-        // Процент "лёгких" ответов как показатель успеха
+        // Процент уверенных ответов как показатель успеха
         const percentage = this.results.length > 0 
-            ? Math.round((easy / this.results.length) * 100) 
+            ? Math.round(((easy + good) / this.results.length) * 100) 
             : 0;
 
         return {
-            correct: easy + medium,
+            correct: easy + good + medium,
             total: this.results.length,
             percentage,
             timeSpent: Math.round((Date.now() - this.startTime) / 1000),
-            chunksLearned: easy + medium,
+            chunksLearned: easy + good + medium,
+            leeches,
             details: {
                 easy,
+                good,
                 medium,
                 hard
             }
@@ -236,30 +373,134 @@ export class FlashcardsGame {
                 <div class="flashcard ${this.isFlipped ? 'flashcard--flipped' : ''}" onclick="currentGame.flip(); renderGame();">
                     <div class="flashcard__inner">
                         <div class="flashcard__front">
-                            <div class="flashcard__phrase">${card.turkish}</div>
-                            <button class="btn btn--secondary mt-2" onclick="event.stopPropagation(); App.speakPhrase(${this.currentIndex});">🔊 Озвучить</button>
+                            ${this.renderFront(card)}
                         </div>
                         <div class="flashcard__back">
-                            <div class="flashcard__phrase">${card.russian}</div>
-                            ${card.example ? `<div class="flashcard__example">${card.example}</div>` : ''}
-                            ${card.grammarNote ? `<div class="flashcard__grammar mt-1">📝 ${card.grammarNote}</div>` : ''}
+                            ${this.renderBack(card)}
                         </div>
                     </div>
                 </div>
 
-                ${this.isFlipped ? `
-                    <div class="flashcard__rating">
-                        <button class="btn btn--danger" onclick="currentGame.rate('hard'); renderGame();">😓 Сложно</button>
-                        <button class="btn btn--secondary" onclick="currentGame.rate('medium'); renderGame();">🤔 Средне</button>
-                        <button class="btn btn--primary" onclick="currentGame.rate('easy'); renderGame();">😊 Легко</button>
-                    </div>
-                ` : `
-                    <p class="text-center text-secondary mt-2">Нажмите на карточку, чтобы увидеть перевод</p>
-                `}
+                ${this.renderControls(card)}
+
+                <div class="flashcard__actions">
+                    <button class="flashcard__action" onclick="currentGame.bury(); renderGame();" title="Вернётся завтра">💤 Отложить</button>
+                    <button class="flashcard__action" onclick="currentGame.suspend(); renderGame();" title="Не показывать, пока не вернёте в списке фраз">⏸ Приостановить</button>
+                    <button class="flashcard__action" onclick="currentGame.report(); renderGame();" title="Скрыть фразу и заменить при замене слабых">⚠️ Ошибка в фразе</button>
+                </div>
             </div>
         `;
     }
 
+    /**
+     * Лицевая сторона карточки
+     * @param {object} card - карточка
+     * @returns {string} - HTML
+     */
+    renderFront(card) {
+        switch (this.getCardType(card)) {
+            case 'reverse':
+            case 'typed':
+                return `<div class="flashcard__phrase">${escapeHtml(card.russian)}</div>`;
+            case 'audio':
+                return `
+                    <button class="btn btn--primary" onclick="event.stopPropagation(); currentGame.speak(); renderGame();">🔊 Прослушать</button>
+                    <p class="text-secondary mt-1">Вспомните перевод услышанной фразы</p>
+                `;
+            default:
+                return `
+                    <div class="flashcard__phrase">${escapeHtml(card.turkish)}</div>
+                    <button class="btn btn--secondary mt-2" onclick="event.stopPropagation(); currentGame.speak();">🔊 Озвучить</button>
+                `;
+        }
+    }
+
+    /**
+     * Оборотная сторона карточки
+     * @param {object} card - карточка
+     * @returns {string} - HTML
+     */
+    renderBack(card) {
+        const details = `
+            ${card.example ? `<div class="flashcard__example">${escapeHtml(card.example)}</div>` : ''}
+            ${card.grammarNote ? `<div class="flashcard__grammar mt-1">📝 ${escapeHtml(card.grammarNote)}</div>` : ''}
+        `;
+        switch (this.getCardType(card)) {
+            case 'reverse':
+            case 'typed':
+                return `
+                    <div class="flashcard__phrase">${escapeHtml(card.turkish)}</div>
+                    <button class="btn btn--secondary mt-2" onclick="event.stopPropagation(); currentGame.speak();">🔊 Озвучить</button>
+                    ${details}
+                `;
+            case 'audio':
+                return `
+                    <div class="flashcard__phrase">${escapeHtml(card.turkish)}</div>
+                    <div class="flashcard__example">${escapeHtml(card.russian)}</div>
+                    ${card.grammarNote ? `<div class="flashcard__grammar mt-1">📝 ${escapeHtml(card.grammarNote)}</div>` : ''}
+                `;
+            default:
+                return `<div class="flashcard__phrase">${escapeHtml(card.russian)}</div>${details}`;
+        }
+    }
+
+    /**
+     * Оценка карточки: кнопки самооценки или ввод ответа
+     * @param {object} card - карточка
+     * @returns {string} - HTML
+     */
+    renderControls(card) {
+        const cardType = this.getCardType(card);
+
+        if (cardType === 'typed') {
+            if (!this.typedResult) {
+                return `
+                    <input type="text"
+                           class="game__input mt-2"
+                           placeholder="Напишите по-турецки..."
+                           value="${escapeHtml(this.userInput)}"
+                           oninput="currentGame.setInput(this.value)"
+                           onkeypress="if(event.key === 'Enter') { currentGame.checkTyped(); renderGame(); }"
+                           autofocus>
+                    <button class="btn btn--primary btn--block mt-2" onclick="currentGame.checkTyped(); renderGame();">
+                        Проверить
+                    </button>
+                `;
+            }
+            const { verdict, difficulty } = this.typedResult;
+            const ratings = { good: '🙂 Хорошо', medium: '🤔 Средне', hard: '😓 Сложно' };
+            const tone = verdict === 'correct' ? 'text-success' : isNearMiss(verdict) ? 'text-warning' : 'text-error';
+            const mark = verdict === 'correct' ? '✓' : isNearMiss(verdict) ? '≈' : '✗';
+            return `
+                <div class="card mt-2">
+                    <div class="${tone}">${mark} ${VERDICT_TITLES[verdict]} — ${ratings[difficulty]}</div>
+                    ${this.typedResult.verdict !== 'correct' ? `<div class="mt-1">Ваш ответ: <s>${escapeHtml(this.typedResult.input)}</s></div>` : ''}
+                </div>
+                <button class="btn btn--primary btn--block mt-2" onclick="currentGame.nextCard(); renderGame();">
+                    Далее →
+                </button>
+            `;
+        }
+
+        if (this.isFlipped) {
+            return `
+                <div class="flashcard__rating">
+                    <button class="btn btn--danger" onclick="currentGame.rate('hard'); renderGame();">😓 Сложно</button>
+                    <button class="btn btn--secondary" onclick="currentGame.rate('medium'); renderGame();">🤔 Средне</button>
+                    <button class="btn btn--secondary" onclick="currentGame.rate('good'); renderGame();">🙂 Хорошо</button>
+                    <button class="btn btn--primary" onclick="currentGame.rate('easy'); renderGame();">😊 Легко</button>
+                </div>
+            `;
+        }
+
+        const hints = {
+            recognition: 'Нажмите на карточку, чтобы увидеть перевод',
+            reverse: 'Вспомните фразу по-турецки и нажмите на карточку',
+            audio: this.heard ? 'Нажмите на карточку, чтобы увидеть текст' : 'Нажмите на карточку, чтобы прослушать фразу'
+        };
+        return `<p class="text-center text-secondary mt-2">${hints[cardType]}</p>`;
+    }
+
     /**
      * Рендеринг результатов
      * @returns {string} - HTML
@@ -277,6 +518,10 @@ export class FlashcardsGame {
                         <div class="results__stat-value text-success">${results.details.easy}</div>
                         <div class="results__stat-label">Легко</div>
                     </div>
+                    <div class="results__stat">
+                        <div class="results__stat-value">${results.details.good}</div>
+                        <div class="results__stat-label">Хорошо</div>
+                    </div>
                     <div class="results__stat">
                         <div class="results__stat-value">${results.details.medium}</div>
                         <div class="results__stat-label">Средне</div>
@@ -287,7 +532,10 @@ export class FlashcardsGame {
                     </div>
                 </div>
                 <p class="text-secondary">Время: ${results.timeSpent} сек</p>
-                <button class="btn btn--primary btn--block mt-2" onclick="App.saveGameResult('flashcards', ${JSON.stringify(results).replace(/"/g, '&quot;')}); App.navigate('games');">
+                ${results.leeches > 0 ? `
+                    <p class="text-secondary">🐛 Трудных карточек (пиявок): ${results.leeches}. Их можно найти в списке фраз темы.</p>
+                ` : ''}
+                <button class="btn btn--primary btn--block mt-2" onclick="App.saveGameResult('${this.name}', ${JSON.stringify(results).replace(/"/g, '&quot;')}); App.navigate('${this.content.review ? 'home' : 'games'}');">
                     Продолжить
                 </button>
             </div>
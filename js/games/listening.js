@@ -5,6 +5,8 @@
 
 import { speak } from '../tts.js';
 import { generateOptions } from './quiz.js';
+import { reportAnswer } from '../answer-events.js';
+import { escapeHtml } from '../html.js';
 
 export class ListeningGame {
     constructor(content) {
@@ -42,6 +44,7 @@ export class ListeningGame {
         if (this.showResult) return;
         this.selectedOption = index;
         this.showResult = true;
+        reportAnswer(this.name, this.getCurrentChunk().id, this.currentOptions[index].isCorrect);
         if (this.currentOptions[index].isCorrect) {
             this.score++;
             this.shadowingMode = true;
@@ -85,7 +88,7 @@ export class ListeningGame {
                     <div class="game__question">
                         <h3>🎤 Shadowing</h3>
                         <p class="text-secondary">Повторите за диктором:</p>
-                        <div class="mt-2" style="font-size: 1.5rem;">${chunk.turkish}</div>
+                        <div class="mt-2" style="font-size: 1.5rem;">${escapeHtml(chunk.turkish)}</div>
                         <button class="btn btn--secondary mt-2" onclick="currentGame.playAudio()">🔊 Прослушать ещё раз</button>
                     </div>
                     <button class="btn btn--primary btn--block mt-2" onclick="currentGame.completeShadowing(); renderGame();">
@@ -106,7 +109,7 @@ export class ListeningGame {
                     ${this.currentOptions.map((opt, i) => `
                         <button class="game__option ${this.showResult ? (opt.isCorrect ? 'game__option--correct' : (i === this.selectedOption ? 'game__option--incorrect' : '')) : ''}"
                                 onclick="currentGame.selectOption(${i}); renderGame();" ${this.showResult ? 'disabled' : ''}>
-                            ${opt.text}
+                            ${escapeHtml(opt.text)}
                         </button>
                     `).join('')}
                 </div>
@@ -3,6 +3,9 @@
  * 6 турецких фраз и 6 переводов
  */
 
+import { reportAnswer } from '../answer-events.js';
+import { escapeHtml } from '../html.js';
+
 export class MatchingGame {
     constructor(content) {
         this.name = 'matching';
@@ -14,6 +17,8 @@ export class MatchingGame {
         this.selectedTurkish = null;
         this.selectedRussian = null;
         this.errors = 0;
+        // Фразы, для которых выбирали неверный перевод
+        this.mistakes = new Set();
         this.matchedCount = 0;
         this.startTime = Date.now();
     }
@@ -40,8 +45,10 @@ export class MatchingGame {
             turkish.matched = true;
             russian.matched = true;
             this.matchedCount++;
+            reportAnswer(this.name, turkish.id, !this.mistakes.has(turkish.id));
         } else {
             this.errors++;
+            this.mistakes.add(turkish.id);
         }
         
         this.selectedTurkish = null;
@@ -77,7 +84,7 @@ export class MatchingGame {
                         ${this.turkishItems.map((item, i) => `
                             <div class="matching__item ${item.matched ? 'matching__item--matched' : ''} ${this.selectedTurkish === i ? 'matching__item--selected' : ''}"
                                  onclick="currentGame.selectTurkish(${i}); renderGame();">
-                                ${item.text}
+                                ${escapeHtml(item.text)}
                             </div>
                         `).join('')}
                     </div>
@@ -85,7 +92,7 @@ export class MatchingGame {
                         ${this.russianItems.map((item, i) => `
                             <div class="matching__item ${item.matched ? 'matching__item--matched' : ''} ${this.selectedRussian === i ? 'matching__item--selected' : ''}"
                                  onclick="currentGame.selectRussian(${i}); renderGame();">
-                                ${item.text}
+                                ${escapeHtml(item.text)}
                             </div>
                         `).join('')}
                     </div>
@@ -4,6 +4,8 @@
  */
 
 import { speak } from '../tts.js';
+import { reportAnswer } from '../answer-events.js';
+import { escapeHtml } from '../html.js';
 
 /**
  * Генерация вариантов ответа
@@ -76,6 +78,7 @@ export class QuizGame {
             selectedOption: index,
             isCorrect
         });
+        reportAnswer(this.name, this.getCurrentChunk().id, isCorrect);
     }
 
     nextQuestion() {
@@ -123,7 +126,7 @@ export class QuizGame {
                 </div>
 
                 <div class="game__question">
-                    <div>${chunk.turkish}</div>
+                    <div>${escapeHtml(chunk.turkish)}</div>
                     <button class="btn btn--secondary mt-1" onclick="currentGame.speak()">🔊</button>
                 </div>
 
@@ -132,7 +135,7 @@ export class QuizGame {
                         <button class="game__option ${this.getOptionClass(i)}"
                                 onclick="currentGame.selectOption(${i}); renderGame();"
                                 ${this.showResult ? 'disabled' : ''}>
-                            ${opt.text}
+                            ${escapeHtml(opt.text)}
                         </button>
                     `).join('')}
                 </div>
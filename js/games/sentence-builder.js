@@ -3,6 +3,11 @@
  * Перемешанные слова нужно расставить в правильном порядке (SOV)
  */
 
+import { reportAnswer } from '../answer-events.js';
+import { toTurkishLower, sameAnswer } from '../turkish-text.js';
+import { chunkAnswers } from '../answer-grader.js';
+import { escapeHtml } from '../html.js';
+
 /**
  * Нормализация слова - убираем заглавную букву и пунктуацию
  * @param {string} word - слово
@@ -11,10 +16,10 @@
  * @returns {string} - нормализованное слово
  */
 export function normalizeWord(word, isFirst, isLast) {
-    let result = word;
-    // Убираем заглавную букву у первого слова
+    let result = word.normalize('NFC');
+    // Убираем заглавную букву у первого слова (İ → i, I → ı)
     if (isFirst && result.length > 0) {
-        result = result.charAt(0).toLowerCase() + result.slice(1);
+        result = toTurkishLower(result.charAt(0)) + result.slice(1);
     }
     // Убираем точку/вопросительный/восклицательный знак в конце последнего слова
     if (isLast) {
@@ -63,9 +68,7 @@ export function validateOrder(userOrder, correctSentence) {
         normalizeWord(w, i === 0, i === correctWords.length - 1)
     );
     
-    return userOrder.every((word, i) => 
-        word.toLowerCase() === normalizedCorrect[i].toLowerCase()
-    );
+    return userOrder.every((word, i) => sameAnswer(word, normalizedCorrect[i]));
 }
 
 export class SentenceBuilderGame {
@@ -110,10 +113,12 @@ export class SentenceBuilderGame {
     submit() {
         if (this.showResult) return;
         const chunk = this.getCurrentChunk();
-        const correct = chunk.example || chunk.turkish;
-        this.isCorrect = validateOrder(this.selectedWords, correct);
+        // Без примера собирается сама фраза - подходит и другой допустимый порядок слов
+        const answers = chunk.example ? [chunk.example] : chunkAnswers(chunk);
+        this.isCorrect = answers.some(answer => validateOrder(this.selectedWords, answer));
         this.showResult = true;
         if (this.isCorrect) this.score++;
+        reportAnswer(this.name, chunk.id, this.isCorrect);
     }
 
     nextQuestion() {
@@ -151,11 +156,11 @@ export class SentenceBuilderGame {
                     </div>
                 </div>
                 <div class="game__question">
-                    <div class="game__translation">${chunk.exampleTranslation || chunk.russian}</div>
+                    <div class="game__translation">${escapeHtml(chunk.exampleTranslation || chunk.russian)}</div>
                 </div>
                 <div class="word-builder__answer">
                     ${this.selectedWords.map((w, i) => `
-                        <span class="word-builder__word" onclick="currentGame.removeWord(${i}); renderGame();">${w}</span>
+                        <span class="word-builder__word" onclick="currentGame.removeWord(${i}); renderGame();">${escapeHtml(w)}</span>
                     `).join('')}
                 </div>
                 <div class="word-builder">
@@ -164,13 +169,13 @@ export class SentenceBuilderGame {
                                        this.shuffledWords.slice(0, i).filter(sw => sw === w).length ? false :
                                        this.selectedWords.includes(w);
                         return `<span class="word-builder__word ${isUsed ? 'word-builder__word--selected' : ''}" 
-                                      onclick="if(!this.classList.contains('word-builder__word--selected')) { currentGame.selectWord(${i}); renderGame(); }">${w}</span>`;
+                                      onclick="if(!this.classList.contains('word-builder__word--selected')) { currentGame.selectWord(${i}); renderGame(); }">${escapeHtml(w)}</span>`;
                     }).join('')}
                 </div>
                 ${this.showResult ? `
                     <div class="card mt-2">
                         ${this.isCorrect ? '<div class="text-success">✓ Правильно!</div>' : 
-                          `<div class="text-error">✗ Неправильно</div><div class="mt-1">Правильно: ${sentence}</div>`}
+                          `<div class="text-error">✗ Неправильно</div><div class="mt-1">Правильно: ${escapeHtml(sentence)}</div>`}
                     </div>
                     <button class="btn btn--primary btn--block mt-2" onclick="currentGame.nextQuestion(); renderGame();">Далее →</button>
                 ` : `<button class="btn btn--primary btn--block mt-2" onclick="currentGame.submit(); renderGame();">Проверить</button>`}
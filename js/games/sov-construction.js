@@ -3,6 +3,8 @@
  * Расставь Subject, Object, Verb в правильном порядке
  */
 
+import { escapeHtml } from '../html.js';
+
 export class SOVConstructionGame {
     constructor(content) {
         this.name = 'sov-construction';
@@ -105,14 +107,14 @@ export class SOVConstructionGame {
                 <div class="game__progress"><span>${progress}</span></div>
                 <div class="game__question">
                     <p class="text-secondary">Расставьте компоненты в порядке SOV:</p>
-                    <div class="game__translation mt-1">${chunk.russian}</div>
+                    <div class="game__translation mt-1">${escapeHtml(chunk.russian)}</div>
                 </div>
                 <div class="word-builder__answer" style="min-height: 80px;">
                     ${this.selectedOrder.map((role, i) => {
                         const comp = components.find(c => c.role === role);
                         return `<div class="word-builder__word" style="background: ${roleColors[role]}; color: white;" 
                                      onclick="currentGame.removeComponent(${i}); renderGame();">
-                            <small>${roleLabels[role]}</small><br>${comp?.text || role}
+                            <small>${roleLabels[role]}</small><br>${escapeHtml(comp?.text || role)}
                         </div>`;
                     }).join('')}
                 </div>
@@ -122,7 +124,7 @@ export class SOVConstructionGame {
                         return `<div class="word-builder__word ${isUsed ? 'word-builder__word--selected' : ''}" 
                                      style="border: 2px solid ${roleColors[comp.role]};"
                                      onclick="if(!${isUsed}) { currentGame.selectComponent('${comp.role}'); renderGame(); }">
-                            <small style="color: ${roleColors[comp.role]}">${roleLabels[comp.role]}</small><br>${comp.text}
+                            <small style="color: ${roleColors[comp.role]}">${roleLabels[comp.role]}</small><br>${escapeHtml(comp.text)}
                         </div>`;
                     }).join('')}
                 </div>
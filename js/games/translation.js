@@ -4,6 +4,14 @@
  */
 
 import { speak } from '../tts.js';
+import { reportAnswer } from '../answer-events.js';
+import { answerKey } from '../turkish-text.js';
+import { gradeAnswer, isNearMiss, chunkAnswers } from '../answer-grader.js';
+import { canAppeal, appealAnswer } from '../api.js';
+import { renderEnhancedFeedback, renderAppeal, renderDifferences } from './enhanced-feedback.js';
+import { escapeHtml } from '../html.js';
+
+export { highlightDifferences } from '../answer-diff.js';
 
 /**
  * Генерация подсказки - первые буквы каждого слова
@@ -20,16 +28,12 @@ export function generateHint(turkish) {
 }
 
 /**
- * Нормализация строки для сравнения
+ * Нормализация строки для сравнения (см. answerKey в turkish-text.js)
  * @param {string} str - строка
  * @returns {string} - нормализованная строка
  */
 export function normalizeAnswer(str) {
-    return str
-        .toLowerCase()
-        .replace(/[.,!?;:'"]/g, '')  // Убираем пунктуацию
-        .replace(/\s+/g, ' ')         // Нормализуем пробелы
-        .trim();
+    return answerKey(str);
 }
 
 /**
@@ -43,28 +47,6 @@ export function compareAnswers(userAnswer, correctAnswer) {
 }
 
 
-/**
- * Подсветка различий между строками
- * @param {string} userAnswer - ответ пользователя
- * @param {string} correctAnswer - правильный ответ
- * @returns {object} - объект с подсвеченными различиями
- */
-export function highlightDifferences(userAnswer, correctAnswer) {
-    const userWords = userAnswer.split(' ').filter(w => w.length > 0);
-    const correctWords = correctAnswer.split(' ').filter(w => w.length > 0);
-    
-    return {
-        user: userWords.map((word, i) => ({
-            text: word,
-            correct: correctWords[i] && normalizeAnswer(correctWords[i]) === normalizeAnswer(word)
-        })),
-        correct: correctWords.map((word, i) => ({
-            text: word,
-            missing: !userWords[i] || normalizeAnswer(userWords[i]) !== normalizeAnswer(word)
-        }))
-    };
-}
-
 /**
  * Класс игры Translation
  */
@@ -80,6 +62,13 @@ export class TranslationGame {
         this.showingFeedback = false;
         this.hintRevealed = false;
         this.lastAnswer = '';
+        this.grade = null;
+        this.isCorrect = false;
+        this.awaitingDecision = false;
+        this.recorded = false;
+        this.appealable = false;
+        this.appealState = null;
+        this.appealExplanation = '';
         this.startTime = Date.now();
     }
 
@@ -97,27 +86,99 @@ export class TranslationGame {
         if (!chunk) return;
         
         this.lastAnswer = userAnswer;
-        const isCorrect = compareAnswers(userAnswer, chunk.turkish);
-        
+        this.grade = gradeAnswer(userAnswer, chunkAnswers(chunk));
+        this.showingFeedback = true;
+        this.recorded = false;
+
+        // Почти правильный ответ засчитывает или нет сам ученик
+        this.awaitingDecision = isNearMiss(this.grade.verdict);
+        // Неверный ответ можно оспорить - тогда он записывается, когда ученик идёт дальше
+        this.appealable = this.grade.verdict !== 'correct' && canAppeal();
+        if (!this.awaitingDecision && !this.appealable) {
+            this.recordAnswer(this.grade.verdict === 'correct');
+        }
+    }
+
+    /**
+     * Апелляция: модель проверяет, верен ли перевод ученика
+     * Принятый вариант засчитывается как правильный ответ
+     * @returns {Promise<void>}
+     */
+    async appeal() {
+        if (!this.appealable || this.recorded || this.appealState) return;
+
+        const chunk = this.getCurrentChunk();
+        const answer = this.lastAnswer;
+        this.appealState = 'pending';
+        let result;
+        try {
+            result = await appealAnswer(chunk, answer);
+        } catch (error) {
+            this.appealState = null;
+            throw error;
+        }
+
+        // Ученик мог уйти к следующему вопросу, пока шла проверка
+        if (this.getCurrentChunk() !== chunk || this.recorded) return;
+
+        this.appealState = result.valid ? 'accepted' : 'rejected';
+        this.appealExplanation = result.explanation;
+        if (result.valid) {
+            this.grade = gradeAnswer(answer, [...chunkAnswers(chunk), answer]);
+            this.awaitingDecision = false;
+            this.recordAnswer(true);
+        }
+    }
+
+    /**
+     * Решение ученика по почти правильному ответу
+     * @param {boolean} accepted - засчитать ответ
+     */
+    decide(accepted) {
+        if (!this.awaitingDecision) return;
+        this.awaitingDecision = false;
+        this.recordAnswer(accepted);
+    }
+
+    /**
+     * Записать ответ в результаты и SRS
+     * @param {boolean} isCorrect - ответ засчитан
+     */
+    recordAnswer(isCorrect) {
+        const chunk = this.getCurrentChunk();
+        this.isCorrect = isCorrect;
+        this.recorded = true;
+
         if (isCorrect) {
             this.score++;
         }
         
         this.answers.push({
             chunkId: chunk.id,
-            userAnswer,
+            userAnswer: this.lastAnswer,
             correctAnswer: chunk.turkish,
-            isCorrect
+            isCorrect,
+            verdict: this.grade.verdict,
+            score: this.grade.score
         });
-        
-        this.showingFeedback = true;
+        reportAnswer(this.name, chunk.id, isCorrect, this.grade.verdict);
     }
 
     nextQuestion() {
+        if (this.grade && !this.recorded) {
+            this.awaitingDecision = false;
+            this.recordAnswer(false);
+        }
         this.currentIndex++;
         this.showingFeedback = false;
         this.hintRevealed = false;
         this.lastAnswer = '';
+        this.grade = null;
+        this.isCorrect = false;
+        this.recorded = false;
+        this.appealable = false;
+        this.appealState = null;
+        this.appealExplanation = '';
     }
 
     isComplete() {
@@ -176,11 +237,11 @@ export class TranslationGame {
 
                 <div class="game__question">
                     <div class="game__label">Переведите на турецкий:</div>
-                    <div class="game__russian">${chunk.russian}</div>
-                    ${chunk.example ? `<div class="game__example-hint"><em>Контекст: ${chunk.exampleTranslation}</em></div>` : ''}
+                    <div class="game__russian">${escapeHtml(chunk.russian)}</div>
+                    ${chunk.example ? `<div class="game__example-hint"><em>Контекст: ${escapeHtml(chunk.exampleTranslation)}</em></div>` : ''}
                 </div>
 
-                ${hint ? `<div class="game__hint">💡 ${hint}</div>` : ''}
+                ${hint ? `<div class="game__hint">💡 ${escapeHtml(hint)}</div>` : ''}
 
                 <div class="game__input-area">
                     <input type="text" class="game__input" id="translationInput" 
@@ -211,10 +272,43 @@ export class TranslationGame {
     }
 
 
+    /**
+     * Кнопка апелляции или её результат
+     * @returns {string} - HTML
+     */
+    renderAppeal() {
+        if (!this.appealable || (this.recorded && !this.appealState)) return '';
+        return renderAppeal({
+            state: this.appealState,
+            explanation: this.appealExplanation,
+            onAppeal: 'currentGame.appeal().catch(App.handleError).finally(renderGame); renderGame();'
+        });
+    }
+
     renderFeedback(chunk) {
-        const lastAnswerData = this.answers[this.answers.length - 1];
-        const isCorrect = lastAnswerData?.isCorrect;
-        const differences = highlightDifferences(this.lastAnswer, chunk.turkish);
+        if (this.awaitingDecision) {
+            return `
+                <div class="game">
+                    ${renderEnhancedFeedback({
+                        userAnswer: this.lastAnswer,
+                        correctAnswer: this.grade.answer,
+                        chunk,
+                        speakFn: 'currentGame.speak()',
+                        grade: this.grade,
+                        onAccept: 'currentGame.decide(true); renderGame();',
+                        onReject: 'currentGame.decide(false); renderGame();',
+                        appeal: this.appealable ? {
+                            state: this.appealState,
+                            explanation: this.appealExplanation,
+                            onAppeal: 'currentGame.appeal().catch(App.handleError).finally(renderGame); renderGame();'
+                        } : null
+                    })}
+                </div>
+            `;
+        }
+
+        const isCorrect = this.isCorrect;
+        const differences = renderDifferences(this.lastAnswer, this.grade.answer);
 
         if (isCorrect) {
             return `
@@ -222,9 +316,10 @@ export class TranslationGame {
                     <div class="feedback feedback--correct">
                         <div class="feedback__header">
                             <span class="feedback__icon">✅</span>
-                            <span class="feedback__title">Правильно!</span>
+                            <span class="feedback__title">${this.grade.verdict === 'correct' ? 'Правильно!' : 'Засчитано'}</span>
                         </div>
-                        <div class="feedback__answer">${chunk.turkish}</div>
+                        <div class="feedback__answer">${escapeHtml(chunk.turkish)}</div>
+                        ${this.renderAppeal()}
                         <button class="btn btn--primary btn--block" onclick="currentGame.nextQuestion(); renderGame();">
                             Далее →
                         </button>
@@ -243,35 +338,29 @@ export class TranslationGame {
                     
                     <div class="feedback__section">
                         <div class="feedback__label">Ваш ответ:</div>
-                        <div class="feedback__user-answer">
-                            ${differences.user.map(w => 
-                                `<span class="${w.correct ? '' : 'feedback__wrong'}">${w.text}</span>`
-                            ).join(' ')}
-                        </div>
+                        <div class="feedback__user-answer">${differences.user}</div>
                     </div>
                     
                     <div class="feedback__section">
                         <div class="feedback__label">Правильный ответ:</div>
-                        <div class="feedback__correct-answer">
-                            ${differences.correct.map(w => 
-                                `<span class="${w.missing ? 'feedback__highlight' : ''}">${w.text}</span>`
-                            ).join(' ')}
-                        </div>
+                        <div class="feedback__correct-answer">${differences.correct}</div>
                         <button class="btn btn--secondary mt-1" onclick="currentGame.speak()">🔊</button>
                     </div>
                     
                     ${chunk.grammarNote ? `
                         <div class="feedback__section">
                             <div class="feedback__label">📝 Грамматика:</div>
-                            <div class="feedback__grammar">${chunk.grammarNote}</div>
+                            <div class="feedback__grammar">${escapeHtml(chunk.grammarNote)}</div>
                         </div>
                     ` : ''}
+
+                    ${this.renderAppeal()}
                     
                     <div class="feedback__section">
                         <div class="feedback__label">Пример использования:</div>
                         <div class="feedback__example">
-                            <div class="feedback__example-turkish">${chunk.example}</div>
-                            <div class="feedback__example-russian">${chunk.exampleTranslation}</div>
+                            <div class="feedback__example-turkish">${escapeHtml(chunk.example)}</div>
+                            <div class="feedback__example-russian">${escapeHtml(chunk.exampleTranslation)}</div>
                         </div>
                     </div>
                     
@@ -3,6 +3,8 @@
  * Показывается пара фраза-перевод, нужно определить правильность
  */
 
+import { escapeHtml } from '../html.js';
+
 /**
  * Генерация пары (правильной или неправильной)
  * @param {Array} chunks - все chunks
@@ -98,8 +100,8 @@ export class TrueFalseGame {
             <div class="game">
                 <div class="game__progress"><span>${progress}</span><span>${this.score} ✓</span></div>
                 <div class="game__question">
-                    <div style="font-size: 1.5rem;">${this.currentPair.turkish}</div>
-                    <div class="game__translation mt-2">${this.currentPair.russian}</div>
+                    <div style="font-size: 1.5rem;">${escapeHtml(this.currentPair.turkish)}</div>
+                    <div class="game__translation mt-2">${escapeHtml(this.currentPair.russian)}</div>
                 </div>
                 ${!this.showResult ? `
                     <div class="game__options" style="flex-direction: row; gap: 1rem;">
@@ -3,6 +3,15 @@
  * Пользователь вводит турецкую фразу по русскому переводу
  */
 
+import { reportAnswer } from '../answer-events.js';
+import { sameAnswer } from '../turkish-text.js';
+import { gradeAnswer, isNearMiss, chunkAnswers } from '../answer-grader.js';
+import { canAppeal, appealAnswer } from '../api.js';
+import { renderAnswerDecision, renderAppeal, renderDifferences } from './enhanced-feedback.js';
+import { escapeHtml } from '../html.js';
+
+export { highlightDifferences } from '../answer-diff.js';
+
 /**
  * Сравнение ответов с нормализацией
  * @param {string} userInput - ввод пользователя
@@ -10,35 +19,7 @@
  * @returns {boolean}
  */
 export function compareAnswers(userInput, correctAnswer) {
-    const normalize = (str) => str.toLowerCase().trim().replace(/\s+/g, ' ');
-    return normalize(userInput) === normalize(correctAnswer);
-}
-
-/**
- * Подсветка различий между ответами
- * @param {string} userInput - ввод пользователя
- * @param {string} correctAnswer - правильный ответ
- * @returns {string} - HTML с подсветкой
- */
-export function highlightDifferences(userInput, correctAnswer) {
-    const userWords = userInput.trim().split(/\s+/);
-    const correctWords = correctAnswer.trim().split(/\s+/);
-    
-    let result = '';
-    const maxLen = Math.max(userWords.length, correctWords.length);
-    
-    for (let i = 0; i < maxLen; i++) {
-        const userWord = userWords[i] || '';
-        const correctWord = correctWords[i] || '';
-        
-        if (userWord.toLowerCase() === correctWord.toLowerCase()) {
-            result += `<span class="text-success">${correctWord}</span> `;
-        } else {
-            result += `<span class="text-error">${correctWord}</span> `;
-        }
-    }
-    
-    return result.trim();
+    return sameAnswer(userInput, correctAnswer);
 }
 
 /**
@@ -56,6 +37,12 @@ export class WritingGame {
         this.userInput = '';
         this.showResult = false;
         this.isCorrect = false;
+        this.grade = null;
+        this.awaitingDecision = false;
+        this.recorded = false;
+        this.appealable = false;
+        this.appealState = null;
+        this.appealExplanation = '';
         this.startTime = Date.now();
     }
 
@@ -71,9 +58,69 @@ export class WritingGame {
         if (this.showResult) return;
         
         const chunk = this.getCurrentChunk();
-        this.isCorrect = compareAnswers(this.userInput, chunk.turkish);
+        this.grade = gradeAnswer(this.userInput, chunkAnswers(chunk));
         this.showResult = true;
-        
+        this.recorded = false;
+
+        // Почти правильный ответ засчитывает или нет сам ученик
+        this.awaitingDecision = isNearMiss(this.grade.verdict);
+        // Неверный ответ можно оспорить - тогда он записывается, когда ученик идёт дальше
+        this.appealable = this.grade.verdict !== 'correct' && canAppeal();
+        if (!this.awaitingDecision && !this.appealable) {
+            this.recordAnswer(this.grade.verdict === 'correct');
+        }
+    }
+
+    /**
+     * Апелляция: модель проверяет, верен ли вариант ученика
+     * Принятый вариант засчитывается как правильный ответ
+     * @returns {Promise<void>}
+     */
+    async appeal() {
+        if (!this.appealable || this.recorded || this.appealState) return;
+
+        const chunk = this.getCurrentChunk();
+        const answer = this.userInput;
+        this.appealState = 'pending';
+        let result;
+        try {
+            result = await appealAnswer(chunk, answer);
+        } catch (error) {
+            this.appealState = null;
+            throw error;
+        }
+
+        // Ученик мог уйти к следующему вопросу, пока шла проверка
+        if (this.getCurrentChunk() !== chunk || this.recorded) return;
+
+        this.appealState = result.valid ? 'accepted' : 'rejected';
+        this.appealExplanation = result.explanation;
+        if (result.valid) {
+            this.grade = gradeAnswer(answer, [...chunkAnswers(chunk), answer]);
+            this.awaitingDecision = false;
+            this.recordAnswer(true);
+        }
+    }
+
+    /**
+     * Решение ученика по почти правильному ответу
+     * @param {boolean} accepted - засчитать ответ
+     */
+    decide(accepted) {
+        if (!this.awaitingDecision) return;
+        this.awaitingDecision = false;
+        this.recordAnswer(accepted);
+    }
+
+    /**
+     * Записать ответ в результаты и SRS
+     * @param {boolean} isCorrect - ответ засчитан
+     */
+    recordAnswer(isCorrect) {
+        const chunk = this.getCurrentChunk();
+        this.isCorrect = isCorrect;
+        this.recorded = true;
+
         if (this.isCorrect) {
             this.score++;
         }
@@ -82,15 +129,27 @@ export class WritingGame {
             chunkId: chunk.id,
             userInput: this.userInput,
             correctAnswer: chunk.turkish,
-            isCorrect: this.isCorrect
+            isCorrect: this.isCorrect,
+            verdict: this.grade.verdict,
+            score: this.grade.score
         });
+        reportAnswer(this.name, chunk.id, this.isCorrect, this.grade.verdict);
     }
 
     nextQuestion() {
+        if (this.grade && !this.recorded) {
+            this.awaitingDecision = false;
+            this.recordAnswer(false);
+        }
         this.currentIndex++;
         this.userInput = '';
         this.showResult = false;
         this.isCorrect = false;
+        this.grade = null;
+        this.recorded = false;
+        this.appealable = false;
+        this.appealState = null;
+        this.appealExplanation = '';
     }
 
     isComplete() {
@@ -131,28 +190,44 @@ export class WritingGame {
                 </div>
 
                 <div class="game__question">
-                    <div class="game__translation">${chunk.russian}</div>
-                    ${chunk.example ? `<div class="text-secondary mt-1"><em>${chunk.exampleTranslation}</em></div>` : ''}
+                    <div class="game__translation">${escapeHtml(chunk.russian)}</div>
+                    ${chunk.example ? `<div class="text-secondary mt-1"><em>${escapeHtml(chunk.exampleTranslation)}</em></div>` : ''}
                 </div>
 
                 <input type="text" 
                        class="game__input" 
                        placeholder="Напишите по-турецки..."
-                       value="${this.userInput}"
+                       value="${escapeHtml(this.userInput)}"
                        oninput="currentGame.setInput(this.value)"
                        onkeypress="if(event.key === 'Enter') { currentGame.submit(); renderGame(); }"
                        ${this.showResult ? 'disabled' : ''}
                        autofocus>
 
-                ${this.showResult ? `
+                ${this.showResult && this.awaitingDecision ? `
                     <div class="card mt-2">
-                        ${this.isCorrect ? `
+                        <div class="mt-1">Ваш ответ: ${this.renderDifferences().user}</div>
+                        <div class="mt-1">Правильно: ${this.renderDifferences().correct}</div>
+                        ${this.renderAppeal()}
+                        ${this.appealState === 'pending' ? '' : renderAnswerDecision({
+                            grade: this.grade,
+                            onAccept: 'currentGame.decide(true); renderGame();',
+                            onReject: 'currentGame.decide(false); renderGame();'
+                        })}
+                    </div>
+                ` : this.showResult ? `
+                    <div class="card mt-2">
+                        ${this.isCorrect && this.grade.verdict !== 'correct' ? `
+                            <div class="text-success">✓ Засчитано</div>
+                            <div class="mt-1">Правильно: ${escapeHtml(chunk.turkish)}</div>
+                        ` : this.isCorrect ? `
                             <div class="text-success">✓ Правильно!</div>
+                            ${this.grade.answer !== chunk.turkish ? `<div class="mt-1 text-secondary">Основной вариант: ${escapeHtml(chunk.turkish)}</div>` : ''}
                         ` : `
                             <div class="text-error">✗ Неправильно</div>
-                            <div class="mt-1">Ваш ответ: <s>${this.userInput}</s></div>
-                            <div class="mt-1">Правильно: ${highlightDifferences(this.userInput, chunk.turkish)}</div>
+                            <div class="mt-1">Ваш ответ: ${this.renderDifferences().user}</div>
+                            <div class="mt-1">Правильно: ${this.renderDifferences().correct}</div>
                         `}
+                        ${this.renderAppeal()}
                     </div>
                     <button class="btn btn--primary btn--block mt-2" onclick="currentGame.nextQuestion(); renderGame();">
                         Далее →
@@ -166,6 +241,27 @@ export class WritingGame {
         `;
     }
 
+    /**
+     * Сравнение ответа с ближайшим правильным вариантом
+     * @returns {object} - {user, correct}: HTML
+     */
+    renderDifferences() {
+        return renderDifferences(this.userInput, this.grade.answer);
+    }
+
+    /**
+     * Кнопка апелляции или её результат
+     * @returns {string} - HTML
+     */
+    renderAppeal() {
+        if (!this.appealable || (this.recorded && !this.appealState)) return '';
+        return renderAppeal({
+            state: this.appealState,
+            explanation: this.appealExplanation,
+            onAppeal: 'currentGame.appeal().catch(App.handleError).finally(renderGame); renderGame();'
+        });
+    }
+
     renderResults() {
         const results = this.getResults();
         const emoji = results.percentage >= 80 ? '🎉' : results.percentage >= 50 ? '👍' : '💪';
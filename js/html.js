@@ -0,0 +1,26 @@
+/**
+ * HTML Module - экранирование текста для вставки в разметку
+ * Фразы приходят от генератора и из импортированных колод, а ответы вводит ученик,
+ * поэтому такой текст выводится в шаблоны только через escapeHtml.
+ */
+
+/**
+ * Экранирование текста для вставки в разметку и значения атрибутов
+ * @param {any} text - текст
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Экспорт объекта Html для совместимости
+export const Html = {
+    escapeHtml
+};
+
+export default Html;
@@ -0,0 +1,120 @@
+/**
+ * Key Vault Module - API ключ под паролем
+ * Защищённый ключ хранится только в зашифрованном виде и расшифровывается
+ * один раз за сессию; выведенный из пароля ключ держится в памяти, чтобы
+ * смена API ключа не требовала пароль повторно.
+ */
+
+import {
+    getActiveProfileId, getApiKey, getStoredApiKey, saveApiKey,
+    isApiKeyProtected, isApiKeyLocked, setUnlockedApiKey
+} from './storage.js';
+import { PBKDF2_ITERATIONS, encryptSecret, encryptWithKey, decryptSecret } from './crypto.js';
+
+// Выведенные ключи разблокированных профилей: profileId -> {key, salt, iterations}
+const sessionKeys = new Map();
+
+/**
+ * Сохранение API ключа с учётом защиты
+ * Защищённый ключ перешифровывается ключом текущей сессии
+ * @param {string} apiKey - новый ключ (пустая строка удаляет ключ и защиту)
+ * @returns {Promise<boolean>}
+ * @throws {Error} API_KEY_LOCKED - защищённый ключ не разблокирован
+ */
+export async function storeApiKey(apiKey) {
+    const value = String(apiKey || '').trim();
+    if (!value) {
+        return forgetApiKey();
+    }
+    if (!isApiKeyProtected()) {
+        return saveApiKey(value);
+    }
+    const session = sessionKeys.get(getActiveProfileId());
+    if (!session) {
+        throw new Error('API_KEY_LOCKED');
+    }
+    const record = await encryptWithKey(value, session.key, session);
+    setUnlockedApiKey(value);
+    return saveApiKey(record);
+}
+
+/**
+ * Защита текущего API ключа паролем
+ * @param {string} passphrase - пароль
+ * @param {number} iterations - итерации PBKDF2
+ * @returns {Promise<boolean>}
+ * @throws {Error} API_KEY_MISSING | API_KEY_LOCKED | PASSPHRASE_EMPTY
+ */
+export async function protectApiKey(passphrase, iterations = PBKDF2_ITERATIONS) {
+    if (isApiKeyLocked()) {
+        throw new Error('API_KEY_LOCKED');
+    }
+    const apiKey = getApiKey();
+    if (!apiKey) {
+        throw new Error('API_KEY_MISSING');
+    }
+    const { record, key } = await encryptSecret(apiKey, passphrase, iterations);
+    sessionKeys.set(getActiveProfileId(), { key, salt: record.salt, iterations: record.iterations });
+    setUnlockedApiKey(apiKey);
+    return saveApiKey(record);
+}
+
+/**
+ * Разблокировка ключа на эту сессию
+ * @param {string} passphrase - пароль
+ * @returns {Promise<boolean>}
+ * @throws {Error} PASSPHRASE_INVALID
+ */
+export async function unlockApiKey(passphrase) {
+    if (!isApiKeyProtected()) {
+        return true;
+    }
+    const record = getStoredApiKey();
+    const { plaintext, key } = await decryptSecret(record, passphrase);
+    sessionKeys.set(getActiveProfileId(), { key, salt: record.salt, iterations: record.iterations });
+    setUnlockedApiKey(plaintext);
+    return true;
+}
+
+/**
+ * Блокировка ключа до ввода пароля
+ */
+export function lockApiKey() {
+    sessionKeys.delete(getActiveProfileId());
+    setUnlockedApiKey(null);
+}
+
+/**
+ * Снятие защиты: ключ снова хранится открытым текстом
+ * @returns {boolean}
+ * @throws {Error} API_KEY_LOCKED
+ */
+export function removeProtection() {
+    if (isApiKeyLocked()) {
+        throw new Error('API_KEY_LOCKED');
+    }
+    const apiKey = getApiKey();
+    lockApiKey();
+    return saveApiKey(apiKey);
+}
+
+/**
+ * Удаление ключа вместе с защитой (например, если пароль забыт)
+ * @returns {boolean}
+ */
+export function forgetApiKey() {
+    lockApiKey();
+    return saveApiKey('');
+}
+
+// Экспорт объекта KeyVault для совместимости
+export const KeyVault = {
+    storeApiKey,
+    protectApiKey,
+    unlockApiKey,
+    lockApiKey,
+    removeProtection,
+    forgetApiKey
+};
+
+export default KeyVault;
@@ -0,0 +1,242 @@
+/**
+ * Level Download Module - предзагрузка контента целого уровня для занятий без сети
+ * Задача хранится в localStorage и продолжается после перезагрузки страницы
+ */
+
+import { STORAGE_KEYS, load, save, remove, getStorageInfo } from './storage.js';
+import { getTopicsByLevel } from './topics.js';
+import { generateContent } from './api.js';
+import { generateSpeech } from './tts.js';
+
+// Свободное место (МБ), при котором загрузка останавливается
+export const MIN_FREE_MB = 0.5;
+
+// Ошибки, после которых продолжать загрузку бессмысленно
+const FATAL_ERRORS = ['API_KEY_MISSING', 'API_KEY_LOCKED', 'API_KEY_INVALID', 'STORAGE_FULL'];
+
+// Ошибки озвучки, после которых аудио для остальных тем не запрашивается
+const AUDIO_STOP_ERRORS = ['API_KEY_MISSING', 'API_KEY_LOCKED', 'API_KEY_INVALID', 'TTS_DISABLED'];
+
+/**
+ * Текущая задача загрузки уровня
+ * @returns {object|null} - задача или null
+ */
+export function getDownloadJob() {
+    return load(STORAGE_KEYS.LEVEL_DOWNLOAD);
+}
+
+/**
+ * Сохранение задачи загрузки
+ * @param {object} job - задача
+ * @returns {boolean} - успешность операции
+ */
+function saveDownloadJob(job) {
+    try {
+        return save(STORAGE_KEYS.LEVEL_DOWNLOAD, job);
+    } catch {
+        // Место кончилось - задача остаётся в памяти до конца загрузки
+        return false;
+    }
+}
+
+/**
+ * Удаление задачи загрузки
+ * @returns {boolean} - успешность операции
+ */
+export function clearDownloadJob() {
+    return remove(STORAGE_KEYS.LEVEL_DOWNLOAD);
+}
+
+/**
+ * Свободное место в хранилище по оценке getStorageInfo
+ * @returns {Promise<number>} - МБ
+ */
+export async function getFreeStorageMB() {
+    const info = await getStorageInfo();
+    return info.estimatedMaxMB - parseFloat(info.usedMB);
+}
+
+/**
+ * Создание задачи загрузки уровня
+ * @param {string} level - уровень (A1, A2, ...)
+ * @param {boolean} includeAudio - предзагружать озвучку chunks
+ * @returns {object} - задача
+ */
+export function createDownloadJob(level, includeAudio) {
+    const job = {
+        level,
+        includeAudio,
+        status: 'paused',
+        error: null,
+        startedAt: Date.now(),
+        updatedAt: Date.now(),
+        topics: getTopicsByLevel(level).map(topic => ({
+            id: topic.id,
+            status: 'pending',  // pending | content | done | failed
+            error: null,
+            audioDone: 0,
+            audioFailed: [],    // индексы chunks, озвучку которых не удалось загрузить
+            audioTotal: 0
+        }))
+    };
+
+    saveDownloadJob(job);
+    return job;
+}
+
+/**
+ * Сводка прогресса задачи
+ * @param {object} job - задача
+ * @returns {object} - {topicsDone, topicsFailed, topicsTotal, audioDone, audioFailed, audioTotal, percentage}
+ */
+export function getDownloadProgress(job) {
+    const topicsDone = job.topics.filter(t => t.status === 'done').length;
+    const topicsFailed = job.topics.filter(t => t.status === 'failed').length;
+    const audioDone = job.topics.reduce((sum, t) => sum + t.audioDone, 0);
+    const audioFailed = job.topics.reduce((sum, t) => sum + (t.audioFailed?.length || 0), 0);
+    const audioTotal = job.topics.reduce((sum, t) => sum + t.audioTotal, 0);
+    const total = job.topics.length;
+
+    return {
+        topicsDone,
+        topicsFailed,
+        topicsTotal: total,
+        audioDone,
+        audioFailed,
+        audioTotal,
+        percentage: total > 0 ? Math.round(((topicsDone + topicsFailed) / total) * 100) : 100
+    };
+}
+
+/**
+ * Загрузка озвучки chunks темы
+ * Сначала повторяются клипы, не загруженные в прошлый раз, потом идут ещё не начатые.
+ * Каждый chunk либо загружен, либо в audioFailed, поэтому следующий по очереди -
+ * audioDone + audioFailed.length. Уже закэшированное аудио generateSpeech отдаёт без запроса
+ * @param {object} job - задача
+ * @param {object} entry - тема в задаче
+ * @param {Array} chunks - chunks темы
+ * @param {object} options - {signal, onProgress}
+ */
+async function downloadAudio(job, entry, chunks, options) {
+    entry.audioTotal = chunks.length;
+    entry.audioFailed = entry.audioFailed || [];
+
+    const pending = [...entry.audioFailed];
+    for (let i = entry.audioDone + entry.audioFailed.length; i < chunks.length; i++) {
+        pending.push(i);
+    }
+
+    for (const i of pending) {
+        if (await getFreeStorageMB() < MIN_FREE_MB) {
+            throw new Error('STORAGE_FULL');
+        }
+
+        const retry = entry.audioFailed.includes(i);
+        try {
+            await generateSpeech(chunks[i].turkish, null, { signal: options.signal, topicId: entry.id });
+            entry.audioDone++;
+            if (retry) entry.audioFailed = entry.audioFailed.filter(index => index !== i);
+        } catch (error) {
+            if (error.message === 'REQUEST_ABORTED' || error.message === 'STORAGE_FULL') throw error;
+            if (AUDIO_STOP_ERRORS.includes(error.message)) {
+                // Без ключа или с выключенным TTS дальше только текст
+                job.includeAudio = false;
+                job.error = error.message;
+                return;
+            }
+            console.warn('Audio prefetch failed:', chunks[i].turkish, error.message);
+            if (!retry) entry.audioFailed.push(i);
+        }
+
+        job.updatedAt = Date.now();
+        saveDownloadJob(job);
+        options.onProgress?.(job);
+    }
+}
+
+/**
+ * Запуск или продолжение загрузки уровня
+ * Темы обрабатываются по очереди, готовые пропускаются
+ * @param {object} job - задача (из createDownloadJob или getDownloadJob)
+ * @param {object} options - {signal, onProgress}
+ * @returns {Promise<object>} - задача с итоговым статусом
+ */
+export async function runDownloadJob(job, options = {}) {
+    const topics = getTopicsByLevel(job.level);
+    job.status = 'running';
+    job.error = null;
+    saveDownloadJob(job);
+    options.onProgress?.(job);
+
+    try {
+        for (const entry of job.topics) {
+            if (entry.status === 'done' || entry.status === 'failed') continue;
+            if (options.signal?.aborted) throw new Error('REQUEST_ABORTED');
+
+            const topic = topics.find(t => t.id === entry.id);
+            if (!topic) {
+                entry.status = 'failed';
+                entry.error = 'Тема не найдена';
+                continue;
+            }
+
+            if (await getFreeStorageMB() < MIN_FREE_MB) {
+                throw new Error('STORAGE_FULL');
+            }
+
+            let content;
+            try {
+                content = await generateContent(topic, { signal: options.signal });
+            } catch (error) {
+                if (error.message === 'REQUEST_ABORTED' || FATAL_ERRORS.includes(error.message)) throw error;
+                entry.status = 'failed';
+                entry.error = error.message;
+                saveDownloadJob(job);
+                options.onProgress?.(job);
+                continue;
+            }
+
+            entry.status = 'content';
+            if (job.includeAudio) {
+                await downloadAudio(job, entry, content.chunks, options);
+                // Тема с незагруженной озвучкой остаётся незаконченной и повторится при продолжении
+                if (job.includeAudio && entry.audioFailed.length > 0) continue;
+            }
+
+            entry.status = 'done';
+            job.updatedAt = Date.now();
+            saveDownloadJob(job);
+            options.onProgress?.(job);
+        }
+
+        if (job.topics.some(entry => entry.status === 'content')) {
+            throw new Error('AUDIO_INCOMPLETE');
+        }
+        job.status = 'done';
+    } catch (error) {
+        if (error.message === 'REQUEST_ABORTED') {
+            job.status = 'paused';
+        } else {
+            job.status = 'stopped';
+            job.error = error.message;
+        }
+    }
+
+    job.updatedAt = Date.now();
+    saveDownloadJob(job);
+    options.onProgress?.(job);
+    return job;
+}
+
+// Экспорт объекта LevelDownload для совместимости
+export const LevelDownload = {
+    getDownloadJob,
+    clearDownloadJob,
+    createDownloadJob,
+    getDownloadProgress,
+    getFreeStorageMB,
+    runDownloadJob
+};
+
+export default LevelDownload;
@@ -0,0 +1,324 @@
+/**
+ * Migrations Module - версия схемы данных и упорядоченные миграции
+ * Версия хранится в localStorage рядом с данными. При запуске выполняются миграции
+ * с версией выше сохранённой; если миграция падает, данные возвращаются к состоянию до неё.
+ */
+
+import {
+    STORAGE_KEYS, load, save, remove, getProgress,
+    getProfiles, profileKey, migrateLegacyCache, migrateChunkIds,
+    renameTopicChunks, renameSRSRecords, saveReviewLog
+} from './storage.js';
+import { STORES, hasDatabase, dbGet, dbPut, dbKeys, dbClear } from './db.js';
+import { cardFromSM2 } from './srs.js';
+
+// Префикс ключей приложения в localStorage
+const KEY_PREFIX = 'turkish_app_';
+
+const SRS_DEFAULTS = {
+    interval: 0,
+    easeFactor: 2.5,
+    nextReview: 0,
+    repetitions: 0
+};
+
+/**
+ * Приведение SRS записей к текущей форме (изменяет srsData)
+ * Записи без части полей получают значения по умолчанию, битые удаляются
+ * @param {object} srsData - SRS данные
+ * @returns {object} - {fixed, dropped}
+ */
+function normalizeSRSData(srsData) {
+    let fixed = 0;
+    let dropped = 0;
+
+    Object.entries(srsData).forEach(([chunkId, record]) => {
+        if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+            delete srsData[chunkId];
+            dropped++;
+            return;
+        }
+        const missing = Object.keys(SRS_DEFAULTS).filter(field => !Number.isFinite(record[field]));
+        if (missing.length > 0) {
+            missing.forEach(field => { record[field] = SRS_DEFAULTS[field]; });
+            fixed++;
+        }
+    });
+
+    return { fixed, dropped };
+}
+
+/**
+ * Перевод SRS записей в состояние FSRS (изменяет srsData)
+ * @param {object} srsData - SRS данные
+ * @returns {number} - число переведённых записей
+ */
+function convertSRSData(srsData) {
+    let converted = 0;
+    Object.entries(srsData).forEach(([chunkId, record]) => {
+        const card = cardFromSM2(record);
+        if (card !== record) {
+            srsData[chunkId] = card;
+            converted++;
+        }
+    });
+    return converted;
+}
+
+/**
+ * Приведение SRS записей и прогресса всех профилей к текущей форме
+ * Записи старых версий без части полей получают значения по умолчанию, битые удаляются
+ * @returns {object} - {srsFixed, srsDropped, topicsFixed}
+ */
+export function normalizeRecords() {
+    let srsFixed = 0;
+    let srsDropped = 0;
+    let topicsFixed = 0;
+
+    getProfiles().forEach(({ id }) => {
+        const srsKey = profileKey(STORAGE_KEYS.SRS_DATA, id);
+        const srsData = load(srsKey);
+        if (srsData) {
+            const { fixed, dropped } = normalizeSRSData(srsData);
+            srsFixed += fixed;
+            srsDropped += dropped;
+            save(srsKey, srsData);
+        }
+
+        const progressKey = profileKey(STORAGE_KEYS.PROGRESS, id);
+        if (!load(progressKey)) return;
+        const progress = getProgress(id);
+        Object.values(progress.topicsCompleted || {}).forEach(topic => {
+            if (!Array.isArray(topic.gamesPlayed) || !Number.isFinite(topic.bestScore)) {
+                topic.gamesPlayed = Array.isArray(topic.gamesPlayed) ? topic.gamesPlayed : [];
+                topic.bestScore = Number.isFinite(topic.bestScore) ? topic.bestScore : 0;
+                topicsFixed++;
+            }
+        });
+        save(progressKey, progress);
+    });
+
+    return { srsFixed, srsDropped, topicsFixed };
+}
+
+/**
+ * Перенос API ключа из настроек в отдельный ключ хранилища
+ * Раньше ключ хранился в двух местах и копии расходились: приложение брало ключ
+ * из настроек, поэтому при расхождении побеждает он
+ * @returns {object} - {moved} - число профилей с перенесённым ключом
+ */
+export function consolidateApiKeys() {
+    let moved = 0;
+
+    getProfiles().forEach(({ id }) => {
+        const settingsKey = profileKey(STORAGE_KEYS.SETTINGS, id);
+        const settings = load(settingsKey);
+        if (!settings || !('apiKey' in settings)) return;
+
+        const { apiKey, ...rest } = settings;
+        if (apiKey) {
+            save(profileKey(STORAGE_KEYS.API_KEY, id), apiKey);
+            moved++;
+        }
+        save(settingsKey, rest);
+    });
+
+    return { moved };
+}
+
+/**
+ * Перевод SRS записей всех профилей в состояние FSRS
+ * Повторённые карточки получают стабильность и сложность из интервала и ease factor
+ * @returns {object} - {converted} - число записей
+ */
+export function migrateToFSRS() {
+    let converted = 0;
+
+    getProfiles().forEach(({ id }) => {
+        const key = profileKey(STORAGE_KEYS.SRS_DATA, id);
+        const srsData = load(key);
+        if (!srsData) return;
+
+        converted += convertSRSData(srsData);
+        save(key, srsData);
+    });
+
+    return { converted };
+}
+
+/**
+ * Перенос журналов повторений всех профилей из LocalStorage в IndexedDB
+ * Журнал профиля заменяется целиком, поэтому повтор после сбоя не дублирует записи.
+ * Без IndexedDB журнал остался бы только в памяти - перенос откладывается
+ * @returns {Promise<object>} - {moved} - число записей, или {deferred: true}
+ */
+export async function moveReviewLogs() {
+    if (!await hasDatabase()) {
+        return { deferred: true };
+    }
+
+    let moved = 0;
+
+    for (const { id } of getProfiles()) {
+        const key = profileKey(STORAGE_KEYS.REVIEW_LOG, id);
+        const log = load(key);
+        if (!Array.isArray(log)) continue;
+
+        await saveReviewLog(log, id);
+        remove(key);
+        moved += log.length;
+    }
+
+    return { moved };
+}
+
+// Миграции по возрастанию версии; версия после миграции = её version
+export const MIGRATIONS = [
+    { version: 1, name: 'legacy-cache', up: migrateLegacyCache },
+    { version: 2, name: 'chunk-ids', up: migrateChunkIds },
+    { version: 3, name: 'normalize-records', up: normalizeRecords },
+    { version: 4, name: 'api-key-single-source', up: consolidateApiKeys },
+    { version: 5, name: 'fsrs-state', up: migrateToFSRS },
+    { version: 6, name: 'review-log-store', up: moveReviewLogs }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Приведение записей из резервной копии старой схемы к текущей
+ * Повторяет изменения записей миграций chunk-ids, normalize-records и fsrs-state;
+ * остальные миграции меняют то, чего в копии нет или что импорт читает в обоих видах
+ * @param {object} data - данные копии
+ * @param {number} from - версия схемы, в которой сделана копия
+ * @returns {object} - новые данные копии
+ */
+export function migrateBackupData(data, from) {
+    let content = data.content;
+    let srs = structuredClone(data.srs);
+
+    if (from < 2) {
+        const renamed = new Map();
+        const newIds = new Set();
+        content = Object.fromEntries(Object.entries(content).map(([key, topic]) => [key, {
+            ...topic,
+            chunks: renameTopicChunks(topic.topicId || key, topic.chunks, renamed, newIds)
+        }]));
+        srs = renameSRSRecords(srs, renamed, newIds).srsData;
+    }
+    if (from < 3) normalizeSRSData(srs);
+    if (from < 5) convertSRSData(srs);
+
+    return { ...data, content, srs };
+}
+
+/**
+ * Сохранённая версия схемы
+ * @returns {number} - 0, если данные старше версионирования
+ */
+export function getSchemaVersion() {
+    return load(STORAGE_KEYS.SCHEMA_VERSION) || 0;
+}
+
+/**
+ * Снимок данных приложения для отката: ключи localStorage и кэш контента
+ * Кэш озвучки не снимается - миграции его только пополняют
+ * @returns {Promise<object>} - {local, content}
+ */
+async function takeSnapshot() {
+    const local = {};
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key?.startsWith(KEY_PREFIX)) {
+            local[key] = localStorage.getItem(key);
+        }
+    }
+
+    const content = {};
+    for (const key of await dbKeys(STORES.CONTENT)) {
+        content[key] = await dbGet(STORES.CONTENT, key);
+    }
+
+    return { local, content };
+}
+
+/**
+ * Возврат данных к снимку
+ * @param {object} snapshot - снимок takeSnapshot
+ * @returns {Promise<void>}
+ */
+async function restoreSnapshot(snapshot) {
+    const current = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key?.startsWith(KEY_PREFIX)) current.push(key);
+    }
+    current.filter(key => !(key in snapshot.local)).forEach(key => localStorage.removeItem(key));
+    Object.entries(snapshot.local).forEach(([key, value]) => localStorage.setItem(key, value));
+
+    await dbClear(STORES.CONTENT);
+    for (const [key, value] of Object.entries(snapshot.content)) {
+        await dbPut(STORES.CONTENT, key, value);
+    }
+}
+
+/**
+ * Выполнение миграций новее сохранённой версии
+ * Миграции идут по порядку; упавшая откатывается, следующие не запускаются.
+ * Отложенная миграция (результат {deferred: true}) версию не поднимает: следующие
+ * выполняются, но при следующем запуске повторятся вместе с ней, поэтому должны быть повторяемыми
+ * @param {Array} migrations - список миграций (по умолчанию MIGRATIONS)
+ * @returns {Promise<object>} - {from, to, applied: [{version, name, result}], deferred: [name]}
+ * @throws {Error} MIGRATION_FAILED - данные остаются на версии последней успешной миграции
+ */
+export async function runMigrations(migrations = MIGRATIONS) {
+    const from = getSchemaVersion();
+    const pending = migrations
+        .filter(migration => migration.version > from)
+        .sort((a, b) => a.version - b.version);
+    const applied = [];
+    const deferred = [];
+
+    if (from > Math.max(0, ...migrations.map(m => m.version))) {
+        // Данные от более новой версии приложения - не трогаем
+        console.warn(`Storage schema ${from} is newer than supported`);
+    }
+
+    for (const migration of pending) {
+        const snapshot = await takeSnapshot();
+        try {
+            const result = await migration.up();
+            if (result?.deferred) {
+                deferred.push(migration.name);
+                continue;
+            }
+            if (deferred.length === 0) {
+                save(STORAGE_KEYS.SCHEMA_VERSION, migration.version);
+            }
+            applied.push({ version: migration.version, name: migration.name, result });
+        } catch (error) {
+            console.error(`Migration ${migration.version} (${migration.name}) failed:`, error);
+            await restoreSnapshot(snapshot);
+            const failure = new Error('MIGRATION_FAILED');
+            failure.migration = migration.name;
+            failure.applied = applied;
+            throw failure;
+        }
+    }
+
+    return { from, to: getSchemaVersion(), applied, deferred };
+}
+
+// Экспорт объекта Migrations для совместимости
+export const Migrations = {
+    MIGRATIONS,
+    SCHEMA_VERSION,
+    getSchemaVersion,
+    normalizeRecords,
+    consolidateApiKeys,
+    migrateToFSRS,
+    moveReviewLogs,
+    migrateBackupData,
+    runMigrations
+};
+
+export default Migrations;
@@ -0,0 +1,150 @@
+/**
+ * Profiles Module - несколько учеников на одном устройстве
+ * У каждого профиля свои прогресс, SRS, настройки и состояние сессии;
+ * сгенерированный контент и озвучка общие для всех
+ */
+
+import {
+    SESSION_KEYS, PROFILE_KEYS, DEFAULT_PROFILE_ID, remove, profileKey,
+    getProfiles, saveProfiles, getActiveProfileId, setActiveProfileId, clearReviewLog
+} from './storage.js';
+import { createBackup } from './backup.js';
+
+const MAX_NAME_LENGTH = 30;
+
+export { getProfiles };
+
+/**
+ * Активный профиль
+ * @returns {object} - {id, name, createdAt}
+ */
+export function getActiveProfile() {
+    const profiles = getProfiles();
+    return profiles.find(p => p.id === getActiveProfileId()) || profiles[0];
+}
+
+/**
+ * Поиск профиля
+ * @param {string} profileId - ID профиля
+ * @returns {object}
+ * @throws {Error} PROFILE_NOT_FOUND
+ */
+function findProfile(profileId) {
+    const profile = getProfiles().find(p => p.id === profileId);
+    if (!profile) {
+        throw new Error('PROFILE_NOT_FOUND');
+    }
+    return profile;
+}
+
+/**
+ * Проверка имени профиля
+ * @param {string} name - имя
+ * @param {string} exceptId - профиль, который переименовывается
+ * @returns {string} - имя без лишних пробелов
+ * @throws {Error} PROFILE_NAME_INVALID | PROFILE_NAME_TAKEN
+ */
+function validateName(name, exceptId = null) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+        throw new Error('PROFILE_NAME_INVALID');
+    }
+    const taken = getProfiles().some(p =>
+        p.id !== exceptId && p.name.toLocaleLowerCase('ru-RU') === trimmed.toLocaleLowerCase('ru-RU'));
+    if (taken) {
+        throw new Error('PROFILE_NAME_TAKEN');
+    }
+    return trimmed;
+}
+
+/**
+ * Создание профиля
+ * @param {string} name - имя
+ * @returns {object} - новый профиль
+ */
+export function createProfile(name) {
+    const profile = {
+        id: `p_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        name: validateName(name),
+        createdAt: Date.now()
+    };
+    saveProfiles([...getProfiles(), profile]);
+    return profile;
+}
+
+/**
+ * Переименование профиля
+ * @param {string} profileId - ID профиля
+ * @param {string} name - новое имя
+ * @returns {object} - профиль
+ */
+export function renameProfile(profileId, name) {
+    findProfile(profileId);
+    const trimmed = validateName(name, profileId);
+    const profiles = getProfiles().map(p => p.id === profileId ? { ...p, name: trimmed } : p);
+    saveProfiles(profiles);
+    return profiles.find(p => p.id === profileId);
+}
+
+/**
+ * Переключение на другой профиль
+ * @param {string} profileId - ID профиля
+ * @returns {object} - профиль
+ */
+export function switchProfile(profileId) {
+    const profile = findProfile(profileId);
+    setActiveProfileId(profileId);
+    return profile;
+}
+
+/**
+ * Удаление профиля и всех его данных (кэш контента остаётся)
+ * Удалённый активный профиль заменяется основным
+ * @param {string} profileId - ID профиля
+ * @returns {boolean}
+ * @throws {Error} PROFILE_DEFAULT - основной профиль не удаляется
+ */
+export function deleteProfile(profileId) {
+    if (profileId === DEFAULT_PROFILE_ID) {
+        throw new Error('PROFILE_DEFAULT');
+    }
+    findProfile(profileId);
+
+    PROFILE_KEYS.forEach(key => remove(profileKey(key, profileId)));
+    clearReviewLog(profileId).catch(error => console.error('Review log clear error:', error));
+    try {
+        Object.values(SESSION_KEYS).forEach(key => sessionStorage.removeItem(profileKey(key, profileId)));
+    } catch (error) {
+        console.error('Session state clear error:', error);
+    }
+
+    saveProfiles(getProfiles().filter(p => p.id !== profileId));
+    if (getActiveProfileId() === profileId) {
+        setActiveProfileId(DEFAULT_PROFILE_ID);
+    }
+    return true;
+}
+
+/**
+ * Резервная копия данных профиля
+ * @param {string} profileId - ID профиля
+ * @param {object} options - {includeApiKey, includeAudio}
+ * @returns {Promise<object>} - копия (см. createBackup)
+ */
+export async function exportProfile(profileId, options = {}) {
+    findProfile(profileId);
+    return createBackup({ ...options, profileId });
+}
+
+// Экспорт объекта Profiles для совместимости
+export const Profiles = {
+    getProfiles,
+    getActiveProfile,
+    createProfile,
+    renameProfile,
+    switchProfile,
+    deleteProfile,
+    exportProfile
+};
+
+export default Profiles;
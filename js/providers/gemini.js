@@ -0,0 +1,267 @@
+/**
+ * Gemini Provider - генерация контента через Gemini REST API
+ * Модель: gemini-2.5-flash, structured output (responseSchema)
+ */
+
+import { buildPrompt, buildRepairPrompt, buildAppealPrompt, parseAppealText, extractCompleteChunks } from './prompt.js';
+import { CONTENT_RESPONSE_SCHEMA, APPEAL_RESPONSE_SCHEMA } from './schema.js';
+import { scheduledFetch, getScreenSignal } from '../scheduler.js';
+
+const CONTENT_MODEL = 'gemini-2.5-flash';
+const BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models/';
+
+// Лимит бесплатного тарифа для модели генерации
+const CONTENT_REQUESTS_PER_MINUTE = 10;
+
+// Сколько chunks добирать после обрыва по MAX_TOKENS и какими порциями
+const TARGET_CHUNKS = 30;
+const CONTINUATION_BATCH = 10;
+const MAX_CONTINUATIONS = 3;
+
+/**
+ * Парсинг ответа Gemini API (structured output)
+ * При обрыве по MAX_TOKENS возвращает завершённые chunks и truncated: true
+ * @param {object} response - ответ API
+ * @returns {object} - {chunks, truncated}
+ */
+export function parseResponse(response) {
+    try {
+        // Проверяем наличие кандидатов
+        if (!response.candidates || response.candidates.length === 0) {
+            // Проверяем причину блокировки
+            if (response.promptFeedback?.blockReason) {
+                throw new Error(`Content blocked: ${response.promptFeedback.blockReason}`);
+            }
+            throw new Error('No candidates in API response');
+        }
+
+        // Проверяем причину завершения
+        const candidate = response.candidates[0];
+        if (candidate.finishReason === 'SAFETY') {
+            throw new Error('Content blocked by safety filters');
+        }
+        const truncated = candidate.finishReason === 'MAX_TOKENS';
+
+        // Получаем текст из ответа Gemini
+        const text = candidate.content?.parts?.[0]?.text;
+
+        if (!text) {
+            if (truncated) {
+                return { chunks: [], truncated };
+            }
+            throw new Error('Empty response from API');
+        }
+
+        // Обрезанный JSON не парсится целиком - забираем завершённые chunks
+        if (truncated) {
+            return { chunks: extractCompleteChunks(text), truncated };
+        }
+
+        const parsed = JSON.parse(text);
+        const chunks = Array.isArray(parsed) ? parsed : parsed?.chunks;
+        if (!Array.isArray(chunks)) {
+            throw new Error('Invalid response structure: missing chunks array');
+        }
+
+        return { chunks, truncated };
+    } catch (error) {
+        console.error('Parse error:', error);
+        console.error('Raw response:', JSON.stringify(response, null, 2).substring(0, 1000));
+        throw new Error('Failed to parse API response: ' + error.message);
+    }
+}
+
+/**
+ * Запрос к Gemini
+ * @param {string} prompt - промпт
+ * @param {object} options - {apiKey, signal}
+ * @param {object} generationConfig - параметры генерации
+ * @returns {Promise<object>} - ответ API
+ */
+async function requestModel(prompt, options, generationConfig) {
+    const key = options.apiKey;
+    if (!key) {
+        throw new Error('API_KEY_MISSING');
+    }
+
+    const url = `${BASE_URL}${CONTENT_MODEL}:generateContent?key=${key}`;
+
+    const response = await scheduledFetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            contents: [{
+                parts: [{ text: prompt }]
+            }],
+            generationConfig
+        })
+    }, {
+        signal: options.signal,
+        budgetKey: CONTENT_MODEL,
+        requestsPerMinute: CONTENT_REQUESTS_PER_MINUTE
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+
+        if (response.status === 401 || response.status === 403) {
+            throw new Error('API_KEY_INVALID');
+        }
+        if (response.status === 429) {
+            throw new Error('RATE_LIMITED');
+        }
+
+        throw new Error(`API_ERROR: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Запрос к Gemini с промптом, возвращающим chunks
+ * @param {string} prompt - промпт
+ * @param {object} options - {apiKey, signal}
+ * @returns {Promise<object>} - {chunks}
+ */
+async function requestChunks(prompt, options = {}) {
+    const data = await requestModel(prompt, options, {
+        temperature: 1.0,
+        topP: 0.95,
+        topK: 40,
+        maxOutputTokens: 8192,
+        responseMimeType: 'application/json',
+        responseSchema: CONTENT_RESPONSE_SCHEMA
+    });
+    return parseResponse(data);
+}
+
+/**
+ * Дозапрос chunks после обрыва ответа по MAX_TOKENS
+ * Недостающее запрашивается небольшими порциями, уже полученные фразы исключаются
+ * @param {object} topic - тема
+ * @param {Array} received - уже полученные chunks
+ * @param {object} options - {apiKey, signal, count, exclude}
+ * @returns {Promise<object>} - {chunks}
+ */
+async function continueTruncated(topic, received, options) {
+    const chunks = [...received];
+    const target = Number.isInteger(options.count) ? options.count : TARGET_CHUNKS;
+
+    for (let i = 0; i < MAX_CONTINUATIONS && chunks.length < target; i++) {
+        const prompt = buildPrompt(topic, {
+            count: Math.min(CONTINUATION_BATCH, target - chunks.length),
+            exclude: [...(options.exclude || []), ...chunks.map(c => c?.turkish)]
+        });
+        let part;
+        try {
+            part = await requestChunks(prompt, options);
+        } catch (error) {
+            // Уже полученное не выбрасываем, если запрос не отменён
+            if (chunks.length === 0 || error.message === 'REQUEST_ABORTED') throw error;
+            console.warn('Continuation request failed:', error.message);
+            break;
+        }
+        if (part.chunks.length === 0) break;
+        chunks.push(...part.chunks);
+    }
+
+    return { chunks };
+}
+
+/**
+ * Генерация chunks для темы через Gemini
+ * @param {object} topic - тема
+ * @param {object} options - {apiKey, signal, count, exclude}
+ * @returns {Promise<object>} - {chunks}
+ */
+async function generate(topic, options = {}) {
+    const first = await requestChunks(buildPrompt(topic, { count: options.count, exclude: options.exclude }), options);
+    if (!first.truncated) {
+        return { chunks: first.chunks };
+    }
+
+    console.warn(`Response truncated after ${first.chunks.length} chunks, requesting the rest`);
+    return continueTruncated(topic, first.chunks, options);
+}
+
+/**
+ * Запрос на исправление отбракованных chunks
+ * @param {object} topic - тема
+ * @param {object} request - {rejected, existing, needed}
+ * @param {object} options - {apiKey, signal}
+ * @returns {Promise<object>} - {chunks}
+ */
+function repair(topic, request, options = {}) {
+    return requestChunks(buildRepairPrompt(topic, request.rejected, request.existing, request.needed), options);
+}
+
+/**
+ * Апелляция: считает ли модель ответ ученика правильным вариантом фразы
+ * @param {object} request - {chunk, answer}
+ * @param {object} options - {apiKey, signal}
+ * @returns {Promise<object>} - {valid, explanation}
+ */
+async function appeal(request, options = {}) {
+    const data = await requestModel(buildAppealPrompt(request.chunk, request.answer), options, {
+        temperature: 0,
+        maxOutputTokens: 2048,
+        responseMimeType: 'application/json',
+        responseSchema: APPEAL_RESPONSE_SCHEMA
+    });
+
+    const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!text) {
+        throw new Error('Empty response from API');
+    }
+    return parseAppealText(text);
+}
+
+/**
+ * Проверка валидности API ключа
+ * @param {string} key - API ключ для проверки
+ * @param {object} request - {signal}: отмена запроса, по умолчанию - при уходе с экрана
+ * @returns {Promise<boolean>} - валидность ключа
+ */
+export async function validateApiKey(key, request = {}) {
+    const url = `${BASE_URL}${CONTENT_MODEL}:generateContent?key=${key}`;
+
+    try {
+        const response = await scheduledFetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                contents: [{
+                    parts: [{ text: 'Test' }]
+                }],
+                generationConfig: {
+                    maxOutputTokens: 10
+                }
+            })
+        }, {
+            signal: request.signal || getScreenSignal(),
+            budgetKey: CONTENT_MODEL,
+            requestsPerMinute: CONTENT_REQUESTS_PER_MINUTE
+        });
+
+        return response.ok || response.status === 429; // 429 = valid key but rate limited
+    } catch (error) {
+        // Отмена - не повод считать ключ неверным
+        if (error.message === 'REQUEST_ABORTED') throw error;
+        return false;
+    }
+}
+
+export const GeminiProvider = {
+    id: 'gemini',
+    name: 'Gemini',
+    requiresNetwork: true,
+    generate,
+    repair,
+    appeal
+};
+
+export default GeminiProvider;
@@ -0,0 +1,37 @@
+/**
+ * Providers Module - реестр провайдеров контента
+ * Каждый провайдер: {id, name, requiresNetwork, generate(topic, options) → {chunks}}
+ * LLM-провайдеры также реализуют repair(topic, {rejected, existing, needed}, options) → {chunks}
+ * и appeal({chunk, answer}, options) → {valid, explanation}
+ */
+
+import { GeminiProvider } from './gemini.js';
+import { OpenAICompatibleProvider } from './openai-compatible.js';
+import { StaticPackProvider } from './static-pack.js';
+
+export const DEFAULT_PROVIDER = 'gemini';
+
+export const PROVIDERS = {
+    [GeminiProvider.id]: GeminiProvider,
+    [OpenAICompatibleProvider.id]: OpenAICompatibleProvider,
+    [StaticPackProvider.id]: StaticPackProvider
+};
+
+/**
+ * Получить провайдер по ID (неизвестный ID → провайдер по умолчанию)
+ * @param {string} providerId - ID провайдера
+ * @returns {object} - провайдер
+ */
+export function getProvider(providerId) {
+    return PROVIDERS[providerId] || PROVIDERS[DEFAULT_PROVIDER];
+}
+
+/**
+ * Список провайдеров для экрана настроек
+ * @returns {Array} - [{id, name}]
+ */
+export function listProviders() {
+    return Object.values(PROVIDERS).map(p => ({ id: p.id, name: p.name }));
+}
+
+export default PROVIDERS;
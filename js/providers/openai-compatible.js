@@ -0,0 +1,147 @@
+/**
+ * OpenAI-compatible Provider - генерация через /v1/chat/completions
+ * Подходит для локальных серверов llama.cpp, Ollama, LM Studio
+ */
+
+import { buildPrompt, buildRepairPrompt, buildAppealPrompt, parseAppealText, parseContentText } from './prompt.js';
+import { scheduledFetch } from '../scheduler.js';
+
+export const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+export const DEFAULT_MODEL = 'llama3.1';
+
+/**
+ * Парсинг ответа chat/completions
+ * @param {object} response - ответ API
+ * @returns {object} - {chunks}
+ */
+export function parseChatResponse(response) {
+    try {
+        const choice = response.choices?.[0];
+        if (!choice) {
+            throw new Error('No choices in API response');
+        }
+
+        if (choice.finish_reason === 'length') {
+            console.warn('Response may be truncated due to max tokens');
+        }
+
+        const text = choice.message?.content;
+        if (!text) {
+            throw new Error('Empty response from API');
+        }
+
+        return parseContentText(text);
+    } catch (error) {
+        console.error('Parse error:', error);
+        throw new Error('Failed to parse API response: ' + error.message);
+    }
+}
+
+/**
+ * Запрос к chat/completions
+ * @param {string} prompt - промпт
+ * @param {object} options - {baseUrl, model, apiKey, signal}
+ * @param {object} params - параметры генерации
+ * @returns {Promise<object>} - ответ API
+ */
+async function requestModel(prompt, options, params) {
+    const baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    const model = options.model || DEFAULT_MODEL;
+
+    const headers = { 'Content-Type': 'application/json' };
+    // Ключ необязателен для локальных серверов
+    if (options.apiKey) {
+        headers.Authorization = `Bearer ${options.apiKey}`;
+    }
+
+    // Локальный сервер не ограничивает число запросов в минуту - только очередь и повторы
+    const response = await scheduledFetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+            model,
+            messages: [
+                { role: 'user', content: prompt }
+            ],
+            ...params,
+            response_format: { type: 'json_object' }
+        })
+    }, {
+        signal: options.signal,
+        budgetKey: baseUrl
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+
+        if (response.status === 401 || response.status === 403) {
+            throw new Error('API_KEY_INVALID');
+        }
+        if (response.status === 429) {
+            throw new Error('RATE_LIMITED');
+        }
+
+        throw new Error(`API_ERROR: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Запрос к chat/completions с промптом, возвращающим chunks
+ * @param {string} prompt - промпт
+ * @param {object} options - {baseUrl, model, apiKey, signal}
+ * @returns {Promise<object>} - {chunks}
+ */
+async function requestChunks(prompt, options = {}) {
+    const data = await requestModel(prompt, options, { temperature: 1.0, top_p: 0.95, max_tokens: 8192 });
+    return parseChatResponse(data);
+}
+
+/**
+ * Генерация chunks для темы через OpenAI-совместимый endpoint
+ * @param {object} topic - тема
+ * @param {object} options - {baseUrl, model, apiKey, signal, count, exclude}
+ * @returns {Promise<object>} - {chunks}
+ */
+function generate(topic, options = {}) {
+    return requestChunks(buildPrompt(topic, { count: options.count, exclude: options.exclude }), options);
+}
+
+/**
+ * Запрос на исправление отбракованных chunks
+ * @param {object} topic - тема
+ * @param {object} request - {rejected, existing, needed}
+ * @param {object} options - {baseUrl, model, apiKey, signal}
+ * @returns {Promise<object>} - {chunks}
+ */
+function repair(topic, request, options = {}) {
+    return requestChunks(buildRepairPrompt(topic, request.rejected, request.existing, request.needed), options);
+}
+
+/**
+ * Апелляция: считает ли модель ответ ученика правильным вариантом фразы
+ * @param {object} request - {chunk, answer}
+ * @param {object} options - {baseUrl, model, apiKey, signal}
+ * @returns {Promise<object>} - {valid, explanation}
+ */
+async function appeal(request, options = {}) {
+    const data = await requestModel(buildAppealPrompt(request.chunk, request.answer), options, { temperature: 0, max_tokens: 512 });
+
+    const text = data.choices?.[0]?.message?.content;
+    if (!text) {
+        throw new Error('Empty response from API');
+    }
+    return parseAppealText(text);
+}
+
+export const OpenAICompatibleProvider = {
+    id: 'openai',
+    name: 'OpenAI-совместимый (llama.cpp, Ollama)',
+    requiresNetwork: true,
+    generate,
+    repair,
+    appeal
+};
+
+export default OpenAICompatibleProvider;
@@ -0,0 +1,299 @@
+/**
+ * Prompt Module - общие промпты и разбор ответа для LLM-провайдеров
+ * Используется провайдерами Gemini и OpenAI-совместимым
+ */
+
+/**
+ * Очистка ответа от markdown-форматирования
+ * @param {string} text - текст ответа
+ * @returns {string} - очищенный JSON
+ */
+export function stripMarkdown(text) {
+    let cleaned = text.trim();
+
+    // Удаляем ```json ... ``` или ``` ... ``` (более гибкие паттерны)
+    // Паттерн 1: ```json\n...\n``` или ```json ...\n```
+    const jsonBlockMatch = cleaned.match(/^```json\s*\n?([\s\S]*?)\n?```\s*$/);
+    if (jsonBlockMatch) {
+        return jsonBlockMatch[1].trim();
+    }
+
+    // Паттерн 2: ```\n...\n```
+    const codeBlockMatch = cleaned.match(/^```\s*\n?([\s\S]*?)\n?```\s*$/);
+    if (codeBlockMatch) {
+        return codeBlockMatch[1].trim();
+    }
+
+    // Паттерн 3: Ищем JSON внутри текста с markdown
+    const jsonInTextMatch = cleaned.match(/```json\s*\n?([\s\S]*?)\n?```/);
+    if (jsonInTextMatch) {
+        return jsonInTextMatch[1].trim();
+    }
+
+    // Паттерн 4: Просто ``` без json
+    const codeInTextMatch = cleaned.match(/```\s*\n?([\s\S]*?)\n?```/);
+    if (codeInTextMatch) {
+        return codeInTextMatch[1].trim();
+    }
+
+    // Паттерн 5: Одинарные бэктики
+    const singleBacktickMatch = cleaned.match(/^`([\s\S]*?)`$/);
+    if (singleBacktickMatch) {
+        return singleBacktickMatch[1].trim();
+    }
+
+    return cleaned;
+}
+
+/**
+ * Построить промпт для генерации контента
+ * @param {object} topic - тема
+ * @param {object} options - {count, exclude}: сколько фраз и какие фразы не повторять
+ * @returns {string} - промпт
+ */
+export function buildPrompt(topic, options = {}) {
+    const count = options.count || '25-35';
+    const exclude = (options.exclude || []).filter(phrase => typeof phrase === 'string' && phrase);
+
+    // Специальные инструкции для разных категорий
+    const categoryInstructions = {
+        culture: `Для культурной темы сгенерируй фразы и выражения, связанные с турецкой культурой.
+Включи:
+- Традиционные выражения и поговорки
+- Фразы для культурных ситуаций
+- Слова и термины, связанные с темой
+- Типичные диалоги в культурном контексте`,
+        grammar: `Для грамматической темы сгенерируй примеры, демонстрирующие грамматическое правило.
+Включи разнообразные примеры использования в разных контекстах.`,
+        vocabulary: `Для лексической темы сгенерируй слова и фразы по теме.
+Включи как отдельные слова, так и устойчивые выражения.`,
+        phonetics: `Для фонетической темы сгенерируй слова и фразы, демонстрирующие звуковые особенности.
+Включи примеры с разными вариантами произношения.`
+    };
+
+    const categoryInstruction = categoryInstructions[topic.category] || '';
+
+    return `Сгенерируй учебный контент для изучения турецкого языка.
+
+Тема: ${topic.name}
+Уровень: ${topic.level}
+Категория: ${topic.category}
+Описание: ${topic.description}
+
+${categoryInstruction}
+
+Сгенерируй ${count} фраз (chunks) для изучения. Каждая фраза должна быть связана с темой.
+${exclude.length > 0 ? `
+НЕ повторяй фразы, которые уже есть у ученика:
+${JSON.stringify(exclude)}
+` : ''}
+ВАЖНО:
+- Используй SOV (Subject-Object-Verb) структуру турецкого языка
+- Учитывай гармонию гласных
+- Фразы должны быть практичными и часто используемыми
+- Примеры должны показывать фразу в контексте
+- В "acceptedAnswers" перечисли другие правильные варианты той же турецкой фразы с тем же смыслом:
+  без личного местоимения ("Ben gidiyorum" → "Gidiyorum"), с другим допустимым порядком слов, синонимы.
+  Основную фразу туда не повторяй; если других вариантов нет - пустой массив
+
+КРИТИЧЕСКИ ВАЖНО ДЛЯ ПЕРЕВОДОВ:
+- Русские переводы должны звучать ЕСТЕСТВЕННО для носителя русского языка
+- НЕ делай дословный перевод, передавай СМЫСЛ фразы
+- Используй разговорный русский язык, как говорят в реальной жизни
+- Примеры правильных переводов:
+  * "Ne var?" → "Что случилось?" (НЕ "Что есть?")
+  * "Nasılsın?" → "Как дела?" (НЕ "Как ты?")
+  * "Bir şey değil" → "Не за что" (НЕ "Это не вещь")
+  * "Kolay gelsin" → "Удачи в работе" (НЕ "Пусть будет легко")
+
+ФОРМАТ ОТВЕТА - СТРОГО СОБЛЮДАЙ:
+Верни ТОЛЬКО чистый JSON без markdown-форматирования.
+НЕ оборачивай ответ в \`\`\`json или \`\`\`.
+НЕ добавляй никакого текста до или после JSON.
+
+{
+  "chunks": [
+    {
+      "turkish": "турецкая фраза",
+      "russian": "естественный русский перевод",
+      "example": "пример предложения на турецком",
+      "exampleTranslation": "естественный перевод примера",
+      "grammarNote": "грамматическая заметка (опционально)",
+      "words": [
+        {"text": "слово", "role": "subject|object|verb|other"}
+      ],
+      "acceptedAnswers": ["другой правильный вариант фразы"]
+    }
+  ]
+}`;
+}
+
+/**
+ * Построить промпт для исправления отбракованных chunks
+ * @param {object} topic - тема
+ * @param {Array} rejected - отбракованные элементы [{item, problems}]
+ * @param {Array} existing - уже принятые chunks (не повторять)
+ * @param {number} needed - сколько chunks не хватает
+ * @returns {string} - промпт
+ */
+export function buildRepairPrompt(topic, rejected, existing, needed) {
+    const items = rejected.map(r => ({ item: r.item, problems: r.problems }));
+    const known = existing.map(c => c.turkish);
+
+    return `Исправь элементы учебного контента по турецкому языку, которые не прошли проверку.
+
+Тема: ${topic.name}
+Уровень: ${topic.level}
+Описание: ${topic.description}
+
+Элементы с ошибками (item - исходный элемент, problems - найденные ошибки):
+${JSON.stringify(items, null, 2)}
+
+Требования к каждому chunk:
+- "turkish" и "russian" - непустые строки
+- "example" и "exampleTranslation" - строки (пример и его перевод)
+- "words" - массив {"text": "слово", "role": "subject|object|verb|other"}
+- "acceptedAnswers" - массив других правильных вариантов фразы (может быть пустым)
+
+Исправь эти элементы. Если исправленных элементов меньше ${needed}, добавь новые фразы по теме, чтобы всего было не меньше ${needed}.
+НЕ повторяй уже принятые фразы:
+${JSON.stringify(known)}
+
+Верни ТОЛЬКО чистый JSON в формате {"chunks": [...]} без markdown-форматирования.`;
+}
+
+/**
+ * Построить промпт апелляции: засчитать ли вариант ученика как правильный
+ * @param {object} chunk - фраза {turkish, russian, acceptedAnswers}
+ * @param {string} answer - ответ ученика
+ * @returns {string} - промпт
+ */
+export function buildAppealPrompt(chunk, answer) {
+    return `Ты проверяешь ответ ученика, который изучает турецкий язык.
+
+Задание: перевести на турецкий ${JSON.stringify(chunk.russian)}
+Эталонный ответ: ${JSON.stringify(chunk.turkish)}
+Уже принятые варианты: ${JSON.stringify(chunk.acceptedAnswers || [])}
+Ответ ученика: ${JSON.stringify(answer)}
+
+Ответ верный, если он грамматически правильный и передаёт тот же смысл: допустимы опущенное
+местоимение, другой порядок слов, синонимы. Опечатки и ошибки в окончаниях верными НЕ считаются.
+
+Верни ТОЛЬКО чистый JSON без markdown-форматирования:
+{"valid": true или false, "explanation": "короткое объяснение на русском"}`;
+}
+
+/**
+ * Разбор ответа модели на апелляцию
+ * @param {string} text - текст ответа модели
+ * @returns {object} - {valid, explanation}
+ */
+export function parseAppealText(text) {
+    const cleaned = stripMarkdown(text);
+    const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
+    const parsed = JSON.parse(jsonMatch ? jsonMatch[0] : cleaned);
+
+    if (typeof parsed?.valid !== 'boolean') {
+        throw new Error('Invalid appeal response: missing valid flag');
+    }
+
+    return {
+        valid: parsed.valid,
+        // Объяснение показывается в разметке игры - угловые скобки убираются
+        explanation: typeof parsed.explanation === 'string' ? parsed.explanation.replace(/[<>]/g, '').trim() : ''
+    };
+}
+
+/**
+ * Извлечение полностью завершённых объектов из массива chunks в обрезанном JSON
+ * Используется, когда ответ модели оборвался по лимиту токенов
+ * @param {string} text - JSON-текст (возможно обрезанный)
+ * @returns {Array} - завершённые chunks
+ */
+export function extractCompleteChunks(text) {
+    const keyIndex = text.indexOf('"chunks"');
+    const start = text.indexOf('[', keyIndex === -1 ? 0 : keyIndex);
+    if (start === -1) return [];
+
+    const chunks = [];
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let objectStart = -1;
+
+    for (let i = start + 1; i < text.length; i++) {
+        const ch = text[i];
+
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (ch === '\\') {
+                escaped = true;
+            } else if (ch === '"') {
+                inString = false;
+            }
+            continue;
+        }
+
+        if (ch === '"') {
+            inString = true;
+        } else if (ch === '{') {
+            if (depth === 0) objectStart = i;
+            depth++;
+        } else if (ch === '}') {
+            depth--;
+            if (depth === 0 && objectStart !== -1) {
+                try {
+                    chunks.push(JSON.parse(text.slice(objectStart, i + 1)));
+                } catch {
+                    // Битый объект пропускаем, его отбракует валидатор
+                }
+                objectStart = -1;
+            }
+        } else if (ch === ']' && depth === 0) {
+            break;
+        }
+    }
+
+    return chunks;
+}
+
+/**
+ * Разбор текстового ответа модели в массив chunks
+ * Поля chunks не проверяются - это делает validateChunks
+ * @param {string} text - текст ответа модели
+ * @returns {object} - {chunks}
+ */
+export function parseContentText(text) {
+    // Очищаем от markdown-форматирования
+    let cleanedJson = stripMarkdown(text);
+
+    // Пытаемся найти JSON в тексте если он не парсится напрямую
+    let parsed;
+    try {
+        parsed = JSON.parse(cleanedJson);
+    } catch (jsonError) {
+        // Пробуем найти JSON объект в тексте
+        const jsonMatch = cleanedJson.match(/\{[\s\S]*"chunks"[\s\S]*\}/);
+        if (jsonMatch) {
+            parsed = JSON.parse(jsonMatch[0]);
+        } else {
+            // Пробуем найти массив chunks напрямую
+            const arrayMatch = cleanedJson.match(/\[[\s\S]*\]/);
+            if (arrayMatch) {
+                parsed = { chunks: JSON.parse(arrayMatch[0]) };
+            } else {
+                throw new Error('Could not find valid JSON in response: ' + jsonError.message);
+            }
+        }
+    }
+
+    const chunks = Array.isArray(parsed) ? parsed : parsed?.chunks;
+
+    if (!Array.isArray(chunks) || chunks.length === 0) {
+        console.error('Response structure:', JSON.stringify(parsed, null, 2).substring(0, 500));
+        throw new Error('Invalid response structure: missing chunks array');
+    }
+
+    return { chunks };
+}
@@ -0,0 +1,405 @@
+/**
+ * Schema Module - схема chunk, валидация и исправление сгенерированного контента
+ * Поддерживает подмножество JSON Schema: type, required, properties, items, enum, minLength, pattern
+ */
+
+import { phraseKey, makeChunkId } from '../chunk-id.js';
+import { answerKey } from '../turkish-text.js';
+
+export { phraseKey };
+
+export const WORD_ROLES = ['subject', 'object', 'verb', 'other'];
+
+// Минимум валидных chunks, ниже которого отправляется запрос на исправление
+export const MIN_VALID_CHUNKS = 20;
+
+export const WORD_SCHEMA = {
+    type: 'object',
+    required: ['text', 'role'],
+    properties: {
+        text: { type: 'string', minLength: 1 },
+        role: { type: 'string', enum: WORD_ROLES }
+    }
+};
+
+export const CHUNK_SCHEMA = {
+    type: 'object',
+    required: ['id', 'turkish', 'russian', 'example', 'exampleTranslation', 'words'],
+    properties: {
+        id: { type: 'string', minLength: 1 },
+        turkish: { type: 'string', minLength: 1, pattern: '\\p{L}' },
+        russian: { type: 'string', minLength: 1, pattern: '\\p{L}' },
+        example: { type: 'string' },
+        exampleTranslation: { type: 'string' },
+        grammarNote: { type: ['string', 'null'] },
+        words: { type: 'array', items: WORD_SCHEMA },
+        acceptedAnswers: { type: 'array', items: { type: 'string', minLength: 1 } }
+    }
+};
+
+// Ответ модели на апелляцию ученика: засчитать ли его вариант фразы
+export const APPEAL_SCHEMA = {
+    type: 'object',
+    required: ['valid', 'explanation'],
+    properties: {
+        valid: { type: 'boolean' },
+        explanation: { type: 'string' }
+    }
+};
+
+/**
+ * Преобразование схемы в формат responseSchema Gemini (подмножество OpenAPI)
+ * Ограничения minLength/pattern не поддерживаются и проверяются только валидатором
+ * @param {object} schema - схема в формате JSON Schema
+ * @returns {object} - responseSchema
+ */
+export function toResponseSchema(schema) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const type = types.find(t => t !== 'null');
+    const result = { type: type.toUpperCase() };
+
+    if (types.includes('null')) result.nullable = true;
+    if (schema.enum) result.enum = [...schema.enum];
+    if (schema.items) result.items = toResponseSchema(schema.items);
+    if (schema.properties) {
+        result.properties = {};
+        Object.entries(schema.properties).forEach(([key, propSchema]) => {
+            result.properties[key] = toResponseSchema(propSchema);
+        });
+        result.propertyOrdering = Object.keys(schema.properties);
+    }
+    if (schema.required) result.required = [...schema.required];
+
+    return result;
+}
+
+/**
+ * Схема chunk без поля id - ID назначает приложение, а не модель
+ * @returns {object}
+ */
+function modelChunkSchema() {
+    const { id, ...properties } = CHUNK_SCHEMA.properties;
+    return {
+        ...CHUNK_SCHEMA,
+        required: CHUNK_SCHEMA.required.filter(key => key !== 'id'),
+        properties
+    };
+}
+
+// responseSchema ответа генерации: {chunks: [chunk]}
+export const CONTENT_RESPONSE_SCHEMA = toResponseSchema({
+    type: 'object',
+    required: ['chunks'],
+    properties: {
+        chunks: { type: 'array', items: modelChunkSchema() }
+    }
+});
+
+export const APPEAL_RESPONSE_SCHEMA = toResponseSchema(APPEAL_SCHEMA);
+
+/**
+ * Тип значения в терминах JSON Schema
+ * @param {any} value - значение
+ * @returns {string}
+ */
+function schemaType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Проверка значения по схеме
+ * @param {any} value - значение
+ * @param {object} schema - схема
+ * @param {string} path - путь к значению (для сообщений)
+ * @returns {Array} - ошибки [{path, message}]
+ */
+export function validateSchema(value, schema, path = '') {
+    const errors = [];
+    const actual = schemaType(value);
+
+    if (schema.type) {
+        const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const matches = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+        if (!matches) {
+            errors.push({ path, message: `expected ${allowed.join('|')}, got ${actual}` });
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `must be one of ${schema.enum.join('|')}` });
+    }
+
+    if (actual === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            errors.push({ path, message: 'must not be empty' });
+        } else if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            errors.push({ path, message: `must match ${schema.pattern}` });
+        }
+    }
+
+    if (actual === 'object' && schema.properties) {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+            }
+        });
+        Object.entries(schema.properties).forEach(([key, propSchema]) => {
+            if (value[key] !== undefined) {
+                errors.push(...validateSchema(value[key], propSchema, path ? `${path}.${key}` : key));
+            }
+        });
+    }
+
+    if (actual === 'array' && schema.items) {
+        value.forEach((item, i) => {
+            errors.push(...validateSchema(item, schema.items, `${path}[${i}]`));
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Первое непустое строковое значение из списка полей
+ * @param {object} raw - исходный объект
+ * @param {Array} keys - поля по приоритету
+ * @returns {{value: string, key: string}|null}
+ */
+function pickString(raw, keys) {
+    for (const key of keys) {
+        if (typeof raw[key] === 'string' && raw[key].trim()) {
+            return { value: raw[key].trim(), key };
+        }
+    }
+    return null;
+}
+
+/**
+ * Исправление слов chunk
+ * @param {any} words - исходный массив слов
+ * @param {Array} repairs - список исправлений (дополняется)
+ * @returns {Array} - исправленные слова
+ */
+function repairWords(words, repairs) {
+    if (!Array.isArray(words)) {
+        if (words !== undefined) repairs.push('words: not an array, reset');
+        return [];
+    }
+
+    const result = [];
+    words.forEach((word, i) => {
+        if (typeof word === 'string') {
+            if (word.trim()) {
+                result.push({ text: word.trim(), role: 'other' });
+                repairs.push(`words[${i}]: string converted to object`);
+            }
+            return;
+        }
+        if (!word || typeof word.text !== 'string' || !word.text.trim()) {
+            repairs.push(`words[${i}]: dropped, no text`);
+            return;
+        }
+        const role = typeof word.role === 'string' ? word.role.trim().toLowerCase() : '';
+        if (!WORD_ROLES.includes(role)) {
+            repairs.push(`words[${i}].role: "${word.role}" → other`);
+        }
+        result.push({ text: word.text.trim(), role: WORD_ROLES.includes(role) ? role : 'other' });
+    });
+    return result;
+}
+
+/**
+ * Исправление допустимых вариантов ответа: строки, без пустых и повторов основной фразы
+ * @param {any} answers - исходные варианты
+ * @param {string} turkish - основная фраза
+ * @param {Array} repairs - список исправлений (дополняется)
+ * @returns {Array} - варианты ответа
+ */
+function repairAcceptedAnswers(answers, turkish, repairs) {
+    if (answers === undefined || answers === null) return [];
+    if (typeof answers === 'string') {
+        repairs.push('acceptedAnswers: string converted to array');
+        answers = [answers];
+    }
+    if (!Array.isArray(answers)) {
+        repairs.push('acceptedAnswers: not an array, reset');
+        return [];
+    }
+
+    const seen = new Set([answerKey(turkish)]);
+    const result = [];
+    answers.forEach((answer, i) => {
+        if (typeof answer !== 'string' || !answer.trim()) {
+            repairs.push(`acceptedAnswers[${i}]: dropped, no text`);
+            return;
+        }
+        const key = answerKey(answer);
+        if (seen.has(key)) {
+            repairs.push(`acceptedAnswers[${i}]: dropped, duplicate`);
+            return;
+        }
+        seen.add(key);
+        result.push(answer.trim());
+    });
+    return result;
+}
+
+/**
+ * Исправление одного chunk: алиасы полей, типы, роли слов
+ * ID назначается по теме и фразе, ID от модели игнорируется
+ * @param {any} raw - исходный chunk от модели
+ * @param {string} topicId - ID темы
+ * @returns {{chunk: object|null, repairs: Array}}
+ */
+export function repairChunk(raw, topicId) {
+    const repairs = [];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { chunk: null, repairs };
+    }
+
+    const field = (name, aliases) => {
+        const picked = pickString(raw, [name, ...aliases]);
+        if (picked && picked.key !== name) {
+            repairs.push(`${name}: taken from "${picked.key}"`);
+        }
+        return picked ? picked.value : '';
+    };
+
+    const turkish = field('turkish', ['phrase', 'text']);
+    const chunk = {
+        id: makeChunkId(topicId, turkish),
+        turkish,
+        russian: field('russian', ['translation', 'meaning']),
+        example: field('example', ['sentence']),
+        exampleTranslation: field('exampleTranslation', ['sentenceTranslation']),
+        grammarNote: field('grammarNote', ['note', 'grammar']) || null,
+        words: repairWords(raw.words, repairs),
+        acceptedAnswers: repairAcceptedAnswers(raw.acceptedAnswers ?? raw.alternatives, turkish, repairs)
+    };
+
+    return { chunk, repairs };
+}
+
+/**
+ * Валидация и исправление массива chunks
+ * Невалидные chunks отбрасываются, дубликаты фраз удаляются
+ * @param {Array} rawChunks - chunks от провайдера
+ * @param {string} topicId - ID темы (для ID chunks)
+ * @returns {{chunks: Array, rejected: Array, report: object}}
+ */
+export function validateChunks(rawChunks, topicId) {
+    const chunks = [];
+    const rejected = [];
+    const seenPhrases = new Set();
+    const seenIds = new Set();
+    const report = {
+        total: Array.isArray(rawChunks) ? rawChunks.length : 0,
+        valid: 0,
+        repaired: 0,
+        dropped: 0,
+        duplicates: 0,
+        issues: [],
+        followUp: null
+    };
+
+    (Array.isArray(rawChunks) ? rawChunks : []).forEach((raw, index) => {
+        const { chunk, repairs } = repairChunk(raw, topicId);
+        const errors = chunk ? validateSchema(chunk, CHUNK_SCHEMA) : [{ path: '', message: 'not an object' }];
+
+        if (errors.length > 0) {
+            report.dropped++;
+            report.issues.push({
+                index,
+                turkish: chunk?.turkish || '',
+                action: 'dropped',
+                problems: errors.map(e => `${e.path || 'chunk'}: ${e.message}`)
+            });
+            rejected.push({ item: raw, problems: errors.map(e => `${e.path || 'chunk'}: ${e.message}`) });
+            return;
+        }
+
+        const key = phraseKey(chunk.turkish);
+        if (seenPhrases.has(key)) {
+            report.duplicates++;
+            report.issues.push({ index, turkish: chunk.turkish, action: 'duplicate', problems: ['duplicate phrase'] });
+            return;
+        }
+        seenPhrases.add(key);
+
+        if (seenIds.has(chunk.id)) {
+            let n = 2;
+            while (seenIds.has(`${chunk.id}_${n}`)) n++;
+            repairs.push(`id: hash collision "${chunk.id}" renamed`);
+            chunk.id = `${chunk.id}_${n}`;
+        }
+        seenIds.add(chunk.id);
+
+        if (repairs.length > 0) {
+            report.repaired++;
+            report.issues.push({ index, turkish: chunk.turkish, action: 'repaired', problems: repairs });
+        }
+
+        chunks.push(chunk);
+    });
+
+    report.valid = chunks.length;
+    return { chunks, rejected, report };
+}
+
+/**
+ * Поиск слабых chunks: отмеченных учеником как ошибочные, без примера, без разбора слов или без перевода
+ * Такие chunks можно заменить новыми через replaceWeakChunks; отмеченные идут первыми.
+ * В своих темах (импортированные колоды) разбора слов нет, его отсутствие там не в счёт
+ * @param {Array} chunks - chunks темы
+ * @param {Set} reported - ID отмеченных chunks
+ * @param {object} options - {custom}: chunks своей темы
+ * @returns {Array} - [{chunk, reasons}]
+ */
+export function findWeakChunks(chunks, reported = new Set(), options = {}) {
+    const weak = (chunks || []).map(chunk => {
+        const reasons = [];
+        if (reported.has(chunk.id)) reasons.push('reported');
+        if (!chunk.example || !chunk.exampleTranslation) reasons.push('no example');
+        if (!options.custom && (!Array.isArray(chunk.words) || chunk.words.length === 0)) reasons.push('no words');
+        if (phraseKey(chunk.russian || '') === phraseKey(chunk.turkish || '')) reasons.push('not translated');
+        return { chunk, reasons };
+    }).filter(entry => entry.reasons.length > 0);
+    const isReported = entry => reported.has(entry.chunk.id);
+    return [...weak.filter(isReported), ...weak.filter(entry => !isReported(entry))];
+}
+
+/**
+ * Объединение результата валидации с chunks из запроса на исправление
+ * @param {object} base - результат validateChunks
+ * @param {Array} extraChunks - chunks из ответа на исправление
+ * @param {string} topicId - ID темы
+ * @returns {{chunks: Array, rejected: Array, report: object}}
+ */
+export function mergeValidated(base, extraChunks, topicId) {
+    const offset = base.chunks.length;
+    const merged = validateChunks([...base.chunks, ...(Array.isArray(extraChunks) ? extraChunks : [])], topicId);
+    const extraIssues = merged.report.issues.filter(issue => issue.index >= offset);
+    const count = action => extraIssues.filter(issue => issue.action === action).length;
+
+    return {
+        chunks: merged.chunks,
+        rejected: merged.rejected,
+        report: {
+            ...base.report,
+            total: base.report.total + merged.report.total - offset,
+            valid: merged.chunks.length,
+            repaired: base.report.repaired + count('repaired'),
+            dropped: base.report.dropped + count('dropped'),
+            duplicates: base.report.duplicates + count('duplicate'),
+            issues: [...base.report.issues, ...extraIssues],
+            followUp: {
+                received: merged.report.total - offset,
+                added: merged.chunks.length - offset
+            }
+        }
+    };
+}
@@ -0,0 +1,49 @@
+/**
+ * Static Pack Provider - офлайн-контент из встроенного набора
+ * Не требует сети и API ключа, покрывает только часть тем
+ */
+
+import { STATIC_PACK } from '../data/static-pack.js';
+import { phraseKey } from '../chunk-id.js';
+
+/**
+ * Проверка наличия темы во встроенном наборе
+ * @param {string} topicId - ID темы
+ * @returns {boolean}
+ */
+export function hasStaticTopic(topicId) {
+    return Array.isArray(STATIC_PACK[topicId]) && STATIC_PACK[topicId].length > 0;
+}
+
+/**
+ * Получение chunks темы из встроенного набора
+ * @param {object} topic - тема
+ * @param {object} options - {count, exclude}
+ * @returns {Promise<object>} - {chunks}
+ */
+async function generate(topic, options = {}) {
+    if (!hasStaticTopic(topic.id)) {
+        throw new Error('STATIC_PACK_MISSING');
+    }
+
+    const excluded = new Set((options.exclude || []).map(phraseKey));
+    const available = STATIC_PACK[topic.id].filter(chunk => !excluded.has(phraseKey(chunk.turkish)));
+    const selected = Number.isInteger(options.count) ? available.slice(0, options.count) : available;
+
+    // Копируем, чтобы изменения в кэше не трогали встроенный набор
+    const chunks = selected.map(chunk => ({
+        ...chunk,
+        words: (chunk.words || []).map(word => ({ ...word }))
+    }));
+
+    return { chunks };
+}
+
+export const StaticPackProvider = {
+    id: 'static',
+    name: 'Офлайн-набор (без сети)',
+    requiresNetwork: false,
+    generate
+};
+
+export default StaticPackProvider;
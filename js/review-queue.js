@@ -0,0 +1,186 @@
+/**
+ * Review Queue Module - общая очередь повторения по всем темам
+ * Собирает карточки, срок которых наступил, из всех тем в кэше и новые карточки
+ * из начатых тем с учётом дневных лимитов. Сколько уже сделано сегодня,
+ * считается по журналу повторений. Приостановленные, отложенные и отмеченные
+ * как ошибочные карточки пропускаются. Обратные карточки, карточки с вводом ответа
+ * и на слух попадают в очередь, когда их начали учить в соответствующей игре.
+ */
+
+import { getSRSData, getSettings, getReviewLog, getCachedTopicIds } from './storage.js';
+import { STORES, dbGet } from './db.js';
+import { getTopicIdFromChunkId, CARD_TYPES, DEFAULT_CARD_TYPE, cardKey } from './chunk-id.js';
+import { isHidden, isChunkHidden, getReportedIds } from './card-status.js';
+
+// ID "темы" общей сессии повторения в состоянии приложения
+export const REVIEW_SESSION_ID = 'review';
+
+export const DEFAULT_NEW_PER_DAY = 20;
+export const DEFAULT_REVIEWS_PER_DAY = 200;
+
+/**
+ * Начало текущих суток по местному времени
+ * @param {number} now - текущее время
+ * @returns {number}
+ */
+export function startOfDay(now = Date.now()) {
+    const date = new Date(now);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+}
+
+/**
+ * Карточка ещё ни разу не повторялась
+ * @param {object|undefined} record - SRS запись
+ * @returns {boolean}
+ */
+export function isNewCard(record) {
+    return !record || (!record.lastReview && !record.repetitions && !record.interval && !Number.isFinite(record.stability));
+}
+
+/**
+ * Карточка на шагах изучения (повтор через минуты)
+ * @param {object} record - SRS запись
+ * @returns {boolean}
+ */
+function isLearningCard(record) {
+    return record.state === 'learning' || record.state === 'relearning';
+}
+
+// Источники журнала, которые расходуют дневные лимиты: очередь повторения и флеш-карточки.
+// Ответы из остальных игр обновляют расписание, но лимиты не тратят
+export const LIMITED_SOURCES = ['review', 'flashcards', 'flashcards-reverse', 'flashcards-typed', 'flashcards-audio'];
+
+/**
+ * Сколько новых карточек и повторений уже сделано сегодня
+ * Повторы на шагах изучения в лимиты не входят. Записи без источника
+ * появились до его учёта, тогда журнал вели только карточки
+ * @param {Array} log - журнал повторений
+ * @param {number} now - текущее время
+ * @returns {object} - {newDone, reviewsDone}
+ */
+export function countToday(log, now = Date.now()) {
+    const dayStart = startOfDay(now);
+    const today = log.filter(entry => entry.time >= dayStart &&
+        (!entry.source || LIMITED_SOURCES.includes(entry.source)));
+    return {
+        newDone: today.filter(entry => entry.state === 'new').length,
+        reviewsDone: today.filter(entry => entry.state !== 'new' && entry.state !== 'learning' && entry.state !== 'relearning').length
+    };
+}
+
+/**
+ * Равномерное распределение новых карточек среди повторений
+ * @param {Array} reviews - карточки на повторение
+ * @param {Array} fresh - новые карточки
+ * @returns {Array}
+ */
+function interleave(reviews, fresh) {
+    if (fresh.length === 0) return reviews;
+    const gap = Math.floor(reviews.length / fresh.length);
+    const queue = [];
+    fresh.forEach((card, i) => {
+        queue.push(...reviews.slice(i * gap, (i + 1) * gap), card);
+    });
+    return [...queue, ...reviews.slice(fresh.length * gap)];
+}
+
+/**
+ * Сборка очереди из контента тем
+ * @param {Array} topics - контент тем {topicId, chunks}
+ * @param {object} options - {srsData, log, settings, now, reported}; reported - Set ID отмеченных фраз
+ * @returns {object} - {cards, learning, due, fresh, dueTotal}; у карточек есть topicId и cardType
+ */
+export function buildReviewQueue(topics, options = {}) {
+    const srsData = options.srsData || {};
+    const settings = options.settings || {};
+    const now = options.now ?? Date.now();
+    const reported = options.reported || new Set();
+    const { newDone, reviewsDone } = countToday(options.log || [], now);
+    const newLimit = Math.max(0, (settings.newCardsPerDay ?? DEFAULT_NEW_PER_DAY) - newDone);
+    const reviewLimit = Math.max(0, (settings.reviewsPerDay ?? DEFAULT_REVIEWS_PER_DAY) - reviewsDone);
+
+    // Новые карточки - только из тем, где уже есть повторения
+    const startedTopics = new Set(Object.keys(srsData)
+        .filter(chunkId => !isNewCard(srsData[chunkId]))
+        .map(getTopicIdFromChunkId));
+
+    const learning = [];
+    const due = [];
+    const fresh = [];
+    const seen = new Set();
+
+    topics.forEach(({ topicId, chunks }) => {
+        (chunks || []).forEach(chunk => {
+            if (seen.has(chunk.id)) return;
+            seen.add(chunk.id);
+
+            if (reported.has(chunk.id) || isChunkHidden(chunk.id, srsData, now)) return;
+
+            CARD_TYPES.forEach(cardType => {
+                const record = srsData[cardKey(chunk.id, cardType)];
+                const card = { ...chunk, topicId, cardType };
+                if (isNewCard(record)) {
+                    // Новыми в очередь попадают только основные карточки
+                    if (cardType === DEFAULT_CARD_TYPE && startedTopics.has(topicId)) fresh.push(card);
+                } else if (record.nextReview <= now && !isHidden(record, now)) {
+                    (isLearningCard(record) ? learning : due).push(card);
+                }
+            });
+        });
+    });
+
+    // Самые просроченные - первыми
+    const nextReview = card => srsData[cardKey(card.id, card.cardType)].nextReview;
+    const byDueDate = (a, b) => nextReview(a) - nextReview(b);
+    learning.sort(byDueDate);
+    due.sort(byDueDate);
+
+    const reviews = due.slice(0, reviewLimit);
+    const newCards = fresh.slice(0, newLimit);
+
+    return {
+        cards: [...learning, ...interleave(reviews, newCards)],
+        learning: learning.length,
+        due: reviews.length,
+        fresh: newCards.length,
+        dueTotal: due.length
+    };
+}
+
+/**
+ * Очередь повторения по всем темам в кэше
+ * Кэш читается напрямую, чтобы подсчёт не менял порядок вытеснения тем
+ * @param {number} now - текущее время
+ * @returns {Promise<object>} - см. buildReviewQueue
+ */
+export async function getReviewQueue(now = Date.now()) {
+    const topics = [];
+    for (const key of await getCachedTopicIds()) {
+        const content = await dbGet(STORES.CONTENT, key);
+        if (content && Array.isArray(content.chunks)) {
+            topics.push({ topicId: content.topicId || key, chunks: content.chunks });
+        }
+    }
+
+    return buildReviewQueue(topics, {
+        srsData: getSRSData(),
+        log: await getReviewLog(),
+        settings: getSettings(),
+        now,
+        reported: getReportedIds()
+    });
+}
+
+// Экспорт объекта ReviewQueue для совместимости
+export const ReviewQueue = {
+    REVIEW_SESSION_ID,
+    startOfDay,
+    isNewCard,
+    LIMITED_SOURCES,
+    countToday,
+    buildReviewQueue,
+    getReviewQueue
+};
+
+export default ReviewQueue;
@@ -0,0 +1,256 @@
+/**
+ * Scheduler Module - общая очередь сетевых запросов к API
+ * Ограничивает параллельность и число запросов в минуту, повторяет запросы
+ * при 429/5xx с экспоненциальной задержкой и поддерживает отмену через AbortController
+ */
+
+// Статусы, при которых запрос повторяется
+export const RETRY_STATUSES = [429, 500, 502, 503, 504];
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_BASE_DELAY = 1000;
+const DEFAULT_MAX_DELAY = 60000;
+const MINUTE = 60000;
+
+/**
+ * Ошибка отмены запроса
+ * @returns {Error}
+ */
+function abortError() {
+    return new Error('REQUEST_ABORTED');
+}
+
+/**
+ * Пауза с поддержкой отмены
+ * @param {number} ms - длительность в мс
+ * @param {AbortSignal} signal - сигнал отмены
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(abortError());
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortError());
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Разбор заголовка Retry-After (секунды или HTTP-дата)
+ * @param {string|null} value - значение заголовка
+ * @param {number} now - текущее время в мс
+ * @returns {number|null} - задержка в мс или null
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (Number.isNaN(date)) return null;
+    return Math.max(0, date - now);
+}
+
+/**
+ * Очередь запросов с лимитами и повторами
+ */
+export class RequestScheduler {
+    /**
+     * @param {object} options - {concurrency, maxRetries, baseDelay, maxDelay, fetch, now, sleep, random}
+     */
+    constructor(options = {}) {
+        this.concurrency = options.concurrency ?? DEFAULT_CONCURRENCY;
+        this.maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+        this.baseDelay = options.baseDelay ?? DEFAULT_BASE_DELAY;
+        this.maxDelay = options.maxDelay ?? DEFAULT_MAX_DELAY;
+        // fetch берётся при вызове, чтобы работала подмена в тестах
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+        this.now = options.now || (() => Date.now());
+        this.sleep = options.sleep || sleep;
+        this.random = options.random || Math.random;
+
+        this.active = 0;
+        this.waiting = [];
+        this.sent = {};
+    }
+
+    /**
+     * Выполнить запрос через очередь
+     * Ответ с ошибкой возвращается как есть после исчерпания повторов
+     * @param {string} url - адрес
+     * @param {object} init - параметры fetch
+     * @param {object} options - {signal, budgetKey, requestsPerMinute}
+     * @returns {Promise<Response>}
+     */
+    async request(url, init = {}, options = {}) {
+        const { signal, budgetKey = 'default', requestsPerMinute = Infinity } = options;
+
+        for (let attempt = 0; ; attempt++) {
+            await this.start(budgetKey, requestsPerMinute, signal);
+
+            let response;
+            try {
+                if (signal?.aborted) throw abortError();
+                response = await this.fetch(url, { ...init, signal });
+            } catch (error) {
+                if (signal?.aborted) throw abortError();
+                throw error;
+            } finally {
+                this.release();
+            }
+
+            if (!RETRY_STATUSES.includes(response.status) || attempt >= this.maxRetries) {
+                return response;
+            }
+
+            const delay = this.retryDelay(response, attempt);
+            console.warn(`Request failed with ${response.status}, retry ${attempt + 1} in ${Math.round(delay)} ms`);
+            await this.sleep(delay, signal);
+        }
+    }
+
+    /**
+     * Ожидание свободного слота и минутного бюджета
+     * @param {string} budgetKey - ключ бюджета (обычно модель)
+     * @param {number} limit - запросов в минуту
+     * @param {AbortSignal} signal - сигнал отмены
+     * @returns {Promise<void>}
+     */
+    async start(budgetKey, limit, signal) {
+        for (;;) {
+            if (signal?.aborted) throw abortError();
+
+            const wait = this.budgetDelay(budgetKey, limit);
+            if (wait > 0) {
+                await this.sleep(wait, signal);
+                continue;
+            }
+
+            await this.acquire(signal);
+            // Пока ждали слот, бюджет могли израсходовать другие запросы
+            if (this.budgetDelay(budgetKey, limit) === 0) {
+                this.sent[budgetKey].push(this.now());
+                return;
+            }
+            this.release();
+        }
+    }
+
+    /**
+     * Сколько ждать до освобождения минутного бюджета
+     * @param {string} budgetKey - ключ бюджета
+     * @param {number} limit - запросов в минуту
+     * @returns {number} - задержка в мс (0 - можно отправлять)
+     */
+    budgetDelay(budgetKey, limit) {
+        const now = this.now();
+        const recent = (this.sent[budgetKey] || []).filter(time => time > now - MINUTE);
+        this.sent[budgetKey] = recent;
+
+        if (recent.length < limit) return 0;
+        return recent[recent.length - limit] + MINUTE - now;
+    }
+
+    /**
+     * Занять слот параллельности
+     * @param {AbortSignal} signal - сигнал отмены
+     * @returns {Promise<void>}
+     */
+    acquire(signal) {
+        if (this.active < this.concurrency) {
+            this.active++;
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = {
+                resolve: () => {
+                    signal?.removeEventListener('abort', onAbort);
+                    resolve();
+                }
+            };
+            const onAbort = () => {
+                this.waiting = this.waiting.filter(item => item !== entry);
+                reject(abortError());
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+            this.waiting.push(entry);
+        });
+    }
+
+    /**
+     * Освободить слот и передать его следующему в очереди
+     */
+    release() {
+        const next = this.waiting.shift();
+        if (next) {
+            next.resolve();
+        } else {
+            this.active--;
+        }
+    }
+
+    /**
+     * Задержка перед повтором: Retry-After или экспонента с джиттером, не больше maxDelay
+     * @param {Response} response - ответ с ошибкой
+     * @param {number} attempt - номер попытки (с 0)
+     * @returns {number} - задержка в мс
+     */
+    retryDelay(response, attempt) {
+        const retryAfter = parseRetryAfter(response.headers?.get?.('Retry-After'), this.now());
+        if (retryAfter !== null) {
+            return Math.min(retryAfter, this.maxDelay);
+        }
+
+        const exp = Math.min(this.maxDelay, this.baseDelay * 2 ** attempt);
+        return exp / 2 + this.random() * exp / 2;
+    }
+}
+
+// Общая очередь для всех запросов приложения
+export const scheduler = new RequestScheduler();
+
+/**
+ * fetch через общую очередь
+ * @param {string} url - адрес
+ * @param {object} init - параметры fetch
+ * @param {object} options - {signal, budgetKey, requestsPerMinute}
+ * @returns {Promise<Response>}
+ */
+export function scheduledFetch(url, init, options) {
+    return scheduler.request(url, init, options);
+}
+
+// Отмена запросов текущего экрана при навигации
+let screenController = new AbortController();
+
+/**
+ * Сигнал отмены, привязанный к текущему экрану
+ * @returns {AbortSignal}
+ */
+export function getScreenSignal() {
+    return screenController.signal;
+}
+
+/**
+ * Отменить запросы текущего экрана
+ */
+export function abortScreenRequests() {
+    screenController.abort();
+    screenController = new AbortController();
+}
+
+export default scheduler;
@@ -0,0 +1,412 @@
+/**
+ * SQLite Module - запись файла базы данных SQLite без сторонних библиотек
+ * Файл собирается целиком в памяти: таблицы и индексы раскладываются
+ * по B-деревьям формата SQLite 3, длинные записи уходят на страницы переполнения.
+ * Нужен для пакетов других программ (колода Anki - база SQLite в zip-архиве),
+ * поэтому поддерживается только запись новой базы, без чтения и изменения.
+ */
+
+const PAGE_SIZE = 4096;
+
+// Заголовок файла занимает начало первой страницы
+const FILE_HEADER_SIZE = 100;
+
+// Типы страниц B-дерева
+const PAGE_TYPES = {
+    INDEX_INTERIOR: 0x02,
+    TABLE_INTERIOR: 0x05,
+    INDEX_LEAF: 0x0A,
+    TABLE_LEAF: 0x0D
+};
+
+// Версия SQLite, записанная в заголовок
+const SQLITE_VERSION_NUMBER = 3040001;
+
+const encoder = new TextEncoder();
+
+/**
+ * Varint SQLite: big-endian, по 7 бит в байте
+ * @param {number} value - неотрицательное целое меньше 2^53
+ * @returns {Array} - байты
+ */
+export function encodeVarint(value) {
+    const bytes = [value % 128];
+    let rest = Math.floor(value / 128);
+    while (rest > 0) {
+        bytes.unshift(0x80 | (rest % 128));
+        rest = Math.floor(rest / 128);
+    }
+    return bytes;
+}
+
+/**
+ * Значение записи: serial type и байты
+ * Целые хранятся в наименьшем подходящем формате, 0 и 1 - без байтов
+ * @param {null|number|bigint|string|Uint8Array} value - значение столбца
+ * @returns {{type: number, bytes: Uint8Array}}
+ */
+function encodeValue(value) {
+    if (value === null || value === undefined) {
+        return { type: 0, bytes: new Uint8Array(0) };
+    }
+    if (typeof value === 'string') {
+        const bytes = encoder.encode(value);
+        return { type: bytes.length * 2 + 13, bytes };
+    }
+    if (value instanceof Uint8Array) {
+        return { type: value.length * 2 + 12, bytes: value };
+    }
+    if (typeof value === 'number' && !Number.isInteger(value)) {
+        const bytes = new Uint8Array(8);
+        new DataView(bytes.buffer).setFloat64(0, value);
+        return { type: 7, bytes };
+    }
+
+    const int = BigInt(value);
+    if (int === 0n) return { type: 8, bytes: new Uint8Array(0) };
+    if (int === 1n) return { type: 9, bytes: new Uint8Array(0) };
+    const sizes = [[1, 1], [2, 2], [3, 3], [4, 4], [5, 6], [6, 8]];
+    const [type, size] = sizes.find(([, n]) => n === 8 || (int >= -(1n << BigInt(n * 8 - 1)) && int < (1n << BigInt(n * 8 - 1))));
+    const bytes = new Uint8Array(size);
+    let rest = BigInt.asUintN(size * 8, int);
+    for (let i = size - 1; i >= 0; i--) {
+        bytes[i] = Number(rest & 0xFFn);
+        rest >>= 8n;
+    }
+    return { type, bytes };
+}
+
+/**
+ * Запись (строка таблицы или ключ индекса) в формате SQLite
+ * @param {Array} values - значения столбцов
+ * @returns {Uint8Array}
+ */
+export function encodeRecord(values) {
+    const encoded = values.map(encodeValue);
+    const types = encoded.flatMap(value => encodeVarint(value.type));
+    // Размер заголовка записи включает собственный varint
+    let headerSize = types.length + 1;
+    while (encodeVarint(headerSize).length + types.length > headerSize) headerSize++;
+
+    const bodySize = encoded.reduce((sum, value) => sum + value.bytes.length, 0);
+    const record = new Uint8Array(headerSize + bodySize);
+    record.set([...encodeVarint(headerSize), ...types]);
+    let offset = headerSize;
+    encoded.forEach(value => {
+        record.set(value.bytes, offset);
+        offset += value.bytes.length;
+    });
+    return record;
+}
+
+/**
+ * Сравнение ключей индекса в порядке SQLite: NULL, числа, строки (побайтно), BLOB
+ * @param {Array} a - значения ключа
+ * @param {Array} b - значения ключа
+ * @returns {number}
+ */
+function compareKeys(a, b) {
+    const rank = value => value === null || value === undefined ? 0
+        : typeof value === 'number' || typeof value === 'bigint' ? 1
+        : typeof value === 'string' ? 2 : 3;
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        const diff = rank(a[i]) - rank(b[i]);
+        if (diff !== 0) return diff;
+        if (rank(a[i]) === 1 && a[i] != b[i]) return a[i] < b[i] ? -1 : 1;
+        if (rank(a[i]) >= 2) {
+            const left = typeof a[i] === 'string' ? encoder.encode(a[i]) : a[i];
+            const right = typeof b[i] === 'string' ? encoder.encode(b[i]) : b[i];
+            for (let j = 0; j < Math.min(left.length, right.length); j++) {
+                if (left[j] !== right[j]) return left[j] - right[j];
+            }
+            if (left.length !== right.length) return left.length - right.length;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Файл базы: страницы выделяются по мере записи, первая занята заголовком и sqlite_master
+ */
+class PageWriter {
+    constructor() {
+        this.pages = [new Uint8Array(PAGE_SIZE)];
+    }
+
+    /**
+     * Новая страница
+     * @returns {number} - номер страницы (с 1)
+     */
+    allocate() {
+        this.pages.push(new Uint8Array(PAGE_SIZE));
+        return this.pages.length;
+    }
+
+    /**
+     * Содержимое записи в ячейке: что не помещается на странице, уходит в цепочку переполнения
+     * @param {Uint8Array} payload - запись
+     * @param {number} maxLocal - сколько байт может остаться в ячейке
+     * @returns {Array} - байты ячейки после размера
+     */
+    payload(payload, maxLocal) {
+        if (payload.length <= maxLocal) return [...payload];
+
+        const usable = PAGE_SIZE;
+        const minLocal = Math.floor((usable - 12) * 32 / 255) - 23;
+        const surplus = minLocal + (payload.length - minLocal) % (usable - 4);
+        const local = surplus <= maxLocal ? surplus : minLocal;
+
+        let rest = payload.subarray(local);
+        const first = this.allocate();
+        let page = first;
+        while (rest.length > 0) {
+            const chunk = rest.subarray(0, usable - 4);
+            rest = rest.subarray(chunk.length);
+            const next = rest.length > 0 ? this.allocate() : 0;
+            new DataView(this.pages[page - 1].buffer).setUint32(0, next);
+            this.pages[page - 1].set(chunk, 4);
+            page = next;
+        }
+        return [...payload.subarray(0, local), ...uint32(first)];
+    }
+
+    /**
+     * Запись страницы B-дерева
+     * @param {number} pageNumber - номер страницы
+     * @param {number} type - тип страницы
+     * @param {Array} cells - ячейки (массивы байтов)
+     * @param {number} rightChild - правый потомок внутренней страницы
+     */
+    writePage(pageNumber, type, cells, rightChild = 0) {
+        const page = this.pages[pageNumber - 1];
+        const view = new DataView(page.buffer);
+        const start = pageNumber === 1 ? FILE_HEADER_SIZE : 0;
+        const interior = type === PAGE_TYPES.TABLE_INTERIOR || type === PAGE_TYPES.INDEX_INTERIOR;
+        const headerSize = interior ? 12 : 8;
+
+        let content = PAGE_SIZE;
+        cells.forEach((cell, i) => {
+            content -= cell.length;
+            page.set(cell, content);
+            view.setUint16(start + headerSize + i * 2, content);
+        });
+
+        page[start] = type;
+        view.setUint16(start + 1, 0);
+        view.setUint16(start + 3, cells.length);
+        view.setUint16(start + 5, content);
+        page[start + 7] = 0;
+        if (interior) view.setUint32(start + 8, rightChild);
+    }
+}
+
+/**
+ * 4 байта big-endian
+ * @param {number} value - число
+ * @returns {Array}
+ */
+function uint32(value) {
+    return [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+}
+
+/**
+ * Место под ячейки на странице
+ * @param {boolean} interior - внутренняя страница
+ * @param {number} reserved - занято до заголовка страницы (заголовок файла на первой)
+ * @returns {number}
+ */
+function pageCapacity(interior, reserved) {
+    return PAGE_SIZE - reserved - (interior ? 12 : 8);
+}
+
+/**
+ * Деление ячеек на группы, каждая из которых помещается на страницу
+ * Группы примерно равны по числу ячеек; between - сколько ячеек уходит между группами
+ * на уровень выше (ключи-разделители индекса)
+ * @param {Array} cells - ячейки
+ * @param {number} capacity - место на странице
+ * @param {object} options - {between, minSize}
+ * @returns {{groups: Array, dividers: Array}}
+ */
+function splitCells(cells, capacity, options = {}) {
+    const between = options.between || 0;
+    const minSize = options.minSize || 1;
+    const total = cells.reduce((sum, cell) => sum + cell.length + 2, 0);
+
+    for (let count = Math.max(1, Math.ceil(total / capacity)); ; count++) {
+        const kept = cells.length - between * (count - 1);
+        if (count > 1 && kept < count * minSize) {
+            throw new Error('SQLITE_CELL_TOO_LARGE');
+        }
+        const groups = [];
+        const dividers = [];
+        let index = 0;
+        for (let i = 0; i < count; i++) {
+            const size = Math.floor(kept / count) + (i < kept % count ? 1 : 0);
+            groups.push(cells.slice(index, index + size));
+            index += size;
+            if (i < count - 1 && between) {
+                dividers.push(cells[index]);
+                index += between;
+            }
+        }
+        const fits = groups.every(group => group.reduce((sum, cell) => sum + cell.length + 2, 0) <= capacity);
+        if (fits) return { groups, dividers };
+    }
+}
+
+/**
+ * B-дерево таблицы
+ * @param {PageWriter} writer - файл
+ * @param {Array} rows - [{rowid, values}] по возрастанию rowid
+ * @param {number} [rootPage] - заранее выделенный корень (страница 1 для sqlite_master)
+ * @returns {number} - номер корневой страницы
+ */
+function writeTableTree(writer, rows, rootPage) {
+    const reserved = rootPage === 1 ? FILE_HEADER_SIZE : 0;
+    const maxLocal = PAGE_SIZE - 35;
+    const cells = rows.map(row => {
+        const record = encodeRecord(row.values);
+        const cell = [...encodeVarint(record.length), ...encodeVarint(row.rowid), ...writer.payload(record, maxLocal)];
+        cell.key = row.rowid;
+        return cell;
+    });
+
+    // Уровень листьев, затем внутренние страницы, пока не останется одна
+    let level = splitCells(cells, pageCapacity(false, reserved)).groups
+        .map(group => ({ group, key: group.length ? group[group.length - 1].key : 0 }));
+    let type = PAGE_TYPES.TABLE_LEAF;
+    for (;;) {
+        if (level.length === 1) {
+            const page = rootPage || writer.allocate();
+            writer.writePage(page, type, level[0].group, level[0].right);
+            return page;
+        }
+
+        const children = level.map(node => {
+            const page = writer.allocate();
+            writer.writePage(page, type, node.group, node.right);
+            return { page, key: node.key };
+        });
+        // Ячейка внутренней страницы: левый потомок и наибольший rowid в нём
+        const links = children.map(child => Object.assign([...uint32(child.page), ...encodeVarint(child.key)], { child }));
+        level = splitCells(links, pageCapacity(true, reserved), { minSize: 2 }).groups.map(group => ({
+            group: group.slice(0, -1),
+            right: group[group.length - 1].child.page,
+            key: group[group.length - 1].child.key
+        }));
+        type = PAGE_TYPES.TABLE_INTERIOR;
+    }
+}
+
+/**
+ * B-дерево индекса
+ * @param {PageWriter} writer - файл
+ * @param {Array} keys - ключи индекса (значения столбцов и rowid) по возрастанию
+ * @returns {number} - номер корневой страницы
+ */
+function writeIndexTree(writer, keys) {
+    const maxLocal = Math.floor((PAGE_SIZE - 12) * 64 / 255) - 23;
+    const cells = keys.map(key => {
+        const record = encodeRecord(key);
+        return [...encodeVarint(record.length), ...writer.payload(record, maxLocal)];
+    });
+
+    // На уровень выше уходит ключ между соседними страницами
+    let { groups, dividers } = splitCells(cells, pageCapacity(false, 0), { between: 1 });
+    let type = PAGE_TYPES.INDEX_LEAF;
+    let nodes = groups.map(group => ({ group }));
+    for (;;) {
+        if (nodes.length === 1) {
+            const page = writer.allocate();
+            writer.writePage(page, type, nodes[0].group, nodes[0].right);
+            return page;
+        }
+
+        const pages = nodes.map(node => {
+            const page = writer.allocate();
+            writer.writePage(page, type, node.group, node.right);
+            return page;
+        });
+        // Ячейка внутренней страницы: левый потомок и ключ-разделитель после него
+        const links = dividers.map((divider, i) => Object.assign([...uint32(pages[i]), ...divider], { child: pages[i] }));
+
+        ({ groups, dividers } = splitCells(links, pageCapacity(true, 0), { between: 1 }));
+        // Правый потомок страницы - левый потомок ключа, ушедшего наверх (у последней - последняя страница)
+        nodes = groups.map((group, i) => ({
+            group,
+            right: i < dividers.length ? dividers[i].child : pages[pages.length - 1]
+        }));
+        dividers = dividers.map(link => link.slice(4));
+        type = PAGE_TYPES.INDEX_INTERIOR;
+    }
+}
+
+/**
+ * Заголовок файла базы
+ * @param {PageWriter} writer - файл
+ */
+function writeFileHeader(writer) {
+    const page = writer.pages[0];
+    const view = new DataView(page.buffer);
+    page.set(encoder.encode('SQLite format 3\0'), 0);
+    view.setUint16(16, PAGE_SIZE);
+    page[18] = 1;
+    page[19] = 1;
+    page[20] = 0;
+    page[21] = 64;
+    page[22] = 32;
+    page[23] = 32;
+    view.setUint32(24, 1);
+    view.setUint32(28, writer.pages.length);
+    view.setUint32(40, 1);
+    view.setUint32(44, 4);
+    view.setUint32(56, 1);
+    view.setUint32(92, 1);
+    view.setUint32(96, SQLITE_VERSION_NUMBER);
+}
+
+/**
+ * Файл базы SQLite
+ * Если первый столбец таблицы - INTEGER PRIMARY KEY (rowidColumn), его значение
+ * становится rowid, а в записи хранится NULL, как это делает SQLite
+ * @param {Array} tables - [{name, sql, rows, rowidColumn, indexes: [{name, sql, columns}]}];
+ *   rows - массивы значений столбцов, columns - номера столбцов ключа индекса
+ * @returns {Uint8Array}
+ */
+export function buildDatabase(tables) {
+    const writer = new PageWriter();
+    const schema = [];
+
+    tables.forEach(table => {
+        const rows = table.rows
+            .map((values, i) => table.rowidColumn
+                ? { rowid: values[0], values: [null, ...values.slice(1)], source: values }
+                : { rowid: i + 1, values, source: values })
+            .sort((a, b) => a.rowid - b.rowid);
+        schema.push(['table', table.name, table.name, writeTableTree(writer, rows), table.sql]);
+
+        (table.indexes || []).forEach(index => {
+            const keys = rows
+                .map(row => [...index.columns.map(column => row.source[column]), row.rowid])
+                .sort(compareKeys);
+            schema.push(['index', index.name, table.name, writeIndexTree(writer, keys), index.sql]);
+        });
+    });
+
+    writeTableTree(writer, schema.map((values, i) => ({ rowid: i + 1, values })), 1);
+    writeFileHeader(writer);
+
+    const file = new Uint8Array(writer.pages.length * PAGE_SIZE);
+    writer.pages.forEach((page, i) => file.set(page, i * PAGE_SIZE));
+    return file;
+}
+
+// Экспорт объекта SQLite для совместимости
+export const SQLite = {
+    encodeVarint,
+    encodeRecord,
+    buildDatabase
+};
+
+export default SQLite;
@@ -0,0 +1,430 @@
+/**
+ * SRS Module - планировщики интервального повторения
+ * FSRS: у карточки своя стабильность (через сколько дней вероятность вспомнить
+ * падает до 90%) и сложность 1-10, интервал подбирается под целевое удержание.
+ * Новые и забытые карточки сначала проходят короткие шаги изучения в минутах.
+ * SM-2 оставлен как вариант в настройках.
+ */
+
+export const ALGORITHMS = ['fsrs', 'sm2'];
+
+// Оценки FSRS
+export const RATINGS = {
+    AGAIN: 1,
+    HARD: 2,
+    GOOD: 3,
+    EASY: 4
+};
+
+// Веса FSRS-4.5 по умолчанию
+export const DEFAULT_FSRS_PARAMS = [
+    0.4072, 1.1829, 3.1262, 15.4722, 7.2102, 0.5316, 1.0651, 0.0234, 1.616,
+    0.1544, 1.0824, 1.9813, 0.0953, 0.2975, 2.2042, 0.2407, 2.9466
+];
+
+// Допустимые значения весов при оптимизации
+const PARAM_BOUNDS = [
+    [0.1, 100], [0.1, 100], [0.1, 100], [0.1, 100], [1, 10], [0.1, 5], [0.1, 5], [0, 0.5], [0, 3],
+    [0.1, 0.8], [0.01, 2.5], [0.5, 5], [0.01, 0.2], [0.01, 0.9], [0.01, 2], [0, 1], [1, 4]
+];
+
+export const DEFAULT_RETENTION = 0.9;
+export const MIN_RETENTION = 0.7;
+export const MAX_RETENTION = 0.97;
+
+// Шаги изучения новых карточек и переучивания забытых, в минутах
+export const LEARNING_STEPS = [1, 10];
+export const RELEARNING_STEPS = [10];
+
+// Минимум повторений с перерывом от суток для оптимизации весов
+export const MIN_REVIEWS_TO_OPTIMIZE = 50;
+
+const MAX_INTERVAL = 36500;
+const MIN_STABILITY = 0.1;
+const DECAY = -0.5;
+const FACTOR = 19 / 81;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Константы SM-2 алгоритма
+const DEFAULT_EASE_FACTOR = 2.5;
+const MIN_EASE_FACTOR = 1.3;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * SRS запись карточки, которую ещё не повторяли
+ * @returns {object}
+ */
+export function newCard() {
+    return {
+        interval: 0,
+        easeFactor: DEFAULT_EASE_FACTOR,
+        nextReview: 0,
+        repetitions: 0
+    };
+}
+
+/**
+ * Перевод оценки SM-2 (0-5) в оценку FSRS
+ * @param {number} quality - 0-2 не вспомнил, 3 с трудом, 4 хорошо, 5 легко
+ * @returns {number} - RATINGS
+ */
+export function qualityToRating(quality) {
+    if (quality <= 2) return RATINGS.AGAIN;
+    if (quality === 3) return RATINGS.HARD;
+    if (quality === 4) return RATINGS.GOOD;
+    return RATINGS.EASY;
+}
+
+/**
+ * Состояние карточки в FSRS
+ * Записи без стабильности - новые карточки
+ * @param {object} card - SRS запись
+ * @returns {string} - new | learning | review | relearning
+ */
+export function getCardState(card) {
+    if (card.state) return card.state;
+    return Number.isFinite(card.stability) ? 'review' : 'new';
+}
+
+/**
+ * Дни с последнего повторения
+ * @param {object} card - SRS запись
+ * @param {number} now - текущее время
+ * @returns {number}
+ */
+export function elapsedDays(card, now = Date.now()) {
+    return card.lastReview ? Math.max(0, (now - card.lastReview) / DAY_MS) : 0;
+}
+
+/**
+ * Следующее повторение по SM-2
+ * @param {object} card - SRS запись
+ * @param {number} quality - оценка 0-5
+ * @param {number} now - время ответа
+ * @returns {object} - обновлённая запись
+ */
+export function sm2Schedule(card, quality, now = Date.now()) {
+    let { interval, easeFactor, repetitions } = { ...newCard(), ...card };
+    let lapses = card.lapses || 0;
+
+    if (quality >= 3) {
+        // Правильный ответ
+        if (repetitions === 0) {
+            interval = 1;
+        } else if (repetitions === 1) {
+            interval = 6;
+        } else {
+            interval = Math.round(interval * easeFactor);
+        }
+        repetitions++;
+    } else {
+        // Неправильный ответ - сброс; забытая выученная карточка считается забыванием
+        if (repetitions > 0) lapses++;
+        repetitions = 0;
+        interval = 1;
+    }
+
+    // Обновление ease factor
+    easeFactor = easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+    if (easeFactor < MIN_EASE_FACTOR) {
+        easeFactor = MIN_EASE_FACTOR;
+    }
+
+    return {
+        ...card,
+        interval,
+        easeFactor,
+        nextReview: now + interval * DAY_MS,
+        repetitions,
+        lastReview: now,
+        lapses
+    };
+}
+
+/**
+ * Вероятность вспомнить карточку
+ * @param {number} days - дни с последнего повторения
+ * @param {number} stability - стабильность
+ * @returns {number} - 0-1
+ */
+export function retrievability(days, stability) {
+    return Math.pow(1 + FACTOR * days / stability, DECAY);
+}
+
+/**
+ * Интервал, через который вероятность вспомнить упадёт до целевой
+ * @param {number} stability - стабильность
+ * @param {number} retention - целевое удержание
+ * @returns {number} - дни
+ */
+export function nextInterval(stability, retention = DEFAULT_RETENTION) {
+    const days = stability / FACTOR * (Math.pow(retention, 1 / DECAY) - 1);
+    return clamp(Math.round(days), 1, MAX_INTERVAL);
+}
+
+/**
+ * Начальная сложность по первой оценке
+ * @param {Array} w - веса
+ * @param {number} rating - оценка
+ * @returns {number}
+ */
+function initDifficulty(w, rating) {
+    return clamp(w[4] - (rating - 3) * w[5], 1, 10);
+}
+
+/**
+ * Стабильность после ответа
+ * @param {Array} w - веса
+ * @param {object} memory - {stability, difficulty} до ответа
+ * @param {number} r - вероятность вспомнить в момент ответа
+ * @param {number} rating - оценка
+ * @returns {number}
+ */
+function nextStability(w, { stability: s, difficulty: d }, r, rating) {
+    if (rating === RATINGS.AGAIN) {
+        const forgotten = w[11] * Math.pow(d, -w[12]) * (Math.pow(s + 1, w[13]) - 1) * Math.exp(w[14] * (1 - r));
+        return Math.min(s, forgotten);
+    }
+    const hardPenalty = rating === RATINGS.HARD ? w[15] : 1;
+    const easyBonus = rating === RATINGS.EASY ? w[16] : 1;
+    return s * (1 + Math.exp(w[8]) * (11 - d) * Math.pow(s, -w[9]) *
+        (Math.exp(w[10] * (1 - r)) - 1) * hardPenalty * easyBonus);
+}
+
+/**
+ * Память о карточке после ответа
+ * Повторы в тот же день (шаги изучения) память не меняют - FSRS-4.5 их не моделирует
+ * @param {object|null} memory - {stability, difficulty} или null для новой карточки
+ * @param {number} rating - оценка
+ * @param {number} days - дни с прошлого ответа
+ * @param {Array} w - веса
+ * @returns {object} - {stability, difficulty}
+ */
+export function nextMemoryState(memory, rating, days, w = DEFAULT_FSRS_PARAMS) {
+    if (!memory) {
+        return { stability: Math.max(w[rating - 1], MIN_STABILITY), difficulty: initDifficulty(w, rating) };
+    }
+    if (days < 1) {
+        return memory;
+    }
+    const r = retrievability(days, memory.stability);
+    const difficulty = clamp(w[7] * w[4] + (1 - w[7]) * (memory.difficulty - w[6] * (rating - 3)), 1, 10);
+    const stability = clamp(nextStability(w, memory, r, rating), MIN_STABILITY, MAX_INTERVAL);
+    return { stability, difficulty };
+}
+
+/**
+ * Следующее повторение по FSRS
+ * @param {object} card - SRS запись
+ * @param {number} rating - RATINGS
+ * @param {number} now - время ответа
+ * @param {object} options - {params, retention}
+ * @returns {object} - обновлённая запись
+ */
+export function fsrsSchedule(card, rating, now = Date.now(), options = {}) {
+    const params = options.params || DEFAULT_FSRS_PARAMS;
+    const retention = options.retention || DEFAULT_RETENTION;
+    const state = getCardState(card);
+    const memory = Number.isFinite(card.stability) ? { stability: card.stability, difficulty: card.difficulty } : null;
+    const { stability, difficulty } = nextMemoryState(memory, rating, elapsedDays(card, now), params);
+
+    const graduate = () => ({ state: 'review', step: 0, interval: nextInterval(stability, retention) });
+    let lapses = card.lapses || 0;
+    let outcome;
+
+    if (state === 'review') {
+        if (rating === RATINGS.AGAIN) {
+            lapses++;
+            outcome = { state: 'relearning', step: 0, minutes: RELEARNING_STEPS[0] };
+        } else {
+            outcome = graduate();
+        }
+    } else {
+        const steps = state === 'relearning' ? RELEARNING_STEPS : LEARNING_STEPS;
+        const stepState = state === 'relearning' ? 'relearning' : 'learning';
+        const step = Math.min(card.step || 0, steps.length - 1);
+
+        if (rating === RATINGS.AGAIN) {
+            outcome = { state: stepState, step: 0, minutes: steps[0] };
+        } else if (rating === RATINGS.HARD) {
+            // Как в Anki: на первом шаге - среднее первых двух, иначе полтора шага
+            const minutes = step === 0 && steps.length > 1 ? (steps[0] + steps[1]) / 2 : steps[step] * 1.5;
+            outcome = { state: stepState, step, minutes };
+        } else if (rating === RATINGS.GOOD && step + 1 < steps.length) {
+            outcome = { state: stepState, step: step + 1, minutes: steps[step + 1] };
+        } else {
+            outcome = graduate();
+        }
+    }
+
+    const inSteps = outcome.minutes !== undefined;
+    return {
+        ...newCard(),
+        ...card,
+        interval: inSteps ? 0 : outcome.interval,
+        nextReview: now + (inSteps ? outcome.minutes * MINUTE_MS : outcome.interval * DAY_MS),
+        repetitions: rating === RATINGS.AGAIN ? 0 : (card.repetitions || 0) + 1,
+        lastReview: now,
+        stability,
+        difficulty,
+        state: outcome.state,
+        step: outcome.step,
+        lapses
+    };
+}
+
+/**
+ * Следующее повторение выбранным в настройках алгоритмом
+ * @param {object} card - SRS запись
+ * @param {number} quality - оценка 0-5
+ * @param {object} settings - {srsAlgorithm, fsrsParams, targetRetention}
+ * @param {number} now - время ответа
+ * @returns {object} - обновлённая запись
+ */
+export function scheduleCard(card, quality, settings = {}, now = Date.now()) {
+    if (settings.srsAlgorithm === 'sm2') {
+        return sm2Schedule(card, quality, now);
+    }
+    return fsrsSchedule(card, qualityToRating(quality), now, {
+        params: settings.fsrsParams,
+        retention: settings.targetRetention
+    });
+}
+
+/**
+ * Перевод записи SM-2 в состояние FSRS
+ * Интервал SM-2 рассчитан примерно на 90% удержания - он и становится стабильностью;
+ * ease factor 2.5 соответствует средней сложности, 1.3 - максимальной
+ * @param {object} card - SRS запись
+ * @returns {object} - запись со стабильностью и сложностью (новые карточки без изменений)
+ */
+export function cardFromSM2(card) {
+    if (Number.isFinite(card.stability) || (!card.repetitions && !card.interval)) {
+        return card;
+    }
+    const easeFactor = Number.isFinite(card.easeFactor) ? card.easeFactor : DEFAULT_EASE_FACTOR;
+    const perEase = 5 / (DEFAULT_EASE_FACTOR - MIN_EASE_FACTOR);
+    return {
+        ...card,
+        stability: clamp(card.interval || 1, MIN_STABILITY, MAX_INTERVAL),
+        difficulty: clamp(5 + (DEFAULT_EASE_FACTOR - easeFactor) * perEase, 1, 10),
+        state: 'review',
+        step: 0,
+        lapses: card.lapses || 0
+    };
+}
+
+/**
+ * История ответов по карточкам из журнала
+ * Берутся только карточки, журнал которых начинается с первого показа
+ * @param {Array} log - журнал повторений
+ * @returns {Array} - массивы записей по времени
+ */
+function collectHistories(log) {
+    const byChunk = new Map();
+    log.forEach(entry => {
+        if (!byChunk.has(entry.chunkId)) byChunk.set(entry.chunkId, []);
+        byChunk.get(entry.chunkId).push(entry);
+    });
+    return [...byChunk.values()]
+        .map(entries => entries.sort((a, b) => a.time - b.time))
+        .filter(entries => entries[0].state === 'new');
+}
+
+/**
+ * Средняя логистическая ошибка предсказания ответов
+ * @param {Array} histories - истории карточек
+ * @param {Array} params - веса
+ * @returns {object} - {loss, count}
+ */
+function predictionLoss(histories, params) {
+    let loss = 0;
+    let count = 0;
+
+    histories.forEach(entries => {
+        let memory = null;
+        let lastTime = null;
+        entries.forEach(entry => {
+            const days = lastTime === null ? 0 : (entry.time - lastTime) / DAY_MS;
+            if (memory && days >= 1) {
+                const r = clamp(retrievability(days, memory.stability), 1e-4, 1 - 1e-4);
+                loss -= entry.rating > RATINGS.AGAIN ? Math.log(r) : Math.log(1 - r);
+                count++;
+            }
+            memory = nextMemoryState(memory, entry.rating, days, params);
+            lastTime = entry.time;
+        });
+    });
+
+    return { loss: count > 0 ? loss / count : 0, count };
+}
+
+/**
+ * Подбор весов FSRS по журналу повторений ученика
+ * Покоординатный поиск с уменьшающимся шагом: веса меняются, пока падает ошибка
+ * предсказания, что карточка будет вспомнена
+ * @param {Array} log - журнал повторений
+ * @param {Array} initial - начальные веса
+ * @param {number} rounds - число проходов
+ * @returns {object} - {params, loss, baselineLoss, reviews}
+ * @throws {Error} NOT_ENOUGH_REVIEWS
+ */
+export function optimizeParameters(log, initial = DEFAULT_FSRS_PARAMS, rounds = 8) {
+    const histories = collectHistories(log);
+    const baseline = predictionLoss(histories, initial);
+    if (baseline.count < MIN_REVIEWS_TO_OPTIMIZE) {
+        throw new Error('NOT_ENOUGH_REVIEWS');
+    }
+
+    let params = [...initial];
+    let best = baseline.loss;
+    let stepSize = 0.2;
+
+    for (let round = 0; round < rounds; round++) {
+        PARAM_BOUNDS.forEach(([min, max], i) => {
+            const delta = stepSize * Math.max(Math.abs(params[i]), (max - min) * 0.05);
+            for (const direction of [1, -1]) {
+                const candidate = [...params];
+                candidate[i] = clamp(params[i] + direction * delta, min, max);
+                const { loss } = predictionLoss(histories, candidate);
+                if (loss < best) {
+                    best = loss;
+                    params = candidate;
+                    break;
+                }
+            }
+        });
+        stepSize /= 2;
+    }
+
+    return {
+        params: params.map(w => Math.round(w * 10000) / 10000),
+        loss: best,
+        baselineLoss: baseline.loss,
+        reviews: baseline.count
+    };
+}
+
+// Экспорт объекта SRS для совместимости
+export const SRS = {
+    ALGORITHMS,
+    RATINGS,
+    DEFAULT_FSRS_PARAMS,
+    DEFAULT_RETENTION,
+    newCard,
+    qualityToRating,
+    getCardState,
+    elapsedDays,
+    sm2Schedule,
+    fsrsSchedule,
+    scheduleCard,
+    retrievability,
+    nextInterval,
+    nextMemoryState,
+    cardFromSM2,
+    optimizeParameters
+};
+
+export default SRS;
@@ -1,17 +1,47 @@
 /**
- * Storage Module - работа с LocalStorage
- * Реализует сохранение, загрузку, кэширование контента
+ * Storage Module - работа с LocalStorage и IndexedDB
+ * Настройки и прогресс хранятся в LocalStorage, кэш контента и аудио - в IndexedDB
  */
 
+import { makeChunkId, getTopicIdFromChunkId, parseCardKey } from './chunk-id.js';
+import { STORES, hasDatabase, dbGet, dbGetAll, dbPut, dbDelete, dbKeys, dbClear, dbAddAll, dbGetAllByIndex, dbDeleteByIndex } from './db.js';
+
 export const STORAGE_KEYS = {
     API_KEY: 'turkish_app_api_key',
     SETTINGS: 'turkish_app_settings',
     PROGRESS: 'turkish_app_progress',
     CONTENT_CACHE: 'turkish_app_content_',
     SRS_DATA: 'turkish_app_srs',
-    AUDIO_CACHE: 'turkish_app_audio_'
+    AUDIO_CACHE: 'turkish_app_audio_',
+    CHUNK_ID_MIGRATION: 'turkish_app_chunk_ids_migrated',
+    LEVEL_DOWNLOAD: 'turkish_app_level_download',
+    FAVORITE_TOPICS: 'turkish_app_favorite_topics',
+    DEVICE_ID: 'turkish_app_device_id',
+    SCHEMA_VERSION: 'turkish_app_schema_version',
+    PROFILES: 'turkish_app_profiles',
+    ACTIVE_PROFILE: 'turkish_app_active_profile',
+    // Журнал повторений до переноса в IndexedDB (см. migrations.js)
+    REVIEW_LOG: 'turkish_app_review_log',
+    REPORTED_CHUNKS: 'turkish_app_reported_chunks',
+    CUSTOM_TOPICS: 'turkish_app_custom_topics'
 };
 
+// Профиль, которому принадлежат ключи без суффикса (данные до появления профилей)
+export const DEFAULT_PROFILE_ID = 'default';
+
+// Данные ученика в LocalStorage, которые у каждого профиля свои; кэш контента и озвучки общий.
+// Журнал повторений профиля хранится в IndexedDB (см. getReviewLog)
+export const PROFILE_KEYS = [
+    STORAGE_KEYS.API_KEY,
+    STORAGE_KEYS.SETTINGS,
+    STORAGE_KEYS.PROGRESS,
+    STORAGE_KEYS.SRS_DATA,
+    STORAGE_KEYS.FAVORITE_TOPICS
+];
+
+// Время занятий до появления учёта по устройствам
+export const SHARED_TIME_KEY = '_shared';
+
 export const SESSION_KEYS = {
     APP_STATE: 'turkish_app_session_state',
     GAME_STATE: 'turkish_app_game_state'
@@ -72,85 +102,424 @@ export function remove(key) {
     }
 }
 
+/**
+ * Активный профиль
+ * @returns {string} - ID профиля
+ */
+export function getActiveProfileId() {
+    return load(STORAGE_KEYS.ACTIVE_PROFILE) || DEFAULT_PROFILE_ID;
+}
+
+/**
+ * Смена активного профиля
+ * @param {string} profileId - ID профиля
+ * @returns {boolean} - успешность операции
+ */
+export function setActiveProfileId(profileId) {
+    return save(STORAGE_KEYS.ACTIVE_PROFILE, profileId);
+}
+
+/**
+ * Список профилей (основной есть всегда)
+ * @returns {Array} - [{id, name, createdAt}]
+ */
+export function getProfiles() {
+    return load(STORAGE_KEYS.PROFILES) || [{ id: DEFAULT_PROFILE_ID, name: 'Основной', createdAt: 0 }];
+}
+
+/**
+ * Сохранение списка профилей
+ * @param {Array} profiles - профили
+ * @returns {boolean} - успешность операции
+ */
+export function saveProfiles(profiles) {
+    return save(STORAGE_KEYS.PROFILES, profiles);
+}
+
+/**
+ * Ключ данных профиля
+ * У основного профиля ключи без суффикса, поэтому старые данные достаются ему без миграции
+ * @param {string} key - ключ из STORAGE_KEYS или SESSION_KEYS
+ * @param {string} profileId - профиль (по умолчанию активный)
+ * @returns {string}
+ */
+export function profileKey(key, profileId = getActiveProfileId()) {
+    return profileId === DEFAULT_PROFILE_ID ? key : `${key}__${profileId}`;
+}
+
+// Бюджеты кэшей в байтах: сверх бюджета вытесняются давно не использованные записи
+export const CACHE_BUDGETS = {
+    [STORES.CONTENT]: 10 * 1024 * 1024,
+    [STORES.AUDIO]: 50 * 1024 * 1024
+};
+
+/**
+ * Ключ метаданных записи кэша
+ * @param {string} storeName - имя хранилища
+ * @param {string} key - ключ записи
+ * @returns {string}
+ */
+function metaKey(storeName, key) {
+    return `${storeName}/${key}`;
+}
+
+/**
+ * Оценка размера записи кэша в байтах
+ * @param {any} value - контент или {blob, ...} для аудио
+ * @returns {number}
+ */
+export function estimateSize(value) {
+    if (typeof value?.blob?.size === 'number') {
+        return value.blob.size;
+    }
+    return JSON.stringify(value ?? null).length * 2; // UTF-16
+}
+
+/**
+ * Обновление времени последнего использования записи
+ * @param {string} storeName - имя хранилища
+ * @param {string} key - ключ записи
+ * @returns {Promise<void>}
+ */
+async function markUsed(storeName, key) {
+    const meta = await dbGet(STORES.META, metaKey(storeName, key));
+    if (meta) {
+        await dbPut(STORES.META, metaKey(storeName, key), { ...meta, lastUsed: Date.now() });
+    }
+}
+
+/**
+ * Метаданные записей хранилища
+ * Записи без метаданных (сохранённые до появления LRU) получают их с lastUsed = 0
+ * @param {string} storeName - имя хранилища
+ * @returns {Promise<Array>} - [{store, key, size, topicId, lastUsed}]
+ */
+async function loadMeta(storeName) {
+    const [allMeta, keys] = await Promise.all([dbGetAll(STORES.META), dbKeys(storeName)]);
+    const existing = new Set(keys);
+    const metas = allMeta.filter(meta => meta.store === storeName && existing.has(meta.key));
+    const known = new Set(metas.map(meta => meta.key));
+
+    for (const key of keys) {
+        if (known.has(key)) continue;
+        const value = await dbGet(storeName, key);
+        const meta = {
+            store: storeName,
+            key,
+            size: estimateSize(value),
+            topicId: storeName === STORES.CONTENT ? key : value?.topicId ?? null,
+            lastUsed: 0
+        };
+        await dbPut(STORES.META, metaKey(storeName, key), meta);
+        metas.push(meta);
+    }
+
+    return metas;
+}
+
+/**
+ * Удаление записи кэша вместе с метаданными
+ * @param {string} storeName - имя хранилища
+ * @param {string} key - ключ записи
+ * @returns {Promise<void>}
+ */
+async function deleteEntry(storeName, key) {
+    await dbDelete(storeName, key);
+    await dbDelete(STORES.META, metaKey(storeName, key));
+}
+
+/**
+ * Очистка хранилища вместе с метаданными
+ * @param {string} storeName - имя хранилища
+ * @returns {Promise<number>} - количество удалённых записей
+ */
+async function clearStore(storeName) {
+    const keys = await dbKeys(storeName);
+    await dbClear(storeName);
+    const metas = (await dbGetAll(STORES.META)).filter(meta => meta.store === storeName);
+    for (const meta of metas) {
+        await dbDelete(STORES.META, metaKey(storeName, meta.key));
+    }
+    return keys.length;
+}
+
+/**
+ * Избранные темы (закреплены в кэше)
+ * @param {string} profileId - профиль (по умолчанию активный)
+ * @returns {Array} - ID тем
+ */
+export function getFavoriteTopics(profileId) {
+    return load(profileKey(STORAGE_KEYS.FAVORITE_TOPICS, profileId)) || [];
+}
+
+/**
+ * Сохранение избранных тем
+ * @param {Array} topicIds - ID тем
+ * @returns {boolean} - успешность операции
+ */
+export function saveFavoriteTopics(topicIds) {
+    return save(profileKey(STORAGE_KEYS.FAVORITE_TOPICS), topicIds);
+}
+
+/**
+ * Добавление темы в избранное или удаление из него
+ * @param {string} topicId - ID темы
+ * @returns {boolean} - тема в избранном после переключения
+ */
+export function toggleFavoriteTopic(topicId) {
+    const favorites = getFavoriteTopics();
+    const isFavorite = favorites.includes(topicId);
+    saveFavoriteTopics(isFavorite
+        ? favorites.filter(id => id !== topicId)
+        : [...favorites, topicId]);
+    return !isFavorite;
+}
+
+/**
+ * Темы, кэш которых не вытесняется: свои, с SRS карточками, в избранном
+ * или из загрузки уровня. Кэш общий, поэтому учитываются все профили
+ * @returns {Set} - ID тем
+ */
+export function getPinnedTopicIds() {
+    // Свои темы больше неоткуда загрузить
+    const pinned = new Set(getCustomTopics().map(topic => topic.id));
+    // Озвучка уровня больше бюджета: без закрепления загрузка вытесняла бы свои же записи
+    load(STORAGE_KEYS.LEVEL_DOWNLOAD)?.topics?.forEach(entry => pinned.add(entry.id));
+    getProfiles().forEach(({ id }) => {
+        getFavoriteTopics(id).forEach(topicId => pinned.add(topicId));
+        Object.keys(getSRSData(id)).forEach(chunkId => {
+            const topicId = getTopicIdFromChunkId(chunkId);
+            if (topicId) pinned.add(topicId);
+        });
+    });
+    return pinned;
+}
+
+/**
+ * Вытеснение давно не использованных записей до укладывания в бюджет
+ * Записи закреплённых тем не вытесняются
+ * @param {string} storeName - имя хранилища
+ * @param {number} budget - бюджет в байтах
+ * @param {string} keepKey - запись, которую нельзя вытеснять (только что сохранённая)
+ * @returns {Promise<Array>} - ключи вытесненных записей
+ */
+export async function evictLRU(storeName, budget = CACHE_BUDGETS[storeName], keepKey = null) {
+    const metas = await loadMeta(storeName);
+    let total = metas.reduce((sum, meta) => sum + meta.size, 0);
+    if (total <= budget) return [];
+
+    const pinned = getPinnedTopicIds();
+    const candidates = metas
+        .filter(meta => meta.key !== keepKey && !(meta.topicId && pinned.has(meta.topicId)))
+        .sort((a, b) => a.lastUsed - b.lastUsed);
+
+    const evicted = [];
+    for (const meta of candidates) {
+        if (total <= budget) break;
+        await deleteEntry(storeName, meta.key);
+        total -= meta.size;
+        evicted.push(meta.key);
+    }
+
+    return evicted;
+}
+
+/**
+ * Запись в кэш с учётом бюджета
+ * При переполнении IndexedDB сначала освобождается место за счёт старых записей
+ * @param {string} storeName - имя хранилища
+ * @param {string} key - ключ
+ * @param {any} value - значение
+ * @param {string|null} topicId - тема записи (для закрепления)
+ * @returns {Promise<boolean>} - успешность операции
+ */
+async function putValue(storeName, key, value, topicId) {
+    try {
+        await dbPut(storeName, key, value);
+    } catch (error) {
+        if (error?.name !== 'QuotaExceededError') {
+            console.error('IndexedDB save error:', error);
+            return false;
+        }
+
+        const metas = await loadMeta(storeName);
+        const used = metas.reduce((sum, meta) => sum + meta.size, 0);
+        const evicted = await evictLRU(storeName, used / 2, key);
+        try {
+            if (evicted.length === 0) throw error;
+            await dbPut(storeName, key, value);
+        } catch (retryError) {
+            console.error('IndexedDB full:', retryError);
+            throw new Error('STORAGE_FULL');
+        }
+    }
+
+    await dbPut(STORES.META, metaKey(storeName, key), {
+        store: storeName,
+        key,
+        size: estimateSize(value),
+        topicId,
+        lastUsed: Date.now()
+    });
+    await evictLRU(storeName, CACHE_BUDGETS[storeName], key);
+    return true;
+}
+
 /**
  * Проверка наличия кэша для темы
  * @param {string} topicId - ID темы
- * @returns {boolean}
+ * @returns {Promise<boolean>}
  */
-export function hasCache(topicId) {
-    const key = STORAGE_KEYS.CONTENT_CACHE + topicId;
-    return localStorage.getItem(key) !== null;
+export async function hasCache(topicId) {
+    return (await dbGet(STORES.CONTENT, topicId)) !== undefined;
 }
 
 /**
  * Получение кэшированного контента для темы
  * @param {string} topicId - ID темы
- * @returns {object|null} - контент или null
+ * @returns {Promise<object|null>} - контент или null
  */
-export function getCache(topicId) {
-    const key = STORAGE_KEYS.CONTENT_CACHE + topicId;
-    return load(key);
+export async function getCache(topicId) {
+    const content = await dbGet(STORES.CONTENT, topicId);
+    if (content === undefined) return null;
+
+    await markUsed(STORES.CONTENT, topicId);
+    return content;
 }
 
 /**
  * Сохранение контента в кэш
  * @param {string} topicId - ID темы
  * @param {object} content - контент для кэширования
- * @returns {boolean} - успешность операции
+ * @returns {Promise<boolean>} - успешность операции
  */
 export function setCache(topicId, content) {
-    const key = STORAGE_KEYS.CONTENT_CACHE + topicId;
-    return save(key, content);
+    return putValue(STORES.CONTENT, topicId, content, topicId);
 }
 
 /**
  * Очистка кэша для конкретной темы
  * @param {string} topicId - ID темы
- * @returns {boolean} - успешность операции
+ * @returns {Promise<boolean>} - успешность операции
  */
-export function clearCache(topicId) {
-    const key = STORAGE_KEYS.CONTENT_CACHE + topicId;
-    return remove(key);
+export async function clearCache(topicId) {
+    await deleteEntry(STORES.CONTENT, topicId);
+    return true;
 }
 
 /**
  * Очистка всего кэша контента
- * @returns {number} - количество очищенных записей
+ * @returns {Promise<number>} - количество очищенных записей
  */
 export function clearAllCache() {
-    let count = 0;
-    const keysToRemove = [];
-    
-    for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        if (key && key.startsWith(STORAGE_KEYS.CONTENT_CACHE)) {
-            keysToRemove.push(key);
+    return clearStore(STORES.CONTENT);
+}
+
+/**
+ * ID тем с кэшированным контентом
+ * @returns {Promise<Array>}
+ */
+export function getCachedTopicIds() {
+    return dbKeys(STORES.CONTENT);
+}
+
+/**
+ * Размер кэша по хранилищам и темам
+ * @returns {Promise<object>} - {stores: {content, audio}, topics: [...], unassignedAudioBytes}
+ */
+export async function getCacheUsage() {
+    const [contentMeta, audioMeta] = await Promise.all([loadMeta(STORES.CONTENT), loadMeta(STORES.AUDIO)]);
+    const pinned = getPinnedTopicIds();
+    const favorites = new Set(getFavoriteTopics());
+    const topics = {};
+    let unassignedAudioBytes = 0;
+
+    const topicEntry = (topicId) => {
+        if (!topics[topicId]) {
+            topics[topicId] = {
+                topicId,
+                contentBytes: 0,
+                audioBytes: 0,
+                lastUsed: 0,
+                pinned: pinned.has(topicId),
+                favorite: favorites.has(topicId)
+            };
+        }
+        return topics[topicId];
+    };
+
+    contentMeta.forEach(meta => {
+        const entry = topicEntry(meta.key);
+        entry.contentBytes += meta.size;
+        entry.lastUsed = Math.max(entry.lastUsed, meta.lastUsed);
+    });
+    audioMeta.forEach(meta => {
+        if (!meta.topicId) {
+            unassignedAudioBytes += meta.size;
+            return;
         }
+        const entry = topicEntry(meta.topicId);
+        entry.audioBytes += meta.size;
+        entry.lastUsed = Math.max(entry.lastUsed, meta.lastUsed);
+    });
+
+    const sum = metas => metas.reduce((total, meta) => total + meta.size, 0);
+    return {
+        stores: {
+            content: { bytes: sum(contentMeta), budget: CACHE_BUDGETS[STORES.CONTENT] },
+            audio: { bytes: sum(audioMeta), budget: CACHE_BUDGETS[STORES.AUDIO] }
+        },
+        topics: Object.values(topics).sort((a, b) => (b.contentBytes + b.audioBytes) - (a.contentBytes + a.audioBytes)),
+        unassignedAudioBytes
+    };
+}
+
+/**
+ * Удаление контента и озвучки темы из кэша
+ * @param {string} topicId - ID темы
+ * @returns {Promise<number>} - количество удалённых записей
+ */
+export async function deleteTopicCache(topicId) {
+    let count = 0;
+    if (await hasCache(topicId)) {
+        await deleteEntry(STORES.CONTENT, topicId);
+        count++;
     }
-    
-    keysToRemove.forEach(key => {
-        localStorage.removeItem(key);
+
+    const audioMeta = (await loadMeta(STORES.AUDIO)).filter(meta => meta.topicId === topicId);
+    for (const meta of audioMeta) {
+        await deleteEntry(STORES.AUDIO, meta.key);
         count++;
-    });
-    
+    }
     return count;
 }
 
 /**
  * Получение настроек приложения
+ * @param {string} profileId - профиль (по умолчанию активный)
  * @returns {object} - настройки с дефолтными значениями
  */
-export function getSettings() {
+export function getSettings(profileId) {
     const defaults = {
         theme: 'light',
         soundEnabled: true,
-        apiKey: '',
         ttsVoice: 'Kore',
         ttsEnabled: true,
-        speakingRate: 0.8
+        speakingRate: 0.8,
+        contentProvider: 'gemini',
+        openaiBaseUrl: 'http://localhost:11434/v1',
+        openaiModel: 'llama3.1',
+        openaiApiKey: '',
+        srsAlgorithm: 'fsrs',
+        targetRetention: 0.9,
+        fsrsParams: null,
+        newCardsPerDay: 20,
+        reviewsPerDay: 200,
+        leechThreshold: 8,
+        leechAction: 'tag'
     };
     
-    const saved = load(STORAGE_KEYS.SETTINGS);
+    const saved = load(profileKey(STORAGE_KEYS.SETTINGS, profileId));
     return { ...defaults, ...saved };
 }
 
@@ -160,14 +529,15 @@ export function getSettings() {
  * @returns {boolean} - успешность операции
  */
 export function saveSettings(settings) {
-    return save(STORAGE_KEYS.SETTINGS, settings);
+    return save(profileKey(STORAGE_KEYS.SETTINGS), settings);
 }
 
 /**
  * Получение прогресса пользователя
+ * @param {string} profileId - профиль (по умолчанию активный)
  * @returns {object} - прогресс с дефолтными значениями
  */
-export function getProgress() {
+export function getProgress(profileId) {
     const defaults = {
         topicsCompleted: {},
         totalTimeSpent: 0,
@@ -175,7 +545,7 @@ export function getProgress() {
         overallAccuracy: 0
     };
     
-    const saved = load(STORAGE_KEYS.PROGRESS);
+    const saved = load(profileKey(STORAGE_KEYS.PROGRESS, profileId));
     return { ...defaults, ...saved };
 }
 
@@ -185,15 +555,49 @@ export function getProgress() {
  * @returns {boolean} - успешность операции
  */
 export function saveProgress(progress) {
-    return save(STORAGE_KEYS.PROGRESS, progress);
+    return save(profileKey(STORAGE_KEYS.PROGRESS), progress);
+}
+
+/**
+ * ID этого устройства (создаётся при первом обращении)
+ * @returns {string}
+ */
+export function getDeviceId() {
+    let deviceId = load(STORAGE_KEYS.DEVICE_ID);
+    if (!deviceId) {
+        deviceId = typeof crypto !== 'undefined' && crypto.randomUUID
+            ? crypto.randomUUID()
+            : Date.now().toString(36) + Math.random().toString(36).slice(2);
+        save(STORAGE_KEYS.DEVICE_ID, deviceId);
+    }
+    return deviceId;
+}
+
+/**
+ * Учёт времени занятий по устройствам
+ * Каждое устройство увеличивает только свой счётчик, поэтому при объединении
+ * копий с разных устройств их вклады складываются без двойного счёта
+ * @param {object} progress - прогресс (изменяется)
+ * @param {number} seconds - время занятия в секундах
+ * @param {string} deviceId - устройство
+ * @returns {object} - прогресс
+ */
+export function recordTimeSpent(progress, seconds, deviceId = getDeviceId()) {
+    if (!progress.timeByDevice) {
+        progress.timeByDevice = { [SHARED_TIME_KEY]: progress.totalTimeSpent || 0 };
+    }
+    progress.timeByDevice[deviceId] = (progress.timeByDevice[deviceId] || 0) + seconds;
+    progress.totalTimeSpent = Object.values(progress.timeByDevice).reduce((sum, time) => sum + time, 0);
+    return progress;
 }
 
 /**
  * Получение SRS данных
+ * @param {string} profileId - профиль (по умолчанию активный)
  * @returns {object} - SRS данные
  */
-export function getSRSData() {
-    return load(STORAGE_KEYS.SRS_DATA) || {};
+export function getSRSData(profileId) {
+    return load(profileKey(STORAGE_KEYS.SRS_DATA, profileId)) || {};
 }
 
 /**
@@ -202,52 +606,434 @@ export function getSRSData() {
  * @returns {boolean} - успешность операции
  */
 export function saveSRSData(srsData) {
-    return save(STORAGE_KEYS.SRS_DATA, srsData);
+    return save(profileKey(STORAGE_KEYS.SRS_DATA), srsData);
+}
+
+/**
+ * Удаление SRS записей chunks, которых больше нет в контенте (всех типов карточек)
+ * @param {Array} chunkIds - ID удалённых chunks
+ * @returns {number} - количество удалённых записей
+ */
+export function removeSRSRecords(chunkIds) {
+    const srsData = getSRSData();
+    const removed = new Set(chunkIds);
+    let count = 0;
+
+    Object.keys(srsData).forEach(key => {
+        if (removed.has(parseCardKey(key).chunkId)) {
+            delete srsData[key];
+            count++;
+        }
+    });
+
+    if (count > 0) {
+        saveSRSData(srsData);
+    }
+    return count;
+}
+
+// Незавершённые записи журнала: чтение дожидается их, записи идут по очереди
+let pendingLogWrites = Promise.resolve();
+
+/**
+ * Постановка записи журнала в очередь
+ * @param {Function} write - () => Promise
+ * @returns {Promise<void>}
+ */
+function queueLogWrite(write) {
+    const result = pendingLogWrites.then(write);
+    pendingLogWrites = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Журнал повторений
+ * Хранится в IndexedDB: записи только добавляются, поэтому ответ не переписывает весь журнал
+ * chunkId записи - ключ SRS записи карточки (см. cardKey), для основных карточек это ID chunk
+ * @param {string} profileId - профиль (по умолчанию активный)
+ * @returns {Promise<Array>} - записи {time, chunkId, rating, elapsedDays, state, source} по времени
+ */
+export async function getReviewLog(profileId = getActiveProfileId()) {
+    await pendingLogWrites;
+    const entries = await dbGetAllByIndex(STORES.REVIEW_LOG, 'profileId', profileId);
+    return entries.map(({ profileId: owner, ...entry }) => entry);
+}
+
+/**
+ * Добавление записи в журнал повторений (записи не изменяются)
+ * @param {object} entry - {time, chunkId, rating, elapsedDays, state, source}
+ * @returns {Promise<void>}
+ */
+export function appendReviewLog(entry) {
+    const profileId = getActiveProfileId();
+    return queueLogWrite(() => dbAddAll(STORES.REVIEW_LOG, [{ ...entry, profileId }]));
+}
+
+/**
+ * Замена журнала целиком - для восстановления из резервной копии и переноса старого журнала
+ * @param {Array} log - записи журнала
+ * @param {string} profileId - профиль (по умолчанию активный)
+ * @returns {Promise<void>}
+ */
+export function saveReviewLog(log, profileId = getActiveProfileId()) {
+    return queueLogWrite(async () => {
+        await dbDeleteByIndex(STORES.REVIEW_LOG, 'profileId', profileId);
+        await dbAddAll(STORES.REVIEW_LOG, log.map(entry => ({ ...entry, profileId })));
+    });
+}
+
+/**
+ * Удаление журнала профиля
+ * @param {string} profileId - профиль
+ * @returns {Promise<void>}
+ */
+export function clearReviewLog(profileId) {
+    return queueLogWrite(() => dbDeleteByIndex(STORES.REVIEW_LOG, 'profileId', profileId));
+}
+
+/**
+ * Удаление журналов всех профилей
+ * @returns {Promise<void>}
+ */
+export function clearAllReviewLogs() {
+    return queueLogWrite(() => dbClear(STORES.REVIEW_LOG));
+}
+
+/**
+ * Фразы, отмеченные как ошибочные
+ * Общие для всех профилей, как и кэш контента
+ * @returns {object} - {chunkId: {topicId, turkish, russian, reason, time}}
+ */
+export function getReportedChunks() {
+    return load(STORAGE_KEYS.REPORTED_CHUNKS) || {};
+}
+
+/**
+ * Сохранение отмеченных фраз
+ * @param {object} reports - {chunkId: отметка}
+ * @returns {boolean} - успешность операции
+ */
+export function saveReportedChunks(reports) {
+    return save(STORAGE_KEYS.REPORTED_CHUNKS, reports);
+}
+
+/**
+ * Свои темы, импортированные из колод
+ * Общие для всех профилей, как и кэш контента
+ * @returns {Array} - [{id, name, description, source, createdAt}]
+ */
+export function getCustomTopics() {
+    return load(STORAGE_KEYS.CUSTOM_TOPICS) || [];
+}
+
+/**
+ * Сохранение своих тем
+ * @param {Array} topics - темы
+ * @returns {boolean} - успешность операции
+ */
+export function saveCustomTopics(topics) {
+    return save(STORAGE_KEYS.CUSTOM_TOPICS, topics);
+}
+
+/**
+ * Перевод chunks темы на ID "тема:хэш фразы"
+ * @param {string} topicId - ID темы
+ * @param {Array} chunks - chunks темы
+ * @param {Map} renamed - старый ID → новые ID; дополняется
+ * @param {Set} newIds - все новые ID; дополняется
+ * @returns {Array} - chunks с новыми ID
+ */
+export function renameTopicChunks(topicId, chunks, renamed, newIds) {
+    return chunks.map(chunk => {
+        const newId = makeChunkId(topicId, chunk.turkish || '');
+        newIds.add(newId);
+        if (chunk.id !== newId) {
+            renamed.set(chunk.id, [...(renamed.get(chunk.id) || []), newId]);
+        }
+        return { ...chunk, id: newId };
+    });
+}
+
+/**
+ * Перенос SRS записей со старых ID chunks на новые
+ * Запись старого ID копируется каждому новому; старый ID остаётся, только если он сам новый
+ * @param {object} srsData - SRS данные
+ * @param {Map} renamed - старый ID → новые ID (из renameTopicChunks)
+ * @param {Set} newIds - все новые ID
+ * @returns {object} - {srsData, records}
+ */
+export function renameSRSRecords(srsData, renamed, newIds) {
+    const migrated = { ...srsData };
+    let records = 0;
+    renamed.forEach((targets, oldId) => {
+        if (!srsData[oldId]) return;
+        targets.forEach(newId => {
+            migrated[newId] = { ...srsData[oldId] };
+            records++;
+        });
+        if (!newIds.has(oldId)) {
+            delete migrated[oldId];
+        }
+    });
+    return { srsData: migrated, records };
+}
+
+/**
+ * Одноразовая миграция ID chunks на формат "тема:хэш фразы"
+ * Старые ID (от модели или chunk_N) совпадали между темами, и SRS записи
+ * разных тем сливались в одну. Запись старого ID копируется каждой теме,
+ * в которой он встречался, дальше история тем ведётся раздельно.
+ * Кэш контента общий, SRS записи переносятся у всех профилей.
+ * Без IndexedDB кэш тем пуст, и миграция ждёт следующего запуска
+ * @returns {Promise<object>} - {migrated, topics, records} или {deferred: true}
+ */
+export async function migrateChunkIds() {
+    if (load(STORAGE_KEYS.CHUNK_ID_MIGRATION)) {
+        return { migrated: false, topics: 0, records: 0 };
+    }
+    if (!await hasDatabase()) {
+        return { deferred: true };
+    }
+
+    // Старый ID → новые ID во всех темах, где он встречался
+    const renamed = new Map();
+    const newIds = new Set();
+    let topics = 0;
+    let records = 0;
+
+    for (const key of await getCachedTopicIds()) {
+        const content = await getCache(key);
+        if (!content || !Array.isArray(content.chunks)) continue;
+
+        content.chunks = renameTopicChunks(content.topicId || key, content.chunks, renamed, newIds);
+        await setCache(key, content);
+        topics++;
+    }
+
+    getProfiles().forEach(({ id }) => {
+        const srsKey = profileKey(STORAGE_KEYS.SRS_DATA, id);
+        const srsData = load(srsKey);
+        if (!srsData) return;
+
+        const result = renameSRSRecords(srsData, renamed, newIds);
+        save(srsKey, result.srsData);
+        records += result.records;
+    });
+
+    save(STORAGE_KEYS.CHUNK_ID_MIGRATION, Date.now());
+
+    return { migrated: true, topics, records };
+}
+
+// Расшифрованные ключи защищённых паролем профилей - только в памяти до перезагрузки
+const unlockedApiKeys = new Map();
+
+/**
+ * Сохранённый API ключ как есть: строка или зашифрованная запись (см. crypto.js)
+ * @param {string} profileId - профиль (по умолчанию активный)
+ * @returns {string|object|null}
+ */
+export function getStoredApiKey(profileId) {
+    return load(profileKey(STORAGE_KEYS.API_KEY, profileId));
 }
 
 /**
  * Получение API ключа
+ * Ключ, защищённый паролем, доступен только после разблокировки в этой сессии
+ * @param {string} profileId - профиль (по умолчанию активный)
  * @returns {string} - API ключ или пустая строка
  */
-export function getApiKey() {
-    return load(STORAGE_KEYS.API_KEY) || '';
+export function getApiKey(profileId = getActiveProfileId()) {
+    const stored = getStoredApiKey(profileId);
+    if (stored !== null && typeof stored === 'object') {
+        return unlockedApiKeys.get(profileId) || '';
+    }
+    return stored || '';
 }
 
 /**
- * Сохранение API ключа
- * @param {string} apiKey - API ключ
+ * Сохранение API ключа - единственное место хранения ключа
+ * @param {string|object} apiKey - ключ или зашифрованная запись
  * @returns {boolean} - успешность операции
  */
 export function saveApiKey(apiKey) {
-    return save(STORAGE_KEYS.API_KEY, apiKey);
+    if (!apiKey) {
+        return remove(profileKey(STORAGE_KEYS.API_KEY));
+    }
+    return save(profileKey(STORAGE_KEYS.API_KEY), apiKey);
+}
+
+/**
+ * Защищён ли API ключ паролем
+ * @param {string} profileId - профиль (по умолчанию активный)
+ * @returns {boolean}
+ */
+export function isApiKeyProtected(profileId) {
+    const stored = getStoredApiKey(profileId);
+    return stored !== null && typeof stored === 'object';
+}
+
+/**
+ * Защищённый ключ ещё не разблокирован в этой сессии
+ * @param {string} profileId - профиль (по умолчанию активный)
+ * @returns {boolean}
+ */
+export function isApiKeyLocked(profileId = getActiveProfileId()) {
+    return isApiKeyProtected(profileId) && !unlockedApiKeys.has(profileId);
+}
+
+/**
+ * Запоминание расшифрованного ключа до конца сессии
+ * @param {string|null} apiKey - ключ или null, чтобы заблокировать
+ */
+export function setUnlockedApiKey(apiKey) {
+    if (apiKey) {
+        unlockedApiKeys.set(getActiveProfileId(), apiKey);
+    } else {
+        unlockedApiKeys.delete(getActiveProfileId());
+    }
 }
 
 /**
  * Кэширование аудио данных
  * @param {string} phraseHash - хэш фразы
- * @param {object} audioData - данные аудио
- * @returns {boolean} - успешность операции
+ * @param {object} audioData - {blob, generatedAt, voice, topicId}
+ * @returns {Promise<boolean>} - успешность операции
  */
 export function cacheAudio(phraseHash, audioData) {
-    const key = STORAGE_KEYS.AUDIO_CACHE + phraseHash;
-    return save(key, audioData);
+    return putValue(STORES.AUDIO, phraseHash, audioData, audioData.topicId || null);
 }
 
 /**
  * Получение кэшированного аудио
  * @param {string} phraseHash - хэш фразы
- * @returns {object|null} - данные аудио или null
+ * @returns {Promise<object|null>} - {blob, generatedAt, voice, topicId} или null
  */
-export function getCachedAudio(phraseHash) {
-    const key = STORAGE_KEYS.AUDIO_CACHE + phraseHash;
-    return load(key);
+export async function getCachedAudio(phraseHash) {
+    const audio = await dbGet(STORES.AUDIO, phraseHash);
+    if (audio === undefined) return null;
+
+    await markUsed(STORES.AUDIO, phraseHash);
+    return audio;
 }
 
 /**
- * Проверка доступного места в LocalStorage
- * @returns {object} - информация о хранилище
+ * Очистка кэша аудио
+ * @returns {Promise<number>} - количество очищенных записей
  */
-export function getStorageInfo() {
+export function clearAudioCache() {
+    return clearStore(STORES.AUDIO);
+}
+
+/**
+ * Декодирование base64 в байты
+ * @param {string} base64 - строка base64
+ * @returns {Uint8Array}
+ */
+export function base64ToBytes(base64) {
+    const binaryString = atob(base64);
+    const bytes = new Uint8Array(binaryString.length);
+    for (let i = 0; i < binaryString.length; i++) {
+        bytes[i] = binaryString.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Кодирование байтов в base64
+ * @param {Uint8Array} bytes - байты
+ * @returns {string}
+ */
+export function bytesToBase64(bytes) {
+    let binaryString = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binaryString += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binaryString);
+}
+
+/**
+ * Чтение Blob в ArrayBuffer
+ * @param {Blob} blob - аудио
+ * @returns {Promise<ArrayBuffer>}
+ */
+export function blobToArrayBuffer(blob) {
+    if (typeof blob.arrayBuffer === 'function') {
+        return blob.arrayBuffer();
+    }
+    // Старые браузеры без Blob.arrayBuffer
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(blob);
+    });
+}
+
+/**
+ * Перенос кэша контента и аудио из LocalStorage в IndexedDB
+ * Ключ удаляется только после успешной записи: повторный запуск переносит лишь то,
+ * что не удалось перенести раньше. Повреждённые записи пропускаются.
+ * Без IndexedDB кэш пропал бы при перезагрузке - перенос откладывается
+ * @returns {Promise<object>} - {content, audio} или {deferred: true}
+ */
+export async function migrateLegacyCache() {
+    if (!await hasDatabase()) {
+        return { deferred: true };
+    }
+
+    const result = { content: 0, audio: 0 };
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key && (key.startsWith(STORAGE_KEYS.CONTENT_CACHE) || key.startsWith(STORAGE_KEYS.AUDIO_CACHE))) {
+            keys.push(key);
+        }
+    }
+
+    for (const key of keys) {
+        try {
+            const value = load(key);
+
+            if (key.startsWith(STORAGE_KEYS.CONTENT_CACHE)) {
+                if (value && await setCache(key.slice(STORAGE_KEYS.CONTENT_CACHE.length), value)) {
+                    result.content++;
+                    remove(key);
+                }
+            } else if (value?.audioData) {
+                const audio = {
+                    blob: new Blob([base64ToBytes(value.audioData)], { type: 'audio/pcm' }),
+                    generatedAt: value.generatedAt,
+                    voice: value.voice
+                };
+                if (await cacheAudio(key.slice(STORAGE_KEYS.AUDIO_CACHE.length), audio)) {
+                    result.audio++;
+                    remove(key);
+                }
+            }
+        } catch (error) {
+            console.error(`Legacy cache migration skipped ${key}:`, error);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Оценка занятого и доступного места
+ * Использует StorageManager, если он есть, иначе считает только LocalStorage
+ * @returns {Promise<object>} - информация о хранилище
+ */
+export async function getStorageInfo() {
+    if (typeof navigator !== 'undefined' && navigator.storage?.estimate) {
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        return {
+            usedBytes: usage,
+            usedMB: (usage / 1024 / 1024).toFixed(2),
+            estimatedMaxMB: quota / 1024 / 1024
+        };
+    }
+
     let totalSize = 0;
     
     for (let i = 0; i < localStorage.length; i++) {
@@ -271,22 +1057,55 @@ export const Storage = {
     save,
     load,
     remove,
+    getActiveProfileId,
+    setActiveProfileId,
+    getProfiles,
+    saveProfiles,
+    profileKey,
     hasCache,
     getCache,
     setCache,
     clearCache,
     clearAllCache,
+    getCachedTopicIds,
+    getCacheUsage,
+    deleteTopicCache,
+    evictLRU,
+    getFavoriteTopics,
+    saveFavoriteTopics,
+    toggleFavoriteTopic,
+    getPinnedTopicIds,
     getSettings,
     saveSettings,
     getProgress,
     saveProgress,
+    getDeviceId,
+    recordTimeSpent,
     getSRSData,
     saveSRSData,
+    removeSRSRecords,
+    getReviewLog,
+    appendReviewLog,
+    saveReviewLog,
+    clearReviewLog,
+    clearAllReviewLogs,
+    getReportedChunks,
+    saveReportedChunks,
+    getCustomTopics,
+    saveCustomTopics,
     getApiKey,
+    getStoredApiKey,
     saveApiKey,
+    isApiKeyProtected,
+    isApiKeyLocked,
     cacheAudio,
     getCachedAudio,
-    getStorageInfo
+    clearAudioCache,
+    getStorageInfo,
+    migrateLegacyCache,
+    renameTopicChunks,
+    renameSRSRecords,
+    migrateChunkIds
 };
 
 export default Storage;
@@ -307,7 +1126,7 @@ export function saveSessionState(state) {
             generatedContent: state.generatedContent,
             timestamp: Date.now()
         };
-        sessionStorage.setItem(SESSION_KEYS.APP_STATE, JSON.stringify(sessionData));
+        sessionStorage.setItem(profileKey(SESSION_KEYS.APP_STATE), JSON.stringify(sessionData));
         return true;
     } catch (error) {
         console.error('Session state save error:', error);
@@ -321,7 +1140,7 @@ export function saveSessionState(state) {
  */
 export function loadSessionState() {
     try {
-        const data = sessionStorage.getItem(SESSION_KEYS.APP_STATE);
+        const data = sessionStorage.getItem(profileKey(SESSION_KEYS.APP_STATE));
         return data ? JSON.parse(data) : null;
     } catch (error) {
         console.error('Session state load error:', error);
@@ -344,7 +1163,7 @@ export function saveGameState(gameState) {
             startTime: gameState.startTime,
             timestamp: Date.now()
         };
-        sessionStorage.setItem(SESSION_KEYS.GAME_STATE, JSON.stringify(data));
+        sessionStorage.setItem(profileKey(SESSION_KEYS.GAME_STATE), JSON.stringify(data));
         return true;
     } catch (error) {
         console.error('Game state save error:', error);
@@ -358,7 +1177,7 @@ export function saveGameState(gameState) {
  */
 export function loadGameState() {
     try {
-        const data = sessionStorage.getItem(SESSION_KEYS.GAME_STATE);
+        const data = sessionStorage.getItem(profileKey(SESSION_KEYS.GAME_STATE));
         return data ? JSON.parse(data) : null;
     } catch (error) {
         console.error('Game state load error:', error);
@@ -371,8 +1190,8 @@ export function loadGameState() {
  */
 export function clearSessionState() {
     try {
-        sessionStorage.removeItem(SESSION_KEYS.APP_STATE);
-        sessionStorage.removeItem(SESSION_KEYS.GAME_STATE);
+        sessionStorage.removeItem(profileKey(SESSION_KEYS.APP_STATE));
+        sessionStorage.removeItem(profileKey(SESSION_KEYS.GAME_STATE));
     } catch (error) {
         console.error('Session state clear error:', error);
     }
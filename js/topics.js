@@ -1,8 +1,14 @@
 /**
  * Topics Module - полный список тем по уровням CEFR (A1-C2)
  * Структура: grammar, vocabulary, phonetics, culture
+ * Свои темы из импортированных колод хранятся отдельно и идут вне уровней
  */
 
+import { getCustomTopics } from './storage.js';
+
+// Уровень и категория своих тем
+export const CUSTOM_LEVEL = 'custom';
+
 export const TOPICS = {
     A1: {
         grammar: [
@@ -218,7 +224,20 @@ export function getTopicById(topicId) {
             }
         }
     }
-    return null;
+    return getImportedTopics().find(t => t.id === topicId) || null;
+}
+
+/**
+ * Свои темы из импортированных колод
+ * @returns {Array} - темы с level и category custom
+ */
+export function getImportedTopics() {
+    return getCustomTopics().map(topic => ({
+        ...topic,
+        level: CUSTOM_LEVEL,
+        category: CUSTOM_LEVEL,
+        custom: true
+    }));
 }
 
 /**
@@ -248,7 +267,8 @@ export function getCategoryIcon(category) {
         grammar: '📝',
         vocabulary: '📚',
         phonetics: '🔊',
-        culture: '🏛️'
+        culture: '🏛️',
+        custom: '🗂️'
     };
     return icons[category] || '📖';
 }
@@ -263,7 +283,8 @@ export function getCategoryName(category) {
         grammar: 'Грамматика',
         vocabulary: 'Лексика',
         phonetics: 'Фонетика',
-        culture: 'Культура'
+        culture: 'Культура',
+        custom: 'Своя колода'
     };
     return names[category] || category;
 }
@@ -4,11 +4,15 @@
  * Fallback: Web Speech API
  */
 
-import { getApiKey, cacheAudio, getCachedAudio, getSettings } from './storage.js';
+import { getApiKey, isApiKeyLocked, cacheAudio, getCachedAudio, getSettings, base64ToBytes, blobToArrayBuffer } from './storage.js';
+import { scheduledFetch, getScreenSignal } from './scheduler.js';
 
 const TTS_MODEL = 'gemini-2.5-flash-preview-tts';
 const BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models/';
 
+// Лимит бесплатного тарифа для TTS модели
+const TTS_REQUESTS_PER_MINUTE = 3;
+
 // Доступные голоса для турецкого языка
 export const TURKISH_VOICES = {
     clear: ['Kore', 'Orus', 'Iapetus', 'Erinome'],      // Чёткие голоса для обучения
@@ -63,29 +67,25 @@ export function getDefaultVoice() {
  * Генерация речи через Gemini TTS API
  * @param {string} text - текст для озвучки
  * @param {string} voice - голос (по умолчанию из настроек)
+ * @param {object} request - {signal, topicId}: по умолчанию запрос отменяется при уходе с экрана,
+ *                           topicId привязывает аудио к теме для закрепления в кэше
  * @returns {Promise<ArrayBuffer>} - аудио данные
  */
-export async function generateSpeech(text, voice = null) {
+export async function generateSpeech(text, voice = null, request = {}) {
     const settings = getSettings();
     const selectedVoice = voice || settings.ttsVoice || 'Kore';
     
     // Проверяем кэш
     const hash = generateHash(text, selectedVoice);
-    const cached = getCachedAudio(hash);
+    const cached = await getCachedAudio(hash);
     
-    if (cached && cached.audioData) {
-        // Декодируем base64 обратно в ArrayBuffer
-        const binaryString = atob(cached.audioData);
-        const bytes = new Uint8Array(binaryString.length);
-        for (let i = 0; i < binaryString.length; i++) {
-            bytes[i] = binaryString.charCodeAt(i);
-        }
-        return bytes.buffer;
+    if (cached && cached.blob) {
+        return blobToArrayBuffer(cached.blob);
     }
 
     const apiKey = getApiKey();
     if (!apiKey) {
-        throw new Error('API_KEY_MISSING');
+        throw new Error(isApiKeyLocked() ? 'API_KEY_LOCKED' : 'API_KEY_MISSING');
     }
 
     // Проверяем, включён ли Gemini TTS
@@ -96,7 +96,7 @@ export async function generateSpeech(text, voice = null) {
     const url = `${BASE_URL}${TTS_MODEL}:generateContent?key=${apiKey}`;
 
     try {
-        const response = await fetch(url, {
+        const response = await scheduledFetch(url, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -116,6 +116,10 @@ export async function generateSpeech(text, voice = null) {
                     }
                 }
             })
+        }, {
+            signal: request.signal || getScreenSignal(),
+            budgetKey: TTS_MODEL,
+            requestsPerMinute: TTS_REQUESTS_PER_MINUTE
         });
 
         if (!response.ok) {
@@ -131,31 +135,31 @@ export async function generateSpeech(text, voice = null) {
         const data = await response.json();
         
         // Извлекаем аудио данные из ответа
-        const audioData = data.candidates?.[0]?.content?.parts?.[0]?.inlineData?.data;
+        const inlineData = data.candidates?.[0]?.content?.parts?.[0]?.inlineData;
+        const audioData = inlineData?.data;
         
         if (!audioData) {
             throw new Error('TTS_NO_AUDIO');
         }
 
-        // Декодируем base64 в ArrayBuffer
-        const binaryString = atob(audioData);
-        const bytes = new Uint8Array(binaryString.length);
-        for (let i = 0; i < binaryString.length; i++) {
-            bytes[i] = binaryString.charCodeAt(i);
-        }
+        // Декодируем base64 в байты
+        const bytes = base64ToBytes(audioData);
 
-        // Кэшируем результат
-        cacheAudio(hash, {
-            audioData: audioData,
+        // Кэшируем результат в двоичном виде
+        await cacheAudio(hash, {
+            blob: new Blob([bytes], { type: inlineData.mimeType || 'audio/pcm' }),
             generatedAt: Date.now(),
-            voice: selectedVoice
+            voice: selectedVoice,
+            topicId: request.topicId || null
         });
 
         return bytes.buffer;
     } catch (error) {
         if (error.message.startsWith('API_') || 
             error.message.startsWith('TTS_') ||
-            error.message.startsWith('RATE_')) {
+            error.message.startsWith('RATE_') ||
+            error.message.startsWith('REQUEST_') ||
+            error.message.startsWith('STORAGE_')) {
             throw error;
         }
         throw new Error('TTS_NETWORK_ERROR');
@@ -221,18 +225,21 @@ export function speakWithWebSpeech(text, rate = 0.8) {
  * Универсальная функция озвучки с fallback
  * @param {string} text - текст для озвучки
  * @param {string} voice - голос (для Gemini TTS)
+ * @param {object} request - {signal, topicId} для generateSpeech
  * @returns {Promise<{method: string}>} - метод озвучки
  */
-export async function speak(text, voice = null) {
+export async function speak(text, voice = null, request = {}) {
     const settings = getSettings();
 
     // Пробуем Gemini TTS если включён
     if (settings.ttsEnabled) {
         try {
-            const audioData = await generateSpeech(text, voice);
+            const audioData = await generateSpeech(text, voice, request);
             await playAudio(audioData);
             return { method: 'gemini-tts' };
         } catch (error) {
+            // Пользователь ушёл с экрана - озвучивать уже нечего
+            if (error.message === 'REQUEST_ABORTED') throw error;
             console.warn('Gemini TTS failed, falling back to Web Speech:', error.message);
         }
     }
@@ -0,0 +1,74 @@
+/**
+ * Turkish Text Module - нормализация турецкого текста для сравнения ответов
+ * Регистр по правилам tr-TR (I → ı, İ → i), Unicode NFC, апостроф перед суффиксом
+ * (İstanbul'da) и знаки препинания обрабатываются одинаково во всех играх.
+ * ID фраз считаются по phraseKey из chunk-id.js и от этого модуля не зависят,
+ * чтобы не терять SRS записи.
+ */
+
+// Варианты апострофа: прямой, типографские кавычки, модификатор, акут, гравис, штрих
+const APOSTROPHES = /['\u2018\u2019\u02BC\u00B4`\u2032]/g;
+
+// Знаки препинания Unicode (апостроф убирается раньше, без пробела)
+const PUNCTUATION = /\p{P}/gu;
+
+// Турецкие буквы и их латинские замены при наборе без турецкой раскладки
+export const DIACRITICS = { 'ç': 'c', 'ğ': 'g', 'ı': 'i', 'ö': 'o', 'ş': 's', 'ü': 'u', 'â': 'a', 'î': 'i', 'û': 'u' };
+
+/**
+ * Строчные буквы по правилам турецкого языка
+ * Точка над i, оставшаяся после toLowerCase() вне турецкой локали (İ → i̇), убирается
+ * @param {string} text - текст
+ * @returns {string}
+ */
+export function toTurkishLower(text) {
+    return String(text ?? '')
+        .normalize('NFC')
+        .toLocaleLowerCase('tr-TR')
+        .replace(/i\u0307/g, 'i');
+}
+
+/**
+ * Ключ ответа для сравнения
+ * Регистр tr-TR, апостроф перед суффиксом не обязателен, знаки препинания
+ * и лишние пробелы не учитываются
+ * @param {string} text - ответ
+ * @returns {string}
+ */
+export function answerKey(text) {
+    return toTurkishLower(text)
+        .replace(APOSTROPHES, '')
+        .replace(PUNCTUATION, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Замена турецких букв латинскими (ç → c, ı → i и т.п.)
+ * @param {string} text - текст в нижнем регистре
+ * @returns {string}
+ */
+export function foldDiacritics(text) {
+    return text.replace(/[çğıöşüâîû]/g, letter => DIACRITICS[letter]);
+}
+
+/**
+ * Ответы совпадают с точностью до нормализации
+ * @param {string} userAnswer - ответ пользователя
+ * @param {string} correctAnswer - правильный ответ
+ * @returns {boolean}
+ */
+export function sameAnswer(userAnswer, correctAnswer) {
+    return answerKey(userAnswer) === answerKey(correctAnswer);
+}
+
+// Экспорт объекта TurkishText для совместимости
+export const TurkishText = {
+    DIACRITICS,
+    toTurkishLower,
+    answerKey,
+    foldDiacritics,
+    sameAnswer
+};
+
+export default TurkishText;
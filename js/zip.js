@@ -0,0 +1,114 @@
+/**
+ * Zip Module - запись zip-архива без сжатия
+ * Файлы кладутся как есть (метод stored): этого достаточно для пакетов,
+ * которые читают другие программы, например колод Anki (.apkg).
+ */
+
+const encoder = new TextEncoder();
+
+// Таблица CRC-32 (полином 0xEDB88320)
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Контрольная сумма CRC-32
+ * @param {Uint8Array} data - данные
+ * @returns {number}
+ */
+export function crc32(data) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Время и дата в формате MS-DOS
+ * @param {number} now - время
+ * @returns {{time: number, date: number}}
+ */
+function dosDateTime(now) {
+    const date = new Date(now);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: (Math.max(0, date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Zip-архив из файлов
+ * @param {Array} files - [{name, data}]; data - Uint8Array или строка
+ * @param {number} now - время изменения файлов
+ * @returns {Uint8Array}
+ */
+export function createZip(files, now = Date.now()) {
+    const { time, date } = dosDateTime(now);
+    const entries = files.map(file => {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        return { name, data, crc: crc32(data) };
+    });
+
+    const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+    const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+    const bytes = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(bytes.buffer);
+    let offset = 0;
+
+    // Общие поля локального и центрального заголовков: версия, флаги (имена в UTF-8), метод, время, CRC, размеры
+    const writeCommon = (entry, at) => {
+        view.setUint16(at, 20, true);
+        view.setUint16(at + 2, 0x0800, true);
+        view.setUint16(at + 4, 0, true);
+        view.setUint16(at + 6, time, true);
+        view.setUint16(at + 8, date, true);
+        view.setUint32(at + 10, entry.crc, true);
+        view.setUint32(at + 14, entry.data.length, true);
+        view.setUint32(at + 18, entry.data.length, true);
+        view.setUint16(at + 22, entry.name.length, true);
+    };
+
+    entries.forEach(entry => {
+        entry.offset = offset;
+        view.setUint32(offset, 0x04034b50, true);
+        writeCommon(entry, offset + 4);
+        bytes.set(entry.name, offset + 30);
+        bytes.set(entry.data, offset + 30 + entry.name.length);
+        offset += 30 + entry.name.length + entry.data.length;
+    });
+
+    const centralStart = offset;
+    entries.forEach(entry => {
+        view.setUint32(offset, 0x02014b50, true);
+        view.setUint16(offset + 4, 20, true);
+        writeCommon(entry, offset + 6);
+        view.setUint32(offset + 42, entry.offset, true);
+        bytes.set(entry.name, offset + 46);
+        offset += 46 + entry.name.length;
+    });
+
+    view.setUint32(offset, 0x06054b50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, centralSize, true);
+    view.setUint32(offset + 16, centralStart, true);
+    return bytes;
+}
+
+// Экспорт объекта Zip для совместимости
+export const Zip = {
+    crc32,
+    createZip
+};
+
+export default Zip;
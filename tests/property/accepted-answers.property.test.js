@@ -0,0 +1,240 @@
+/**
+ * Property-Based Tests для допустимых вариантов ответа и апелляции
+ * Feature: accepted-answers
+ */
+
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import 'fake-indexeddb/auto';
+import * as fc from 'fast-check';
+import { setCache, getCache, clearAllCache, saveSettings } from '../../js/storage.js';
+import { validateChunks, validateSchema, CHUNK_SCHEMA, CONTENT_RESPONSE_SCHEMA } from '../../js/providers/schema.js';
+import { buildPrompt, buildAppealPrompt, parseAppealText } from '../../js/providers/prompt.js';
+import { canAppeal, appealAnswer } from '../../js/api.js';
+import { gradeAnswer, chunkAnswers } from '../../js/answer-grader.js';
+import { onAnswer } from '../../js/answer-events.js';
+import { makeChunkId } from '../../js/chunk-id.js';
+import { WritingGame } from '../../js/games/writing.js';
+import { TranslationGame } from '../../js/games/translation.js';
+import { SentenceBuilderGame } from '../../js/games/sentence-builder.js';
+
+vi.mock('../../js/tts.js', () => ({ speak: vi.fn(() => Promise.resolve()) }));
+
+// Mock localStorage
+const localStorageMock = (() => {
+    let store = {};
+    return {
+        getItem: (key) => store[key] || null,
+        setItem: (key, value) => { store[key] = value.toString(); },
+        removeItem: (key) => { delete store[key]; },
+        clear: () => { store = {}; },
+        get length() { return Object.keys(store).length; },
+        key: (i) => Object.keys(store)[i] || null
+    };
+})();
+
+Object.defineProperty(global, 'localStorage', { value: localStorageMock });
+
+beforeEach(async () => {
+    localStorage.clear();
+    await clearAllCache();
+});
+
+const letterArb = fc.constantFrom(...'abcçdefgğhıijklmnoöprsştuüvyz');
+const wordArb = fc.array(letterArb, { minLength: 2, maxLength: 8 }).map(letters => letters.join(''));
+const phraseArb = fc.array(wordArb, { minLength: 1, maxLength: 3 }).map(words => words.join(' '));
+
+const chunk = {
+    id: makeChunkId('a1_g1', 'Ben okula gidiyorum'),
+    turkish: 'Ben okula gidiyorum',
+    russian: 'Я иду в школу',
+    example: '',
+    exampleTranslation: '',
+    grammarNote: null,
+    words: [],
+    acceptedAnswers: ['Okula gidiyorum']
+};
+const content = { topicId: 'a1_g1', chunks: [chunk] };
+
+/**
+ * Ответ модели chat/completions на апелляцию
+ */
+function appealResponse(valid) {
+    return vi.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({
+            choices: [{ message: { content: JSON.stringify({ valid, explanation: valid ? 'Порядок слов свободный <b>' : 'Другой смысл' }) } }]
+        })
+    });
+}
+
+/**
+ * Feature: accepted-answers, Property 1: Schema Keeps Accepted Answers
+ *
+ * For any chunk from the model, accepted answers should become a clean list of strings
+ * without blanks or repeats of the main phrase, and the prompt should ask for them.
+ */
+describe('Property 1: Schema Keeps Accepted Answers', () => {
+    test('accepted answers are cleaned and pass the schema', () => {
+        fc.assert(fc.property(
+            phraseArb,
+            fc.array(fc.oneof(phraseArb, fc.constant(''), fc.constant(42)), { maxLength: 5 }),
+            (turkish, alternatives) => {
+                const raw = { turkish, russian: 'перевод', example: '', exampleTranslation: '', words: [], acceptedAnswers: [...alternatives, turkish.toLocaleUpperCase('tr-TR')] };
+                const [result] = validateChunks([raw], 'a1_g1').chunks;
+                const keys = result.acceptedAnswers.map(a => a.toLocaleLowerCase('tr-TR'));
+
+                return validateSchema(result, CHUNK_SCHEMA).length === 0 &&
+                       result.acceptedAnswers.every(a => typeof a === 'string' && a.trim() === a && a) &&
+                       !keys.includes(turkish) &&
+                       new Set(keys).size === keys.length;
+            }
+        ), { numRuns: 100 });
+    });
+
+    test('a single string and missing field are accepted', () => {
+        const [single, missing] = validateChunks([
+            { turkish: 'Gidiyorum', russian: 'Иду', example: '', exampleTranslation: '', words: [], alternatives: ' Ben gidiyorum ' },
+            { turkish: 'Evet', russian: 'Да', example: '', exampleTranslation: '', words: [] }
+        ], 'a1_g1').chunks;
+
+        expect(single.acceptedAnswers).toEqual(['Ben gidiyorum']);
+        expect(missing.acceptedAnswers).toEqual([]);
+    });
+
+    test('prompt and response schema ask for accepted answers', () => {
+        expect(buildPrompt({ name: 'Тема', level: 'A1', category: 'grammar', description: '-' })).toContain('"acceptedAnswers"');
+        expect(CONTENT_RESPONSE_SCHEMA.properties.chunks.items.properties.acceptedAnswers.type).toBe('ARRAY');
+        expect(CONTENT_RESPONSE_SCHEMA.properties.chunks.items.required).not.toContain('acceptedAnswers');
+    });
+});
+
+/**
+ * Feature: accepted-answers, Property 2: Games Grade Against Every Answer
+ *
+ * For any phrase with alternatives, every production game should accept each of them,
+ * and near misses should be graded against the closest alternative.
+ */
+describe('Property 2: Games Grade Against Every Answer', () => {
+    test('any accepted answer is correct', () => {
+        fc.assert(fc.property(
+            phraseArb,
+            fc.array(phraseArb, { minLength: 1, maxLength: 3 }),
+            fc.nat(),
+            (turkish, alternatives, pick) => {
+                const phrase = { turkish, acceptedAnswers: alternatives };
+                const typed = chunkAnswers(phrase)[pick % (alternatives.length + 1)];
+                return gradeAnswer(typed, chunkAnswers(phrase)).verdict === 'correct';
+            }
+        ), { numRuns: 100 });
+    });
+
+    test('near misses are graded against the closest alternative', () => {
+        const grade = gradeAnswer('Okula gidyorum', chunkAnswers(chunk));
+        expect(grade.verdict).toBe('almost');
+        expect(grade.answer).toBe('Okula gidiyorum');
+    });
+
+    test('writing, translation and sentence builder accept the alternative', () => {
+        const writing = new WritingGame(content);
+        writing.setInput('okula gidiyorum');
+        writing.submit();
+        expect(writing.isCorrect).toBe(true);
+        expect(writing.render()).toContain('Основной вариант');
+
+        const translation = new TranslationGame(content);
+        translation.checkAnswer('Okula gidiyorum.');
+        expect(translation.isCorrect).toBe(true);
+
+        const builder = new SentenceBuilderGame({ chunks: [{ ...chunk, acceptedAnswers: ['Okula ben gidiyorum'] }] });
+        builder.selectedWords = ['okula', 'ben', 'gidiyorum'];
+        builder.submit();
+        expect(builder.isCorrect).toBe(true);
+    });
+});
+
+/**
+ * Feature: accepted-answers, Property 3: Appeal
+ *
+ * When a model is reachable, a wrong answer waits for an optional appeal; an upheld appeal
+ * counts the answer and stores it as accepted, a dismissed or skipped one counts as wrong.
+ * Without a model the answer is recorded at once and no appeal is offered.
+ */
+describe('Property 3: Appeal', () => {
+    test('prompt and reply', () => {
+        const prompt = buildAppealPrompt(chunk, 'Okula ben gidiyorum');
+        expect(prompt).toContain('"Okula ben gidiyorum"');
+        expect(prompt).toContain('"Okula gidiyorum"');
+        expect(parseAppealText('```json\n{"valid": true, "explanation": "<i>Да</i>"}\n```')).toEqual({ valid: true, explanation: 'iДа/i' });
+        expect(() => parseAppealText('{"explanation": "?"}')).toThrow();
+    });
+
+    test('an upheld appeal counts the answer and remembers it', async () => {
+        vi.stubGlobal('fetch', appealResponse(true));
+        saveSettings({ contentProvider: 'openai' });
+        await setCache('a1_g1', content);
+        expect(canAppeal()).toBe(true);
+
+        const events = [];
+        const unsubscribe = onAnswer(event => events.push(event));
+        const game = new WritingGame(content);
+        game.setInput('Okula ben gidiyorum');
+        game.submit();
+        expect(game.appealable).toBe(true);
+        expect(game.render()).toContain('Оспорить');
+        expect(events).toEqual([]);
+
+        await game.appeal();
+        unsubscribe();
+        vi.unstubAllGlobals();
+
+        expect(events.map(e => [e.correct, e.verdict])).toEqual([[true, 'correct']]);
+        expect(game.score).toBe(1);
+        expect(game.render()).toContain('засчитано');
+        expect(game.render()).not.toContain('<b>');
+
+        const cached = await getCache('a1_g1');
+        expect(cached.chunks[0].acceptedAnswers).toEqual(['Okula gidiyorum', 'Okula ben gidiyorum']);
+        expect(gradeAnswer('okula ben gidiyorum', chunkAnswers(cached.chunks[0])).verdict).toBe('correct');
+    });
+
+    test('a dismissed or skipped appeal counts as wrong', async () => {
+        vi.stubGlobal('fetch', appealResponse(false));
+        saveSettings({ contentProvider: 'openai' });
+        await setCache('a1_g1', content);
+
+        const events = [];
+        const unsubscribe = onAnswer(event => events.push(event));
+        const game = new TranslationGame(content);
+        game.chunks = [chunk, { ...chunk, id: 'a1_g1:other' }];
+        game.checkAnswer('Okula ben gidiyorum');
+        await game.appeal();
+        expect(game.render()).toContain('не подходит');
+        expect(events).toEqual([]);
+        game.nextQuestion();
+
+        game.checkAnswer('Eve gidiyorum');
+        game.nextQuestion();
+        unsubscribe();
+        vi.unstubAllGlobals();
+
+        expect(events.map(e => e.correct)).toEqual([false, false]);
+        expect((await getCache('a1_g1')).chunks[0].acceptedAnswers).toEqual(['Okula gidiyorum']);
+    });
+
+    test('without a model the answer is recorded at once', async () => {
+        saveSettings({ contentProvider: 'static' });
+        expect(canAppeal()).toBe(false);
+        await expect(appealAnswer(chunk, 'Okula ben gidiyorum')).rejects.toThrow('APPEAL_UNAVAILABLE');
+
+        const events = [];
+        const unsubscribe = onAnswer(event => events.push(event));
+        const game = new WritingGame(content);
+        game.setInput('Eve gidiyorum');
+        game.submit();
+        unsubscribe();
+
+        expect(game.appealable).toBe(false);
+        expect(game.render()).not.toContain('Оспорить');
+        expect(events.map(e => e.correct)).toEqual([false]);
+    });
+});
@@ -0,0 +1,250 @@
+/**
+ * Property-Based Tests для Analytics Module
+ * Feature: review-analytics
+ */
+
+import 'fake-indexeddb/auto';
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    RETENTION_DAYS, STABILITY_BUCKETS,
+    retentionRate, dueForecast, histogram, stabilityDistribution, hardestCards, getHardestCards
+} from '../../js/analytics.js';
+import { RATINGS } from '../../js/srs.js';
+import { startOfDay } from '../../js/review-queue.js';
+import { updateSRS } from '../../js/games/flashcards.js';
+import { STORAGE_KEYS, save, saveSRSData, getReviewLog, saveReviewLog, appendReviewLog, setCache, clearAllCache } from '../../js/storage.js';
+import { moveReviewLogs } from '../../js/migrations.js';
+import { mergeReviewLogs } from '../../js/backup.js';
+import { makeChunkId } from '../../js/chunk-id.js';
+
+// Mock localStorage
+const localStorageMock = (() => {
+    let store = {};
+    return {
+        getItem: (key) => store[key] || null,
+        setItem: (key, value) => { store[key] = value.toString(); },
+        removeItem: (key) => { delete store[key]; },
+        clear: () => { store = {}; },
+        get length() { return Object.keys(store).length; },
+        key: (i) => Object.keys(store)[i] || null
+    };
+})();
+
+Object.defineProperty(global, 'localStorage', { value: localStorageMock });
+
+beforeEach(async () => {
+    localStorage.clear();
+    await clearAllCache();
+    await saveReviewLog([]);
+});
+
+const NOW = new Date(2024, 5, 15, 12, 0).getTime();
+const DAY = 24 * 60 * 60 * 1000;
+const ratingArb = fc.constantFrom(RATINGS.AGAIN, RATINGS.HARD, RATINGS.GOOD, RATINGS.EASY);
+
+const entryArb = fc.record({
+    time: fc.integer({ min: NOW - 60 * DAY, max: NOW }),
+    chunkId: fc.constantFrom('a1_g1:aa', 'a1_g1:bb', 'a1_v1:cc', 'a2_g1:dd'),
+    rating: ratingArb,
+    elapsedDays: fc.integer({ min: 0, max: 60 }),
+    state: fc.constantFrom('new', 'learning', 'review', 'relearning')
+});
+
+/**
+ * Feature: review-analytics, Property 1: True Retention
+ *
+ * For any review log, retention should count only answers on cards in review within
+ * the window, treating everything but Again as recalled; an empty window has no rate.
+ */
+describe('Property 1: True Retention', () => {
+    test('retention counts only review answers inside the window', () => {
+        fc.assert(fc.property(
+            fc.array(entryArb, { maxLength: 40 }),
+            (log) => {
+                const stats = retentionRate(log, { now: NOW });
+                const inWindow = log.filter(e => e.state === 'review' && e.time >= NOW - RETENTION_DAYS * DAY);
+                const passed = inWindow.filter(e => e.rating !== RATINGS.AGAIN).length;
+                const mature = inWindow.filter(e => e.elapsedDays >= 21);
+
+                return stats.reviews === inWindow.length &&
+                       stats.passed === passed &&
+                       stats.rate === (inWindow.length ? passed / inWindow.length : null) &&
+                       stats.matureReviews === mature.length &&
+                       (stats.matureRate === null) === (mature.length === 0);
+            }
+        ), { numRuns: 100 });
+    });
+
+    test('learning steps do not count as reviews', () => {
+        const log = [
+            { time: NOW - DAY, chunkId: 'a1_g1:aa', rating: RATINGS.AGAIN, elapsedDays: 0, state: 'learning' },
+            { time: NOW - DAY, chunkId: 'a1_g1:bb', rating: RATINGS.GOOD, elapsedDays: 3, state: 'review' }
+        ];
+        expect(retentionRate(log, { now: NOW })).toMatchObject({ reviews: 1, rate: 1 });
+        expect(retentionRate([], { now: NOW }).rate).toBeNull();
+    });
+});
+
+/**
+ * Feature: review-analytics, Property 2: Due Forecast
+ *
+ * For any SRS data, the forecast should place every reviewed card due within the horizon
+ * on its day, overdue cards on today, and leave new cards out.
+ */
+describe('Property 2: Due Forecast', () => {
+    test('forecast counts reviewed cards by due day', () => {
+        fc.assert(fc.property(
+            fc.array(fc.option(fc.integer({ min: -10, max: 40 })), { maxLength: 30 }),
+            (offsets) => {
+                const srsData = {};
+                offsets.forEach((offset, i) => {
+                    srsData[`a1_g1:${i}`] = offset === null
+                        ? { interval: 0, easeFactor: 2.5, nextReview: 0, repetitions: 0 }
+                        : { interval: 3, nextReview: startOfDay(NOW) + offset * DAY + 1000, repetitions: 1, lastReview: NOW - DAY };
+                });
+                const forecast = dueForecast(srsData, { now: NOW, days: 30 });
+                const reviewed = offsets.filter(offset => offset !== null);
+
+                return forecast.length === 30 &&
+                       forecast[0] === reviewed.filter(offset => offset <= 0).length &&
+                       forecast.reduce((sum, n) => sum + n, 0) === reviewed.filter(offset => offset < 30).length;
+            }
+        ), { numRuns: 100 });
+    });
+
+    test('histogram keeps every value', () => {
+        fc.assert(fc.property(
+            fc.array(fc.double({ min: 0, max: 2000, noNaN: true }), { maxLength: 50 }),
+            (values) => histogram(values, STABILITY_BUCKETS).reduce((sum, b) => sum + b.count, 0) === values.length
+        ), { numRuns: 100 });
+
+        const distribution = stabilityDistribution({
+            'a1_g1:aa': { interval: 5, nextReview: 1, repetitions: 1, stability: 0.5, state: 'learning' },
+            'a1_g1:bb': { interval: 40, nextReview: 1, repetitions: 3 },
+            'a1_g1:cc': { interval: 0, easeFactor: 2.5, nextReview: 0, repetitions: 0 }
+        });
+        expect(distribution.map(b => b.count)).toEqual([1, 0, 0, 1, 0, 0]);
+    });
+});
+
+/**
+ * Feature: review-analytics, Property 3: Hardest Cards
+ *
+ * For any review log, the hardest cards should be grouped by topic, limited per topic,
+ * ordered by share of Again answers and include only cards that were forgotten.
+ */
+describe('Property 3: Hardest Cards', () => {
+    test('cards are limited, ordered and forgotten at least once', () => {
+        fc.assert(fc.property(
+            fc.array(entryArb, { maxLength: 40 }),
+            fc.integer({ min: 1, max: 3 }),
+            (log, limit) => {
+                const topics = hardestCards(log, {}, limit);
+                return topics.every(({ topicId, cards }) =>
+                    cards.length >= 1 && cards.length <= limit &&
+                    cards.every(card => card.chunkId.startsWith(`${topicId}:`) && card.again > 0 &&
+                        card.again === log.filter(e => e.chunkId === card.chunkId && e.rating === RATINGS.AGAIN).length) &&
+                    cards.every((card, i) => i === 0 || cards[i - 1].again / cards[i - 1].reviews >= card.again / card.reviews));
+            }
+        ), { numRuns: 100 });
+    });
+
+    test('cached phrases are attached to the hardest cards', async () => {
+        const hard = makeChunkId('a1_g1', 'Merhaba');
+        const easy = makeChunkId('a1_g1', 'Evet');
+        await setCache('a1_g1', { topicId: 'a1_g1', chunks: [{ id: hard, turkish: 'Merhaba', russian: 'Привет' }] });
+        saveSRSData({ [hard]: { interval: 1, nextReview: NOW, repetitions: 0, lapses: 2 } });
+        await saveReviewLog([
+            { time: NOW - 2 * DAY, chunkId: hard, rating: RATINGS.AGAIN, state: 'review' },
+            { time: NOW - DAY, chunkId: hard, rating: RATINGS.GOOD, state: 'relearning' },
+            { time: NOW - DAY, chunkId: easy, rating: RATINGS.GOOD, state: 'review' }
+        ]);
+
+        const [topic] = await getHardestCards();
+        expect(topic.topicId).toBe('a1_g1');
+        expect(topic.cards).toHaveLength(1);
+        expect(topic.cards[0]).toMatchObject({ chunkId: hard, reviews: 2, again: 1, lapses: 2 });
+        expect(topic.cards[0].chunk.turkish).toBe('Merhaba');
+    });
+});
+
+/**
+ * Feature: review-analytics, Property 4: Review Log Sources
+ *
+ * For any answer, the log should record which game it came from, and merging logs from
+ * two devices should keep every answer once in time order.
+ */
+describe('Property 4: Review Log Sources', () => {
+    test('answers are logged with their source', async () => {
+        updateSRS('a1_g1:aa', 4);
+        updateSRS('a1_g1:bb', 1, undefined, 'review');
+        expect((await getReviewLog()).map(e => e.source)).toEqual(['flashcards', 'review']);
+    });
+
+    test('merged logs keep every answer once', () => {
+        fc.assert(fc.property(
+            // На одном устройстве ответ на карточку в одну и ту же миллисекунду записан один раз
+            fc.uniqueArray(entryArb, { maxLength: 20, selector: e => `${e.time}|${e.chunkId}` }),
+            fc.uniqueArray(entryArb, { maxLength: 20, selector: e => `${e.time}|${e.chunkId}` }),
+            (phone, laptop) => {
+                const merged = mergeReviewLogs(phone, mergeReviewLogs(laptop, phone));
+                const keys = merged.map(e => `${e.time}|${e.chunkId}`);
+                const expected = new Set([...phone, ...laptop].map(e => `${e.time}|${e.chunkId}`));
+                return new Set(keys).size === keys.length &&
+                       keys.length === expected.size &&
+                       merged.every((e, i) => i === 0 || merged[i - 1].time <= e.time);
+            }
+        ), { numRuns: 100 });
+    });
+});
+
+/**
+ * Feature: review-analytics, Property 5: Review Log Store
+ *
+ * For any answers, the log should live in IndexedDB outside LocalStorage and keep their order;
+ * a failed log write should not stop the answer from being scheduled, and logs kept
+ * in LocalStorage by older versions should move over for every profile.
+ */
+describe('Property 5: Review Log Store', () => {
+    test('appended entries are read back in order without touching LocalStorage', async () => {
+        await fc.assert(fc.asyncProperty(
+            fc.array(entryArb, { maxLength: 20 }),
+            async (entries) => {
+                localStorage.clear();
+                await saveReviewLog([]);
+                entries.forEach(entry => appendReviewLog(entry));
+                const log = await getReviewLog();
+                return JSON.stringify(log) === JSON.stringify(entries) && localStorage.length === 0;
+            }
+        ), { numRuns: 30 });
+    });
+
+    test('a failed log write does not break grading', async () => {
+        const add = vi.spyOn(IDBObjectStore.prototype, 'add').mockImplementation(() => {
+            throw new DOMException('Quota exceeded', 'QuotaExceededError');
+        });
+        const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+        const record = updateSRS('a1_g1:aa', 4);
+        expect(await getReviewLog()).toEqual([]);
+        add.mockRestore();
+        error.mockRestore();
+
+        expect(record.lastReview).toBeGreaterThan(0);
+        updateSRS('a1_g1:aa', 4);
+        expect(await getReviewLog()).toHaveLength(1);
+    });
+
+    test('legacy logs move out of LocalStorage for every profile', async () => {
+        save(STORAGE_KEYS.PROFILES, [{ id: 'default', name: 'Основной', createdAt: 0 }, { id: 'p2', name: 'Второй', createdAt: 1 }]);
+        save(STORAGE_KEYS.REVIEW_LOG, [{ time: 1, chunkId: 'a1_g1:aa', rating: 3, state: 'new' }]);
+        save(`${STORAGE_KEYS.REVIEW_LOG}__p2`, [{ time: 2, chunkId: 'a1_g1:bb', rating: 1, state: 'new' }]);
+
+        expect(await moveReviewLogs()).toEqual({ moved: 2 });
+        expect(await moveReviewLogs()).toEqual({ moved: 0 });
+        expect((await getReviewLog('default')).map(e => e.chunkId)).toEqual(['a1_g1:aa']);
+        expect((await getReviewLog('p2')).map(e => e.chunkId)).toEqual(['a1_g1:bb']);
+        expect(localStorage.getItem(STORAGE_KEYS.REVIEW_LOG)).toBeNull();
+    });
+});
@@ -0,0 +1,251 @@
+/**
+ * Property-Based Tests для Anki Module
+ * Feature: anki
+ */
+
+import 'fake-indexeddb/auto';
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    DECK_FIELDS, buildDeckText, chunkToRow, parseDeck, importDeck, exportTopicDeck, exportSRSDeck,
+    deleteCustomTopic, customTopicId
+} from '../../js/anki.js';
+import { getCache, hasCache, clearAllCache, getSRSData, saveSRSData, getPinnedTopicIds, getCustomTopics } from '../../js/storage.js';
+import { getTopicById } from '../../js/topics.js';
+import { findWeakChunks } from '../../js/providers/schema.js';
+import { updateSRS, FlashcardsGame } from '../../js/games/flashcards.js';
+import { QuizGame } from '../../js/games/quiz.js';
+import { ListeningGame } from '../../js/games/listening.js';
+import { MatchingGame } from '../../js/games/matching.js';
+import { WritingGame } from '../../js/games/writing.js';
+import { TranslationGame } from '../../js/games/translation.js';
+import { FillInGame } from '../../js/games/fill-in.js';
+import { SentenceBuilderGame } from '../../js/games/sentence-builder.js';
+
+vi.mock('../../js/tts.js', () => ({ speak: vi.fn(() => Promise.resolve()) }));
+
+// Mock localStorage
+const localStorageMock = (() => {
+    let store = {};
+    return {
+        getItem: (key) => store[key] || null,
+        setItem: (key, value) => { store[key] = value.toString(); },
+        removeItem: (key) => { delete store[key]; },
+        clear: () => { store = {}; },
+        get length() { return Object.keys(store).length; },
+        key: (i) => Object.keys(store)[i] || null
+    };
+})();
+
+Object.defineProperty(global, 'localStorage', { value: localStorageMock });
+
+beforeEach(async () => {
+    localStorage.clear();
+    await clearAllCache();
+});
+
+// Поля с разделителями, кавычками и переносами строк
+const fieldArb = fc.array(fc.constantFrom('a', 'ş', 'Ğ', 'я', ' ', '\t', ',', ';', '"', '\n', '<', '#'), { maxLength: 12 })
+    .map(chars => chars.join(''));
+
+// Как поле выглядит после импорта: пробелы схлопнуты, угловые скобки убраны
+const cleaned = value => value.replace(/[<>]/g, '').replace(/\s+/g, ' ').trim();
+
+const deck = [
+    'Merhaba\tПривет\tMerhaba, nasılsın?\tПривет, как дела?\t\tselamlar',
+    'Günaydın\tДоброе утро\tGünaydın, hoş geldiniz.\tДоброе утро, добро пожаловать.\tУтреннее приветствие\tselamlar sabah',
+    'Teşekkürler\tСпасибо\t\t\t\t',
+    'Evet\tДа\tEvet, geliyorum.\tДа, иду.\t\t'
+].join('\n');
+
+/**
+ * Feature: anki, Property 1: Deck Round Trip
+ *
+ * For any fields, an exported deck in either format should parse back to the same
+ * fields, including values with delimiters, quotes and line breaks.
+ */
+describe('Property 1: Deck Round Trip', () => {
+    test('exported rows parse back unchanged', () => {
+        fc.assert(fc.property(
+            fc.array(fc.record({
+                turkish: fieldArb,
+                russian: fieldArb,
+                example: fieldArb,
+                exampleTranslation: fieldArb,
+                grammarNote: fieldArb,
+                tags: fc.uniqueArray(fc.stringMatching(/^[a-z0-9_:]{1,8}$/), { maxLength: 3 }).map(tags => tags.join(' '))
+            }), { minLength: 1, maxLength: 8 }),
+            fc.constantFrom('tsv', 'csv'),
+            (rows, format) => {
+                // Строки из одних пробелов Anki и парсер пропускают
+                const kept = rows.filter(row => DECK_FIELDS.some(field => row[field].trim()));
+                const parsed = parseDeck(buildDeckText(rows, { format, deck: 'Türkçe::Тест' }));
+
+                return parsed.name === 'Тест' && parsed.rows.length === kept.length &&
+                       parsed.rows.every((row, i) =>
+                           DECK_FIELDS.every(field => field === 'tags'
+                               ? row.tags.join(' ') === kept[i].tags
+                               : row[field] === cleaned(kept[i][field])));
+            }
+        ), { numRuns: 100 });
+    });
+
+    test('rows carry the topic and leech tags', () => {
+        const topic = getTopicById('a1_v1');
+        const row = chunkToRow({ turkish: 'Merhaba', russian: 'Привет', tags: ['my deck'] }, topic, { leech: true });
+        expect(row.tags.split(' ')).toEqual(['turkce', 'my_deck', 'A1', 'vocabulary', 'a1_v1', 'leech']);
+    });
+});
+
+/**
+ * Feature: anki, Property 2: Anki And Spreadsheet Files
+ *
+ * Decks exported from Anki or a spreadsheet should be read by their headers: service
+ * columns are skipped, HTML is stripped and the delimiter is detected.
+ */
+describe('Property 2: Anki And Spreadsheet Files', () => {
+    test('Anki plain text export with service columns and HTML', () => {
+        const text = [
+            '#separator:tab',
+            '#html:true',
+            '#notetype column:1',
+            '#deck column:2',
+            '#tags column:5',
+            'Basic\tTürkçe::A1\t<b>Merhaba</b>[sound:merhaba.mp3]\tПривет&nbsp;<br>здравствуй\tselam a1',
+            'Basic\tTürkçe::A1\tSu\tВода\t<i>su</i>[sound:su.mp3] a1'
+        ].join('\n');
+
+        expect(parseDeck(text).rows).toEqual([
+            { turkish: 'Merhaba', russian: 'Привет здравствуй', example: '', exampleTranslation: '', grammarNote: '', tags: ['selam', 'a1'] },
+            { turkish: 'Su', russian: 'Вода', example: '', exampleTranslation: '', grammarNote: '', tags: ['su', 'a1'] }
+        ]);
+    });
+
+    test('spreadsheet CSV with a header row in any column order', () => {
+        fc.assert(fc.property(
+            fc.shuffledSubarray(['Turkish', 'Russian', 'Example', 'Notes'], { minLength: 4, maxLength: 4 }),
+            fc.constantFrom(',', ';'),
+            (titles, delimiter) => {
+                const values = { Turkish: 'Kedi', Russian: 'Кошка', Example: 'Kedi uyuyor', Notes: 'сущ.' };
+                const text = `${titles.join(delimiter)}\r\n${titles.map(title => values[title]).join(delimiter)}\r\n`;
+                const [row] = parseDeck(text).rows;
+                return parseDeck(text).rows.length === 1 && row.turkish === 'Kedi' && row.russian === 'Кошка' &&
+                       row.example === 'Kedi uyuyor' && row.grammarNote === 'сущ.';
+            }
+        ), { numRuns: 50 });
+    });
+});
+
+/**
+ * Feature: anki, Property 3: Imported Decks Become Topics
+ *
+ * An imported deck should become a pinned custom topic whose phrases work in every
+ * game; importing it again updates it and keeps the review history.
+ */
+describe('Property 3: Imported Decks Become Topics', () => {
+    const games = [FlashcardsGame, QuizGame, ListeningGame, MatchingGame, WritingGame, TranslationGame, FillInGame, SentenceBuilderGame];
+
+    test('import creates a custom topic for every game', async () => {
+        const result = await importDeck(deck, { fileName: 'Selamlar.tsv', now: 1000 });
+        const topicId = customTopicId('Selamlar');
+
+        expect(result).toMatchObject({ added: 4, updated: 0 });
+        expect(getTopicById(topicId)).toMatchObject({ id: topicId, name: 'Selamlar', custom: true });
+        expect(getPinnedTopicIds().has(topicId)).toBe(true);
+
+        const content = await getCache(topicId);
+        expect(content.chunks.map(chunk => chunk.turkish)).toEqual(['Merhaba', 'Günaydın', 'Teşekkürler', 'Evet']);
+        expect(content.chunks[1]).toMatchObject({ grammarNote: 'Утреннее приветствие', tags: ['selamlar', 'sabah'] });
+        games.forEach(Game => {
+            const game = new Game(content);
+            expect(game.chunks?.length ?? game.cards?.length ?? content.chunks.length).toBeGreaterThan(0);
+        });
+
+        // Без разбора слов импортированные фразы не слабые; слабая - только фраза без примера
+        const weak = findWeakChunks(content.chunks, new Set(), { custom: getTopicById(topicId).custom });
+        expect(weak.map(entry => [entry.chunk.turkish, entry.reasons])).toEqual([['Teşekkürler', ['no example']]]);
+    });
+
+    test('phrase text and typed answers are escaped in every game', () => {
+        const markup = ['<b>', '<img src=x onerror=alert(1)>', '"><script>'];
+        const chunks = ['Merhaba', 'Günaydın', 'Teşekkürler', 'Evet'].map((turkish, i) => ({
+            id: `custom_x:${i}`,
+            turkish: `${turkish} ${markup[i % 3]}`,
+            russian: `Перевод & ${markup[(i + 1) % 3]}`,
+            example: `${turkish}, ${markup[(i + 2) % 3]} nasılsın bugün?`,
+            exampleTranslation: `Пример ${markup[i % 3]}`,
+            grammarNote: markup[(i + 1) % 3],
+            words: []
+        }));
+        const content = { topicId: 'custom_x', chunks };
+
+        games.forEach(Game => {
+            const html = new Game(content).render();
+            expect(html).not.toMatch(/<(b|img|script)\b/);
+        });
+
+        const typed = new FlashcardsGame(content, 'typed');
+        typed.setInput('"><img src=x onerror=alert(1)>');
+        expect(typed.render()).toContain('value="&quot;&gt;&lt;img src=x onerror=alert(1)&gt;"');
+        typed.checkTyped();
+        expect(typed.render()).not.toMatch(/<(b|img|script)\b/);
+    });
+
+    test('importing again updates phrases and keeps their schedule', async () => {
+        await importDeck(deck, { fileName: 'Selamlar.tsv' });
+        const topicId = customTopicId('Selamlar');
+        const [merhaba] = (await getCache(topicId)).chunks;
+        updateSRS(merhaba.id, 5);
+        const record = getSRSData()[merhaba.id];
+
+        const result = await importDeck('Merhaba\tЗдравствуйте\nSu\tВода\n', { fileName: 'Selamlar.csv' });
+        const content = await getCache(topicId);
+
+        expect(result).toMatchObject({ added: 1, updated: 1 });
+        expect(content.version).toBe(2);
+        expect(content.chunks.map(chunk => chunk.turkish)).toEqual(['Merhaba', 'Su', 'Günaydın', 'Teşekkürler', 'Evet']);
+        expect(content.chunks[0]).toMatchObject({ id: merhaba.id, russian: 'Здравствуйте' });
+        expect(getSRSData()[merhaba.id]).toEqual(record);
+        expect(getCustomTopics()).toHaveLength(1);
+    });
+
+    test('empty decks are rejected and deleted decks disappear', async () => {
+        await expect(importDeck('#separator:tab\nYalnız\t\n', { fileName: 'bos.tsv' })).rejects.toThrow('DECK_EMPTY');
+        expect(getCustomTopics()).toEqual([]);
+
+        await importDeck(deck, { name: 'Selamlar' });
+        const topicId = customTopicId('Selamlar');
+        expect(await deleteCustomTopic(topicId)).toBe(true);
+        expect(getTopicById(topicId)).toBeNull();
+        expect(await hasCache(topicId)).toBe(false);
+    });
+});
+
+/**
+ * Feature: anki, Property 4: Export
+ *
+ * A topic export should contain all of its phrases; the review deck only the phrases
+ * with SRS cards in any direction.
+ */
+describe('Property 4: Export', () => {
+    test('topic and review decks', async () => {
+        const { content, topic } = await importDeck(deck, { fileName: 'Selamlar.tsv' });
+        const exported = await exportTopicDeck(topic.id, 'csv');
+        expect(exported).toMatchObject({ count: 4, mimeType: 'text/csv' });
+        expect(exported.fileName).toMatch(/^turkish-custom_\w+-\d{4}-\d{2}-\d{2}\.csv$/);
+        expect(parseDeck(exported.text).rows.map(row => row.turkish)).toEqual(content.chunks.map(chunk => chunk.turkish));
+
+        const apkg = await exportTopicDeck(topic.id, 'apkg');
+        expect(apkg).toMatchObject({ count: 4, mimeType: 'application/apkg' });
+        expect(apkg.fileName).toMatch(/\.apkg$/);
+        expect(apkg.data).toBeInstanceOf(Uint8Array);
+
+        await expect(exportSRSDeck()).rejects.toThrow('DECK_EMPTY');
+        saveSRSData({
+            [content.chunks[0].id]: { interval: 1, nextReview: 0, repetitions: 1 },
+            [`${content.chunks[2].id}@reverse`]: { interval: 1, nextReview: 0, repetitions: 1 }
+        });
+        const review = await exportSRSDeck('tsv');
+        expect(parseDeck(review.text).rows.map(row => row.turkish)).toEqual(['Merhaba', 'Teşekkürler']);
+    });
+});
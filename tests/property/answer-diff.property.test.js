@@ -0,0 +1,162 @@
+/**
+ * Property-Based Tests для Answer Diff Module
+ * Feature: answer-diff
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+import * as fc from 'fast-check';
+import { alignSequences, diffChars, diffWords, highlightDifferences } from '../../js/answer-diff.js';
+import { renderDifferences, highlightDifferences as feedbackHighlight } from '../../js/games/enhanced-feedback.js';
+import { highlightDifferences as translationHighlight } from '../../js/games/translation.js';
+import { highlightDifferences as writingHighlight, WritingGame } from '../../js/games/writing.js';
+import { makeChunkId } from '../../js/chunk-id.js';
+
+vi.mock('../../js/tts.js', () => ({ speak: vi.fn(() => Promise.resolve()) }));
+
+// Mock localStorage
+const localStorageMock = (() => {
+    let store = {};
+    return {
+        getItem: (key) => store[key] || null,
+        setItem: (key, value) => { store[key] = value.toString(); },
+        removeItem: (key) => { delete store[key]; },
+        clear: () => { store = {}; },
+        get length() { return Object.keys(store).length; },
+        key: (i) => Object.keys(store)[i] || null
+    };
+})();
+
+Object.defineProperty(global, 'localStorage', { value: localStorageMock });
+
+const letterArb = fc.constantFrom(...'abcçdefgğhıijklmnoöprsştuüvyz');
+const wordArb = fc.array(letterArb, { minLength: 1, maxLength: 8 }).map(letters => letters.join(''));
+const wordsArb = fc.array(wordArb, { minLength: 1, maxLength: 6 });
+
+/**
+ * Feature: answer-diff, Property 1: LCS Alignment
+ *
+ * For any two sequences, the alignment should visit every element of each exactly once
+ * in order, and every equal step should pair equal elements.
+ */
+describe('Property 1: LCS Alignment', () => {
+    test('every element is aligned exactly once', () => {
+        fc.assert(fc.property(
+            fc.array(letterArb, { maxLength: 10 }),
+            fc.array(letterArb, { maxLength: 10 }),
+            (first, second) => {
+                const steps = alignSequences(first, second);
+                const a = steps.filter(step => step.a !== undefined).map(step => step.a);
+                const b = steps.filter(step => step.b !== undefined).map(step => step.b);
+
+                return a.join() === first.map((_, i) => i).join() &&
+                       b.join() === second.map((_, i) => i).join() &&
+                       steps.filter(step => step.type === 'equal').every(step => first[step.a] === second[step.b]);
+            }
+        ), { numRuns: 200 });
+    });
+
+    test('character diff rebuilds both words', () => {
+        fc.assert(fc.property(
+            wordArb,
+            wordArb,
+            (userWord, correctWord) => {
+                const { user, correct } = diffChars(userWord, correctWord);
+                return user.map(p => p.text).join('') === userWord &&
+                       correct.map(p => p.text).join('') === correctWord &&
+                       user.every(p => p.status !== 'insert') &&
+                       correct.every(p => p.status !== 'delete');
+            }
+        ), { numRuns: 200 });
+    });
+});
+
+/**
+ * Feature: answer-diff, Property 2: Word Operations
+ *
+ * For any answer, a missing or extra word should be the only change, swapped words
+ * should be a move, and a misspelled word a substitution with letter-level detail.
+ */
+describe('Property 2: Word Operations', () => {
+    test('a missing first word does not shift the rest', () => {
+        fc.assert(fc.property(
+            wordsArb,
+            wordArb,
+            (words, missing) => {
+                // Повтор соседнего слова можно выровнять с любой из копий
+                fc.pre(!words.includes(missing));
+                const diff = diffWords(words.join(' '), [missing, ...words].join(' '));
+                return diff.correct[0].op === 'insert' &&
+                       diff.correct.slice(1).every(word => word.op === 'equal') &&
+                       diff.user.every(word => word.op === 'equal');
+            }
+        ), { numRuns: 200 });
+    });
+
+    test('an extra word is the only deletion', () => {
+        fc.assert(fc.property(
+            wordsArb,
+            wordArb,
+            fc.nat(),
+            (words, extra, position) => {
+                fc.pre(!words.includes(extra));
+                const i = position % (words.length + 1);
+                const typed = [...words.slice(0, i), extra, ...words.slice(i)];
+                const diff = diffWords(typed.join(' '), words.join(' '));
+                return diff.user.filter(word => word.op !== 'equal').map(word => word.text).join() === extra &&
+                       diff.correct.every(word => word.op === 'equal');
+            }
+        ), { numRuns: 200 });
+    });
+
+    test('swapped words are moves, misspelled words are substitutions', () => {
+        const moved = diffWords('okula ben gidiyorum', 'ben okula gidiyorum');
+        expect(moved.user.map(w => w.op).sort()).toEqual(['equal', 'equal', 'move']);
+        expect(moved.correct.map(w => w.op).sort()).toEqual(['equal', 'equal', 'move']);
+        expect(diffWords('ben gidiyorum', 'ben eve gidiyorum').correct.map(w => w.op)).toEqual(['equal', 'insert', 'equal']);
+
+        const misspelled = diffWords('Ben okla gidiyorum', 'Ben okula gidiyorum');
+        expect(misspelled.user.map(w => w.op)).toEqual(['equal', 'substitute', 'equal']);
+        expect(misspelled.correct[1].chars).toEqual([
+            { text: 'ok', status: 'equal' },
+            { text: 'u', status: 'insert' },
+            { text: 'la', status: 'equal' }
+        ]);
+
+        expect(diffWords('İSTANBUL’DA yaşıyorum.', "istanbul'da yaşıyorum").operations.every(op => op.type === 'equal')).toBe(true);
+    });
+});
+
+/**
+ * Feature: answer-diff, Property 3: One Diff Everywhere
+ *
+ * Translation, writing and enhanced feedback should share the same diff,
+ * and the rendered markup should mark each word with its operation.
+ */
+describe('Property 3: One Diff Everywhere', () => {
+    test('games export the shared diff', () => {
+        expect(translationHighlight).toBe(highlightDifferences);
+        expect(writingHighlight).toBe(highlightDifferences);
+        expect(feedbackHighlight).toBe(highlightDifferences);
+    });
+
+    test('rendering marks words and letters', () => {
+        const { user, correct } = renderDifferences('okla gidiyorum', 'Ben okula gidiyorum');
+        expect(user).toContain('diff__word--substitute');
+        expect(user).not.toContain('diff__word--insert');
+        expect(correct).toContain('diff__word--insert');
+        expect(correct).toContain('<span class="diff__char diff__char--insert">u</span>');
+
+        // Ответ ученика и фраза выводятся как текст, а не как разметка
+        const escaped = renderDifferences('<img src=x onerror=alert(1)> okla', 'okula <b>gel</b>');
+        expect(escaped.user).not.toMatch(/<img\b/);
+        expect(escaped.user).toContain('&lt;img');
+        expect(escaped.correct).not.toMatch(/<b>/);
+        expect(renderDifferences('a&b', 'a&c').user).toContain('&amp;');
+
+        const chunk = { id: makeChunkId('a1_g1', 'Ben okula gidiyorum'), turkish: 'Ben okula gidiyorum', russian: 'Я иду в школу' };
+        const game = new WritingGame({ chunks: [chunk] });
+        game.setInput('okula gidiyorum');
+        game.submit();
+        expect(game.render()).toContain('diff__word--insert');
+    });
+});
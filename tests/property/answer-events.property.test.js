@@ -0,0 +1,239 @@
+/**
+ * Property-Based Tests для Answer Events Module
+ * Feature: answer-events
+ */
+
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import * as fc from 'fast-check';
+import { EXERCISE_KINDS, answerQuality, exerciseCardType, reportAnswer, onAnswer } from '../../js/answer-events.js';
+import { qualityToRating, scheduleCard, newCard, RATINGS } from '../../js/srs.js';
+import { getSRSData, saveSRSData, getSettings, saveSettings, getReviewLog, saveReviewLog } from '../../js/storage.js';
+import { makeChunkId, cardKey } from '../../js/chunk-id.js';
+import { QuizGame } from '../../js/games/quiz.js';
+import { ListeningGame } from '../../js/games/listening.js';
+import { MatchingGame } from '../../js/games/matching.js';
+import { WritingGame } from '../../js/games/writing.js';
+import { TranslationGame } from '../../js/games/translation.js';
+import { FillInGame } from '../../js/games/fill-in.js';
+import { SentenceBuilderGame, normalizeWord } from '../../js/games/sentence-builder.js';
+import { updateSRS } from '../../js/games/flashcards.js';
+
+vi.mock('../../js/tts.js', () => ({ speak: vi.fn(() => Promise.resolve()) }));
+
+// Mock localStorage
+const localStorageMock = (() => {
+    let store = {};
+    return {
+        getItem: (key) => store[key] || null,
+        setItem: (key, value) => { store[key] = value.toString(); },
+        removeItem: (key) => { delete store[key]; },
+        clear: () => { store = {}; },
+        get length() { return Object.keys(store).length; },
+        key: (i) => Object.keys(store)[i] || null
+    };
+})();
+
+Object.defineProperty(global, 'localStorage', { value: localStorageMock });
+
+beforeEach(async () => {
+    localStorage.clear();
+    await saveReviewLog([]);
+});
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const content = {
+    topicId: 'a1_g1',
+    chunks: [
+        ['Merhaba', 'Привет', 'Merhaba, nasılsın bugün?'],
+        ['Günaydın', 'Доброе утро', 'Günaydın, hoş geldiniz efendim.'],
+        ['Teşekkürler', 'Спасибо', 'Çok teşekkürler, iyi günler.'],
+        ['Evet', 'Да', 'Evet, ben de geliyorum.']
+    ].map(([turkish, russian, example]) => ({ id: makeChunkId('a1_g1', turkish), turkish, russian, example, exampleTranslation: '-' }))
+};
+
+/**
+ * Feature: answer-events, Property 1: Weighted Grades
+ *
+ * For any game, a correct answer should pass as at least Good and a wrong one should fail;
+ * a production answer should weigh more than a recognition one.
+ */
+describe('Property 1: Weighted Grades', () => {
+    test('grades depend on the exercise kind', () => {
+        expect(answerQuality('writing', true)).toBeGreaterThan(answerQuality('quiz', true));
+        expect(answerQuality('writing', false)).toBeGreaterThan(answerQuality('quiz', false));
+
+        fc.assert(fc.property(
+            fc.constantFrom(...Object.keys(EXERCISE_KINDS), 'unknown-game'),
+            fc.boolean(),
+            (game, correct) => {
+                const sample = EXERCISE_KINDS[game] === 'production' ? 'writing' : 'quiz';
+                return answerQuality(game, correct) === answerQuality(sample, correct) &&
+                       qualityToRating(answerQuality(game, false)) === RATINGS.AGAIN &&
+                       qualityToRating(answerQuality(game, true)) >= RATINGS.GOOD;
+            }
+        ), { numRuns: 50 });
+    });
+
+    test('production practice schedules at least as far as recognition', () => {
+        fc.assert(fc.property(
+            fc.array(fc.constantFrom(1, 3, 4, 5), { maxLength: 8 }),
+            fc.constantFrom('fsrs', 'sm2'),
+            (history, srsAlgorithm) => {
+                let card = newCard();
+                let now = 0;
+                history.forEach(quality => {
+                    now = Math.max(now, card.nextReview);
+                    card = scheduleCard(card, quality, { srsAlgorithm }, now);
+                });
+                now = Math.max(now, card.nextReview) + DAY;
+                const recognized = scheduleCard(card, answerQuality('quiz', true), { srsAlgorithm }, now);
+                const produced = scheduleCard(card, answerQuality('writing', true), { srsAlgorithm }, now);
+                return produced.nextReview >= recognized.nextReview;
+            }
+        ), { numRuns: 100 });
+    });
+});
+
+/**
+ * Feature: answer-events, Property 2: Every Game Feeds The Scheduler
+ *
+ * For any game other than flashcards, each correct answer should reach the bus and update
+ * the record of the card direction the game trains, logged with the game as its source;
+ * a wrong answer should fail the card without counting as a lapse.
+ */
+describe('Property 2: Every Game Feeds The Scheduler', () => {
+    /**
+     * Ответ в игре: правильный или нет
+     */
+    const play = {
+        quiz: (game, correct) => game.selectOption(game.currentOptions.findIndex(opt => opt.isCorrect === correct)),
+        listening: (game, correct) => game.selectOption(game.currentOptions.findIndex(opt => opt.isCorrect === correct)),
+        writing: (game, correct) => {
+            game.setInput(correct ? game.getCurrentChunk().turkish : 'yanlış');
+            game.submit();
+        },
+        translation: (game, correct) => game.checkAnswer(correct ? game.getCurrentChunk().turkish : 'yanlış'),
+        'fill-in': (game, correct) => {
+            game.setInput(correct ? game.currentBlank.answer : 'yanlış');
+            game.submit();
+        },
+        'sentence-builder': (game, correct) => {
+            const words = game.getCurrentChunk().example.split(/\s+/);
+            game.selectedWords = words.map((w, i) => normalizeWord(w, i === 0, i === words.length - 1));
+            if (!correct) game.selectedWords.reverse();
+            game.submit();
+        }
+    };
+    const classes = {
+        quiz: QuizGame,
+        listening: ListeningGame,
+        writing: WritingGame,
+        translation: TranslationGame,
+        'fill-in': FillInGame,
+        'sentence-builder': SentenceBuilderGame
+    };
+
+    test('answers in every game are scheduled and logged', async () => {
+        await fc.assert(fc.asyncProperty(
+            fc.constantFrom(...Object.keys(classes)),
+            fc.boolean(),
+            async (gameId, correct) => {
+                localStorage.clear();
+                await saveReviewLog([]);
+                const game = new classes[gameId](content);
+                const chunkId = game.getCurrentChunk().id;
+                play[gameId](game, correct);
+
+                const log = await getReviewLog();
+                const key = cardKey(chunkId, exerciseCardType(gameId));
+
+                const [entry] = log;
+                return log.length === 1 &&
+                       entry.chunkId === key && entry.source === gameId &&
+                       entry.rating === (correct ? qualityToRating(answerQuality(gameId, true)) : RATINGS.AGAIN) &&
+                       getSRSData()[key].lastReview > 0 &&
+                       getSRSData()[key].lapses === 0;
+            }
+        ), { numRuns: 60 });
+    });
+
+    test('production games train the reverse directions', () => {
+        expect(['writing', 'translation', 'fill-in'].map(exerciseCardType)).toEqual(['typed', 'typed', 'typed']);
+        expect(exerciseCardType('sentence-builder')).toBe('reverse');
+        expect(exerciseCardType('listening')).toBe('audio');
+        expect(['quiz', 'matching'].map(exerciseCardType)).toEqual(['recognition', 'recognition']);
+
+        const game = new TranslationGame(content);
+        const chunk = game.getCurrentChunk();
+        game.checkAnswer(chunk.turkish);
+
+        const srsData = getSRSData();
+        expect(srsData[cardKey(chunk.id, 'typed')].lastReview).toBeGreaterThan(0);
+        expect(srsData[chunk.id]).toBeUndefined();
+    });
+
+    test('wrong answers in games fail the card without lapses or leeches', () => {
+        const record = {
+            ...newCard(), interval: 6, repetitions: 3, lapses: 7, stability: 6, difficulty: 5, state: 'review',
+            nextReview: Date.now() - DAY, lastReview: Date.now() - 7 * DAY
+        };
+        const key = cardKey(content.chunks[0].id, 'typed');
+        saveSRSData({ [key]: record });
+        saveSettings({ ...getSettings(), leechThreshold: 8, leechAction: 'suspend' });
+
+        reportAnswer('writing', content.chunks[0].id, false);
+        const failed = getSRSData()[key];
+        expect(failed).toMatchObject({ state: 'relearning', repetitions: 0, lapses: 7 });
+        expect(failed.leech).toBeFalsy();
+        expect(failed.suspended).toBeFalsy();
+        expect(failed.nextReview).toBeLessThan(Date.now() + DAY);
+
+        // Та же ошибка в карточках - забывание
+        saveSRSData({ [key]: record });
+        expect(updateSRS(key, 1)).toMatchObject({ lapses: 8, leech: true });
+    });
+
+    test('matching reports a pair once, wrong if it was mismatched first', async () => {
+        const game = new MatchingGame(content);
+        const [first, second] = game.turkishItems;
+        const russianIndex = id => game.russianItems.findIndex(item => item.id === id);
+
+        game.selectTurkish(0);
+        game.selectRussian(russianIndex(second.id));
+        game.selectTurkish(0);
+        game.selectRussian(russianIndex(first.id));
+        game.selectTurkish(1);
+        game.selectRussian(russianIndex(second.id));
+
+        expect((await getReviewLog()).map(entry => [entry.chunkId, entry.rating])).toEqual([
+            [first.id, RATINGS.AGAIN],
+            [second.id, qualityToRating(answerQuality('matching', true))]
+        ]);
+    });
+});
+
+/**
+ * Feature: answer-events, Property 3: Bus Listeners
+ *
+ * Listeners should receive every answer until they unsubscribe, and a failing listener
+ * should not stop the game or the scheduler.
+ */
+describe('Property 3: Bus Listeners', () => {
+    test('listeners get events and failures are contained', async () => {
+        const events = [];
+        const unsubscribe = onAnswer(event => events.push(event));
+        const unsubscribeBroken = onAnswer(() => { throw new Error('boom'); });
+        const spy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+        const event = reportAnswer('quiz', content.chunks[0].id, true);
+        unsubscribe();
+        unsubscribeBroken();
+        reportAnswer('quiz', content.chunks[1].id, false);
+        spy.mockRestore();
+
+        expect(events).toEqual([event]);
+        expect(event).toMatchObject({ game: 'quiz', correct: true, quality: answerQuality('quiz', true) });
+        expect(await getReviewLog()).toHaveLength(2);
+    });
+});
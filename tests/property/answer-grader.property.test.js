@@ -0,0 +1,205 @@
+/**
+ * Property-Based Tests для Answer Grader Module
+ * Feature: answer-grader
+ */
+
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import * as fc from 'fast-check';
+import { VERDICTS, VERDICT_SCORES, editDistance, gradeAnswer, isNearMiss } from '../../js/answer-grader.js';
+import { onAnswer, ANSWER_QUALITY } from '../../js/answer-events.js';
+import { makeChunkId } from '../../js/chunk-id.js';
+import { WritingGame } from '../../js/games/writing.js';
+import { TranslationGame } from '../../js/games/translation.js';
+import { FillInGame } from '../../js/games/fill-in.js';
+import { renderEnhancedFeedback } from '../../js/games/enhanced-feedback.js';
+
+vi.mock('../../js/tts.js', () => ({ speak: vi.fn(() => Promise.resolve()) }));
+
+// Mock localStorage
+const localStorageMock = (() => {
+    let store = {};
+    return {
+        getItem: (key) => store[key] || null,
+        setItem: (key, value) => { store[key] = value.toString(); },
+        removeItem: (key) => { delete store[key]; },
+        clear: () => { store = {}; },
+        get length() { return Object.keys(store).length; },
+        key: (i) => Object.keys(store)[i] || null
+    };
+})();
+
+Object.defineProperty(global, 'localStorage', { value: localStorageMock });
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+const letterArb = fc.constantFrom(...'abcdefghijklmnoprstuvyz');
+const wordArb = fc.array(letterArb, { minLength: 1, maxLength: 10 }).map(letters => letters.join(''));
+
+/**
+ * Feature: answer-grader, Property 1: Edit Distance
+ *
+ * For any two strings, the distance should be a symmetric measure that is zero only
+ * for equal strings, never exceeds the longer length and counts one edit as one.
+ */
+describe('Property 1: Edit Distance', () => {
+    test('distance is a symmetric measure', () => {
+        fc.assert(fc.property(
+            wordArb,
+            wordArb,
+            (a, b) => editDistance(a, b) === editDistance(b, a) &&
+                      (editDistance(a, b) === 0) === (a === b) &&
+                      editDistance(a, b) <= Math.max(a.length, b.length)
+        ), { numRuns: 200 });
+    });
+
+    test('one insertion, deletion, substitution or swap costs one', () => {
+        fc.assert(fc.property(
+            fc.array(letterArb, { minLength: 3, maxLength: 10 }).map(letters => letters.join('')),
+            fc.nat(),
+            letterArb,
+            (word, index, letter) => {
+                const i = index % (word.length - 1);
+                const swapped = word.slice(0, i) + word[i + 1] + word[i] + word.slice(i + 2);
+                const replaced = word.slice(0, i) + letter + word.slice(i + 1);
+                return editDistance(word, word.slice(0, i) + letter + word.slice(i)) === 1 &&
+                       editDistance(word, word.slice(0, i) + word.slice(i + 1)) === 1 &&
+                       editDistance(word, replaced) === (replaced === word ? 0 : 1) &&
+                       editDistance(word, swapped) === (swapped === word ? 0 : 1);
+            }
+        ), { numRuns: 200 });
+    });
+});
+
+/**
+ * Feature: answer-grader, Property 2: Graded Verdicts
+ *
+ * For any answer, normalized matches should be correct, answers without Turkish letters
+ * missing-diacritic, a missing or extra ending wrong-suffix, a typo inside a long word
+ * almost, and unrelated answers wrong; better verdicts should score higher.
+ */
+describe('Property 2: Graded Verdicts', () => {
+    test('verdicts follow the kind of mistake', () => {
+        expect(gradeAnswer('İstanbul’da', "istanbul'da")).toMatchObject({ verdict: 'correct', score: 1 });
+        expect(gradeAnswer('tesekkur ederim', 'teşekkür ederim').verdict).toBe('missing-diacritic');
+        expect(gradeAnswer('evde', 'evden').verdict).toBe('wrong-suffix');
+        expect(gradeAnswer('okul gidiyorum', 'okula gidiyorum').verdict).toBe('wrong-suffix');
+        expect(gradeAnswer('kitap', 'kitabı').verdict).toBe('wrong-suffix');
+        expect(gradeAnswer('merhbaa', 'merhaba').verdict).toBe('almost');
+        expect(gradeAnswer('merhab', 'merhaba').verdict).toBe('almost');
+        expect(gradeAnswer('kitab', 'kitabı').verdict).toBe('almost');
+        expect(gradeAnswer('kod', 'kodu').verdict).toBe('wrong-suffix');
+        expect(gradeAnswer('kodu', 'kod').verdict).toBe('wrong-suffix');
+        expect(gradeAnswer('gidiyrum', 'gidiyorum').verdict).toBe('almost');
+        expect(gradeAnswer('su', 'ev').verdict).toBe('wrong');
+        expect(gradeAnswer('', 'ev').verdict).toBe('wrong');
+    });
+
+    test('one typo in a long word is almost right, in a short word it is not forgiven', () => {
+        fc.assert(fc.property(
+            fc.array(letterArb, { minLength: 6, maxLength: 12 }).map(letters => letters.join('')),
+            fc.integer({ min: 1, max: 3 }),
+            letterArb,
+            (word, index, letter) => {
+                fc.pre(word[index] !== letter);
+                const typo = word.slice(0, index) + letter + word.slice(index + 1);
+                return gradeAnswer(typo, word).verdict === 'almost' &&
+                       gradeAnswer(typo.slice(0, 3), word.slice(0, 3)).verdict !== 'almost';
+            }
+        ), { numRuns: 200 });
+    });
+
+    test('scores fall along the verdict ladder', () => {
+        VERDICTS.slice(1).forEach((verdict, i) => {
+            expect(VERDICT_SCORES[verdict]).toBeLessThan(VERDICT_SCORES[VERDICTS[i]]);
+        });
+        expect(VERDICTS.filter(isNearMiss)).toEqual(['missing-diacritic', 'almost', 'wrong-suffix']);
+    });
+});
+
+/**
+ * Feature: answer-grader, Property 3: Learner Decides Near Misses
+ *
+ * For any near miss in writing, translation or fill-in, nothing should be scheduled until
+ * the learner decides; an accepted answer counts with a lower grade than a correct one,
+ * a rejected or skipped one counts as wrong.
+ */
+describe('Property 3: Learner Decides Near Misses', () => {
+    const content = {
+        chunks: [['Teşekkürler', 'Спасибо', 'Çok teşekkürler, iyi günler.']]
+            .map(([turkish, russian, example]) => ({ id: makeChunkId('a1_g1', turkish), turkish, russian, example, exampleTranslation: '-' }))
+    };
+    const games = {
+        writing: game => { game.setInput('Tesekkurler'); game.submit(); },
+        translation: game => game.checkAnswer('Teşekürler'),
+        'fill-in': game => {
+            game.currentBlank = { display: 'Çok ___ iyi günler.', answer: 'teşekkürler,', blankIndex: 1 };
+            game.setInput('teşekkür');
+            game.submit();
+        }
+    };
+    const classes = { writing: WritingGame, translation: TranslationGame, 'fill-in': FillInGame };
+
+    test('the answer counts only after the decision', () => {
+        Object.entries(games).forEach(([name, answer]) => {
+            [true, false, null].forEach(accepted => {
+                const events = [];
+                const unsubscribe = onAnswer(event => events.push(event));
+                const game = new classes[name](content);
+
+                answer(game);
+                expect(game.awaitingDecision).toBe(true);
+                expect(isNearMiss(game.grade.verdict)).toBe(true);
+                expect(game.render()).toContain('Засчитать');
+                expect(events).toEqual([]);
+
+                if (accepted === null) {
+                    game.nextQuestion();
+                } else {
+                    game.decide(accepted);
+                    game.decide(!accepted);
+                }
+                unsubscribe();
+
+                expect(events).toHaveLength(1);
+                expect(events[0].correct).toBe(Boolean(accepted));
+                expect(isNearMiss(events[0].verdict)).toBe(true);
+                expect(events[0].quality).toBe(accepted ? ANSWER_QUALITY.production.close : ANSWER_QUALITY.production.wrong);
+                expect(game.score).toBe(accepted ? 1 : 0);
+            });
+        });
+    });
+
+    test('an exact answer is scheduled at once with the full grade', () => {
+        const events = [];
+        const unsubscribe = onAnswer(event => events.push(event));
+        const game = new WritingGame(content);
+        game.setInput('teşekkürler!');
+        game.submit();
+        unsubscribe();
+
+        expect(game.awaitingDecision).toBe(false);
+        expect(events.map(e => [e.verdict, e.quality])).toEqual([['correct', ANSWER_QUALITY.production.correct]]);
+    });
+
+    test('enhanced feedback offers the decision only for near misses', () => {
+        const options = {
+            userAnswer: 'evde',
+            correctAnswer: 'evden',
+            chunk: content.chunks[0],
+            onContinue: 'next()',
+            onAccept: 'accept()',
+            onReject: 'reject()'
+        };
+        const nearMiss = renderEnhancedFeedback({ ...options, grade: gradeAnswer('evde', 'evden') });
+        const wrong = renderEnhancedFeedback({ ...options, userAnswer: 'su', grade: gradeAnswer('su', 'evden') });
+
+        expect(nearMiss).toContain('ошибка в окончании');
+        expect(nearMiss).toContain('accept()');
+        expect(nearMiss).not.toContain('next()');
+        expect(wrong).toContain('Неправильно');
+        expect(wrong).toContain('next()');
+        expect(wrong).not.toContain('accept()');
+    });
+});
@@ -3,10 +3,13 @@
  * Feature: turkish-learning-app, app-improvements
  */
 
+import 'fake-indexeddb/auto';
 import { describe, test, expect, beforeEach, vi } from 'vitest';
 import * as fc from 'fast-check';
-import { hasCache, setCache, getCache } from '../../js/storage.js';
-import { stripMarkdown } from '../../js/api.js';
+import { hasCache, setCache, getCache, clearAllCache, saveSettings, getSRSData, saveSRSData } from '../../js/storage.js';
+import { stripMarkdown, generateContent, extendContent, replaceWeakChunks, getProvider, PROVIDERS } from '../../js/api.js';
+import { STATIC_PACK } from '../../js/data/static-pack.js';
+import { validateChunks, validateSchema, CHUNK_SCHEMA, WORD_ROLES, MIN_VALID_CHUNKS } from '../../js/providers/schema.js';
 
 // Mock localStorage
 const localStorageMock = (() => {
@@ -23,8 +26,9 @@ const localStorageMock = (() => {
 
 Object.defineProperty(global, 'localStorage', { value: localStorageMock });
 
-beforeEach(() => {
+beforeEach(async () => {
     localStorage.clear();
+    await clearAllCache();
 });
 
 /**
@@ -35,7 +39,7 @@ beforeEach(() => {
  * a new API request.
  */
 describe('Property 4: Cache Prevents API Calls', () => {
-    test('hasCache returns true for cached topics', () => {
+    test('hasCache returns true for cached topics', async () => {
         const contentArb = fc.record({
             topicId: fc.string().filter(s => s.length > 0),
             generatedAt: fc.integer({ min: 0 }),
@@ -48,19 +52,19 @@ describe('Property 4: Cache Prevents API Calls', () => {
             }), { minLength: 1, maxLength: 10 })
         });
 
-        fc.assert(fc.property(
+        await fc.assert(fc.asyncProperty(
             contentArb,
-            (content) => {
+            async (content) => {
                 // Кэшируем контент
-                setCache(content.topicId, content);
+                await setCache(content.topicId, content);
                 
                 // Проверяем что кэш существует
-                return hasCache(content.topicId) === true;
+                return await hasCache(content.topicId) === true;
             }
         ), { numRuns: 100 });
     });
 
-    test('cached content is returned without modification', () => {
+    test('cached content is returned without modification', async () => {
         const contentArb = fc.record({
             topicId: fc.string().filter(s => s.length > 0),
             generatedAt: fc.integer({ min: 0 }),
@@ -73,11 +77,11 @@ describe('Property 4: Cache Prevents API Calls', () => {
             }), { minLength: 1, maxLength: 10 })
         });
 
-        fc.assert(fc.property(
+        await fc.assert(fc.asyncProperty(
             contentArb,
-            (content) => {
-                setCache(content.topicId, content);
-                const retrieved = getCache(content.topicId);
+            async (content) => {
+                await setCache(content.topicId, content);
+                const retrieved = await getCache(content.topicId);
                 
                 // Проверяем что контент идентичен
                 return JSON.stringify(retrieved) === JSON.stringify(content);
@@ -85,36 +89,37 @@ describe('Property 4: Cache Prevents API Calls', () => {
         ), { numRuns: 100 });
     });
 
-    test('hasCache returns false for non-cached topics', () => {
-        fc.assert(fc.property(
+    test('hasCache returns false for non-cached topics', async () => {
+        await fc.assert(fc.asyncProperty(
             fc.string().filter(s => s.length > 0),
-            (topicId) => {
+            async (topicId) => {
                 // Не кэшируем ничего
-                return hasCache(topicId) === false;
+                return await hasCache(topicId) === false;
             }
         ), { numRuns: 100 });
     });
 
-    test('multiple topics can be cached independently', () => {
+    test('multiple topics can be cached independently', async () => {
         const topicIdsArb = fc.array(
             fc.string().filter(s => s.length > 0 && !s.includes('_')),
             { minLength: 2, maxLength: 5 }
         ).filter(arr => new Set(arr).size === arr.length);
 
-        fc.assert(fc.property(
+        await fc.assert(fc.asyncProperty(
             topicIdsArb,
-            (topicIds) => {
+            async (topicIds) => {
                 // Кэшируем все темы
-                topicIds.forEach((id, index) => {
-                    setCache(id, {
+                for (const [index, id] of topicIds.entries()) {
+                    await setCache(id, {
                         topicId: id,
                         generatedAt: Date.now(),
                         chunks: [{ id: `chunk_${index}`, turkish: 'test', russian: 'тест' }]
                     });
-                });
+                }
 
                 // Проверяем что все темы закэшированы
-                return topicIds.every(id => hasCache(id));
+                const cached = await Promise.all(topicIds.map(id => hasCache(id)));
+                return cached.every(Boolean);
             }
         ), { numRuns: 100 });
     });
@@ -194,3 +199,291 @@ describe('Property 1: Markdown Stripping', () => {
         ), { numRuns: 100 });
     });
 });
+
+
+/**
+ * Feature: content-providers, Property 2: Provider Selection
+ * 
+ * For any provider id stored in settings, generateContent should use that provider
+ * and return the same {topicId, generatedAt, chunks} shape; unknown ids fall back to Gemini.
+ */
+describe('Property 2: Provider Selection', () => {
+    test('unknown provider id falls back to gemini', () => {
+        fc.assert(fc.property(
+            fc.string().filter(s => !(s in PROVIDERS)),
+            (providerId) => {
+                return getProvider(providerId).id === 'gemini';
+            }
+        ), { numRuns: 100 });
+    });
+
+    test('static provider returns content without network', async () => {
+        const fetchSpy = vi.fn();
+        vi.stubGlobal('fetch', fetchSpy);
+        saveSettings({ contentProvider: 'static' });
+
+        for (const topicId of Object.keys(STATIC_PACK)) {
+            const content = await generateContent({ id: topicId });
+
+            expect(content.topicId).toBe(topicId);
+            expect(typeof content.generatedAt).toBe('number');
+            expect(content.chunks.length).toBe(STATIC_PACK[topicId].length);
+            expect(content.chunks.every(c => c.turkish && c.russian)).toBe(true);
+            expect(await hasCache(topicId)).toBe(true);
+        }
+
+        expect(fetchSpy).not.toHaveBeenCalled();
+        vi.unstubAllGlobals();
+    });
+
+    test('static provider reports topics missing from the pack', async () => {
+        saveSettings({ contentProvider: 'static' });
+        await expect(generateContent({ id: 'c2_missing' })).rejects.toThrow('STATIC_PACK_MISSING');
+    });
+
+    test('openai provider parses chat/completions response', async () => {
+        const chunks = [{ id: 'x', turkish: 'Merhaba', russian: 'Привет' }];
+        const fetchSpy = vi.fn().mockResolvedValue({
+            ok: true,
+            json: async () => ({
+                choices: [{ message: { content: JSON.stringify({ chunks }) }, finish_reason: 'stop' }]
+            })
+        });
+        vi.stubGlobal('fetch', fetchSpy);
+        saveSettings({ contentProvider: 'openai', openaiBaseUrl: 'http://localhost:8080/v1/' });
+
+        const content = await generateContent({ id: 'a1_v1', name: 'Приветствия' });
+
+        expect(fetchSpy.mock.calls[0][0]).toBe('http://localhost:8080/v1/chat/completions');
+        expect(content.chunks[0].turkish).toBe('Merhaba');
+        vi.unstubAllGlobals();
+    });
+});
+
+
+/**
+ * Feature: content-validation, Property 3: Chunk Schema Validation
+ * 
+ * For any list of raw chunks, validateChunks should return only chunks that satisfy
+ * CHUNK_SCHEMA, with unique phrases and ids, and a report that accounts for every input.
+ */
+describe('Property 3: Chunk Schema Validation', () => {
+    const rawChunkArb = fc.record({
+        id: fc.option(fc.string(), { nil: undefined }),
+        turkish: fc.oneof(fc.string(), fc.constantFrom('Merhaba', 'Günaydın', 'İyi akşamlar')),
+        russian: fc.oneof(fc.string(), fc.constant('Привет')),
+        example: fc.option(fc.string(), { nil: undefined }),
+        exampleTranslation: fc.option(fc.string(), { nil: undefined }),
+        words: fc.option(fc.array(fc.oneof(
+            fc.string(),
+            fc.record({ text: fc.string(), role: fc.oneof(fc.constantFrom(...WORD_ROLES), fc.string()) })
+        ), { maxLength: 5 }), { nil: undefined })
+    }, { requiredKeys: [] });
+
+    test('every accepted chunk satisfies the schema', () => {
+        fc.assert(fc.property(
+            fc.array(fc.oneof(rawChunkArb, fc.constant(null), fc.string()), { maxLength: 30 }),
+            (rawChunks) => {
+                const { chunks } = validateChunks(rawChunks);
+                return chunks.every(chunk => validateSchema(chunk, CHUNK_SCHEMA).length === 0);
+            }
+        ), { numRuns: 100 });
+    });
+
+    test('accepted phrases and ids are unique', () => {
+        fc.assert(fc.property(
+            fc.array(rawChunkArb, { maxLength: 30 }),
+            (rawChunks) => {
+                const { chunks } = validateChunks(rawChunks);
+                const phrases = chunks.map(c => c.turkish.toLocaleLowerCase('tr-TR'));
+                const ids = chunks.map(c => c.id);
+                return new Set(phrases).size === phrases.length && new Set(ids).size === ids.length;
+            }
+        ), { numRuns: 100 });
+    });
+
+    test('report accounts for every input item', () => {
+        fc.assert(fc.property(
+            fc.array(fc.oneof(rawChunkArb, fc.constant(null)), { maxLength: 30 }),
+            (rawChunks) => {
+                const { report } = validateChunks(rawChunks);
+                return report.total === rawChunks.length &&
+                       report.valid + report.dropped + report.duplicates === report.total;
+            }
+        ), { numRuns: 100 });
+    });
+
+    test('aliases and invalid roles are repaired', () => {
+        const { chunks, report } = validateChunks([
+            { phrase: 'Merhaba', translation: 'Привет', words: [{ text: 'Merhaba', role: 'Interjection' }] }
+        ]);
+
+        expect(chunks[0].turkish).toBe('Merhaba');
+        expect(chunks[0].russian).toBe('Привет');
+        expect(chunks[0].words[0].role).toBe('other');
+        expect(report.repaired).toBe(1);
+    });
+
+    test('too few valid chunks triggers a single follow-up request', async () => {
+        const first = [{ id: 'a', turkish: 'Merhaba', russian: '' }, { id: 'b', turkish: 'Selam', russian: 'Привет' }];
+        const second = Array.from({ length: MIN_VALID_CHUNKS }, (_, i) => ({
+            turkish: `Kelime ${i}`, russian: `Слово ${i}`, example: '', exampleTranslation: '', words: []
+        }));
+        const reply = (chunks) => ({
+            ok: true,
+            json: async () => ({ choices: [{ message: { content: JSON.stringify({ chunks }) } }] })
+        });
+        const fetchSpy = vi.fn()
+            .mockResolvedValueOnce(reply(first))
+            .mockResolvedValueOnce(reply(second));
+        vi.stubGlobal('fetch', fetchSpy);
+        saveSettings({ contentProvider: 'openai' });
+
+        const content = await generateContent({ id: 'a1_v1', name: 'Приветствия' });
+
+        expect(fetchSpy).toHaveBeenCalledTimes(2);
+        expect(content.chunks.length).toBe(MIN_VALID_CHUNKS + 1);
+        expect(content.validation.dropped).toBe(1);
+        expect(content.validation.followUp.added).toBe(MIN_VALID_CHUNKS);
+        vi.unstubAllGlobals();
+    });
+});
+
+
+/**
+ * Feature: structured-output, Property 4: Truncated Response Recovery
+ * 
+ * Gemini requests use responseSchema; a response cut off by MAX_TOKENS keeps every
+ * complete chunk and the rest is requested in smaller batches and merged.
+ */
+describe('Property 4: Truncated Response Recovery', () => {
+    const { extractCompleteChunks } = require('../../js/providers/prompt.js');
+
+    const chunkArb = fc.record({
+        turkish: fc.string({ minLength: 1 }),
+        russian: fc.string({ minLength: 1 })
+    });
+
+    test('every complete chunk before the cut is recovered', () => {
+        fc.assert(fc.property(
+            fc.array(chunkArb, { minLength: 1, maxLength: 10 }),
+            fc.nat(),
+            (chunks, cutSeed) => {
+                const full = JSON.stringify({ chunks });
+                const cut = cutSeed % full.length;
+                const recovered = extractCompleteChunks(full.slice(0, cut));
+
+                // Все chunks, целиком попавшие в обрезанный текст, должны быть извлечены
+                const expected = chunks.filter((_, i) =>
+                    JSON.stringify({ chunks: chunks.slice(0, i + 1) }).length - 2 <= cut
+                );
+                return JSON.stringify(recovered) === JSON.stringify(expected);
+            }
+        ), { numRuns: 100 });
+    });
+
+    test('full response is recovered completely', () => {
+        fc.assert(fc.property(
+            fc.array(chunkArb, { maxLength: 10 }),
+            (chunks) => {
+                const recovered = extractCompleteChunks(JSON.stringify({ chunks }));
+                return JSON.stringify(recovered) === JSON.stringify(chunks);
+            }
+        ), { numRuns: 100 });
+    });
+
+    test('MAX_TOKENS response is continued and merged', async () => {
+        const make = (prefix, n) => Array.from({ length: n }, (_, i) => ({
+            id: `${prefix}${i}`, turkish: `${prefix} ${i}`, russian: `Фраза ${i}`,
+            example: '', exampleTranslation: '', grammarNote: null, words: []
+        }));
+        const truncatedText = JSON.stringify({ chunks: make('Bir', 12) }).slice(0, -40);
+        const reply = (text, finishReason) => ({
+            ok: true,
+            json: async () => ({ candidates: [{ finishReason, content: { parts: [{ text }] } }] })
+        });
+        const fetchSpy = vi.fn()
+            .mockResolvedValueOnce(reply(truncatedText, 'MAX_TOKENS'))
+            .mockResolvedValue(reply(JSON.stringify({ chunks: make('İki', 10) }), 'STOP'));
+        vi.stubGlobal('fetch', fetchSpy);
+        saveSettings({ contentProvider: 'gemini', apiKey: 'key' });
+        localStorage.setItem('turkish_app_api_key', JSON.stringify('key'));
+
+        const content = await generateContent({ id: 'a1_v2', name: 'Семья' });
+        const body = JSON.parse(fetchSpy.mock.calls[0][1].body);
+
+        expect(body.generationConfig.responseMimeType).toBe('application/json');
+        expect(body.generationConfig.responseSchema.properties.chunks.type).toBe('ARRAY');
+        expect(fetchSpy.mock.calls.length).toBeGreaterThan(1);
+        // 11 завершённых chunks из обрезанного ответа + 10 из дозапроса (дубликаты отброшены)
+        expect(content.chunks.length).toBe(21);
+        vi.unstubAllGlobals();
+    });
+});
+
+
+/**
+ * Feature: topic-regeneration, Property 5: Extension Preserves Progress
+ * 
+ * For any cached topic, extending it or replacing weak phrases should only add phrases
+ * that were not there before, record a new version and keep SRS records of surviving chunks.
+ */
+describe('Property 5: Extension Preserves Progress', () => {
+    const topic = { id: 'a1_v2', name: 'Семья' };
+    const packChunks = () => validateChunks(STATIC_PACK[topic.id], topic.id).chunks;
+    const record = { interval: 6, easeFactor: 2.6, nextReview: 1, repetitions: 2 };
+
+    beforeEach(() => {
+        saveSettings({ contentProvider: 'static' });
+    });
+
+    test('extension adds only unknown phrases and keeps SRS', async () => {
+        await fc.assert(fc.asyncProperty(
+            fc.integer({ min: 1, max: 5 }),
+            fc.integer({ min: 1, max: 3 }),
+            async (known, count) => {
+                localStorage.clear();
+                saveSettings({ contentProvider: 'static' });
+                const chunks = packChunks().slice(0, known);
+                await setCache(topic.id, { topicId: topic.id, generatedAt: 1, chunks });
+                saveSRSData({ [chunks[0].id]: record });
+
+                const content = await extendContent(topic, count);
+                const phrases = content.chunks.map(c => c.turkish);
+
+                return content.chunks.length === known + count &&
+                       new Set(phrases).size === phrases.length &&
+                       content.chunks.slice(0, known).every((c, i) => c.id === chunks[i].id) &&
+                       content.version === 2 &&
+                       content.history[content.history.length - 1].added.length === count &&
+                       JSON.stringify(getSRSData()[chunks[0].id]) === JSON.stringify(record) &&
+                       JSON.stringify(await getCache(topic.id)) === JSON.stringify(content);
+            }
+        ), { numRuns: 20 });
+    });
+
+    test('extension fails when nothing new is available', async () => {
+        await setCache(topic.id, { topicId: topic.id, generatedAt: 1, chunks: packChunks() });
+        await expect(extendContent(topic, 5)).rejects.toThrow('NO_NEW_CHUNKS');
+    });
+
+    test('weak phrases are replaced in place and lose only their own SRS', async () => {
+        const chunks = packChunks().slice(0, 4);
+        chunks[1] = { ...chunks[1], example: '', exampleTranslation: '' };
+        await setCache(topic.id, { topicId: topic.id, generatedAt: 1, chunks, version: 1, history: [] });
+        saveSRSData({ [chunks[0].id]: record, [chunks[1].id]: record });
+
+        const content = await replaceWeakChunks(topic);
+        const srs = getSRSData();
+
+        expect(content.chunks.length).toBe(4);
+        expect(content.chunks[0].id).toBe(chunks[0].id);
+        expect(content.chunks[1].turkish).not.toBe(chunks[1].turkish);
+        expect(chunks.map(c => c.turkish)).not.toContain(content.chunks[1].turkish);
+        expect(content.history[0]).toMatchObject({ action: 'replace', removed: [chunks[1].turkish] });
+        expect(srs[chunks[0].id]).toEqual(record);
+        expect(srs[chunks[1].id]).toBeUndefined();
+
+        await expect(replaceWeakChunks(topic)).rejects.toThrow('NO_WEAK_CHUNKS');
+    });
+});
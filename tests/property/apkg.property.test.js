@@ -0,0 +1,247 @@
+/**
+ * Property-Based Tests для SQLite, Zip и пакетов Anki (.apkg)
+ * Feature: apkg
+ */
+
+import { describe, test, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { encodeVarint, buildDatabase } from '../../js/sqlite.js';
+import { crc32, createZip } from '../../js/zip.js';
+import { buildApkg, chunkToRow } from '../../js/anki.js';
+
+// Mock localStorage
+const localStorageMock = (() => {
+    let store = {};
+    return {
+        getItem: (key) => store[key] || null,
+        setItem: (key, value) => { store[key] = value.toString(); },
+        removeItem: (key) => { delete store[key]; },
+        clear: () => { store = {}; },
+        get length() { return Object.keys(store).length; },
+        key: (i) => Object.keys(store)[i] || null
+    };
+})();
+
+Object.defineProperty(global, 'localStorage', { value: localStorageMock });
+
+const decoder = new TextDecoder();
+
+/**
+ * Чтение varint SQLite
+ */
+function readVarint(bytes, offset) {
+    let value = 0;
+    for (let i = 0; i < 9; i++) {
+        const byte = bytes[offset + i];
+        if (i === 8) return { value: value * 256 + byte, size: 9 };
+        value = value * 128 + (byte & 0x7F);
+        if (byte < 0x80) return { value, size: i + 1 };
+    }
+}
+
+/**
+ * Разбор записи SQLite
+ */
+function readRecord(bytes) {
+    const header = readVarint(bytes, 0);
+    const types = [];
+    for (let offset = header.size; offset < header.value;) {
+        const type = readVarint(bytes, offset);
+        types.push(type.value);
+        offset += type.size;
+    }
+    let offset = header.value;
+    return types.map(type => {
+        if (type === 0) return null;
+        if (type === 8) return 0;
+        if (type === 9) return 1;
+        if (type === 7) {
+            offset += 8;
+            return new DataView(bytes.buffer, bytes.byteOffset + offset - 8, 8).getFloat64(0);
+        }
+        if (type <= 6) {
+            const size = [0, 1, 2, 3, 4, 6, 8][type];
+            let value = BigInt.asIntN(size * 8, [...bytes.subarray(offset, offset + size)].reduce((n, b) => n * 256n + BigInt(b), 0n));
+            offset += size;
+            return Number(value);
+        }
+        const size = (type - (type % 2 ? 13 : 12)) / 2;
+        const data = bytes.subarray(offset, offset + size);
+        offset += size;
+        return type % 2 ? decoder.decode(data) : data;
+    });
+}
+
+/**
+ * Строки таблицы SQLite: обход B-дерева с корня, с учётом страниц переполнения
+ */
+function readTable(file, rootPage) {
+    const pageSize = new DataView(file.buffer).getUint16(16);
+    const page = number => file.subarray((number - 1) * pageSize, number * pageSize);
+    const rows = [];
+
+    const walk = number => {
+        const bytes = page(number);
+        const view = new DataView(bytes.buffer, bytes.byteOffset);
+        const start = number === 1 ? 100 : 0;
+        const type = bytes[start];
+        const count = view.getUint16(start + 3);
+        const headerSize = type === 0x05 ? 12 : 8;
+
+        for (let i = 0; i < count; i++) {
+            let offset = view.getUint16(start + headerSize + i * 2);
+            if (type === 0x05) {
+                walk(view.getUint32(offset));
+                continue;
+            }
+            const size = readVarint(bytes, offset);
+            offset += size.size;
+            const rowid = readVarint(bytes, offset);
+            offset += rowid.size;
+
+            const maxLocal = pageSize - 35;
+            const minLocal = Math.floor((pageSize - 12) * 32 / 255) - 23;
+            const surplus = minLocal + (size.value - minLocal) % (pageSize - 4);
+            const local = size.value <= maxLocal ? size.value : surplus <= maxLocal ? surplus : minLocal;
+            const payload = [...bytes.subarray(offset, offset + local)];
+            let overflow = local < size.value ? view.getUint32(offset + local) : 0;
+            while (overflow) {
+                const next = page(overflow);
+                payload.push(...next.subarray(4, 4 + Math.min(pageSize - 4, size.value - payload.length)));
+                overflow = new DataView(next.buffer, next.byteOffset).getUint32(0);
+            }
+            rows.push({ rowid: rowid.value, values: readRecord(Uint8Array.from(payload)) });
+        }
+        if (type === 0x05) walk(view.getUint32(start + 8));
+    };
+
+    walk(rootPage);
+    return rows;
+}
+
+/**
+ * Таблица из файла по имени (через sqlite_master)
+ */
+function tableRows(file, name) {
+    const master = readTable(file, 1).find(row => row.values[0] === 'table' && row.values[1] === name);
+    return readTable(file, master.values[3]);
+}
+
+/**
+ * Файлы zip-архива без сжатия
+ */
+function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset);
+    const files = {};
+    for (let offset = 0; view.getUint32(offset, true) === 0x04034b50;) {
+        const size = view.getUint32(offset + 18, true);
+        const nameLength = view.getUint16(offset + 26, true);
+        const name = decoder.decode(bytes.subarray(offset + 30, offset + 30 + nameLength));
+        const data = bytes.slice(offset + 30 + nameLength, offset + 30 + nameLength + size);
+        files[name] = { data, crc: view.getUint32(offset + 14, true) };
+        offset += 30 + nameLength + size;
+    }
+    return files;
+}
+
+const valueArb = fc.oneof(
+    fc.constant(null),
+    fc.integer({ min: -(2 ** 47), max: 2 ** 47 }),
+    fc.double({ noNaN: true, noDefaultInfinity: true }).filter(n => !Number.isInteger(n)),
+    fc.string({ maxLength: 30 }),
+    fc.string({ minLength: 4000, maxLength: 6000 })
+);
+
+/**
+ * Feature: apkg, Property 1: SQLite Round Trip
+ *
+ * For any rows, the written database file should read back to the same rows in rowid
+ * order, including records spilled to overflow pages and tables spanning several pages.
+ */
+describe('Property 1: SQLite Round Trip', () => {
+    test('varints use 7 bits per byte', () => {
+        fc.assert(fc.property(
+            fc.integer({ min: 0, max: Number.MAX_SAFE_INTEGER }),
+            (value) => {
+                const bytes = encodeVarint(value);
+                return readVarint(Uint8Array.from(bytes), 0).value === value &&
+                       bytes.slice(0, -1).every(byte => byte >= 0x80) && bytes[bytes.length - 1] < 0x80;
+            }
+        ), { numRuns: 200 });
+    });
+
+    test('rows read back unchanged', () => {
+        fc.assert(fc.property(
+            fc.uniqueArray(fc.integer({ min: 1, max: 2 ** 40 }), { maxLength: 200 }),
+            fc.array(fc.array(valueArb, { minLength: 3, maxLength: 3 }), { minLength: 200, maxLength: 200 }),
+            (ids, values) => {
+                const rows = ids.map((id, i) => [id, ...values[i]]);
+                const file = buildDatabase([{
+                    name: 't', sql: 'CREATE TABLE t (id integer primary key, a, b, c)', rowidColumn: true, rows,
+                    indexes: [{ name: 'ix_t_a', sql: 'CREATE INDEX ix_t_a on t (a)', columns: [1] }]
+                }]);
+
+                const expected = [...rows].sort((a, b) => a[0] - b[0]);
+                const actual = tableRows(file, 't');
+                return file.length === new DataView(file.buffer).getUint32(28) * 4096 &&
+                       actual.length === expected.length &&
+                       actual.every((row, i) => row.rowid === expected[i][0] &&
+                           row.values[0] === null &&
+                           row.values.slice(1).every((value, j) => Object.is(value, expected[i][j + 1])));
+            }
+        ), { numRuns: 10 });
+    });
+});
+
+/**
+ * Feature: apkg, Property 2: Zip Archive
+ *
+ * Every file put into a stored zip archive should read back with its name,
+ * its bytes and a matching CRC-32.
+ */
+describe('Property 2: Zip Archive', () => {
+    test('zip entries keep their data and checksum', () => {
+        expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xCBF43926);
+        const files = readZip(createZip([{ name: 'media', data: '{}' }, { name: 'şarkı.txt', data: 'çok güzel' }]));
+        expect(Object.keys(files)).toEqual(['media', 'şarkı.txt']);
+        expect(decoder.decode(files['şarkı.txt'].data)).toBe('çok güzel');
+        expect(files['şarkı.txt'].crc).toBe(crc32(files['şarkı.txt'].data));
+    });
+});
+
+/**
+ * Feature: apkg, Property 3: Anki Package
+ *
+ * An exported package should be a zip archive with the collection and media list,
+ * one note per row with its fields and tags and a card in each direction.
+ */
+describe('Property 3: Anki Package', () => {
+    test('notes, cards and the deck', async () => {
+        const topic = { id: 'a1_g1', level: 'A1', category: 'greetings' };
+        const rows = [
+            chunkToRow({ turkish: 'Merhaba', russian: 'Привет', example: 'Merhaba, nasılsın?' }, topic),
+            chunkToRow({ turkish: 'Çok <iyi> & güzel', russian: 'Очень хорошо' }, topic, { leech: true })
+        ];
+        const files = readZip(await buildApkg(rows, { deck: 'Türkçe::A1::Приветствия', now: Date.UTC(2026, 0, 1) }));
+        expect(decoder.decode(files.media.data)).toBe('{}');
+
+        const collection = files['collection.anki2'].data;
+        expect(decoder.decode(collection.subarray(0, 15))).toBe('SQLite format 3');
+        const notes = tableRows(collection, 'notes');
+        const cards = tableRows(collection, 'cards');
+        const [col] = tableRows(collection, 'col');
+
+        expect(notes.map(note => note.values[6].split('\x1f'))).toEqual([
+            ['Merhaba', 'Привет', 'Merhaba, nasılsın?', '', ''],
+            ['Çok &lt;iyi&gt; &amp; güzel', 'Очень хорошо', '', '', '']
+        ]);
+        expect(notes[1].values[5]).toBe(' turkce A1 greetings a1_g1 leech ');
+        expect(new Set(notes.map(note => note.values[1])).size).toBe(2);
+        expect(cards.map(card => [card.values[1], card.values[3]])).toEqual(
+            notes.flatMap(note => [[note.rowid, 0], [note.rowid, 1]]));
+
+        const decks = Object.values(JSON.parse(col.values[10])).map(deck => deck.name);
+        expect(decks).toContain('Türkçe::A1::Приветствия');
+        expect(cards.every(card => String(card.values[2]) in JSON.parse(col.values[10]))).toBe(true);
+    });
+});
@@ -0,0 +1,382 @@
+/**
+ * @vitest-environment node
+ *
+ * Property-Based Tests для Backup Module
+ * Feature: backup
+ * Окружение node: озвучка в копии хранится как Blob, а Blob из jsdom не проходит structured clone
+ */
+
+import 'fake-indexeddb/auto';
+import { describe, test, expect, beforeEach } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    getProgress, saveProgress, getSRSData, saveSRSData, getSettings, saveSettings, getApiKey, saveApiKey,
+    setCache, getCache, hasCache, clearAllCache, cacheAudio, getCachedAudio, clearAudioCache,
+    getFavoriteTopics, toggleFavoriteTopic, recordTimeSpent, SHARED_TIME_KEY, getCustomTopics, saveCustomTopics, saveReviewLog,
+    save, STORAGE_KEYS
+} from '../../js/storage.js';
+import { createBackup, parseBackup, validateBackup, diffBackup, applyBackup, mergeSRS, mergeProgress, backupChecksum, BACKUP_VERSION } from '../../js/backup.js';
+import { SCHEMA_VERSION } from '../../js/migrations.js';
+import { makeChunkId } from '../../js/chunk-id.js';
+
+// Mock localStorage
+const localStorageMock = (() => {
+    let store = {};
+    return {
+        getItem: (key) => store[key] || null,
+        setItem: (key, value) => { store[key] = value.toString(); },
+        removeItem: (key) => { delete store[key]; },
+        clear: () => { store = {}; },
+        get length() { return Object.keys(store).length; },
+        key: (i) => Object.keys(store)[i] || null
+    };
+})();
+
+Object.defineProperty(global, 'localStorage', { value: localStorageMock });
+
+async function resetAll() {
+    localStorage.clear();
+    // Приложение при запуске приводит данные к текущей схеме
+    save(STORAGE_KEYS.SCHEMA_VERSION, SCHEMA_VERSION);
+    await clearAllCache();
+    await clearAudioCache();
+    await saveReviewLog([]);
+}
+
+beforeEach(resetAll);
+
+const topicIdArb = fc.constantFrom('a1_g1', 'a1_g2', 'a1_v1', 'a2_g1', 'b1_v3');
+
+const srsRecordArb = fc.record({
+    interval: fc.integer({ min: 0, max: 365 }),
+    easeFactor: fc.double({ min: 1.3, max: 3, noNaN: true }),
+    nextReview: fc.integer({ min: 0, max: 2e12 }),
+    repetitions: fc.integer({ min: 0, max: 20 }),
+    lastReview: fc.integer({ min: 0, max: 2e12 })
+});
+
+const srsArb = fc.dictionary(fc.stringMatching(/^[a-z0-9_]{1,6}:[a-z0-9]{1,7}$/), srsRecordArb, { maxKeys: 8 });
+
+const progressArb = fc.record({
+    topicsCompleted: fc.dictionary(topicIdArb, fc.record({
+        gamesPlayed: fc.uniqueArray(fc.constantFrom('quiz', 'flashcards', 'matching', 'writing'), { maxLength: 4 }),
+        lastPlayed: fc.integer({ min: 0, max: 2e12 }),
+        bestScore: fc.integer({ min: 0, max: 100 })
+    })),
+    totalTimeSpent: fc.nat(),
+    chunksLearned: fc.nat(),
+    overallAccuracy: fc.integer({ min: 0, max: 100 })
+});
+
+const contentArb = fc.dictionary(topicIdArb, fc.record({
+    topicId: fc.constant('t'),
+    version: fc.integer({ min: 1, max: 5 }),
+    chunks: fc.array(fc.record({
+        id: fc.string({ minLength: 1, maxLength: 10 }),
+        turkish: fc.string({ maxLength: 20 }),
+        russian: fc.string({ maxLength: 20 })
+    }), { maxLength: 4 })
+}));
+
+async function seed({ srs, progress, content }) {
+    saveSRSData(srs);
+    saveProgress(progress);
+    for (const [topicId, value] of Object.entries(content)) {
+        await setCache(topicId, value);
+    }
+}
+
+/**
+ * Feature: backup, Property 1: Backup Round-Trip
+ *
+ * For any learner data, exporting a backup, wiping everything and importing it
+ * in replace mode should restore progress, SRS, settings and cached content exactly.
+ */
+describe('Property 1: Backup Round-Trip', () => {
+    test('replace import restores exported data', async () => {
+        await fc.assert(fc.asyncProperty(
+            srsArb, progressArb, contentArb,
+            async (srs, progress, content) => {
+                await resetAll();
+                await seed({ srs, progress, content });
+                saveSettings({ ...getSettings(), theme: 'dark', ttsVoice: 'Puck' });
+                toggleFavoriteTopic('a1_g1');
+
+                const file = JSON.stringify(await createBackup());
+                await resetAll();
+                await applyBackup(parseBackup(file), 'replace');
+
+                const restored = {};
+                for (const topicId of Object.keys(content)) {
+                    restored[topicId] = await getCache(topicId);
+                }
+                return JSON.stringify(getSRSData()) === JSON.stringify(srs) &&
+                       JSON.stringify(getProgress()) === JSON.stringify({ ...getProgress(), ...progress }) &&
+                       JSON.stringify(restored) === JSON.stringify(content) &&
+                       getSettings().theme === 'dark' && getSettings().ttsVoice === 'Puck' &&
+                       getFavoriteTopics().includes('a1_g1');
+            }
+        ), { numRuns: 30 });
+    });
+
+    test('a backup of an older schema is migrated on import', async () => {
+        expect((await createBackup()).schemaVersion).toBe(SCHEMA_VERSION);
+
+        const data = {
+            progress: { topicsCompleted: {} },
+            srs: { chunk_0: { interval: 6, easeFactor: 2.5, nextReview: 1, repetitions: 2, lastReview: 5 } },
+            settings: {},
+            favorites: [],
+            content: { a1_v2: { topicId: 'a1_v2', chunks: [{ id: 'chunk_0', turkish: 'Merhaba', russian: 'Привет' }] } }
+        };
+        const old = { format: 'turkish-app-backup', version: 1, createdAt: 1, checksum: backupChecksum(data), data };
+        const chunkId = makeChunkId('a1_v2', 'Merhaba');
+
+        await applyBackup(parseBackup(JSON.stringify(old)), 'merge');
+
+        expect(Object.keys(getSRSData())).toEqual([chunkId]);
+        expect(getSRSData()[chunkId]).toMatchObject({ state: 'review', stability: 6, repetitions: 2 });
+        expect((await getCache('a1_v2')).chunks[0].id).toBe(chunkId);
+        expect(old.data.srs.chunk_0.stability).toBeUndefined();
+    });
+
+    test('API keys are left out unless requested', async () => {
+        saveApiKey('secret-key');
+        saveSettings({ ...getSettings(), apiKey: 'secret-key', openaiApiKey: 'other-secret' });
+
+        const plain = JSON.stringify(await createBackup());
+        expect(plain).not.toContain('secret');
+
+        const withKey = await createBackup({ includeApiKey: true });
+        expect(withKey.data.apiKey).toBe('secret-key');
+
+        // Импорт копии без ключей не затирает текущие
+        await applyBackup(parseBackup(plain), 'replace');
+        expect(getApiKey()).toBe('secret-key');
+        expect(getSettings().openaiApiKey).toBe('other-secret');
+
+        localStorage.clear();
+        await applyBackup(withKey, 'merge');
+        expect(getApiKey()).toBe('secret-key');
+    });
+
+    test('audio is included on request and restored as Blob', async () => {
+        const bytes = new Uint8Array([1, 2, 3, 250, 0, 7]);
+        await cacheAudio('hash', { blob: new Blob([bytes], { type: 'audio/pcm' }), generatedAt: 5, voice: 'Kore', topicId: 'a1_g1' });
+
+        expect((await createBackup()).data.audio).toBeUndefined();
+        const backup = await createBackup({ includeAudio: true });
+        await resetAll();
+        await applyBackup(parseBackup(JSON.stringify(backup)), 'merge');
+
+        const cached = await getCachedAudio('hash');
+        expect(new Uint8Array(await cached.blob.arrayBuffer())).toEqual(bytes);
+        expect(cached).toMatchObject({ voice: 'Kore', topicId: 'a1_g1', generatedAt: 5 });
+    });
+
+    test('custom topics travel with their content', async () => {
+        const deck = { id: 'custom_1', name: 'Колода', description: '-', createdAt: 1 };
+        saveCustomTopics([deck]);
+        await setCache('custom_1', { topicId: 'custom_1', version: 1, chunks: [{ id: 'custom_1:a', turkish: 'Su', russian: 'Вода' }] });
+
+        const backup = parseBackup(JSON.stringify(await createBackup()));
+        await resetAll();
+        saveCustomTopics([{ id: 'custom_2', name: 'Другая' }]);
+        await applyBackup(backup, 'merge');
+
+        expect(getCustomTopics().map(topic => topic.id)).toEqual(['custom_2', 'custom_1']);
+        expect((await getCache('custom_1')).chunks[0].turkish).toBe('Su');
+        await applyBackup(backup, 'replace');
+        expect(getCustomTopics()).toEqual([deck]);
+    });
+});
+
+/**
+ * Feature: backup, Property 2: Backup Validation
+ *
+ * For any modification of a backup file, the import should reject it before
+ * touching stored data: broken JSON and foreign files as invalid, edits by checksum.
+ */
+describe('Property 2: Backup Validation', () => {
+    test('any tampering with data is caught by the checksum', async () => {
+        await fc.assert(fc.asyncProperty(
+            srsArb, fc.integer({ min: 1, max: 1000 }),
+            async (srs, interval) => {
+                const backup = { format: 'turkish-app-backup', version: 1, data: { progress: { topicsCompleted: {} }, srs, settings: {}, favorites: [], content: {} } };
+                backup.checksum = backupChecksum(backup.data);
+                validateBackup(backup);
+
+                const tampered = JSON.parse(JSON.stringify(backup));
+                tampered.data.srs['x:tampered'] = { interval, nextReview: 0 };
+                try {
+                    validateBackup(tampered);
+                    return false;
+                } catch (error) {
+                    return error.message === 'BACKUP_CHECKSUM_MISMATCH';
+                }
+            }
+        ), { numRuns: 50 });
+    });
+
+    test('foreign files, newer versions and broken structure are rejected', async () => {
+        const backup = await createBackup();
+        const withData = (data) => ({ ...backup, data, checksum: backupChecksum(data) });
+
+        expect(() => parseBackup('{not json')).toThrow('BACKUP_INVALID');
+        expect(() => parseBackup('{"hello": "world"}')).toThrow('BACKUP_INVALID');
+        expect(() => validateBackup({ ...backup, version: BACKUP_VERSION + 1 })).toThrow('BACKUP_VERSION_UNSUPPORTED');
+        expect(() => validateBackup({ ...backup, schemaVersion: SCHEMA_VERSION + 1 })).toThrow('BACKUP_VERSION_UNSUPPORTED');
+        expect(() => validateBackup(withData({ ...backup.data, srs: { a: { interval: 'x' } } }))).toThrow('BACKUP_INVALID');
+        expect(() => validateBackup(withData({ ...backup.data, content: { t: { chunks: 'no' } } }))).toThrow('BACKUP_INVALID');
+    });
+});
+
+/**
+ * Feature: backup, Property 3: Merge Keeps Newest
+ *
+ * For any two SRS states, merging should keep every card from both sides and pick the
+ * more recently reviewed record; merging a state with itself should change nothing.
+ */
+describe('Property 3: Merge Keeps Newest', () => {
+    test('mergeSRS keeps all cards and the latest review of each', () => {
+        fc.assert(fc.property(
+            srsArb, srsArb,
+            (local, incoming) => {
+                const merged = mergeSRS(local, incoming);
+                const ids = new Set([...Object.keys(local), ...Object.keys(incoming)]);
+                return Object.keys(merged).length === ids.size &&
+                       [...ids].every(id => merged[id].lastReview === Math.max(
+                           local[id]?.lastReview ?? -1, incoming[id]?.lastReview ?? -1)) &&
+                       JSON.stringify(mergeSRS(local, local)) === JSON.stringify(local);
+            }
+        ), { numRuns: 100 });
+    });
+
+    test('mergeProgress unions games and keeps best scores', () => {
+        fc.assert(fc.property(
+            progressArb, progressArb,
+            (local, incoming) => {
+                const merged = mergeProgress(local, incoming);
+                return Object.entries(incoming.topicsCompleted).every(([topicId, topic]) => {
+                    const result = merged.topicsCompleted[topicId];
+                    return topic.gamesPlayed.every(game => result.gamesPlayed.includes(game)) &&
+                           result.bestScore === Math.max(topic.bestScore, local.topicsCompleted[topicId]?.bestScore ?? 0);
+                }) && Object.keys(local.topicsCompleted).every(topicId => topicId in merged.topicsCompleted);
+            }
+        ), { numRuns: 100 });
+    });
+
+    test('diff summary matches what merge applies', async () => {
+        await seed({
+            srs: { 'a1_g1:aa': { interval: 1, nextReview: 1, lastReview: 10 }, 'a1_g1:bb': { interval: 1, nextReview: 1, lastReview: 10 } },
+            progress: { topicsCompleted: {} },
+            content: { a1_g1: { version: 2, chunks: [] } }
+        });
+        const data = {
+            progress: { topicsCompleted: { a1_g2: { gamesPlayed: ['quiz'], lastPlayed: 1, bestScore: 80 } } },
+            srs: { 'a1_g1:aa': { interval: 6, nextReview: 2, lastReview: 20 }, 'a1_g1:bb': { interval: 9, nextReview: 9, lastReview: 5 }, 'a1_g2:cc': { interval: 1, nextReview: 1 } },
+            settings: {},
+            favorites: [],
+            content: { a1_g1: { version: 1, chunks: [] }, a1_g2: { version: 1, chunks: [] } }
+        };
+        const backup = { format: 'turkish-app-backup', version: 1, createdAt: 1, data, checksum: backupChecksum(data) };
+
+        const diff = await diffBackup(backup, 'merge');
+        expect(diff.srs).toEqual({ added: 1, updated: 1, removed: 0 });
+        expect(diff.content).toEqual({ added: 1, updated: 0, removed: 0 });
+        expect(diff.progress).toEqual({ added: 1, updated: 0, removed: 0 });
+
+        await applyBackup(backup, 'merge');
+        expect(getSRSData()['a1_g1:aa'].interval).toBe(6);
+        expect(getSRSData()['a1_g1:bb'].interval).toBe(1);
+        expect((await getCache('a1_g1')).version).toBe(2);
+        expect(await hasCache('a1_g2')).toBe(true);
+
+        expect((await diffBackup(backup, 'replace')).srs.removed).toBe(0);
+    });
+});
+
+/**
+ * Feature: backup, Property 4: Two-Device Merge
+ *
+ * For any two devices, merging either device's export into the other should keep every
+ * review (latest per card), and the study time should be the sum of what each device
+ * studied, including time recorded before per-device tracking, however often they sync.
+ */
+describe('Property 4: Two-Device Merge', () => {
+    const sessionsArb = fc.array(fc.integer({ min: 1, max: 3600 }), { maxLength: 5 });
+
+    const PHONE = { local: 'phone', incoming: 'laptop' };
+    const LAPTOP = { local: 'laptop', incoming: 'phone' };
+
+    test('study time from both devices is summed without double counting', () => {
+        fc.assert(fc.property(
+            fc.nat({ max: 100000 }), fc.nat({ max: 100000 }), sessionsArb, sessionsArb,
+            (legacyA, legacyB, sessionsA, sessionsB) => {
+                // У каждого устройства своё время из прогресса старого формата
+                const phone = { topicsCompleted: {}, totalTimeSpent: legacyA };
+                const laptop = { topicsCompleted: {}, totalTimeSpent: legacyB };
+                sessionsA.forEach(time => recordTimeSpent(phone, time, 'phone'));
+                sessionsB.forEach(time => recordTimeSpent(laptop, time, 'laptop'));
+
+                const expected = legacyA + legacyB + sessionsA.reduce((a, b) => a + b, 0) + sessionsB.reduce((a, b) => a + b, 0);
+                const onPhone = mergeProgress(phone, laptop, PHONE);
+                const onLaptop = mergeProgress(laptop, phone, LAPTOP);
+                const twice = mergeProgress(onPhone, laptop, PHONE);
+                const back = mergeProgress(laptop, onPhone, LAPTOP);
+
+                return onPhone.totalTimeSpent === expected &&
+                       onLaptop.totalTimeSpent === expected &&
+                       twice.totalTimeSpent === expected &&
+                       back.totalTimeSpent === expected &&
+                       onPhone.timeByDevice[SHARED_TIME_KEY] === legacyA &&
+                       back.timeByDevice[SHARED_TIME_KEY] === legacyB;
+            }
+        ), { numRuns: 100 });
+    });
+
+    test('repeated syncs keep adding only new time', () => {
+        let phone = recordTimeSpent({ topicsCompleted: {}, totalTimeSpent: 20 }, 100, 'phone');
+        let laptop = mergeProgress({ topicsCompleted: {}, totalTimeSpent: 10 }, phone, LAPTOP);
+        recordTimeSpent(laptop, 50, 'laptop');
+        recordTimeSpent(phone, 30, 'phone');
+
+        phone = mergeProgress(phone, laptop, PHONE);
+        laptop = mergeProgress(laptop, phone, LAPTOP);
+        phone = mergeProgress(phone, laptop, PHONE);
+        expect(phone.totalTimeSpent).toBe(210);
+        expect(laptop.totalTimeSpent).toBe(210);
+    });
+
+    test('no review from either device is lost', () => {
+        fc.assert(fc.property(
+            srsArb, srsArb,
+            (phone, laptop) => {
+                const onPhone = mergeSRS(phone, laptop);
+                const onLaptop = mergeSRS(laptop, phone);
+                return Object.keys(onPhone).every(id =>
+                    onPhone[id].lastReview === onLaptop[id].lastReview &&
+                    onPhone[id].lastReview >= (phone[id]?.lastReview ?? 0) &&
+                    onPhone[id].lastReview >= (laptop[id]?.lastReview ?? 0)) &&
+                    Object.keys(onPhone).length === Object.keys(onLaptop).length;
+            }
+        ), { numRuns: 100 });
+    });
+
+    test('importing another device export merges through the backup file', async () => {
+        saveSRSData({ 'a1_g1:aa': { interval: 1, nextReview: 1, lastReview: 10 } });
+        saveProgress(recordTimeSpent(getProgress(), 60, 'laptop'));
+        const laptopFile = JSON.stringify(await createBackup());
+
+        await resetAll();
+        saveSRSData({ 'a1_g1:bb': { interval: 6, nextReview: 2, lastReview: 20 } });
+        saveProgress(recordTimeSpent(getProgress(), 40, 'phone'));
+
+        const backup = parseBackup(laptopFile);
+        expect((await diffBackup(backup, 'merge')).timeAdded).toBe(60);
+        await applyBackup(backup, 'merge');
+
+        expect(Object.keys(getSRSData()).sort()).toEqual(['a1_g1:aa', 'a1_g1:bb']);
+        expect(getProgress().totalTimeSpent).toBe(100);
+    });
+});
@@ -0,0 +1,235 @@
+/**
+ * Property-Based Tests для Card Status Module
+ * Feature: card-status
+ */
+
+import 'fake-indexeddb/auto';
+import { describe, test, expect, beforeEach } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    isLeechLapse, applyLeech, filterActiveChunks, activeContent,
+    suspendCard, buryCard, restoreCard, reportChunk, getReportedIds, getCardStatus
+} from '../../js/card-status.js';
+import { sm2Schedule, fsrsSchedule, newCard, RATINGS } from '../../js/srs.js';
+import { buildReviewQueue } from '../../js/review-queue.js';
+import { updateSRS, FlashcardsGame } from '../../js/games/flashcards.js';
+import { getSRSData, saveSRSData, clearAllCache } from '../../js/storage.js';
+import { findWeakChunks } from '../../js/providers/schema.js';
+import { makeChunkId, cardKey } from '../../js/chunk-id.js';
+
+// Mock localStorage
+const localStorageMock = (() => {
+    let store = {};
+    return {
+        getItem: (key) => store[key] || null,
+        setItem: (key, value) => { store[key] = value.toString(); },
+        removeItem: (key) => { delete store[key]; },
+        clear: () => { store = {}; },
+        get length() { return Object.keys(store).length; },
+        key: (i) => Object.keys(store)[i] || null
+    };
+})();
+
+Object.defineProperty(global, 'localStorage', { value: localStorageMock });
+
+beforeEach(async () => {
+    localStorage.clear();
+    await clearAllCache();
+});
+
+const NOW = new Date(2024, 5, 15, 12, 0).getTime();
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Feature: card-status, Property 1: Leech Detection
+ *
+ * For any answers, both schedulers should count a lapse each time a learned card is
+ * forgotten, and a card should be tagged as a leech once its lapses reach the threshold.
+ */
+describe('Property 1: Leech Detection', () => {
+    test('SM-2 counts lapses only for learned cards', () => {
+        fc.assert(fc.property(
+            fc.array(fc.constantFrom(1, 3, 4, 5), { minLength: 1, maxLength: 30 }),
+            (qualities) => {
+                let card = newCard();
+                let expected = 0;
+                return qualities.every(quality => {
+                    if (quality < 3 && card.repetitions > 0) expected++;
+                    card = sm2Schedule(card, quality, 0);
+                    return card.lapses === expected;
+                });
+            }
+        ), { numRuns: 100 });
+    });
+
+    test('cards become leeches at the threshold', () => {
+        fc.assert(fc.property(
+            fc.array(fc.constantFrom(RATINGS.AGAIN, RATINGS.GOOD, RATINGS.EASY), { minLength: 1, maxLength: 40 }),
+            fc.integer({ min: 2, max: 6 }),
+            (ratings, leechThreshold) => {
+                let card = newCard();
+                let now = 0;
+                return ratings.every(rating => {
+                    now = Math.max(now, card.nextReview);
+                    const previous = card;
+                    card = applyLeech(previous, fsrsSchedule(previous, rating, now), { leechThreshold });
+                    return Boolean(card.leech) === (card.lapses >= leechThreshold) && !card.suspended;
+                });
+            }
+        ), { numRuns: 100 });
+    });
+
+    test('leeches repeat every half threshold and can be suspended', () => {
+        expect([7, 8, 9, 12, 16].map(lapses => isLeechLapse(lapses, 8))).toEqual([false, true, false, true, true]);
+
+        const settings = { srsAlgorithm: 'sm2', leechThreshold: 2, leechAction: 'suspend' };
+        updateSRS('a1_g1:aa', 5, settings);
+        updateSRS('a1_g1:aa', 1, settings);
+        expect(getSRSData()['a1_g1:aa']).toMatchObject({ lapses: 1 });
+        expect(getSRSData()['a1_g1:aa'].leech).toBeUndefined();
+
+        updateSRS('a1_g1:aa', 5, settings);
+        const leech = updateSRS('a1_g1:aa', 1, settings);
+        expect(leech).toMatchObject({ lapses: 2, leech: true, suspended: true });
+    });
+});
+
+const chunkArb = fc.record({
+    phrase: fc.string({ minLength: 1, maxLength: 8 }),
+    status: fc.constantFrom('active', 'suspended', 'buried', 'buried-yesterday', 'reported', 'due')
+});
+
+/**
+ * Колода из описаний карточек со статусами
+ */
+function makeDeck(cards) {
+    const srsData = {};
+    const reported = new Set();
+    const chunks = [];
+    const seen = new Set();
+    cards.forEach(({ phrase, status }) => {
+        const id = makeChunkId('a1_g1', phrase);
+        if (seen.has(id)) return;
+        seen.add(id);
+        chunks.push({ id, turkish: phrase, russian: 'x', status });
+
+        // Все карточки на повторении и просрочены - иначе их скрывает не статус, а срок
+        const record = { interval: 3, nextReview: NOW - DAY, repetitions: 1, lastReview: NOW - 4 * DAY };
+        if (status === 'suspended') record.suspended = true;
+        if (status === 'buried') record.buriedUntil = NOW + DAY;
+        if (status === 'buried-yesterday') record.buriedUntil = NOW - DAY;
+        if (status === 'reported') reported.add(id);
+        srsData[id] = record;
+    });
+    return { chunks, srsData, reported };
+}
+
+const isVisible = chunk => !['suspended', 'buried', 'reported'].includes(chunk.status);
+
+/**
+ * Feature: card-status, Property 2: Hidden Cards Are Skipped
+ *
+ * For any cards, suspended, buried and reported ones should be left out of the review
+ * queue and of the content given to games; a buried card should come back the next day.
+ */
+describe('Property 2: Hidden Cards Are Skipped', () => {
+    test('queue and games get only visible cards', () => {
+        fc.assert(fc.property(
+            fc.array(chunkArb, { minLength: 1, maxLength: 20 }),
+            (cards) => {
+                const { chunks, srsData, reported } = makeDeck(cards);
+                const queue = buildReviewQueue([{ topicId: 'a1_g1', chunks }], {
+                    srsData, reported, now: NOW, settings: { reviewsPerDay: 1000 }
+                });
+                const active = filterActiveChunks(chunks, { srsData, reported, now: NOW });
+                const visible = chunks.filter(isVisible).map(chunk => chunk.id).sort();
+
+                return queue.cards.map(card => card.id).sort().join() === visible.join() &&
+                       active.map(chunk => chunk.id).sort().join() === visible.join();
+            }
+        ), { numRuns: 100 });
+    });
+
+    test('flashcard actions hide the card from the next session', () => {
+        const chunks = ['Merhaba', 'Evet', 'Hayır', 'Lütfen'].map(turkish =>
+            ({ id: makeChunkId('a1_g1', turkish), turkish, russian: 'x' }));
+        const content = { topicId: 'a1_g1', chunks };
+
+        const game = new FlashcardsGame(content);
+        const [first, second, third] = game.cards;
+        game.suspend();
+        game.bury();
+        game.report();
+        expect(game.getCurrentCard().id).toBe(game.cards[0].id);
+        expect(game.cards).toHaveLength(1);
+
+        expect(activeContent(content).chunks.map(chunk => chunk.id)).toEqual(game.cards.map(card => card.id));
+        expect(getCardStatus(first.id)).toMatchObject({ suspended: true });
+        expect(getCardStatus(second.id)).toMatchObject({ buried: true });
+        expect(getCardStatus(second.id, { now: Date.now() + 2 * DAY })).toMatchObject({ buried: false });
+        expect(getCardStatus(third.id)).toMatchObject({ reported: true });
+    });
+
+    test('a suspended direction hides the whole phrase', () => {
+        const chunks = ['Merhaba', 'Evet'].map(turkish =>
+            ({ id: makeChunkId('a1_g1', turkish), turkish, russian: 'x' }));
+        const [suspended, visible] = chunks;
+        const srsData = {
+            [suspended.id]: { interval: 6, nextReview: NOW - DAY, repetitions: 2, lastReview: NOW - 7 * DAY },
+            [cardKey(suspended.id, 'reverse')]: { interval: 1, nextReview: NOW - DAY, repetitions: 1, lastReview: NOW - 2 * DAY, leech: true, suspended: true },
+            [visible.id]: { interval: 6, nextReview: NOW - DAY, repetitions: 2, lastReview: NOW - 7 * DAY }
+        };
+        const reported = new Set();
+
+        expect(filterActiveChunks(chunks, { srsData, reported, now: NOW })).toEqual([visible]);
+        const queue = buildReviewQueue([{ topicId: 'a1_g1', chunks }], {
+            srsData, reported, now: NOW, settings: { reviewsPerDay: 1000 }
+        });
+        expect(queue.cards.map(card => card.id)).toEqual([visible.id]);
+        expect(getCardStatus(suspended.id, { srsData, reported, now: NOW }))
+            .toMatchObject({ leech: true, suspended: true, hidden: true });
+        expect(getCardStatus(visible.id, { srsData, reported, now: NOW }))
+            .toMatchObject({ suspended: false, hidden: false });
+    });
+
+    test('restoring a card brings it back and keeps its schedule', () => {
+        const id = makeChunkId('a1_g1', 'Merhaba');
+        saveSRSData({ [id]: { interval: 6, nextReview: NOW, repetitions: 2, lastReview: NOW - 6 * DAY, leech: true } });
+        suspendCard(id);
+        buryCard(id, NOW);
+        reportChunk({ id, topicId: 'a1_g1', turkish: 'Merhaba', russian: 'Привет' }, NOW);
+
+        restoreCard(id);
+        expect(getSRSData()[id]).toEqual({ interval: 6, nextReview: NOW, repetitions: 2, lastReview: NOW - 6 * DAY, leech: true });
+        expect(getReportedIds().has(id)).toBe(false);
+    });
+});
+
+/**
+ * Feature: card-status, Property 3: Reported Content
+ *
+ * For any chunks, reported ones should be offered for replacement first, even when the
+ * chunk itself looks complete.
+ */
+describe('Property 3: Reported Content', () => {
+    test('reported chunks are weak and come first', () => {
+        fc.assert(fc.property(
+            fc.array(fc.record({ complete: fc.boolean(), reported: fc.boolean() }), { minLength: 1, maxLength: 15 }),
+            (specs) => {
+                const chunks = specs.map((spec, i) => ({
+                    id: `a1_g1:${i}`,
+                    turkish: `cümle ${i}`,
+                    russian: `фраза ${i}`,
+                    ...(spec.complete ? { example: 'e', exampleTranslation: 'п', words: [{ word: 'w' }] } : {})
+                }));
+                const reported = new Set(chunks.filter((_, i) => specs[i].reported).map(chunk => chunk.id));
+                const weak = findWeakChunks(chunks, reported);
+                const reportedCount = reported.size;
+
+                return weak.length === specs.filter(spec => spec.reported || !spec.complete).length &&
+                       weak.slice(0, reportedCount).every(entry => entry.reasons[0] === 'reported') &&
+                       weak.slice(reportedCount).every(entry => !reported.has(entry.chunk.id));
+            }
+        ), { numRuns: 100 });
+    });
+});
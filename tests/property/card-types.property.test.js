@@ -0,0 +1,204 @@
+/**
+ * Property-Based Tests для типов флеш-карточек
+ * Feature: card-types
+ */
+
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import * as fc from 'fast-check';
+import { FlashcardsGame, typedDifficulty, updateSRS } from '../../js/games/flashcards.js';
+import { gradeAnswer } from '../../js/answer-grader.js';
+import { CARD_TYPES, cardKey, parseCardKey, getTopicIdFromChunkId, makeChunkId } from '../../js/chunk-id.js';
+import { getSRSData, saveSRSData, removeSRSRecords, getReviewLog, saveReviewLog } from '../../js/storage.js';
+import { buildReviewQueue } from '../../js/review-queue.js';
+import { speak } from '../../js/tts.js';
+
+vi.mock('../../js/tts.js', () => ({ speak: vi.fn(() => Promise.resolve()) }));
+
+// Mock localStorage
+const localStorageMock = (() => {
+    let store = {};
+    return {
+        getItem: (key) => store[key] || null,
+        setItem: (key, value) => { store[key] = value.toString(); },
+        removeItem: (key) => { delete store[key]; },
+        clear: () => { store = {}; },
+        get length() { return Object.keys(store).length; },
+        key: (i) => Object.keys(store)[i] || null
+    };
+})();
+
+Object.defineProperty(global, 'localStorage', { value: localStorageMock });
+
+beforeEach(async () => {
+    localStorage.clear();
+    await saveReviewLog([]);
+    speak.mockClear();
+});
+
+const NOW = new Date(2024, 5, 15, 12, 0).getTime();
+const DAY = 24 * 60 * 60 * 1000;
+
+const chunks = [['Merhaba', 'Привет'], ['Günaydın', 'Доброе утро'], ['Teşekkür ederim', 'Спасибо']].map(([turkish, russian]) =>
+    ({ id: makeChunkId('a1_g1', turkish), turkish, russian }));
+
+/**
+ * Feature: card-types, Property 1: Separate State Per Direction
+ *
+ * For any card type and phrase, answers should change only the SRS record of that
+ * card type, and the record key should keep the phrase and topic recoverable.
+ */
+describe('Property 1: Separate State Per Direction', () => {
+    test('card keys round-trip and keep the topic', () => {
+        fc.assert(fc.property(
+            fc.stringMatching(/^[a-c][1-2]_[gv][0-9]$/),
+            fc.string({ minLength: 1, maxLength: 12 }),
+            fc.constantFrom(...CARD_TYPES),
+            (topicId, turkish, cardType) => {
+                const chunkId = makeChunkId(topicId, turkish);
+                const key = cardKey(chunkId, cardType);
+                const parsed = parseCardKey(key);
+                return parsed.chunkId === chunkId && parsed.cardType === cardType &&
+                       getTopicIdFromChunkId(key) === topicId &&
+                       (cardType === 'recognition') === (key === chunkId);
+            }
+        ), { numRuns: 100 });
+    });
+
+    test('answers in one direction leave the others untouched', () => {
+        fc.assert(fc.property(
+            fc.array(fc.record({
+                cardType: fc.constantFrom(...CARD_TYPES),
+                quality: fc.constantFrom(1, 3, 4, 5)
+            }), { minLength: 1, maxLength: 12 }),
+            (answers) => {
+                localStorage.clear();
+                const chunkId = chunks[0].id;
+                return answers.every(({ cardType, quality }) => {
+                    const before = getSRSData();
+                    updateSRS(cardKey(chunkId, cardType), quality);
+                    const after = getSRSData();
+                    return CARD_TYPES.every(other => other === cardType ||
+                        JSON.stringify(after[cardKey(chunkId, other)]) === JSON.stringify(before[cardKey(chunkId, other)]));
+                });
+            }
+        ), { numRuns: 50 });
+    });
+
+    test('replaced phrases lose the records of every direction', () => {
+        const [first, second] = chunks;
+        saveSRSData(Object.fromEntries([first, second].flatMap(chunk =>
+            CARD_TYPES.map(type => [cardKey(chunk.id, type), { interval: 1, nextReview: 1, repetitions: 1 }]))));
+
+        expect(removeSRSRecords([first.id])).toBe(CARD_TYPES.length);
+        expect(Object.keys(getSRSData()).every(key => parseCardKey(key).chunkId === second.id)).toBe(true);
+    });
+});
+
+/**
+ * Feature: card-types, Property 2: Typed Answers
+ *
+ * For any phrase, a typed answer should be graded by the shared answer grader: the exact
+ * phrase in any case and punctuation is Good, a near miss such as missing Turkish letters
+ * is Hard, anything else is Again; the grade goes to the typed card's own record.
+ */
+describe('Property 2: Typed Answers', () => {
+    const phraseArb = fc.array(fc.constantFrom('çay', 'güzel', 'şehir', 'ılık', 'öğretmen', 'ev', 'bir'), { minLength: 1, maxLength: 4 })
+        .map(words => words.join(' '));
+
+    test('typed answers are graded by comparison', () => {
+        fc.assert(fc.property(
+            phraseArb,
+            (phrase) => {
+                const loud = `  ${phrase.toLocaleUpperCase('tr-TR')}!  `;
+                const plain = phrase.replace(/[çğıöşü]/g, c => ({ ç: 'c', ğ: 'g', ı: 'i', ö: 'o', ş: 's', ü: 'u' })[c]);
+                const hasDiacritics = plain !== phrase;
+
+                const rating = typed => typedDifficulty(gradeAnswer(typed, phrase).verdict);
+                return rating(loud) === 'good' &&
+                       rating(plain) === (hasDiacritics ? 'medium' : 'good') &&
+                       rating('qqq') === 'hard' &&
+                       rating('') === 'hard';
+            }
+        ), { numRuns: 100 });
+    });
+
+    test('the typed card rates itself and goes to its own record', async () => {
+        const game = new FlashcardsGame({ topicId: 'a1_g1', chunks }, 'typed');
+        const card = game.getCurrentCard();
+        game.flip();
+        expect(game.isFlipped).toBe(false);
+
+        game.setInput(card.turkish.toLowerCase());
+        game.checkTyped();
+        expect(game.isFlipped).toBe(true);
+        expect(game.results[0]).toMatchObject({ chunkId: card.id, cardType: 'typed', difficulty: 'good' });
+        expect(getSRSData()[cardKey(card.id, 'typed')]).toBeDefined();
+        expect(getSRSData()[card.id]).toBeUndefined();
+        expect((await getReviewLog())[0]).toMatchObject({ chunkId: cardKey(card.id, 'typed'), source: 'flashcards-typed' });
+
+        game.nextCard();
+        expect(game.typedResult).toBeNull();
+        expect(game.userInput).toBe('');
+
+        // Промах оценивается тем же проверяющим, что и в других играх
+        const next = game.getCurrentCard();
+        game.setInput(next.turkish.slice(0, -1));
+        game.checkTyped();
+        expect(game.typedResult.verdict).not.toBe('correct');
+        expect(game.results[1].difficulty).toBe(typedDifficulty(game.typedResult.verdict));
+        expect(game.render()).toContain(game.typedResult.verdict === 'wrong' ? '✗' : '≈');
+    });
+});
+
+/**
+ * Feature: card-types, Property 3: Audio And Reverse Cards
+ *
+ * An audio card should be spoken before its text can be revealed; reverse cards show
+ * Russian first. Reverse cards that were started come back through the review queue.
+ */
+describe('Property 3: Audio And Reverse Cards', () => {
+    test('audio cards play before revealing the text', () => {
+        const game = new FlashcardsGame({ topicId: 'a1_g1', chunks }, 'audio');
+        const card = game.getCurrentCard();
+        expect(game.renderFront(card)).not.toContain(card.turkish);
+
+        game.flip();
+        expect(speak).toHaveBeenCalledWith(card.turkish, null, { topicId: 'a1_g1' });
+        expect(game.isFlipped).toBe(false);
+
+        game.flip();
+        expect(game.isFlipped).toBe(true);
+        game.rate('good');
+        expect(getSRSData()[cardKey(card.id, 'audio')]).toBeDefined();
+        expect(game.heard).toBe(false);
+    });
+
+    test('reverse cards show Russian on the front', () => {
+        const game = new FlashcardsGame({ topicId: 'a1_g1', chunks }, 'reverse');
+        const card = game.getCurrentCard();
+        expect(game.renderFront(card)).toContain(card.russian);
+        expect(game.renderFront(card)).not.toContain(card.turkish);
+        expect(game.renderBack(card)).toContain(card.turkish);
+    });
+
+    test('started directions are reviewed, new ones are not', () => {
+        fc.assert(fc.property(
+            fc.subarray(CARD_TYPES.filter(type => type !== 'recognition')),
+            fc.integer({ min: -5, max: 5 }),
+            (started, offset) => {
+                const srsData = { [chunks[0].id]: { interval: 3, nextReview: NOW + DAY, repetitions: 1, lastReview: NOW - DAY } };
+                started.forEach(type => {
+                    srsData[cardKey(chunks[0].id, type)] = { interval: 3, nextReview: NOW + offset * DAY, repetitions: 1, lastReview: NOW - 4 * DAY };
+                });
+                const queue = buildReviewQueue([{ topicId: 'a1_g1', chunks }], {
+                    srsData, now: NOW, settings: { newCardsPerDay: 1000, reviewsPerDay: 1000 }
+                });
+                const reviewed = queue.cards.filter(card => card.id === chunks[0].id).map(card => card.cardType).sort();
+                const fresh = queue.cards.filter(card => card.id !== chunks[0].id);
+
+                return reviewed.join() === (offset <= 0 ? [...started].sort().join() : '') &&
+                       fresh.every(card => card.cardType === 'recognition') && fresh.length === 2;
+            }
+        ), { numRuns: 50 });
+    });
+});
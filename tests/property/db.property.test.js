@@ -0,0 +1,208 @@
+/**
+ * @vitest-environment node
+ *
+ * Property-Based Tests для IndexedDB-кэша
+ * Feature: indexeddb-storage
+ * Окружение node: Blob из jsdom не проходит structured clone в IndexedDB
+ */
+
+import 'fake-indexeddb/auto';
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import * as fc from 'fast-check';
+import { save, STORAGE_KEYS, getCache, hasCache, clearAllCache, cacheAudio, getCachedAudio, clearAudioCache, migrateLegacyCache, setCache, evictLRU, getCacheUsage, deleteTopicCache, toggleFavoriteTopic } from '../../js/storage.js';
+import { STORES } from '../../js/db.js';
+
+// Mock localStorage
+const localStorageMock = (() => {
+    let store = {};
+    return {
+        getItem: (key) => store[key] || null,
+        setItem: (key, value) => { store[key] = value.toString(); },
+        removeItem: (key) => { delete store[key]; },
+        clear: () => { store = {}; },
+        get length() { return Object.keys(store).length; },
+        key: (i) => Object.keys(store)[i] || null
+    };
+})();
+
+Object.defineProperty(global, 'localStorage', { value: localStorageMock });
+
+beforeEach(async () => {
+    localStorage.clear();
+    await clearAllCache();
+    await clearAudioCache();
+});
+
+/**
+ * Feature: indexeddb-storage, Property 1: Legacy Cache Migration
+ * 
+ * For any content and audio cached in LocalStorage by older versions, the migration
+ * should move it to IndexedDB unchanged (audio as binary Blob) and free LocalStorage.
+ */
+describe('Property 1: Legacy Cache Migration', () => {
+    const bytesArb = fc.uint8Array({ minLength: 1, maxLength: 256 });
+    const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+    const readBlob = async (blob) => new Uint8Array(await blob.arrayBuffer());
+
+    test('content and audio move to IndexedDB and leave LocalStorage', async () => {
+        await fc.assert(fc.asyncProperty(
+            fc.array(fc.stringMatching(/^[a-z0-9_]{1,10}$/), { minLength: 1, maxLength: 4 }).map(ids => [...new Set(ids)]),
+            bytesArb,
+            async (topicIds, bytes) => {
+                localStorage.clear();
+                await clearAllCache();
+                await clearAudioCache();
+                topicIds.forEach(id => {
+                    save(STORAGE_KEYS.CONTENT_CACHE + id, { topicId: id, chunks: [{ turkish: 'Merhaba', russian: 'Привет' }] });
+                });
+                save(STORAGE_KEYS.AUDIO_CACHE + 'abc', { audioData: toBase64(bytes), generatedAt: 1, voice: 'Kore' });
+                save(STORAGE_KEYS.SETTINGS, { theme: 'dark' });
+
+                const result = await migrateLegacyCache();
+                const audio = await getCachedAudio('abc');
+                const migratedBytes = await readBlob(audio.blob);
+
+                for (const id of topicIds) {
+                    if ((await getCache(id))?.topicId !== id) return false;
+                }
+                return result.content === topicIds.length &&
+                       result.audio === 1 &&
+                       localStorage.length === 1 &&
+                       audio.voice === 'Kore' &&
+                       migratedBytes.length === bytes.length &&
+                       migratedBytes.every((b, i) => b === bytes[i]);
+            }
+        ), { numRuns: 20 });
+    });
+
+    test('migration is a no-op on the second run', async () => {
+        save(STORAGE_KEYS.CONTENT_CACHE + 'a1_v2', { topicId: 'a1_v2', chunks: [] });
+
+        expect((await migrateLegacyCache()).content).toBe(1);
+        expect(await migrateLegacyCache()).toEqual({ content: 0, audio: 0 });
+        expect(await hasCache('a1_v2')).toBe(true);
+    });
+
+    test('entries that fail to migrate stay in LocalStorage', async () => {
+        save(STORAGE_KEYS.CONTENT_CACHE + 'a1_v1', { topicId: 'a1_v1', chunks: [] });
+        save(STORAGE_KEYS.AUDIO_CACHE + 'broken', { audioData: '%%% not base64 %%%', generatedAt: 1, voice: 'Kore' });
+        save(STORAGE_KEYS.AUDIO_CACHE + 'empty', { generatedAt: 1, voice: 'Kore' });
+        save(STORAGE_KEYS.AUDIO_CACHE + 'abc', { audioData: toBase64([1, 2, 3]), generatedAt: 1, voice: 'Kore' });
+
+        const put = vi.spyOn(IDBObjectStore.prototype, 'put').mockImplementation(() => {
+            throw new DOMException('Write failed', 'UnknownError');
+        });
+        const result = await migrateLegacyCache();
+        put.mockRestore();
+
+        expect(result).toEqual({ content: 0, audio: 0 });
+        expect(localStorage.length).toBe(4);
+
+        expect(await migrateLegacyCache()).toEqual({ content: 1, audio: 1 });
+        expect(await hasCache('a1_v1')).toBe(true);
+        expect(localStorage.getItem(STORAGE_KEYS.CONTENT_CACHE + 'a1_v1')).toBeNull();
+        expect(localStorage.getItem(STORAGE_KEYS.AUDIO_CACHE + 'broken')).not.toBeNull();
+        expect(localStorage.getItem(STORAGE_KEYS.AUDIO_CACHE + 'empty')).not.toBeNull();
+    });
+
+    test('audio Blob round-trips through the cache', async () => {
+        await fc.assert(fc.asyncProperty(
+            bytesArb,
+            async (bytes) => {
+                await cacheAudio('hash', { blob: new Blob([bytes], { type: 'audio/pcm' }), generatedAt: 1, voice: 'Puck' });
+                const cached = await getCachedAudio('hash');
+                const stored = await readBlob(cached.blob);
+                return stored.length === bytes.length && stored.every((b, i) => b === bytes[i]);
+            }
+        ), { numRuns: 20 });
+    });
+});
+
+/**
+ * Feature: indexeddb-storage, Property 2: Audio Cache Budget
+ *
+ * For any audio cached for a topic, its size should count towards that topic,
+ * eviction should skip favourite topics and deleting the topic should drop its audio.
+ */
+describe('Property 2: Audio Cache Budget', () => {
+    const audio = (size, topicId) => ({ blob: new Blob([new Uint8Array(size)]), generatedAt: 1, voice: 'Kore', topicId });
+
+    test('audio is attributed to its topic by Blob size', async () => {
+        await fc.assert(fc.asyncProperty(
+            fc.array(fc.integer({ min: 1, max: 2000 }), { minLength: 1, maxLength: 5 }),
+            async (sizes) => {
+                await clearAudioCache();
+                for (let i = 0; i < sizes.length; i++) {
+                    await cacheAudio(`h${i}`, audio(sizes[i], 'a1_v1'));
+                }
+                const usage = await getCacheUsage();
+                const total = sizes.reduce((sum, size) => sum + size, 0);
+                return usage.stores.audio.bytes === total && usage.topics[0].audioBytes === total;
+            }
+        ), { numRuns: 20 });
+    });
+
+    test('eviction skips favourite topics, delete removes content and audio', async () => {
+        await setCache('a1_v1', { chunks: [] });
+        await cacheAudio('fav', audio(1000, 'a1_v1'));
+        await cacheAudio('other', audio(1000, 'a1_v2'));
+        await cacheAudio('loose', audio(1000, null));
+        toggleFavoriteTopic('a1_v1');
+
+        const evicted = await evictLRU(STORES.AUDIO, 0);
+        expect(evicted.sort()).toEqual(['loose', 'other']);
+        expect(await getCachedAudio('fav')).not.toBe(null);
+
+        expect(await deleteTopicCache('a1_v1')).toBe(2);
+        expect(await getCachedAudio('fav')).toBe(null);
+        expect(await hasCache('a1_v1')).toBe(false);
+    });
+
+    test('eviction skips topics of a level download', async () => {
+        await cacheAudio('level', audio(1000, 'a1_v1'));
+        await cacheAudio('other', audio(1000, 'a1_v2'));
+        save(STORAGE_KEYS.LEVEL_DOWNLOAD, { level: 'A1', status: 'running', topics: [{ id: 'a1_v1', status: 'content' }] });
+
+        expect(await evictLRU(STORES.AUDIO, 0)).toEqual(['other']);
+        expect(await getCachedAudio('level')).not.toBe(null);
+    });
+});
+
+/**
+ * Feature: indexeddb-storage, Property 3: Unavailable Database
+ *
+ * When the database cannot be opened the cache should keep working in memory,
+ * and an open connection should give way to an upgrade from another tab.
+ */
+describe('Property 3: Unavailable Database', () => {
+    test('a failed open falls back to memory', async () => {
+        vi.resetModules();
+        const db = await import('../../js/db.js');
+        const open = vi.spyOn(indexedDB, 'open').mockImplementation(() => {
+            throw new DOMException('Storage is disabled', 'SecurityError');
+        });
+
+        await db.dbPut(db.STORES.CONTENT, 'a1_v1', { chunks: [] });
+        expect(await db.dbGet(db.STORES.CONTENT, 'a1_v1')).toEqual({ chunks: [] });
+        expect(await db.dbKeys(db.STORES.CONTENT)).toEqual(['a1_v1']);
+        expect(db.isIndexedDBAvailable()).toBe(false);
+        open.mockRestore();
+    });
+
+    test('the connection closes when another tab upgrades', async () => {
+        vi.resetModules();
+        const db = await import('../../js/db.js');
+        await db.dbPut(db.STORES.CONTENT, 'a1_v1', { chunks: [] });
+
+        const upgraded = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(db.DB_NAME, 99);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        expect(upgraded.version).toBe(99);
+        upgraded.close();
+        await new Promise((resolve) => {
+            indexedDB.deleteDatabase(db.DB_NAME).onsuccess = resolve;
+        });
+    });
+});
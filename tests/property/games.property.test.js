@@ -27,6 +27,9 @@ beforeEach(() => {
     localStorage.clear();
 });
 
+// SM-2 остался вариантом в настройках; его поведение проверяется явно
+const SM2 = { srsAlgorithm: 'sm2' };
+
 /**
  * Feature: turkish-learning-app, Property 6: SRS Interval Updates
  * Validates: Requirements 4.3
@@ -42,15 +45,15 @@ describe('Property 6: SRS Interval Updates', () => {
                 localStorage.clear(); // Очищаем перед каждой итерацией
                 
                 // Первый раз - интервал должен быть 1
-                const result1 = updateSRS(chunkId, 5); // easy = quality 5
+                const result1 = updateSRS(chunkId, 5, SM2); // easy = quality 5
                 expect(result1.interval).toBe(1);
                 
                 // Второй раз - интервал должен быть 6
-                const result2 = updateSRS(chunkId, 5);
+                const result2 = updateSRS(chunkId, 5, SM2);
                 expect(result2.interval).toBe(6);
                 
                 // Третий раз - интервал должен увеличиться
-                const result3 = updateSRS(chunkId, 5);
+                const result3 = updateSRS(chunkId, 5, SM2);
                 expect(result3.interval).toBeGreaterThan(6);
                 
                 return true;
@@ -65,12 +68,12 @@ describe('Property 6: SRS Interval Updates', () => {
                 localStorage.clear();
                 
                 // Сначала делаем несколько easy
-                updateSRS(chunkId, 5);
-                updateSRS(chunkId, 5);
-                const beforeHard = updateSRS(chunkId, 5);
+                updateSRS(chunkId, 5, SM2);
+                updateSRS(chunkId, 5, SM2);
+                const beforeHard = updateSRS(chunkId, 5, SM2);
                 
                 // Затем hard - должен сбросить
-                const afterHard = updateSRS(chunkId, 1); // hard = quality 1
+                const afterHard = updateSRS(chunkId, 1, SM2); // hard = quality 1
                 
                 return afterHard.interval === 1 && afterHard.repetitions === 0;
             }
@@ -86,7 +89,7 @@ describe('Property 6: SRS Interval Updates', () => {
                 
                 let result;
                 qualities.forEach(q => {
-                    result = updateSRS(chunkId, q);
+                    result = updateSRS(chunkId, q, SM2);
                 });
                 
                 // Ease factor не должен опускаться ниже 1.3
@@ -103,7 +106,7 @@ describe('Property 6: SRS Interval Updates', () => {
                 localStorage.clear();
                 
                 const now = Date.now();
-                const result = updateSRS(chunkId, quality);
+                const result = updateSRS(chunkId, quality, SM2);
                 
                 // nextReview должен быть в будущем
                 return result.nextReview > now;
@@ -604,10 +607,11 @@ describe('Property 6: Answer Comparison Normalization', () => {
     const { compareAnswers } = require('../../js/games/translation.js');
 
     test('case differences are ignored', () => {
+        // Регистр по турецким правилам: I и i - разные буквы (I ↔ ı, İ ↔ i)
         fc.assert(fc.property(
             fc.string().filter(s => s.length > 0),
             (str) => {
-                return compareAnswers(str.toLowerCase(), str.toUpperCase());
+                return compareAnswers(str.toLocaleLowerCase('tr-TR'), str.toLocaleUpperCase('tr-TR'));
             }
         ), { numRuns: 100 });
     });
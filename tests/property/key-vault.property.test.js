@@ -0,0 +1,169 @@
+/**
+ * Property-Based Tests для Key Vault Module
+ * Feature: api-key-protection
+ */
+
+import 'fake-indexeddb/auto';
+import { describe, test, expect, beforeEach } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    STORAGE_KEYS, save, load, getSettings, getApiKey, getStoredApiKey, saveApiKey,
+    isApiKeyProtected, isApiKeyLocked, profileKey, getActiveProfileId
+} from '../../js/storage.js';
+import { encryptSecret, decryptSecret, isEncryptedSecret } from '../../js/crypto.js';
+import { storeApiKey, protectApiKey, unlockApiKey, lockApiKey, removeProtection, forgetApiKey } from '../../js/key-vault.js';
+import { consolidateApiKeys } from '../../js/migrations.js';
+import { createProfile } from '../../js/profiles.js';
+import { getKey } from '../../js/api.js';
+
+// Mock localStorage
+const localStorageMock = (() => {
+    let store = {};
+    return {
+        getItem: (key) => store[key] || null,
+        setItem: (key, value) => { store[key] = value.toString(); },
+        removeItem: (key) => { delete store[key]; },
+        clear: () => { store = {}; },
+        get length() { return Object.keys(store).length; },
+        key: (i) => Object.keys(store)[i] || null
+    };
+})();
+
+Object.defineProperty(global, 'localStorage', { value: localStorageMock });
+
+// Мало итераций PBKDF2, чтобы свойства проверялись быстро
+const ITERATIONS = 1000;
+
+beforeEach(() => {
+    lockApiKey();
+    localStorage.clear();
+});
+
+const apiKeyArb = fc.stringMatching(/^AIza[A-Za-z0-9_-]{16,35}$/);
+const passphraseArb = fc.string({ minLength: 1, maxLength: 20 });
+
+/**
+ * Feature: api-key-protection, Property 1: Encryption Round-Trip
+ *
+ * For any secret and passphrase, decrypting with the same passphrase should return
+ * the secret, while a different passphrase or altered ciphertext should be rejected.
+ */
+describe('Property 1: Encryption Round-Trip', () => {
+    test('only the right passphrase decrypts the secret', async () => {
+        await fc.assert(fc.asyncProperty(
+            apiKeyArb, passphraseArb, passphraseArb,
+            async (secret, passphrase, wrong) => {
+                fc.pre(wrong !== passphrase);
+                const { record } = await encryptSecret(secret, passphrase, ITERATIONS);
+                const { plaintext } = await decryptSecret(record, passphrase);
+                const rejected = await decryptSecret(record, wrong).then(() => false, e => e.message === 'PASSPHRASE_INVALID');
+
+                return plaintext === secret && rejected &&
+                       isEncryptedSecret(record) && !JSON.stringify(record).includes(secret);
+            }
+        ), { numRuns: 20 });
+    });
+
+    test('tampered ciphertext and empty passphrase are rejected', async () => {
+        const { record } = await encryptSecret('AIza-secret', 'pass', ITERATIONS);
+        const tampered = { ...record, data: record.data.replace(/^./, c => c === 'A' ? 'B' : 'A') };
+
+        await expect(decryptSecret(tampered, 'pass')).rejects.toThrow('PASSPHRASE_INVALID');
+        await expect(encryptSecret('AIza-secret', '', ITERATIONS)).rejects.toThrow('PASSPHRASE_EMPTY');
+    });
+});
+
+/**
+ * Feature: api-key-protection, Property 2: Locked Until Unlocked
+ *
+ * For any protected key, storage should only hold the encrypted record; the key should
+ * be unavailable after a reload until unlocked, and changing it keeps it protected.
+ */
+describe('Property 2: Locked Until Unlocked', () => {
+    test('protected key is usable only after unlock', async () => {
+        await fc.assert(fc.asyncProperty(
+            apiKeyArb, apiKeyArb, passphraseArb,
+            async (apiKey, nextKey, passphrase) => {
+                lockApiKey();
+                localStorage.clear();
+                saveApiKey(apiKey);
+                await protectApiKey(passphrase, ITERATIONS);
+
+                const stored = JSON.stringify(load(STORAGE_KEYS.API_KEY));
+                const unlockedAfterProtect = getApiKey() === apiKey;
+
+                // Перезагрузка страницы: расшифрованный ключ забыт
+                lockApiKey();
+                const locked = isApiKeyLocked() && getApiKey() === '';
+
+                await unlockApiKey(passphrase);
+                const unlocked = getApiKey() === apiKey;
+
+                await storeApiKey(nextKey);
+                lockApiKey();
+                await unlockApiKey(passphrase);
+
+                return !stored.includes(apiKey) && unlockedAfterProtect && locked && unlocked &&
+                       isApiKeyProtected() && getApiKey() === nextKey;
+            }
+        ), { numRuns: 15 });
+    });
+
+    test('locked key surfaces API_KEY_LOCKED and can be forgotten', async () => {
+        saveApiKey('AIza-secret');
+        await protectApiKey('pass', ITERATIONS);
+        lockApiKey();
+
+        expect(() => getKey()).toThrow('API_KEY_LOCKED');
+        await expect(storeApiKey('AIza-other')).rejects.toThrow('API_KEY_LOCKED');
+        expect(() => removeProtection()).toThrow('API_KEY_LOCKED');
+        await expect(unlockApiKey('wrong')).rejects.toThrow('PASSPHRASE_INVALID');
+
+        forgetApiKey();
+        expect(getStoredApiKey()).toBe(null);
+        expect(isApiKeyLocked()).toBe(false);
+        expect(getKey()).toBe('');
+    });
+
+    test('removing protection stores the key as plain text again', async () => {
+        await storeApiKey('  AIza-secret  ');
+        await protectApiKey('pass', ITERATIONS);
+        removeProtection();
+
+        expect(getStoredApiKey()).toBe('AIza-secret');
+        expect(isApiKeyProtected()).toBe(false);
+        await expect(protectApiKey('', ITERATIONS)).rejects.toThrow('PASSPHRASE_EMPTY');
+    });
+});
+
+/**
+ * Feature: api-key-protection, Property 3: Single Source of Truth
+ *
+ * For any profiles with a key copy in settings, the migration should leave exactly one
+ * copy in the API key slot, preferring the settings copy the app actually used.
+ */
+describe('Property 3: Single Source of Truth', () => {
+    test('settings copies move into the API key slot', () => {
+        fc.assert(fc.property(
+            fc.array(fc.record({
+                settingsKey: fc.option(apiKeyArb, { nil: undefined }),
+                storedKey: fc.option(apiKeyArb, { nil: undefined })
+            }), { minLength: 1, maxLength: 4 }),
+            (learners) => {
+                localStorage.clear();
+                const ids = [getActiveProfileId(), ...learners.slice(1).map((_, i) => createProfile(`Ученик ${i}`).id)];
+                learners.forEach(({ settingsKey, storedKey }, i) => {
+                    save(profileKey(STORAGE_KEYS.SETTINGS, ids[i]), settingsKey === undefined ? { theme: 'dark' } : { theme: 'dark', apiKey: settingsKey });
+                    if (storedKey !== undefined) save(profileKey(STORAGE_KEYS.API_KEY, ids[i]), storedKey);
+                });
+
+                consolidateApiKeys();
+
+                return learners.every(({ settingsKey, storedKey }, i) =>
+                    getApiKey(ids[i]) === (settingsKey || storedKey || '') &&
+                    !('apiKey' in getSettings(ids[i])) &&
+                    getSettings(ids[i]).theme === 'dark');
+            }
+        ), { numRuns: 50 });
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * Property-Based Tests для Level Download Module
+ * Feature: level-download
+ */
+
+import 'fake-indexeddb/auto';
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import * as fc from 'fast-check';
+import { hasCache, clearAllCache, saveSettings } from '../../js/storage.js';
+import { getTopicsByLevel } from '../../js/topics.js';
+import { STATIC_PACK } from '../../js/data/static-pack.js';
+import { createDownloadJob, runDownloadJob, getDownloadJob, getDownloadProgress } from '../../js/level-download.js';
+import { generateSpeech } from '../../js/tts.js';
+
+// Озвучка настоящая, пока тест не подменит её
+vi.mock('../../js/tts.js', async (importOriginal) => {
+    const tts = await importOriginal();
+    return { ...tts, generateSpeech: vi.fn(tts.generateSpeech) };
+});
+
+// Mock localStorage
+const localStorageMock = (() => {
+    let store = {};
+    return {
+        getItem: (key) => store[key] || null,
+        setItem: (key, value) => { store[key] = value.toString(); },
+        removeItem: (key) => { delete store[key]; },
+        clear: () => { store = {}; },
+        get length() { return Object.keys(store).length; },
+        key: (i) => Object.keys(store)[i] || null
+    };
+})();
+
+Object.defineProperty(global, 'localStorage', { value: localStorageMock });
+
+beforeEach(async () => {
+    localStorage.clear();
+    await clearAllCache();
+    saveSettings({ contentProvider: 'static', ttsEnabled: true });
+});
+
+const level = 'A1';
+const packTopics = () => getTopicsByLevel(level).filter(t => STATIC_PACK[t.id]);
+
+/**
+ * Feature: level-download, Property 1: Level Download Completeness
+ *
+ * For any level, running the download job should leave every topic either cached
+ * or marked as failed, and the stored job should reflect the final status.
+ */
+describe('Property 1: Level Download Completeness', () => {
+    test('every topic ends up cached or failed', async () => {
+        const fetchSpy = vi.fn();
+        vi.stubGlobal('fetch', fetchSpy);
+
+        const job = await runDownloadJob(createDownloadJob(level, false));
+        const progress = getDownloadProgress(job);
+
+        expect(job.status).toBe('done');
+        expect(progress.topicsDone).toBe(packTopics().length);
+        expect(progress.topicsDone + progress.topicsFailed).toBe(progress.topicsTotal);
+        expect(progress.percentage).toBe(100);
+        for (const entry of job.topics) {
+            expect(entry.status === 'done' ? await hasCache(entry.id) : entry.error).toBeTruthy();
+        }
+        expect(getDownloadJob().status).toBe('done');
+        expect(fetchSpy).not.toHaveBeenCalled();
+        vi.unstubAllGlobals();
+    });
+
+    test('paused job resumes without redoing finished topics', async () => {
+        await fc.assert(fc.asyncProperty(
+            fc.integer({ min: 1, max: 4 }),
+            async (stopAfter) => {
+                localStorage.clear();
+                await clearAllCache();
+                saveSettings({ contentProvider: 'static' });
+                const controller = new AbortController();
+                let done = 0;
+
+                const paused = await runDownloadJob(createDownloadJob(level, false), {
+                    signal: controller.signal,
+                    onProgress: (job) => {
+                        done = job.topics.filter(t => t.status === 'done').length;
+                        if (done >= stopAfter) controller.abort();
+                    }
+                });
+                const stored = getDownloadJob();
+                const finished = stored.topics.filter(t => t.status === 'done').map(t => t.id);
+
+                const resumed = await runDownloadJob(stored);
+                const progress = getDownloadProgress(resumed);
+
+                return paused.status === 'paused' &&
+                       finished.length === stopAfter &&
+                       resumed.status === 'done' &&
+                       progress.topicsDone === packTopics().length &&
+                       paused.topics.length === resumed.topics.length;
+            }
+        ), { numRuns: 10 });
+    });
+
+    test('download stops when storage is almost full', async () => {
+        const mb = 1024 * 1024;
+        Object.defineProperty(navigator, 'storage', {
+            value: { estimate: async () => ({ usage: 49.8 * mb, quota: 50 * mb }) },
+            configurable: true
+        });
+
+        const job = await runDownloadJob(createDownloadJob(level, false));
+        delete navigator.storage;
+
+        expect(job.status).toBe('stopped');
+        expect(job.error).toBe('STORAGE_FULL');
+        expect(job.topics.every(t => t.status === 'pending')).toBe(true);
+    });
+
+    test('missing TTS key downgrades the job to text only', async () => {
+        const job = await runDownloadJob(createDownloadJob(level, true));
+
+        expect(job.status).toBe('done');
+        expect(job.includeAudio).toBe(false);
+        expect(job.error).toBe('API_KEY_MISSING');
+        expect(getDownloadProgress(job).topicsDone).toBe(packTopics().length);
+    });
+
+    test('failed clips are not counted and are retried on resume', async () => {
+        const { generateSpeech: realSpeech } = await vi.importActual('../../js/tts.js');
+        const [topic] = packTopics();
+        const failing = STATIC_PACK[topic.id][1].turkish;
+        const speak = (text, voice, options) => text === failing && options.topicId === topic.id
+            ? Promise.reject(new Error('TTS_FAILED'))
+            : Promise.resolve({});
+        generateSpeech.mockImplementation(speak);
+
+        const stopped = await runDownloadJob(createDownloadJob(level, true));
+        const entry = stopped.topics.find(t => t.id === topic.id);
+        const progress = getDownloadProgress(stopped);
+
+        expect(stopped.status).toBe('stopped');
+        expect(stopped.error).toBe('AUDIO_INCOMPLETE');
+        expect(entry).toMatchObject({ status: 'content', audioFailed: [1], audioDone: entry.audioTotal - 1 });
+        expect(progress.audioDone).toBe(progress.audioTotal - 1);
+        expect(progress.audioFailed).toBe(1);
+
+        generateSpeech.mockClear();
+        generateSpeech.mockImplementation(() => Promise.resolve({}));
+        const resumed = await runDownloadJob(getDownloadJob());
+
+        expect(resumed.status).toBe('done');
+        expect(generateSpeech.mock.calls.map(([text]) => text)).toEqual([failing]);
+        expect(getDownloadProgress(resumed)).toMatchObject({ audioFailed: 0, audioDone: progress.audioTotal });
+        generateSpeech.mockImplementation(realSpeech);
+    });
+});
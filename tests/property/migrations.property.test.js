@@ -0,0 +1,265 @@
+/**
+ * Property-Based Tests для Migrations Module
+ * Feature: storage-schema
+ */
+
+import 'fake-indexeddb/auto';
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import * as fc from 'fast-check';
+import { STORAGE_KEYS, save, load, getCache, setCache, clearAllCache, getSRSData, saveSRSData, getProgress, saveProgress, migrateChunkIds } from '../../js/storage.js';
+import { runMigrations, getSchemaVersion, normalizeRecords, MIGRATIONS, SCHEMA_VERSION } from '../../js/migrations.js';
+import { getTopicIdFromChunkId, makeChunkId } from '../../js/chunk-id.js';
+
+// Mock localStorage
+const localStorageMock = (() => {
+    let store = {};
+    return {
+        getItem: (key) => store[key] || null,
+        setItem: (key, value) => { store[key] = value.toString(); },
+        removeItem: (key) => { delete store[key]; },
+        clear: () => { store = {}; },
+        get length() { return Object.keys(store).length; },
+        key: (i) => Object.keys(store)[i] || null
+    };
+})();
+
+Object.defineProperty(global, 'localStorage', { value: localStorageMock });
+
+beforeEach(async () => {
+    localStorage.clear();
+    await clearAllCache();
+});
+
+/**
+ * Все ключи приложения в localStorage
+ */
+function dumpLocalStorage() {
+    const dump = {};
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        dump[key] = localStorage.getItem(key);
+    }
+    return dump;
+}
+
+/**
+ * Feature: storage-schema, Property 1: Ordered Migrations
+ *
+ * For any list of migrations and any stored version, the runner should apply exactly
+ * the newer migrations in ascending order, record the last version and do nothing on rerun.
+ */
+describe('Property 1: Ordered Migrations', () => {
+    test('only newer migrations run, in version order', async () => {
+        await fc.assert(fc.asyncProperty(
+            fc.uniqueArray(fc.integer({ min: 1, max: 20 }), { minLength: 1, maxLength: 6 }),
+            fc.integer({ min: 0, max: 20 }),
+            async (versions, stored) => {
+                localStorage.clear();
+                save(STORAGE_KEYS.SCHEMA_VERSION, stored);
+                const calls = [];
+                const migrations = versions.map(version => ({
+                    version,
+                    name: `m${version}`,
+                    up: async () => { calls.push(version); return version; }
+                }));
+
+                const result = await runMigrations(migrations);
+                const expected = versions.filter(v => v > stored).sort((a, b) => a - b);
+                const rerun = await runMigrations(migrations);
+
+                return JSON.stringify(calls) === JSON.stringify(expected) &&
+                       result.applied.map(m => m.result).join() === expected.join() &&
+                       getSchemaVersion() === Math.max(stored, ...versions) &&
+                       rerun.applied.length === 0;
+            }
+        ), { numRuns: 100 });
+    });
+
+    test('built-in migrations bring legacy data to the current schema', async () => {
+        save(STORAGE_KEYS.CONTENT_CACHE + 'a1_v2', {
+            topicId: 'a1_v2',
+            chunks: [{ id: 'chunk_0', turkish: 'Merhaba', russian: 'Привет' }]
+        });
+        saveSRSData({ chunk_0: { interval: 6, nextReview: 1 }, broken: 'x' });
+
+        const result = await runMigrations();
+        const content = await getCache('a1_v2');
+        const [chunkId] = Object.keys(getSRSData());
+
+        expect(result).toMatchObject({ from: 0, to: SCHEMA_VERSION });
+        expect(result.applied.map(m => m.name)).toEqual(MIGRATIONS.map(m => m.name));
+        expect(load(STORAGE_KEYS.CONTENT_CACHE + 'a1_v2')).toBe(null);
+        expect(getTopicIdFromChunkId(content.chunks[0].id)).toBe('a1_v2');
+        expect(chunkId).toBe(content.chunks[0].id);
+        expect(getSRSData()[chunkId]).toMatchObject({ interval: 6, easeFactor: 2.5, repetitions: 0 });
+    });
+});
+
+/**
+ * Feature: storage-schema, Property 2: Failed Migration Rollback
+ *
+ * For any stored data and any migration that fails midway, localStorage and the content
+ * cache should be exactly as they were before that migration, and later ones should not run.
+ */
+describe('Property 2: Failed Migration Rollback', () => {
+    test('storage is restored to the state before the failing migration', async () => {
+        await fc.assert(fc.asyncProperty(
+            fc.dictionary(fc.stringMatching(/^[a-z]{1,6}$/), fc.string({ maxLength: 10 }), { maxKeys: 5 }),
+            fc.integer({ min: 0, max: 2 }),
+            async (values, failAt) => {
+                localStorage.clear();
+                await clearAllCache();
+                Object.entries(values).forEach(([key, value]) => save(`turkish_app_${key}`, value));
+                await setCache('a1_g1', { chunks: [], version: 1 });
+
+                let ranAfterFailure = false;
+                let before;
+                const migrations = [1, 2, 3].map((version, index) => ({
+                    version,
+                    name: `m${version}`,
+                    up: async () => {
+                        if (index > failAt) ranAfterFailure = true;
+                        if (index === failAt) before = dumpLocalStorage();
+                        save(`turkish_app_m${version}`, true);
+                        save(`turkish_app_${Object.keys(values)[0] || 'x'}`, 'changed');
+                        await setCache('a1_g1', { chunks: [], version: version + 1 });
+                        await setCache(`new_${version}`, { chunks: [] });
+                        if (index === failAt) throw new Error('boom');
+                    }
+                }));
+
+                let error;
+                try {
+                    await runMigrations(migrations);
+                } catch (e) {
+                    error = e;
+                }
+
+                const contentAfter = await getCache('a1_g1');
+                return error?.message === 'MIGRATION_FAILED' &&
+                       error.migration === `m${failAt + 1}` &&
+                       !ranAfterFailure &&
+                       JSON.stringify(dumpLocalStorage()) === JSON.stringify(before) &&
+                       getSchemaVersion() === failAt &&
+                       contentAfter.version === failAt + 1 &&
+                       (await getCache(`new_${failAt + 1}`)) === null;
+            }
+        ), { numRuns: 30 });
+    });
+});
+
+/**
+ * Feature: storage-schema, Property 3: Record Normalization
+ *
+ * For any SRS and progress records missing fields, normalization should fill defaults,
+ * drop unusable records, keep valid values untouched and be idempotent.
+ */
+describe('Property 3: Record Normalization', () => {
+    test('missing fields get defaults and valid values survive', () => {
+        fc.assert(fc.property(
+            fc.dictionary(
+                fc.stringMatching(/^[a-z0-9_]{1,6}:[a-z0-9]{1,5}$/),
+                fc.oneof(
+                    fc.record({
+                        interval: fc.integer({ min: 0, max: 100 }),
+                        easeFactor: fc.double({ min: 1.3, max: 3, noNaN: true }),
+                        nextReview: fc.nat(),
+                        repetitions: fc.nat({ max: 10 })
+                    }, { requiredKeys: [] }),
+                    fc.constantFrom(null, 'x', 3, [])
+                ),
+                { maxKeys: 8 }
+            ),
+            (srs) => {
+                localStorage.clear();
+                saveSRSData(srs);
+                saveProgress({ topicsCompleted: { a1_g1: { lastPlayed: 1 } } });
+
+                const first = normalizeRecords();
+                const normalized = getSRSData();
+                const second = normalizeRecords();
+
+                const valid = Object.entries(srs).filter(([, r]) => r && typeof r === 'object' && !Array.isArray(r));
+                return Object.keys(normalized).length === valid.length &&
+                       valid.every(([id, record]) =>
+                           Object.entries(record).every(([field, value]) => normalized[id][field] === value) &&
+                           ['interval', 'easeFactor', 'nextReview', 'repetitions'].every(f => Number.isFinite(normalized[id][f]))) &&
+                       first.srsDropped === Object.keys(srs).length - valid.length &&
+                       second.srsFixed === 0 && second.srsDropped === 0 && second.topicsFixed === 0 &&
+                       getProgress().topicsCompleted.a1_g1.gamesPlayed.length === 0;
+            }
+        ), { numRuns: 100 });
+    });
+});
+
+/**
+ * Feature: storage-schema, Property 4: Every Profile Is Migrated
+ *
+ * Migrations that rewrite learner records should reach every profile,
+ * not only the one that is active when the app starts.
+ */
+describe('Property 4: Every Profile Is Migrated', () => {
+    const record = { interval: 6, easeFactor: 2.6, nextReview: 123, repetitions: 2 };
+
+    beforeEach(() => {
+        save(STORAGE_KEYS.PROFILES, [{ id: 'default', name: 'Основной', createdAt: 0 }, { id: 'p2', name: 'Второй', createdAt: 1 }]);
+        save(STORAGE_KEYS.ACTIVE_PROFILE, 'p2');
+    });
+
+    test('normalization fixes records of inactive profiles', () => {
+        save(STORAGE_KEYS.SRS_DATA, { a: { interval: 1 }, b: null });
+        save(`${STORAGE_KEYS.SRS_DATA}__p2`, { c: { interval: 2 } });
+        save(STORAGE_KEYS.PROGRESS, { topicsCompleted: { a1_g1: { lastPlayed: 1 } } });
+
+        expect(normalizeRecords()).toEqual({ srsFixed: 2, srsDropped: 1, topicsFixed: 1 });
+        expect(getSRSData('default')).toEqual({ a: { interval: 1, easeFactor: 2.5, nextReview: 0, repetitions: 0 } });
+        expect(getSRSData('p2').c.easeFactor).toBe(2.5);
+        expect(getProgress('default').topicsCompleted.a1_g1.gamesPlayed).toEqual([]);
+        expect(load(`${STORAGE_KEYS.PROGRESS}__p2`)).toBe(null);
+    });
+
+    test('chunk ids are migrated for every profile', async () => {
+        await setCache('a1_v2', { topicId: 'a1_v2', chunks: [{ id: 'chunk_3', turkish: 'Babam' }] });
+        save(STORAGE_KEYS.SRS_DATA, { chunk_3: record });
+        save(`${STORAGE_KEYS.SRS_DATA}__p2`, { chunk_3: { ...record, interval: 9 } });
+
+        const result = await migrateChunkIds();
+        const newId = makeChunkId('a1_v2', 'Babam');
+
+        expect(result.records).toBe(2);
+        expect(getSRSData('default')).toEqual({ [newId]: record });
+        expect(getSRSData('p2')).toEqual({ [newId]: { ...record, interval: 9 } });
+    });
+});
+
+/**
+ * Feature: storage-schema, Property 5: Migrations Wait For The Database
+ *
+ * When IndexedDB cannot be opened, migrations that move data into it should keep
+ * the sources and the schema version, while localStorage-only migrations still run.
+ */
+describe('Property 5: Migrations Wait For The Database', () => {
+    test('the legacy cache and review log stay in localStorage until IndexedDB opens', async () => {
+        vi.resetModules();
+        const storage = await import('../../js/storage.js');
+        const migrations = await import('../../js/migrations.js');
+        const open = vi.spyOn(indexedDB, 'open').mockImplementation(() => {
+            throw new DOMException('Storage is disabled', 'SecurityError');
+        });
+
+        const legacyKey = STORAGE_KEYS.CONTENT_CACHE + 'a1_v2';
+        save(legacyKey, { topicId: 'a1_v2', chunks: [{ id: 'chunk_0', turkish: 'Merhaba' }] });
+        saveSRSData({ chunk_0: { interval: 6, easeFactor: 2.5, nextReview: 1, repetitions: 2 } });
+        save(STORAGE_KEYS.REVIEW_LOG, [{ time: 1, chunkId: 'chunk_0', rating: 3, state: 'new' }]);
+
+        const result = await migrations.runMigrations();
+        open.mockRestore();
+
+        expect(result.deferred).toEqual(['legacy-cache', 'chunk-ids', 'review-log-store']);
+        expect(load(STORAGE_KEYS.REVIEW_LOG)).toHaveLength(1);
+        expect(getSchemaVersion()).toBe(0);
+        expect(load(legacyKey)).not.toBe(null);
+        expect(load(STORAGE_KEYS.CHUNK_ID_MIGRATION)).toBe(null);
+        expect(Number.isFinite(storage.getSRSData().chunk_0.stability)).toBe(true);
+    });
+});
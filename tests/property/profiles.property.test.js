@@ -0,0 +1,213 @@
+/**
+ * Property-Based Tests для Profiles Module
+ * Feature: profiles
+ */
+
+import 'fake-indexeddb/auto';
+import { describe, test, expect, beforeEach } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    STORAGE_KEYS, load, getSettings, saveSettings, getProgress, saveProgress, getSRSData, saveSRSData,
+    getApiKey, saveApiKey, getFavoriteTopics, toggleFavoriteTopic, saveSessionState, loadSessionState,
+    setCache, hasCache, clearAllCache, getPinnedTopicIds, getActiveProfileId, DEFAULT_PROFILE_ID,
+    appendReviewLog, getReviewLog
+} from '../../js/storage.js';
+import { getProfiles, getActiveProfile, createProfile, renameProfile, switchProfile, deleteProfile, exportProfile } from '../../js/profiles.js';
+import { makeChunkId } from '../../js/chunk-id.js';
+
+// Mock localStorage
+const localStorageMock = (() => {
+    let store = {};
+    return {
+        getItem: (key) => store[key] || null,
+        setItem: (key, value) => { store[key] = value.toString(); },
+        removeItem: (key) => { delete store[key]; },
+        clear: () => { store = {}; },
+        get length() { return Object.keys(store).length; },
+        key: (i) => Object.keys(store)[i] || null
+    };
+})();
+
+// Mock sessionStorage
+const sessionStorageMock = (() => {
+    let store = {};
+    return {
+        getItem: (key) => store[key] || null,
+        setItem: (key, value) => { store[key] = value.toString(); },
+        removeItem: (key) => { delete store[key]; },
+        clear: () => { store = {}; },
+        get length() { return Object.keys(store).length; },
+        key: (i) => Object.keys(store)[i] || null
+    };
+})();
+
+Object.defineProperty(global, 'localStorage', { value: localStorageMock });
+Object.defineProperty(global, 'sessionStorage', { value: sessionStorageMock });
+
+beforeEach(async () => {
+    localStorage.clear();
+    sessionStorage.clear();
+    await clearAllCache();
+});
+
+const learnerArb = fc.record({
+    srs: fc.dictionary(fc.stringMatching(/^a1_g[0-9]:[a-z0-9]{1,5}$/), fc.record({
+        interval: fc.nat({ max: 100 }),
+        nextReview: fc.nat()
+    }), { maxKeys: 5 }),
+    bestScore: fc.integer({ min: 0, max: 100 }),
+    voice: fc.constantFrom('Kore', 'Puck', 'Orus'),
+    apiKey: fc.string({ maxLength: 12 }),
+    screen: fc.constantFrom('home', 'settings', 'stats')
+});
+
+/**
+ * Запись данных ученика в активный профиль
+ */
+function writeLearner(learner) {
+    saveSRSData(learner.srs);
+    saveProgress({ ...getProgress(), topicsCompleted: { a1_g1: { gamesPlayed: ['quiz'], lastPlayed: 1, bestScore: learner.bestScore } } });
+    saveSettings({ ...getSettings(), ttsVoice: learner.voice });
+    saveApiKey(learner.apiKey);
+    saveSessionState({ currentScreen: learner.screen });
+}
+
+/**
+ * Проверка, что в активном профиле лежат данные ученика
+ */
+function readsLearner(learner) {
+    return JSON.stringify(getSRSData()) === JSON.stringify(learner.srs) &&
+           getProgress().topicsCompleted.a1_g1.bestScore === learner.bestScore &&
+           getSettings().ttsVoice === learner.voice &&
+           getApiKey() === learner.apiKey &&
+           loadSessionState().currentScreen === learner.screen;
+}
+
+/**
+ * Feature: profiles, Property 1: Profile Isolation
+ *
+ * For any two learners on one device, data written in one profile should never be
+ * visible in or change the other, while the content cache is shared by both.
+ */
+describe('Property 1: Profile Isolation', () => {
+    test('progress, SRS, settings, API key and session are per profile', async () => {
+        await fc.assert(fc.asyncProperty(
+            learnerArb, learnerArb,
+            async (first, second) => {
+                localStorage.clear();
+                sessionStorage.clear();
+                const other = createProfile('Ученик');
+
+                writeLearner(first);
+                switchProfile(other.id);
+                writeLearner(second);
+
+                const secondOk = readsLearner(second);
+                switchProfile(DEFAULT_PROFILE_ID);
+                return secondOk && readsLearner(first);
+            }
+        ), { numRuns: 50 });
+    });
+
+    test('existing data belongs to the default profile without migration', () => {
+        saveSRSData({ 'a1_g1:abc': { interval: 1, nextReview: 1 } });
+
+        expect(load(STORAGE_KEYS.SRS_DATA)).toEqual({ 'a1_g1:abc': { interval: 1, nextReview: 1 } });
+        expect(getActiveProfileId()).toBe(DEFAULT_PROFILE_ID);
+        expect(getProfiles().map(p => p.id)).toEqual([DEFAULT_PROFILE_ID]);
+    });
+
+    test('content cache is shared and pinned by any profile', async () => {
+        const other = createProfile('Класс');
+        await setCache('a1_g1', { chunks: [] });
+
+        switchProfile(other.id);
+        expect(await hasCache('a1_g1')).toBe(true);
+        saveSRSData({ [makeChunkId('a1_g2', 'Merhaba')]: { interval: 1, nextReview: 1 } });
+        toggleFavoriteTopic('a1_v1');
+
+        switchProfile(DEFAULT_PROFILE_ID);
+        expect(getFavoriteTopics()).toEqual([]);
+        expect([...getPinnedTopicIds()].sort()).toEqual(['a1_g2', 'a1_v1']);
+    });
+});
+
+/**
+ * Feature: profiles, Property 2: Profile Management
+ *
+ * For any sequence of created profiles, deleting one should remove only its data,
+ * names should stay unique, and export should capture the chosen profile.
+ */
+describe('Property 2: Profile Management', () => {
+    test('deleting a profile removes only its data', () => {
+        fc.assert(fc.property(
+            fc.uniqueArray(fc.stringMatching(/^[A-Za-zА-Яа-я]{1,10}$/), {
+                minLength: 2, maxLength: 5, selector: name => name.toLocaleLowerCase('ru-RU')
+            }),
+            fc.nat(),
+            (names, pick) => {
+                fc.pre(!names.some(name => name.toLocaleLowerCase('ru-RU') === 'основной'));
+                localStorage.clear();
+                const profiles = names.map(name => createProfile(name));
+                profiles.forEach((profile, i) => {
+                    switchProfile(profile.id);
+                    saveSRSData({ [`a1_g1:${i}`]: { interval: i, nextReview: 0 } });
+                });
+
+                const victim = profiles[pick % profiles.length];
+                deleteProfile(victim.id);
+
+                const survivorsOk = profiles.filter(p => p !== victim).every(p =>
+                    getSRSData(p.id)[`a1_g1:${profiles.indexOf(p)}`] !== undefined);
+                const activeOk = victim === profiles[profiles.length - 1]
+                    ? getActiveProfileId() === DEFAULT_PROFILE_ID
+                    : getActiveProfileId() === profiles[profiles.length - 1].id;
+
+                return survivorsOk && activeOk &&
+                       Object.keys(getSRSData(victim.id)).length === 0 &&
+                       !getProfiles().some(p => p.id === victim.id) &&
+                       getProfiles().length === names.length;
+            }
+        ), { numRuns: 50 });
+    });
+
+    test('each profile keeps its own review log, deleted with the profile', async () => {
+        const other = createProfile('Ученик');
+        appendReviewLog({ time: 1, chunkId: 'a1_g1:aa', rating: 3, state: 'new', source: 'flashcards' });
+        switchProfile(other.id);
+        appendReviewLog({ time: 2, chunkId: 'a1_g1:bb', rating: 1, state: 'new', source: 'review' });
+
+        expect((await getReviewLog(DEFAULT_PROFILE_ID)).map(e => e.chunkId)).toEqual(['a1_g1:aa']);
+        expect((await getReviewLog()).map(e => e.chunkId)).toEqual(['a1_g1:bb']);
+
+        deleteProfile(other.id);
+        expect(await getReviewLog(other.id)).toEqual([]);
+        expect(await getReviewLog(DEFAULT_PROFILE_ID)).toHaveLength(1);
+    });
+
+    test('names are validated and the default profile cannot be deleted', () => {
+        const profile = createProfile('  Ayşe  ');
+        expect(profile.name).toBe('Ayşe');
+        expect(() => createProfile('ayşe')).toThrow('PROFILE_NAME_TAKEN');
+        expect(() => createProfile('   ')).toThrow('PROFILE_NAME_INVALID');
+        expect(() => createProfile('x'.repeat(31))).toThrow('PROFILE_NAME_INVALID');
+        expect(() => deleteProfile(DEFAULT_PROFILE_ID)).toThrow('PROFILE_DEFAULT');
+        expect(() => switchProfile('missing')).toThrow('PROFILE_NOT_FOUND');
+        expect(renameProfile(profile.id, 'Mehmet').name).toBe('Mehmet');
+        expect(getActiveProfile().id).toBe(DEFAULT_PROFILE_ID);
+    });
+
+    test('export captures the chosen profile, not the active one', async () => {
+        const other = createProfile('Ученик');
+        switchProfile(other.id);
+        saveSRSData({ 'a1_g1:aa': { interval: 3, nextReview: 0 } });
+        saveApiKey('student-key');
+        switchProfile(DEFAULT_PROFILE_ID);
+        saveSRSData({ 'a1_g1:bb': { interval: 1, nextReview: 0 } });
+
+        const backup = await exportProfile(other.id, { includeApiKey: true });
+        expect(Object.keys(backup.data.srs)).toEqual(['a1_g1:aa']);
+        expect(backup.data.apiKey).toBe('student-key');
+        await expect(exportProfile('missing')).rejects.toThrow('PROFILE_NOT_FOUND');
+    });
+});
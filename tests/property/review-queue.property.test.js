@@ -0,0 +1,217 @@
+/**
+ * Property-Based Tests для Review Queue Module
+ * Feature: review-queue
+ */
+
+import 'fake-indexeddb/auto';
+import { describe, test, expect, beforeEach } from 'vitest';
+import * as fc from 'fast-check';
+import { buildReviewQueue, getReviewQueue, countToday, isNewCard, startOfDay } from '../../js/review-queue.js';
+import { saveSRSData, saveSettings, getSettings, setCache, clearAllCache, appendReviewLog, saveReviewLog } from '../../js/storage.js';
+import { makeChunkId } from '../../js/chunk-id.js';
+
+// Mock localStorage
+const localStorageMock = (() => {
+    let store = {};
+    return {
+        getItem: (key) => store[key] || null,
+        setItem: (key, value) => { store[key] = value.toString(); },
+        removeItem: (key) => { delete store[key]; },
+        clear: () => { store = {}; },
+        get length() { return Object.keys(store).length; },
+        key: (i) => Object.keys(store)[i] || null
+    };
+})();
+
+Object.defineProperty(global, 'localStorage', { value: localStorageMock });
+
+beforeEach(async () => {
+    localStorage.clear();
+    await clearAllCache();
+    await saveReviewLog([]);
+});
+
+const NOW = new Date(2024, 5, 15, 12, 0).getTime();
+const DAY = 24 * 60 * 60 * 1000;
+
+// Карточка: новая, на шагах изучения или на повторении со сроком относительно NOW
+const cardArb = fc.oneof(
+    fc.constant(null),
+    fc.record({
+        state: fc.constantFrom('review', 'learning', 'relearning'),
+        offset: fc.integer({ min: -30, max: 30 })
+    })
+);
+
+const deckArb = fc.array(
+    fc.array(cardArb, { minLength: 1, maxLength: 8 }),
+    { minLength: 1, maxLength: 5 }
+);
+
+/**
+ * Темы и SRS данные из описания колоды
+ */
+function makeDeck(deck) {
+    const srsData = {};
+    const topics = deck.map((cards, t) => {
+        const topicId = `a1_g${t}`;
+        const chunks = cards.map((card, c) => {
+            const id = makeChunkId(topicId, `phrase ${c}`);
+            if (card) {
+                const nextReview = NOW + card.offset * (card.state === 'review' ? DAY : 60 * 1000);
+                srsData[id] = { interval: card.state === 'review' ? 3 : 0, nextReview, repetitions: 1, lastReview: NOW - DAY, stability: 3, state: card.state };
+            }
+            return { id, turkish: `phrase ${c}`, russian: 'x' };
+        });
+        return { topicId, chunks };
+    });
+    return { topics, srsData };
+}
+
+/**
+ * Feature: review-queue, Property 1: Due Cards From Every Topic
+ *
+ * For any cached topics and SRS data, the queue should hold every due card from every
+ * topic once and nothing that is not due yet; new cards come only from started topics.
+ */
+describe('Property 1: Due Cards From Every Topic', () => {
+    test('queue holds exactly the due cards and new cards of started topics', () => {
+        fc.assert(fc.property(
+            deckArb,
+            (deck) => {
+                const { topics, srsData } = makeDeck(deck);
+                const queue = buildReviewQueue(topics, { srsData, now: NOW, settings: { newCardsPerDay: 1000, reviewsPerDay: 1000 } });
+
+                const ids = queue.cards.map(card => card.id);
+                const expectedDue = Object.keys(srsData).filter(id => srsData[id].nextReview <= NOW);
+                const expectedNew = topics
+                    .filter(topic => topic.chunks.some(chunk => srsData[chunk.id]))
+                    .flatMap(topic => topic.chunks.filter(chunk => !srsData[chunk.id]).map(chunk => chunk.id));
+
+                return new Set(ids).size === ids.length &&
+                       [...ids].sort().join() === [...expectedDue, ...expectedNew].sort().join() &&
+                       queue.cards.every(card => card.id.startsWith(`${card.topicId}:`));
+            }
+        ), { numRuns: 100 });
+    });
+
+    test('learning cards come first, reviews by due date, new cards spread between', () => {
+        fc.assert(fc.property(
+            deckArb,
+            (deck) => {
+                const { topics, srsData } = makeDeck(deck);
+                const queue = buildReviewQueue(topics, { srsData, now: NOW, settings: { newCardsPerDay: 1000, reviewsPerDay: 1000 } });
+
+                const states = queue.cards.map(card => srsData[card.id]?.state || 'new');
+                const firstOther = states.findIndex(s => s !== 'learning' && s !== 'relearning');
+                const learningFirst = firstOther === -1 || states.slice(firstOther).every(s => s === 'review' || s === 'new');
+
+                const reviewDates = queue.cards.filter(card => srsData[card.id]?.state === 'review').map(card => srsData[card.id].nextReview);
+                const sorted = reviewDates.every((date, i) => i === 0 || reviewDates[i - 1] <= date);
+
+                // Между соседними новыми карточками не больше повторений, чем в среднем на одну новую + 1
+                const newPositions = states.map((s, i) => s === 'new' ? i : -1).filter(i => i >= 0);
+                const gap = queue.fresh > 0 ? Math.floor(queue.due / queue.fresh) : 0;
+                const spread = newPositions.every((pos, i) => i === 0 || pos - newPositions[i - 1] - 1 <= gap);
+
+                return learningFirst && sorted && spread;
+            }
+        ), { numRuns: 100 });
+    });
+});
+
+/**
+ * Feature: review-queue, Property 2: Daily Limits
+ *
+ * For any limits and any reviews already done today, the queue should offer at most the
+ * remaining new cards and reviews; learning steps are never limited.
+ */
+describe('Property 2: Daily Limits', () => {
+    test('limits subtract what was done today', () => {
+        fc.assert(fc.property(
+            deckArb,
+            fc.integer({ min: 0, max: 10 }),
+            fc.integer({ min: 0, max: 10 }),
+            fc.array(fc.record({
+                state: fc.constantFrom('new', 'learning', 'review'),
+                yesterday: fc.boolean()
+            }), { maxLength: 15 }),
+            (deck, newCardsPerDay, reviewsPerDay, done) => {
+                const { topics, srsData } = makeDeck(deck);
+                const log = done.map(({ state, yesterday }) => ({
+                    time: yesterday ? startOfDay(NOW) - 1 : startOfDay(NOW) + 1, chunkId: 'x', rating: 3, state
+                }));
+                const today = countToday(log, NOW);
+                const queue = buildReviewQueue(topics, { srsData, log, now: NOW, settings: { newCardsPerDay, reviewsPerDay } });
+                const unlimited = buildReviewQueue(topics, { srsData, now: NOW, settings: { newCardsPerDay: 1000, reviewsPerDay: 1000 } });
+
+                return today.newDone === done.filter(d => !d.yesterday && d.state === 'new').length &&
+                       today.reviewsDone === done.filter(d => !d.yesterday && d.state === 'review').length &&
+                       queue.fresh === Math.min(unlimited.fresh, Math.max(0, newCardsPerDay - today.newDone)) &&
+                       queue.due === Math.min(unlimited.due, Math.max(0, reviewsPerDay - today.reviewsDone)) &&
+                       queue.learning === unlimited.learning &&
+                       queue.dueTotal === unlimited.due;
+            }
+        ), { numRuns: 100 });
+    });
+
+    test('answers from other games do not use up the limits', () => {
+        const time = startOfDay(NOW) + 1;
+        const log = [
+            { time, chunkId: 'a', rating: 3, state: 'new', source: 'review' },
+            { time, chunkId: 'b', rating: 3, state: 'review', source: 'flashcards-typed' },
+            ...['quiz', 'writing', 'translation', 'matching'].flatMap(source => [
+                { time, chunkId: 'c', rating: 3, state: 'new', source },
+                { time, chunkId: 'd', rating: 3, state: 'review', source }
+            ])
+        ];
+
+        expect(countToday(log, NOW)).toEqual({ newDone: 1, reviewsDone: 1 });
+    });
+
+    test('cards answered in the past count as started', () => {
+        expect(isNewCard(undefined)).toBe(true);
+        expect(isNewCard({ interval: 0, easeFactor: 2.5, nextReview: 0, repetitions: 0 })).toBe(true);
+        expect(isNewCard({ interval: 1, nextReview: 1, repetitions: 0 })).toBe(false);
+        expect(isNewCard({ interval: 0, nextReview: 1, repetitions: 0, stability: 0.4, state: 'learning' })).toBe(false);
+    });
+});
+
+/**
+ * Feature: review-queue, Property 3: Cross-Topic Session
+ *
+ * For cards due in several cached topics, the queue should gather them into a single
+ * session using the profile's limits.
+ */
+describe('Property 3: Cross-Topic Session', () => {
+    test('due cards from all cached topics form one queue', async () => {
+        const greet = makeChunkId('a1_g1', 'Merhaba');
+        const thanks = makeChunkId('a1_v1', 'Teşekkürler');
+        const later = makeChunkId('a1_v1', 'Görüşürüz');
+        const fresh = makeChunkId('a1_v1', 'Evet');
+        await setCache('a1_g1', { topicId: 'a1_g1', chunks: [{ id: greet, turkish: 'Merhaba', russian: 'Привет' }] });
+        await setCache('a1_v1', {
+            topicId: 'a1_v1',
+            chunks: [
+                { id: thanks, turkish: 'Teşekkürler', russian: 'Спасибо' },
+                { id: later, turkish: 'Görüşürüz', russian: 'Увидимся' },
+                { id: fresh, turkish: 'Evet', russian: 'Да' }
+            ]
+        });
+        saveSRSData({
+            [greet]: { interval: 2, nextReview: NOW - DAY, repetitions: 1, lastReview: NOW - 3 * DAY },
+            [thanks]: { interval: 5, nextReview: NOW - 2 * DAY, repetitions: 2, lastReview: NOW - 7 * DAY },
+            [later]: { interval: 5, nextReview: NOW + DAY, repetitions: 2, lastReview: NOW - 4 * DAY }
+        });
+        saveSettings({ ...getSettings(), newCardsPerDay: 0 });
+        appendReviewLog({ time: NOW - 1000, chunkId: later, rating: 3, state: 'review' });
+
+        const queue = await getReviewQueue(NOW);
+        expect(queue.cards.map(card => card.id)).toEqual([thanks, greet]);
+        expect(queue.cards.map(card => card.topicId)).toEqual(['a1_v1', 'a1_g1']);
+
+        saveSettings({ ...getSettings(), newCardsPerDay: 5, reviewsPerDay: 2 });
+        const limited = await getReviewQueue(NOW);
+        expect(limited).toMatchObject({ due: 1, fresh: 1, dueTotal: 2 });
+    });
+});
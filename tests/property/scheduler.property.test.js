@@ -0,0 +1,205 @@
+/**
+ * Property-Based Tests для Request Scheduler
+ * Feature: request-scheduler
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+import * as fc from 'fast-check';
+import { RequestScheduler, parseRetryAfter, RETRY_STATUSES, abortScreenRequests } from '../../js/scheduler.js';
+import { validateApiKey } from '../../js/providers/gemini.js';
+
+/**
+ * Планировщик с виртуальными часами: sleep только сдвигает время
+ */
+function createScheduler(options = {}) {
+    const clock = { time: 0, sleeps: [] };
+    const scheduler = new RequestScheduler({
+        now: () => clock.time,
+        sleep: async (ms, signal) => {
+            if (signal?.aborted) throw new Error('REQUEST_ABORTED');
+            clock.sleeps.push(ms);
+            clock.time += ms;
+        },
+        random: () => 0.5,
+        ...options
+    });
+    return { scheduler, clock };
+}
+
+const reply = (status, headers = {}) => ({
+    ok: status < 400,
+    status,
+    headers: { get: (name) => headers[name] ?? null }
+});
+
+/**
+ * Feature: request-scheduler, Property 1: Retry With Backoff
+ *
+ * For any sequence of retryable failures, the scheduler should retry up to maxRetries
+ * times, waiting Retry-After when present and a growing jittered delay otherwise.
+ */
+describe('Property 1: Retry With Backoff', () => {
+    test('retryable statuses are retried until success or maxRetries', async () => {
+        await fc.assert(fc.asyncProperty(
+            fc.array(fc.constantFrom(...RETRY_STATUSES), { maxLength: 5 }),
+            fc.integer({ min: 0, max: 4 }),
+            async (failures, maxRetries) => {
+                const responses = [...failures.map(status => reply(status)), reply(200)];
+                let calls = 0;
+                const { scheduler } = createScheduler({
+                    maxRetries,
+                    fetch: async () => responses[calls++]
+                });
+
+                const response = await scheduler.request('https://example.test');
+                const expectedCalls = Math.min(failures.length, maxRetries) + 1;
+
+                return calls === expectedCalls &&
+                       response.status === responses[expectedCalls - 1].status;
+            }
+        ), { numRuns: 100 });
+    });
+
+    test('non-retryable errors are returned immediately', async () => {
+        await fc.assert(fc.asyncProperty(
+            fc.constantFrom(400, 401, 403, 404),
+            async (status) => {
+                let calls = 0;
+                const { scheduler } = createScheduler({ fetch: async () => { calls++; return reply(status); } });
+                const response = await scheduler.request('https://example.test');
+                return calls === 1 && response.status === status;
+            }
+        ), { numRuns: 20 });
+    });
+
+    test('Retry-After is honoured, otherwise delays grow exponentially', async () => {
+        const responses = [reply(429, { 'Retry-After': '7' }), reply(503), reply(503), reply(200)];
+        let calls = 0;
+        const { scheduler, clock } = createScheduler({ baseDelay: 1000, fetch: async () => responses[calls++] });
+
+        await scheduler.request('https://example.test');
+
+        // 7 c из заголовка, затем 2000 и 4000 мс с джиттером 0.5
+        expect(clock.sleeps).toEqual([7000, 1500, 3000]);
+    });
+
+    test('Retry-After is capped by maxDelay', async () => {
+        const responses = [reply(429, { 'Retry-After': '36000' }), reply(200)];
+        let calls = 0;
+        const { scheduler, clock } = createScheduler({ maxDelay: 30000, fetch: async () => responses[calls++] });
+
+        await scheduler.request('https://example.test');
+
+        expect(clock.sleeps).toEqual([30000]);
+    });
+
+    test('Retry-After accepts seconds and HTTP dates', () => {
+        fc.assert(fc.property(
+            fc.integer({ min: 0, max: 3600 }),
+            (seconds) => {
+                const now = Date.UTC(2026, 0, 1);
+                const date = new Date(now + seconds * 1000).toUTCString();
+                return parseRetryAfter(String(seconds), now) === seconds * 1000 &&
+                       parseRetryAfter(date, now) === seconds * 1000;
+            }
+        ), { numRuns: 100 });
+        expect(parseRetryAfter(null)).toBe(null);
+        expect(parseRetryAfter('soon')).toBe(null);
+    });
+});
+
+/**
+ * Feature: request-scheduler, Property 2: Limits And Cancellation
+ *
+ * For any number of concurrent requests, no more than `concurrency` should be in flight
+ * and no more than `requestsPerMinute` should start within any minute.
+ */
+describe('Property 2: Limits And Cancellation', () => {
+    test('in-flight requests never exceed the concurrency limit', async () => {
+        await fc.assert(fc.asyncProperty(
+            fc.integer({ min: 1, max: 4 }),
+            fc.integer({ min: 1, max: 12 }),
+            async (concurrency, total) => {
+                let active = 0;
+                let maxActive = 0;
+                const { scheduler } = createScheduler({
+                    concurrency,
+                    fetch: async () => {
+                        active++;
+                        maxActive = Math.max(maxActive, active);
+                        await new Promise(resolve => setTimeout(resolve, 0));
+                        active--;
+                        return reply(200);
+                    }
+                });
+
+                const results = await Promise.all(
+                    Array.from({ length: total }, () => scheduler.request('https://example.test'))
+                );
+                return results.length === total && maxActive <= concurrency && scheduler.active === 0;
+            }
+        ), { numRuns: 30 });
+    });
+
+    test('per-minute budget delays extra requests', async () => {
+        await fc.assert(fc.asyncProperty(
+            fc.integer({ min: 1, max: 5 }),
+            fc.integer({ min: 1, max: 12 }),
+            async (limit, total) => {
+                const starts = [];
+                const { scheduler, clock } = createScheduler({
+                    concurrency: 1,
+                    fetch: async () => { starts.push(clock.time); return reply(200); }
+                });
+
+                for (let i = 0; i < total; i++) {
+                    await scheduler.request('https://example.test', {}, { budgetKey: 'model', requestsPerMinute: limit });
+                }
+
+                // В любом окне 60 с не больше limit запросов
+                return starts.every((time, i) => i < limit || time - starts[i - limit] >= 60000);
+            }
+        ), { numRuns: 50 });
+    });
+
+    test('aborting rejects in-flight and queued requests', async () => {
+        const controller = new AbortController();
+        const { scheduler } = createScheduler({
+            concurrency: 1,
+            sleep: () => new Promise(() => {}),
+            fetch: (url, init) => new Promise((resolve, reject) => {
+                init.signal?.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+            })
+        });
+
+        const settled = Promise.allSettled([
+            scheduler.request('https://example.test', {}, { signal: controller.signal }),
+            scheduler.request('https://example.test', {}, { signal: controller.signal })
+        ]);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        controller.abort();
+
+        const [inFlight, queued] = await settled;
+        expect(inFlight.reason.message).toBe('REQUEST_ABORTED');
+        expect(queued.reason.message).toBe('REQUEST_ABORTED');
+        expect(scheduler.active).toBe(0);
+        expect(scheduler.waiting.length).toBe(0);
+    });
+
+    test('leaving the screen cancels the API key check', async () => {
+        vi.stubGlobal('fetch', (url, init) => new Promise((resolve, reject) => {
+            init.signal?.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+        }));
+
+        const check = validateApiKey('key');
+        await new Promise(resolve => setTimeout(resolve, 0));
+        abortScreenRequests();
+        await expect(check).rejects.toThrow('REQUEST_ABORTED');
+
+        const controller = new AbortController();
+        const own = validateApiKey('key', { signal: controller.signal });
+        controller.abort();
+        await expect(own).rejects.toThrow('REQUEST_ABORTED');
+        vi.unstubAllGlobals();
+    });
+});
@@ -0,0 +1,248 @@
+/**
+ * Property-Based Tests для SRS Module
+ * Feature: fsrs-scheduler
+ */
+
+import { describe, test, expect, beforeEach } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    RATINGS, DEFAULT_FSRS_PARAMS, LEARNING_STEPS, MIN_REVIEWS_TO_OPTIMIZE,
+    fsrsSchedule, scheduleCard, newCard, nextInterval, retrievability, nextMemoryState,
+    cardFromSM2, optimizeParameters
+} from '../../js/srs.js';
+import { updateSRS } from '../../js/games/flashcards.js';
+import { STORAGE_KEYS, save, getSRSData, getReviewLog, saveReviewLog, profileKey } from '../../js/storage.js';
+import { migrateToFSRS } from '../../js/migrations.js';
+import { createProfile } from '../../js/profiles.js';
+
+// Mock localStorage
+const localStorageMock = (() => {
+    let store = {};
+    return {
+        getItem: (key) => store[key] || null,
+        setItem: (key, value) => { store[key] = value.toString(); },
+        removeItem: (key) => { delete store[key]; },
+        clear: () => { store = {}; },
+        get length() { return Object.keys(store).length; },
+        key: (i) => Object.keys(store)[i] || null
+    };
+})();
+
+Object.defineProperty(global, 'localStorage', { value: localStorageMock });
+
+beforeEach(async () => {
+    localStorage.clear();
+    await saveReviewLog([]);
+});
+
+const DAY = 24 * 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+const ratingArb = fc.constantFrom(RATINGS.AGAIN, RATINGS.HARD, RATINGS.GOOD, RATINGS.EASY);
+
+/**
+ * Ответы на карточку точно в срок
+ */
+function reviewOnTime(ratings, start = 0) {
+    let card = newCard();
+    let now = start;
+    return ratings.map(rating => {
+        now = Math.max(now, card.nextReview);
+        card = fsrsSchedule(card, rating, now);
+        return card;
+    });
+}
+
+/**
+ * Feature: fsrs-scheduler, Property 1: FSRS Scheduling
+ *
+ * For any sequence of ratings, FSRS should keep stability and difficulty in range,
+ * always schedule into the future, grow intervals on successful on-time reviews
+ * and send lapsed cards to relearning.
+ */
+describe('Property 1: FSRS Scheduling', () => {
+    test('memory state stays in range and reviews are in the future', () => {
+        fc.assert(fc.property(
+            fc.array(ratingArb, { minLength: 1, maxLength: 30 }),
+            (ratings) => reviewOnTime(ratings).every(card =>
+                card.nextReview > card.lastReview &&
+                card.stability >= 0.1 && card.difficulty >= 1 && card.difficulty <= 10 &&
+                (card.state === 'review') === (card.interval >= 1))
+        ), { numRuns: 200 });
+    });
+
+    test('successful on-time reviews grow the interval; a lapse relearns', () => {
+        fc.assert(fc.property(
+            fc.array(fc.constantFrom(RATINGS.GOOD, RATINGS.EASY), { minLength: 2, maxLength: 10 }),
+            (ratings) => {
+                const cards = reviewOnTime([RATINGS.EASY, ...ratings]);
+                const grows = cards.slice(1).every((card, i) => card.interval >= cards[i].interval);
+
+                const last = cards[cards.length - 1];
+                const lapsed = fsrsSchedule(last, RATINGS.AGAIN, last.nextReview);
+                return grows && lapsed.state === 'relearning' && lapsed.lapses === 1 &&
+                       lapsed.repetitions === 0 && lapsed.stability <= last.stability;
+            }
+        ), { numRuns: 100 });
+    });
+
+    test('new cards go through learning steps before graduating', () => {
+        const first = fsrsSchedule(newCard(), RATINGS.GOOD, 0);
+        expect(first).toMatchObject({ state: 'learning', step: 1, interval: 0, nextReview: LEARNING_STEPS[1] * MINUTE });
+
+        const again = fsrsSchedule(first, RATINGS.AGAIN, first.nextReview);
+        expect(again).toMatchObject({ state: 'learning', step: 0 });
+
+        const graduated = fsrsSchedule(first, RATINGS.GOOD, first.nextReview);
+        expect(graduated.state).toBe('review');
+        expect(graduated.interval).toBeGreaterThanOrEqual(1);
+
+        expect(fsrsSchedule(newCard(), RATINGS.EASY, 0).state).toBe('review');
+    });
+});
+
+/**
+ * Feature: fsrs-scheduler, Property 2: Target Retention
+ *
+ * For any stability, the scheduled interval should bring recall probability down to
+ * the target retention, and a higher target should never give a longer interval.
+ */
+describe('Property 2: Target Retention', () => {
+    test('interval matches the target and shrinks as the target rises', () => {
+        fc.assert(fc.property(
+            fc.double({ min: 1, max: 1000, noNaN: true }),
+            fc.double({ min: 0.7, max: 0.97, noNaN: true }),
+            fc.double({ min: 0.7, max: 0.97, noNaN: true }),
+            (stability, a, b) => {
+                const [low, high] = a < b ? [a, b] : [b, a];
+                const interval = nextInterval(stability, low);
+                // Интервал округлён до дней: цель лежит между соседними половинами дня
+                const reached = interval === 1 ||
+                    (retrievability(interval + 0.5, stability) <= low && low <= retrievability(interval - 0.5, stability));
+                return nextInterval(stability, high) <= interval && reached;
+            }
+        ), { numRuns: 200 });
+    });
+
+    test('settings choose the algorithm and retention', () => {
+        const card = fsrsSchedule(newCard(), RATINGS.EASY, 0);
+        const strict = scheduleCard(card, 4, { targetRetention: 0.97 }, card.nextReview);
+        const relaxed = scheduleCard(card, 4, { targetRetention: 0.8 }, card.nextReview);
+        expect(strict.interval).toBeLessThan(relaxed.interval);
+
+        const sm2 = scheduleCard(newCard(), 5, { srsAlgorithm: 'sm2' }, 0);
+        expect(sm2).toMatchObject({ interval: 1, repetitions: 1, nextReview: DAY });
+        expect(sm2.stability).toBeUndefined();
+    });
+
+    test('flashcard answers are scheduled by FSRS and logged', async () => {
+        const first = updateSRS('a1_g1:abc', 4);
+        const second = updateSRS('a1_g1:abc', 1);
+
+        expect(first.state).toBe('learning');
+        expect(second).toMatchObject({ state: 'learning', step: 0 });
+        expect((await getReviewLog()).map(e => [e.chunkId, e.rating, e.state])).toEqual([
+            ['a1_g1:abc', RATINGS.GOOD, 'new'],
+            ['a1_g1:abc', RATINGS.AGAIN, 'learning']
+        ]);
+    });
+});
+
+/**
+ * Feature: fsrs-scheduler, Property 3: SM-2 Migration
+ *
+ * For any SM-2 record, migration should turn the interval into stability and a lower
+ * ease factor into higher difficulty, leaving never-reviewed cards as new.
+ */
+describe('Property 3: SM-2 Migration', () => {
+    test('interval and ease factor map to stability and difficulty', () => {
+        fc.assert(fc.property(
+            fc.integer({ min: 1, max: 365 }),
+            fc.double({ min: 1.3, max: 3, noNaN: true }),
+            fc.double({ min: 1.3, max: 3, noNaN: true }),
+            fc.integer({ min: 1, max: 10 }),
+            (interval, easeA, easeB, repetitions) => {
+                const a = cardFromSM2({ interval, easeFactor: easeA, nextReview: 1, repetitions });
+                const b = cardFromSM2({ interval, easeFactor: easeB, nextReview: 1, repetitions });
+                return a.stability === interval && a.state === 'review' &&
+                       (easeA <= easeB ? a.difficulty >= b.difficulty : a.difficulty <= b.difficulty) &&
+                       cardFromSM2(a) === a;
+            }
+        ), { numRuns: 100 });
+    });
+
+    test('migration converts every profile and keeps new cards', () => {
+        const other = createProfile('Ученик');
+        const fresh = newCard();
+        save(STORAGE_KEYS.SRS_DATA, { 'a1_g1:a': { interval: 6, easeFactor: 2.5, nextReview: 1, repetitions: 2 }, 'a1_g1:b': fresh });
+        save(profileKey(STORAGE_KEYS.SRS_DATA, other.id), { 'a1_g1:a': { interval: 20, easeFactor: 1.3, nextReview: 1, repetitions: 4 } });
+
+        expect(migrateToFSRS()).toEqual({ converted: 2 });
+        expect(getSRSData()['a1_g1:a']).toMatchObject({ stability: 6, difficulty: 5, state: 'review' });
+        expect(getSRSData()['a1_g1:b']).toEqual(fresh);
+        expect(getSRSData(other.id)['a1_g1:a']).toMatchObject({ stability: 20, difficulty: 10 });
+    });
+});
+
+/**
+ * Простой генератор случайных чисел для воспроизводимой истории
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0 || 1;
+    return () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state / 2 ** 32;
+    };
+}
+
+/**
+ * Журнал ученика, который запоминает лучше, чем предполагают стандартные веса
+ */
+function simulateLog(seed, cards = 40, reviews = 6) {
+    const random = seededRandom(seed);
+    const learner = DEFAULT_FSRS_PARAMS.map((w, i) => i < 4 ? w * 4 : w);
+    const log = [];
+
+    for (let c = 0; c < cards; c++) {
+        let card = newCard();
+        let memory = null;
+        let time = c * MINUTE;
+        for (let r = 0; r < reviews; r++) {
+            time = Math.max(time, card.nextReview);
+            const days = card.lastReview ? (time - card.lastReview) / DAY : 0;
+            const recalled = !memory || days < 1 || random() < retrievability(days, memory.stability);
+            const rating = recalled ? RATINGS.GOOD : RATINGS.AGAIN;
+            log.push({ time, chunkId: `t:${c}`, rating, elapsedDays: days, state: card.state || 'new' });
+            memory = nextMemoryState(memory, rating, days, learner);
+            card = fsrsSchedule(card, rating, time);
+        }
+    }
+    return log;
+}
+
+/**
+ * Feature: fsrs-scheduler, Property 4: Parameter Optimization
+ *
+ * For any review history long enough, optimized weights should predict the learner's
+ * answers at least as well as the starting weights; short histories are rejected.
+ */
+describe('Property 4: Parameter Optimization', () => {
+    test('optimized weights do not predict worse', () => {
+        fc.assert(fc.property(
+            fc.integer({ min: 1, max: 2 ** 31 }),
+            (seed) => {
+                const result = optimizeParameters(simulateLog(seed), DEFAULT_FSRS_PARAMS, 3);
+                return result.reviews >= MIN_REVIEWS_TO_OPTIMIZE &&
+                       result.loss <= result.baselineLoss &&
+                       result.params.length === DEFAULT_FSRS_PARAMS.length &&
+                       result.params.every(Number.isFinite);
+            }
+        ), { numRuns: 5 });
+    });
+
+    test('short histories and cards without a first review are rejected', () => {
+        expect(() => optimizeParameters(simulateLog(1, 2, 3))).toThrow('NOT_ENOUGH_REVIEWS');
+
+        const migrated = simulateLog(1).map(entry => ({ ...entry, state: 'review' }));
+        expect(() => optimizeParameters(migrated)).toThrow('NOT_ENOUGH_REVIEWS');
+    });
+});
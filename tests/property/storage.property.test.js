@@ -3,9 +3,12 @@
  * Feature: turkish-learning-app
  */
 
-import { describe, test, expect, beforeEach } from 'vitest';
+import 'fake-indexeddb/auto';
+import { describe, test, expect, beforeEach, vi } from 'vitest';
 import * as fc from 'fast-check';
-import { save, load, setCache, getCache, clearCache, hasCache, saveSessionState, loadSessionState, saveGameState, loadGameState, clearSessionState, SESSION_KEYS } from '../../js/storage.js';
+import { save, load, setCache, getCache, clearCache, clearAllCache, hasCache, saveSessionState, loadSessionState, saveGameState, loadGameState, clearSessionState, SESSION_KEYS, getSRSData, saveSRSData, migrateChunkIds, evictLRU, estimateSize, getCacheUsage, deleteTopicCache, toggleFavoriteTopic, getFavoriteTopics } from '../../js/storage.js';
+import { STORES, dbPut } from '../../js/db.js';
+import { makeChunkId, getTopicIdFromChunkId } from '../../js/chunk-id.js';
 
 // Mock localStorage
 const localStorageMock = (() => {
@@ -36,9 +39,10 @@ const sessionStorageMock = (() => {
 Object.defineProperty(global, 'localStorage', { value: localStorageMock });
 Object.defineProperty(global, 'sessionStorage', { value: sessionStorageMock });
 
-beforeEach(() => {
+beforeEach(async () => {
     localStorage.clear();
     sessionStorage.clear();
+    await clearAllCache();
 });
 
 /**
@@ -184,7 +188,7 @@ describe('Property 25: JSON Serialization Round-Trip', () => {
  * should produce an equivalent object.
  */
 describe('Property 3: Content Cache Round-Trip', () => {
-    test('cached content can be retrieved unchanged', () => {
+    test('cached content can be retrieved unchanged', async () => {
         const chunkArb = fc.record({
             id: fc.string(),
             turkish: fc.string(),
@@ -200,18 +204,18 @@ describe('Property 3: Content Cache Round-Trip', () => {
             chunks: fc.array(chunkArb, { minLength: 1, maxLength: 25 })
         });
 
-        fc.assert(fc.property(
+        await fc.assert(fc.asyncProperty(
             contentArb,
-            (content) => {
-                setCache(content.topicId, content);
-                const retrieved = getCache(content.topicId);
+            async (content) => {
+                await setCache(content.topicId, content);
+                const retrieved = await getCache(content.topicId);
                 return JSON.stringify(retrieved) === JSON.stringify(content);
             }
         ), { numRuns: 100 });
     });
 
-    test('hasCache returns true after setCache', () => {
-        fc.assert(fc.property(
+    test('hasCache returns true after setCache', async () => {
+        await fc.assert(fc.asyncProperty(
             fc.string().filter(s => s.length > 0),
             fc.record({
                 topicId: fc.string(),
@@ -222,9 +226,9 @@ describe('Property 3: Content Cache Round-Trip', () => {
                     russian: fc.string()
                 }), { minLength: 1, maxLength: 5 })
             }),
-            (topicId, content) => {
-                setCache(topicId, content);
-                return hasCache(topicId) === true;
+            async (topicId, content) => {
+                await setCache(topicId, content);
+                return await hasCache(topicId) === true;
             }
         ), { numRuns: 100 });
     });
@@ -238,7 +242,7 @@ describe('Property 3: Content Cache Round-Trip', () => {
  * should be removed while other topics remain cached.
  */
 describe('Property 24: Selective Cache Clearing', () => {
-    test('clearing one topic does not affect others', () => {
+    test('clearing one topic does not affect others', async () => {
         const contentArb = fc.record({
             topicId: fc.string(),
             generatedAt: fc.integer({ min: 0 }),
@@ -249,28 +253,28 @@ describe('Property 24: Selective Cache Clearing', () => {
             }), { minLength: 1, maxLength: 5 })
         });
 
-        fc.assert(fc.property(
+        await fc.assert(fc.asyncProperty(
             fc.array(fc.string().filter(s => s.length > 0 && !s.includes('_')), { minLength: 2, maxLength: 5 })
                 .filter(arr => new Set(arr).size === arr.length), // unique topic IDs
             contentArb,
-            (topicIds, contentTemplate) => {
+            async (topicIds, contentTemplate) => {
                 // Cache content for all topics
-                topicIds.forEach(id => {
-                    setCache(id, { ...contentTemplate, topicId: id });
-                });
+                for (const id of topicIds) {
+                    await setCache(id, { ...contentTemplate, topicId: id });
+                }
 
                 // Clear first topic
                 const topicToRemove = topicIds[0];
-                clearCache(topicToRemove);
+                await clearCache(topicToRemove);
 
                 // Check that removed topic is gone
-                if (hasCache(topicToRemove)) {
+                if (await hasCache(topicToRemove)) {
                     return false;
                 }
 
                 // Check that other topics still exist
                 for (let i = 1; i < topicIds.length; i++) {
-                    if (!hasCache(topicIds[i])) {
+                    if (!(await hasCache(topicIds[i]))) {
                         return false;
                     }
                 }
@@ -280,13 +284,13 @@ describe('Property 24: Selective Cache Clearing', () => {
         ), { numRuns: 100 });
     });
 
-    test('clearing non-existent topic does not throw', () => {
-        fc.assert(fc.property(
+    test('clearing non-existent topic does not throw', async () => {
+        await fc.assert(fc.asyncProperty(
             fc.string().filter(s => s.length > 0),
-            (topicId) => {
+            async (topicId) => {
                 // Should not throw
-                clearCache(topicId);
-                return hasCache(topicId) === false;
+                await clearCache(topicId);
+                return await hasCache(topicId) === false;
             }
         ), { numRuns: 100 });
     });
@@ -432,3 +436,158 @@ describe('Property 3: Game State Round-Trip', () => {
         expect(loadGameState()).toBeNull();
     });
 });
+
+
+/**
+ * Feature: stable-chunk-ids, Property 26: Content-Addressed Chunk IDs
+ * 
+ * Chunk ids depend only on the topic and the normalized Turkish phrase, so the same
+ * phrase in two topics gets two ids and SRS records of different topics never collide.
+ */
+describe('Property 26: Content-Addressed Chunk IDs', () => {
+    const topicIdArb = fc.stringMatching(/^[a-z][a-z0-9_]{0,8}$/);
+
+    test('ids are deterministic and ignore case and punctuation', () => {
+        fc.assert(fc.property(
+            topicIdArb,
+            fc.constantFrom('Merhaba', 'İyi akşamlar', 'Nasılsın', 'Hoş geldiniz'),
+            (topicId, phrase) => {
+                return makeChunkId(topicId, phrase) === makeChunkId(topicId, phrase.toLocaleUpperCase('tr-TR') + '!') &&
+                       getTopicIdFromChunkId(makeChunkId(topicId, phrase)) === topicId;
+            }
+        ), { numRuns: 100 });
+    });
+
+    test('same phrase in different topics gets different ids', () => {
+        fc.assert(fc.property(
+            topicIdArb,
+            topicIdArb,
+            fc.string({ minLength: 1 }),
+            (topicA, topicB, phrase) => {
+                fc.pre(topicA !== topicB);
+                return makeChunkId(topicA, phrase) !== makeChunkId(topicB, phrase);
+            }
+        ), { numRuns: 100 });
+    });
+
+    test('migration splits a shared legacy record between topics', async () => {
+        const record = { interval: 6, easeFactor: 2.6, nextReview: 123, repetitions: 2 };
+        await setCache('a1_v2', { topicId: 'a1_v2', chunks: [{ id: 'chunk_3', turkish: 'Babam' }] });
+        await setCache('a1_v3', { topicId: 'a1_v3', chunks: [{ id: 'chunk_3', turkish: 'Mavi' }] });
+        saveSRSData({ chunk_3: record, unrelated: record });
+
+        const result = await migrateChunkIds();
+        const srs = getSRSData();
+        const familyId = makeChunkId('a1_v2', 'Babam');
+        const colorsId = makeChunkId('a1_v3', 'Mavi');
+
+        expect(result.migrated).toBe(true);
+        expect(srs[familyId]).toEqual(record);
+        expect(srs[colorsId]).toEqual(record);
+        expect(srs.chunk_3).toBeUndefined();
+        expect(srs.unrelated).toEqual(record);
+        expect((await getCache('a1_v2')).chunks[0].id).toBe(familyId);
+    });
+
+    test('migration runs only once', async () => {
+        expect((await migrateChunkIds()).migrated).toBe(true);
+        await setCache('a1_v2', { topicId: 'a1_v2', chunks: [{ id: 'chunk_0', turkish: 'Babam' }] });
+        expect((await migrateChunkIds()).migrated).toBe(false);
+        expect((await getCache('a1_v2')).chunks[0].id).toBe('chunk_0');
+    });
+});
+
+
+/**
+ * Feature: cache-eviction, Property 27: LRU Eviction Respects Pins
+ *
+ * For any set of cached topics, eviction should bring the cache under budget by removing
+ * the least recently used topics first and never remove topics with SRS cards or favourites.
+ */
+describe('Property 27: LRU Eviction Respects Pins', () => {
+    const contentOf = (size) => ({ chunks: [{ id: 'c', turkish: 'a'.repeat(size) }] });
+
+    test('eviction removes oldest unpinned topics until the cache fits', async () => {
+        await fc.assert(fc.asyncProperty(
+            fc.array(fc.record({
+                size: fc.integer({ min: 10, max: 500 }),
+                pin: fc.constantFrom('none', 'srs', 'favorite')
+            }), { minLength: 1, maxLength: 6 }),
+            fc.integer({ min: 0, max: 2000 }),
+            async (entries, budget) => {
+                localStorage.clear();
+                await clearAllCache();
+                const now = vi.spyOn(Date, 'now');
+                const srs = {};
+
+                for (let i = 0; i < entries.length; i++) {
+                    const topicId = `t${i}`;
+                    now.mockReturnValue(1000 + i);
+                    await setCache(topicId, contentOf(entries[i].size));
+                    if (entries[i].pin === 'srs') srs[makeChunkId(topicId, 'x')] = { interval: 1 };
+                    if (entries[i].pin === 'favorite') toggleFavoriteTopic(topicId);
+                }
+                now.mockRestore();
+                saveSRSData(srs);
+
+                const evicted = await evictLRU(STORES.CONTENT, budget);
+                const remaining = entries.map((_, i) => `t${i}`).filter(id => !evicted.includes(id));
+                const sizeOf = (id) => estimateSize(contentOf(entries[Number(id.slice(1))].size));
+                const total = remaining.reduce((sum, id) => sum + sizeOf(id), 0);
+                const unpinnedLeft = remaining.filter(id => entries[Number(id.slice(1))].pin === 'none');
+
+                // Вытесняются только незакреплённые и строго по давности
+                const order = evicted.map(id => Number(id.slice(1)));
+                const oldestFirst = order.every((index, i) => i === 0 || index > order[i - 1]);
+                const noPinnedEvicted = order.every(index => entries[index].pin === 'none');
+
+                return oldestFirst && noPinnedEvicted &&
+                       (total <= budget || unpinnedLeft.length === 0) &&
+                       (await Promise.all(remaining.map(hasCache))).every(Boolean);
+            }
+        ), { numRuns: 30 });
+    });
+
+    test('reading a topic protects it from eviction', async () => {
+        const now = vi.spyOn(Date, 'now');
+        now.mockReturnValue(1000);
+        await setCache('old', contentOf(100));
+        now.mockReturnValue(2000);
+        await setCache('new', contentOf(100));
+        now.mockReturnValue(3000);
+        await getCache('old');
+        now.mockRestore();
+
+        const evicted = await evictLRU(STORES.CONTENT, estimateSize(contentOf(100)));
+        expect(evicted).toEqual(['new']);
+        expect(await hasCache('old')).toBe(true);
+    });
+
+    test('entries stored before LRU tracking are evicted first', async () => {
+        await setCache('tracked', contentOf(50));
+        await dbPut(STORES.CONTENT, 'legacy', contentOf(50));
+
+        const evicted = await evictLRU(STORES.CONTENT, estimateSize(contentOf(50)));
+        expect(evicted).toEqual(['legacy']);
+    });
+
+    test('usage report and selective delete per topic', async () => {
+        await setCache('a1_v1', contentOf(100));
+        await setCache('a1_v2', contentOf(200));
+        toggleFavoriteTopic('a1_v2');
+
+        const usage = await getCacheUsage();
+        const byId = Object.fromEntries(usage.topics.map(t => [t.topicId, t]));
+        expect(usage.stores.content.bytes).toBe(estimateSize(contentOf(100)) + estimateSize(contentOf(200)));
+        expect(usage.topics[0].topicId).toBe('a1_v2');
+        expect(byId.a1_v2).toMatchObject({ favorite: true, pinned: true });
+        expect(byId.a1_v1).toMatchObject({ favorite: false, pinned: false });
+
+        expect(await deleteTopicCache('a1_v1')).toBe(1);
+        expect(await hasCache('a1_v1')).toBe(false);
+        expect((await getCacheUsage()).topics.map(t => t.topicId)).toEqual(['a1_v2']);
+
+        toggleFavoriteTopic('a1_v2');
+        expect(getFavoriteTopics()).toEqual([]);
+    });
+});
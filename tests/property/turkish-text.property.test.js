@@ -0,0 +1,142 @@
+/**
+ * Property-Based Tests для Turkish Text Module
+ * Feature: turkish-text
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+import * as fc from 'fast-check';
+import { toTurkishLower, answerKey, foldDiacritics, sameAnswer } from '../../js/turkish-text.js';
+import { compareAnswers as compareTranslation } from '../../js/games/translation.js';
+import { compareAnswers as compareWriting } from '../../js/games/writing.js';
+import { validateOrder, normalizeWord } from '../../js/games/sentence-builder.js';
+import { FillInGame } from '../../js/games/fill-in.js';
+import { gradeAnswer } from '../../js/answer-grader.js';
+
+vi.mock('../../js/tts.js', () => ({ speak: vi.fn(() => Promise.resolve()) }));
+
+// Mock localStorage
+const localStorageMock = (() => {
+    let store = {};
+    return {
+        getItem: (key) => store[key] || null,
+        setItem: (key, value) => { store[key] = value.toString(); },
+        removeItem: (key) => { delete store[key]; },
+        clear: () => { store = {}; },
+        get length() { return Object.keys(store).length; },
+        key: (i) => Object.keys(store)[i] || null
+    };
+})();
+
+Object.defineProperty(global, 'localStorage', { value: localStorageMock });
+
+const letterArb = fc.constantFrom(...'abcçdefgğhıijklmnoöprsştuüvyzâîû');
+const wordArb = fc.array(letterArb, { minLength: 1, maxLength: 8 }).map(letters => letters.join(''));
+const phraseArb = fc.array(wordArb, { minLength: 1, maxLength: 4 }).map(words => words.join(' '));
+
+/**
+ * Feature: turkish-text, Property 1: Turkish Casing
+ *
+ * For any Turkish phrase, upper- and lower-case forms, composed and decomposed letters,
+ * and text lower-cased outside the Turkish locale should all give the same key.
+ */
+describe('Property 1: Turkish Casing', () => {
+    test('dotted and dotless i keep their identity', () => {
+        expect(toTurkishLower('İSTANBUL')).toBe('istanbul');
+        expect(toTurkishLower('IŞIK')).toBe('ışık');
+        expect(toTurkishLower('İstanbul'.toLowerCase())).toBe('istanbul');
+        expect(sameAnswer('ISIK', 'isik')).toBe(false);
+    });
+
+    test('case and Unicode form do not matter', () => {
+        fc.assert(fc.property(
+            phraseArb,
+            (phrase) => {
+                const key = answerKey(phrase);
+                return answerKey(phrase.toLocaleUpperCase('tr-TR')) === key &&
+                       answerKey(phrase.normalize('NFD')) === key &&
+                       answerKey(phrase.toLocaleUpperCase('tr-TR').normalize('NFD')) === key;
+            }
+        ), { numRuns: 200 });
+    });
+});
+
+/**
+ * Feature: turkish-text, Property 2: Apostrophes And Punctuation
+ *
+ * For any phrase, the apostrophe before a suffix may be typed in any form or left out,
+ * and punctuation and extra spaces should not change the key.
+ */
+describe('Property 2: Apostrophes And Punctuation', () => {
+    test('apostrophe before a suffix is optional in any form', () => {
+        fc.assert(fc.property(
+            wordArb,
+            wordArb,
+            fc.constantFrom("'", '’', '‘', 'ʼ', '´', '`', '′', ''),
+            (stem, suffix, apostrophe) => answerKey(`${stem}${apostrophe}${suffix}`) === answerKey(`${stem}'${suffix}`)
+        ), { numRuns: 200 });
+    });
+
+    test('punctuation and spacing are ignored', () => {
+        fc.assert(fc.property(
+            fc.array(wordArb, { minLength: 1, maxLength: 4 }),
+            fc.array(fc.constantFrom('.', ',', '!', '?', ';', ':', '…', '«', '»', '"', '—', '(', ')', '  '), { minLength: 1, maxLength: 4 }),
+            (words, marks) => {
+                const noisy = words.map((word, i) => `${marks[i % marks.length]}${word}${marks[(i + 1) % marks.length]}`).join(' ');
+                return answerKey(noisy) === words.join(' ') && answerKey(` ${words.join('   ')} `) === words.join(' ');
+            }
+        ), { numRuns: 200 });
+    });
+
+    test('folding replaces only Turkish letters', () => {
+        fc.assert(fc.property(
+            phraseArb,
+            (phrase) => /^[a-z ]*$/.test(foldDiacritics(phrase)) &&
+                        foldDiacritics(phrase).length === phrase.length
+        ), { numRuns: 100 });
+    });
+});
+
+/**
+ * Feature: turkish-text, Property 3: Every Game Accepts Turkish Answers
+ *
+ * Answers that differ from the expected one only in Turkish casing, apostrophe form
+ * or punctuation should be accepted by every game that checks typed or ordered text.
+ */
+describe('Property 3: Every Game Accepts Turkish Answers', () => {
+    const cases = [
+        ['İstanbul’da yaşıyorum', "istanbul'da yaşıyorum."],
+        ['IŞIK', 'ışık'],
+        ['Ilık su', 'ILIK SU!']
+    ];
+
+    test('translation, writing and typed flashcards', () => {
+        cases.forEach(([expected, typed]) => {
+            expect(compareTranslation(typed, expected)).toBe(true);
+            expect(compareWriting(typed, expected)).toBe(true);
+            expect(gradeAnswer(typed, expected).verdict).toBe('correct');
+        });
+        expect(compareWriting('ilik su', 'Ilık su')).toBe(false);
+        expect(gradeAnswer('ilik su', 'Ilık su').verdict).toBe('missing-diacritic');
+    });
+
+    test('fill-in blank and sentence order', () => {
+        const game = new FillInGame({ chunks: [{ id: 'a1_g1:1', turkish: 'İzmir', russian: 'Измир', example: "Ben İzmir'de oturuyorum." }] });
+        game.currentBlank = { display: 'Ben ___ oturuyorum.', answer: "İzmir'de", blankIndex: 1 };
+        game.setInput('IZMIRDE');
+        game.submit();
+        expect(game.isCorrect).toBe(false);
+
+        game.showResult = false;
+        game.setInput('izmir’de');
+        game.submit();
+        expect(game.isCorrect).toBe(true);
+
+        const sentence = 'Işık İstanbul’da yanıyor.';
+        const words = sentence.split(' ');
+        const tiles = words.map((word, i) => normalizeWord(word, i === 0, i === words.length - 1));
+        expect(tiles[0]).toBe('ışık');
+        expect(validateOrder(tiles, sentence)).toBe(true);
+        expect(validateOrder(['ışık', "istanbul'da", 'yanıyor'], sentence)).toBe(true);
+        expect(validateOrder([...tiles].reverse(), sentence)).toBe(false);
+    });
+});